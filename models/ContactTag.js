@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Tag aplicada a um contato (um documento por contato e tag)
+const ContactTagSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instanceName: {
+    type: String,
+    required: true
+  },
+  contactId: { // JID do contato (5511999999999@s.whatsapp.net)
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'mindclerky', 'api'],
+    default: 'manual'
+  },
+  // Fluxo do MindClerky que aplicou a tag (source = mindclerky)
+  flowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MindClerkyFlow',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+ContactTagSchema.index({ instanceName: 1, contactId: 1, tag: 1 }, { unique: true });
+ContactTagSchema.index({ instanceName: 1, tag: 1 });
+ContactTagSchema.index({ userId: 1, tag: 1 });
+
+module.exports = mongoose.model('ContactTag', ContactTagSchema);
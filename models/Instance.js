@@ -69,6 +69,62 @@ const InstanceSchema = new mongoose.Schema({
     readStatus: {
       type: Boolean,
       default: false
+    },
+    defaultCountry: { // País padrão dos números sem código do país (null = usa o do usuário)
+      type: String,
+      default: null
+    }
+  },
+  // Limite de envio compartilhado por todos os canais de saída (disparos, MindClerky, APIs)
+  rateLimit: {
+    // null = automático: limita disparos em massa e MindClerky (chat e API externa ficam livres)
+    // true = limita todos os envios; false = desativado para a instância
+    enabled: {
+      type: Boolean,
+      default: null
+    },
+    messagesPerMinute: {
+      type: Number,
+      default: 20,
+      min: 1
+    },
+    burst: { // Capacidade do balde (envios seguidos permitidos)
+      type: Number,
+      default: 5,
+      min: 1
+    },
+    dailyLimit: { // Limite diário fixo (null = sem limite) quando não há aquecimento
+      type: Number,
+      default: null
+    },
+    timezone: {
+      type: String,
+      default: 'America/Sao_Paulo'
+    },
+    // Aquecimento de números novos: limite diário cresce de startPerDay até targetPerDay
+    warmup: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      startedAt: Date,
+      startPerDay: {
+        type: Number,
+        default: 50
+      },
+      targetPerDay: {
+        type: Number,
+        default: 1000
+      },
+      durationDays: {
+        type: Number,
+        default: 21
+      },
+      curve: {
+        type: String,
+        enum: ['linear', 'exponential'],
+        default: 'linear'
+      }
     }
   },
   createdAt: {
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const scheduleUtils = require('../utils/scheduleUtils');
+const { interactiveContentFields } = require('../utils/interactiveMessageUtils');
+
+// Status de números já enviados, em ordem de progresso (enviado → entregue → lido → respondido)
+const SENT_STATUSES = ['sent', 'delivered', 'read', 'replied'];
 
 const massDispatchSchema = new mongoose.Schema({
   userId: {
@@ -11,10 +16,20 @@ const massDispatchSchema = new mongoose.Schema({
     ref: 'Template',
     default: null
   },
+  templateVersion: { // Versão do template fixada ao iniciar (edições posteriores não afetam o disparo)
+    type: Number,
+    default: null
+  },
   instanceName: {
     type: String,
     required: true
   },
+  // Público definido por segmento (avaliado no início de cada execução) em vez de lista enviada
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment',
+    default: null
+  },
   name: {
     type: String,
     required: true
@@ -22,14 +37,20 @@ const massDispatchSchema = new mongoose.Schema({
   template: {
     type: {
       type: String,
-      enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'sequence'],
+      enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'buttons', 'list', 'poll', 'location', 'contact', 'sequence'],
       required: true
     },
     content: {
       text: String,
       media: String, // URL ou base64
       fileName: String,
-      caption: String
+      caption: String,
+      mediaAssetId: { // Arquivo da biblioteca de mídia (referência do disparo)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MediaAsset',
+        default: null
+      },
+      ...interactiveContentFields()
     },
     // Para templates de sequência
     sequence: {
@@ -40,14 +61,20 @@ const massDispatchSchema = new mongoose.Schema({
         },
         type: {
           type: String,
-          enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption'],
+          enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'buttons', 'list', 'poll', 'location', 'contact'],
           required: true
         },
         content: {
           text: String,
           media: String,
           fileName: String,
-          caption: String
+          caption: String,
+          mediaAssetId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'MediaAsset',
+            default: null
+          },
+          ...interactiveContentFields()
         },
         delay: {
           type: Number,
@@ -58,20 +85,59 @@ const massDispatchSchema = new mongoose.Schema({
         type: Number,
         default: 0
       }
-    }
+    },
+    // Blocos de variação sorteados por peso (sobrescrevem texto/legenda)
+    variants: [{
+      label: {
+        type: String,
+        required: true
+      },
+      weight: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      content: {
+        text: String,
+        caption: String
+      },
+      // Para sequências: sobrescreve texto/legenda da mensagem com a mesma ordem
+      messages: [{
+        order: Number,
+        text: String,
+        caption: String
+      }]
+    }]
   },
   numbers: [{
     original: String, // Número original inserido
     formatted: String, // Número formatado para envio
     valid: Boolean, // Se o número existe no WhatsApp
+    country: String, // País do número (ISO 3166-1 alfa-2, ex.: BR, PT, AR, US)
+    numberType: String, // mobile | landline | fixed_or_mobile | ...
     contactName: String, // Nome fornecido pelo usuário (pode ser null)
     whatsappName: String, // Nome retornado pelo WhatsApp na validação (pode ser null)
+    customFields: { // Colunas extras da planilha, usadas como $coluna / {{coluna}} no template
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    abVariant: String, // Chave da variante do teste A/B (null = recebe o vencedor)
+    repliedAt: Date, // Quando o contato respondeu após o envio
+    variant: { // Variação recebida (bloco sorteado e opções spintax) para comparar taxas de resposta
+      label: String,
+      spintax: [String]
+    },
     status: {
       type: String,
-      enum: ['pending', 'sent', 'failed', 'scheduled'],
+      enum: ['pending', 'failed', 'scheduled', 'skipped', ...SENT_STATUSES],
       default: 'pending'
     },
+    skipReason: String, // Motivo de não envio ('suppressed' = descadastrado, 'not_in_segment' = saiu do segmento, 'frequency_cap' = limite de frequência)
     sentAt: Date,
+    failedAt: Date, // Quando o envio falhou (usado na pausa por pico de falhas)
+    runNumber: Number, // Execução (runs[].number) em que o número foi processado pela última vez
+    deliveredAt: Date, // Confirmação de entrega (DELIVERY_ACK)
+    readAt: Date, // Confirmação de leitura (READ)
     error: String,
     messageId: String, // ID da mensagem enviada (para exclusão automática)
     remoteJid: String, // JID do destinatário (para exclusão automática)
@@ -98,7 +164,20 @@ const massDispatchSchema = new mongoose.Schema({
         type: Number, // 0=domingo, 1=segunda, 2=terça, 3=quarta, 4=quinta, 5=sexta, 6=sábado
         min: 0,
         max: 6
-      }] // Dias da semana em que o disparo NÃO deve executar
+      }], // Dias da semana em que o disparo NÃO deve executar
+      // Feriados e datas específicas em que o disparo NÃO deve executar
+      holidays: {
+        calendar: { // Calendário de feriados nacionais (null = nenhum)
+          type: String,
+          enum: [null, 'BR'],
+          default: null
+        },
+        includeOptional: { // Incluir pontos facultativos (Carnaval, Corpus Christi)
+          type: Boolean,
+          default: false
+        },
+        customDates: [String] // YYYY-MM-DD no timezone do agendamento
+      }
     },
     validateNumbers: {
       type: Boolean,
@@ -129,14 +208,146 @@ const massDispatchSchema = new mongoose.Schema({
         type: Number,
         default: 3600 // 1 hora por padrão
       }
+    },
+    // Pausa automática quando a instância desconecta ou as falhas disparam
+    autoPause: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      failureThreshold: { // Pausar com N falhas...
+        type: Number,
+        default: 5,
+        min: 1
+      },
+      failureWindow: { // ...entre os últimos M envios
+        type: Number,
+        default: 20,
+        min: 1
+      },
+      resumeOnReconnect: { // auto = retoma sozinho, confirm = aguarda o usuário
+        type: String,
+        enum: ['auto', 'confirm'],
+        default: 'auto'
+      }
     }
   },
+  // Teste A/B: parte da lista recebe cada variante, o restante recebe a vencedora
+  abTest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    testPercentage: { // Percentual da lista usado no teste
+      type: Number,
+      default: 20,
+      min: 1,
+      max: 100
+    },
+    evaluationMinutes: { // Tempo aguardando respostas antes de escolher a vencedora
+      type: Number,
+      default: 120,
+      min: 0
+    },
+    variants: [{
+      key: {
+        type: String,
+        required: true
+      },
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Template',
+        default: null
+      },
+      templateVersion: {
+        type: Number,
+        default: null
+      },
+      template: mongoose.Schema.Types.Mixed, // Mesmo formato de template do disparo
+      percentage: { // Divisão dentro do grupo de teste
+        type: Number,
+        default: 50
+      },
+      sent: { type: Number, default: 0 },
+      replied: { type: Number, default: 0 },
+      replyRate: { type: Number, default: 0 }
+    }],
+    phase: {
+      type: String,
+      enum: ['pending', 'testing', 'evaluating', 'winner'],
+      default: 'pending'
+    },
+    testCompletedAt: Date,
+    evaluateAt: Date,
+    winnerKey: String,
+    decidedAt: Date
+  },
+  // Recorrência: reexecuta a campanha (ex.: toda segunda às 09:00) ou envia em lotes diários (drip)
+  recurrence: {
+    mode: {
+      type: String,
+      enum: ['none', 'recurring', 'drip'],
+      default: 'none'
+    },
+    daysOfWeek: [{ // Dias permitidos (0=domingo ... 6=sábado); vazio = todos (apenas drip)
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    time: String, // HH:mm no timezone do agendamento
+    onlyNotReplied: { // recurring: reenviar apenas para quem ainda não respondeu
+      type: Boolean,
+      default: true
+    },
+    maxRuns: { // recurring: total de execuções (null = sem limite)
+      type: Number,
+      default: null,
+      min: 1
+    },
+    endDate: Date, // Não agendar execuções após esta data
+    perDay: { // drip: números enviados por dia
+      type: Number,
+      default: null,
+      min: 1
+    }
+  },
+  // Histórico de execuções da campanha
+  runs: [{
+    number: Number,
+    type: {
+      type: String,
+      enum: ['initial', 'recurring', 'drip']
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'cancelled'],
+      default: 'running'
+    },
+    startedAt: Date,
+    completedAt: Date,
+    targeted: { type: Number, default: 0 }, // Números pendentes no início da execução
+    processed: { type: Number, default: 0 }, // Envios tentados (enviados + falhas)
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    read: { type: Number, default: 0 },
+    replied: { type: Number, default: 0 }
+  }],
   statistics: {
     total: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
     failed: { type: Number, default: 0 },
     pending: { type: Number, default: 0 },
     scheduled: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    read: { type: Number, default: 0 },
+    replied: { type: Number, default: 0 },
+    // Taxas em % sobre os enviados
+    deliveryRate: { type: Number, default: 0 },
+    readRate: { type: Number, default: 0 },
+    replyRate: { type: Number, default: 0 },
     validNumbers: { type: Number, default: 0 },
     invalidNumbers: { type: Number, default: 0 }
   },
@@ -157,6 +368,20 @@ const massDispatchSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Estado da última pausa automática
+  autoPause: {
+    cause: {
+      type: String,
+      enum: [null, 'instance_disconnected', 'failure_spike'],
+      default: null
+    },
+    pausedAt: Date,
+    awaitingConfirmation: { // Instância reconectou, aguardando o usuário retomar
+      type: Boolean,
+      default: false
+    },
+    failureWindowSince: Date // Envios a partir desta data contam para o pico de falhas
+  },
   error: String
 }, {
   timestamps: true
@@ -166,54 +391,71 @@ const massDispatchSchema = new mongoose.Schema({
 massDispatchSchema.index({ userId: 1, instanceName: 1 });
 massDispatchSchema.index({ status: 1, isActive: 1 });
 massDispatchSchema.index({ nextScheduledRun: 1 });
+massDispatchSchema.index({ instanceName: 1, 'numbers.remoteJid': 1 });
+massDispatchSchema.index({ instanceName: 1, 'numbers.messageId': 1 });
+massDispatchSchema.index({ 'abTest.phase': 1, 'abTest.evaluateAt': 1 });
+massDispatchSchema.index({ 'recurrence.mode': 1, status: 1, nextScheduledRun: 1 });
+massDispatchSchema.index({ userId: 1, 'numbers.formatted': 1 });
 
 // Métodos do modelo
 massDispatchSchema.methods.updateStatistics = function() {
   this.statistics.total = this.numbers.length;
-  this.statistics.sent = this.numbers.filter(n => n.status === 'sent').length;
+  // Enviados inclui os que já avançaram para entregue/lido/respondido
+  this.statistics.sent = this.numbers.filter(n => SENT_STATUSES.includes(n.status)).length;
   this.statistics.failed = this.numbers.filter(n => n.status === 'failed').length;
   this.statistics.pending = this.numbers.filter(n => n.status === 'pending').length;
   this.statistics.scheduled = this.numbers.filter(n => n.status === 'scheduled').length;
+  this.statistics.skipped = this.numbers.filter(n => n.status === 'skipped').length;
   this.statistics.validNumbers = this.numbers.filter(n => n.valid === true).length;
   this.statistics.invalidNumbers = this.numbers.filter(n => n.valid === false).length;
+
+  const reached = (status) => this.numbers.filter(n =>
+    SENT_STATUSES.indexOf(n.status) >= SENT_STATUSES.indexOf(status)
+  ).length;
+  const rate = (count) => this.statistics.sent > 0
+    ? Math.round((count / this.statistics.sent) * 10000) / 100
+    : 0;
+
+  this.statistics.delivered = reached('delivered');
+  this.statistics.read = reached('read');
+  this.statistics.replied = reached('replied');
+  this.statistics.deliveryRate = rate(this.statistics.delivered);
+  this.statistics.readRate = rate(this.statistics.read);
+  this.statistics.replyRate = rate(this.statistics.replied);
 };
 
-// Método para verificar se está no horário de envio
-massDispatchSchema.methods.isWithinSchedule = function() {
-  if (!this.settings.schedule.enabled) return true;
+// Método para verificar se está no horário de envio (no timezone do agendamento)
+massDispatchSchema.methods.isWithinSchedule = function(date = new Date()) {
+  const schedule = this.settings.schedule;
+  if (!schedule.enabled) return true;
   
-  const now = new Date();
-  const currentHour = now.getHours();
-  const currentMinute = now.getMinutes();
-  const currentDay = now.getDay();
+  const now = scheduleUtils.getZonedParts(date, schedule.timezone);
+  const currentTimeMinutes = now.hour * 60 + now.minute;
   
-  // Verificar dias excluídos (se o dia atual está na lista de exclusão, retorna false)
-  if (this.settings.schedule.excludedDays && 
-      this.settings.schedule.excludedDays.length > 0 && 
-      this.settings.schedule.excludedDays.includes(currentDay)) {
-    return false;
+  // Sem janela de horário: apenas dias/feriados excluídos
+  if (!schedule.startTime || !schedule.pauseTime) {
+    return !scheduleUtils.isExcludedDate(schedule, now.dateKey);
   }
   
-  // Verificar horário (entre startTime e pauseTime)
-  if (this.settings.schedule.startTime && this.settings.schedule.pauseTime) {
-    const [startHour, startMinute] = this.settings.schedule.startTime.split(':').map(Number);
-    const [pauseHour, pauseMinute] = this.settings.schedule.pauseTime.split(':').map(Number);
-    
-    const currentTimeMinutes = currentHour * 60 + currentMinute;
-    const startTimeMinutes = startHour * 60 + startMinute;
-    const pauseTimeMinutes = pauseHour * 60 + pauseMinute;
-    
-    // Se startTime > pauseTime, significa que o horário passa da meia-noite
-    if (startTimeMinutes > pauseTimeMinutes) {
-      // Horário válido se: >= startTime OU <= pauseTime
-      return currentTimeMinutes >= startTimeMinutes || currentTimeMinutes <= pauseTimeMinutes;
-    } else {
-      // Horário válido se: >= startTime E <= pauseTime
-      return currentTimeMinutes >= startTimeMinutes && currentTimeMinutes <= pauseTimeMinutes;
+  const startTimeMinutes = scheduleUtils.timeToMinutes(schedule.startTime);
+  const pauseTimeMinutes = scheduleUtils.timeToMinutes(schedule.pauseTime);
+  
+  // Se startTime > pauseTime, significa que o horário passa da meia-noite
+  if (startTimeMinutes > pauseTimeMinutes) {
+    if (currentTimeMinutes >= startTimeMinutes) {
+      return !scheduleUtils.isExcludedDate(schedule, now.dateKey);
+    }
+    // Madrugada pertence à janela iniciada no dia anterior
+    if (currentTimeMinutes <= pauseTimeMinutes) {
+      return !scheduleUtils.isExcludedDate(schedule, scheduleUtils.addDays(now.dateKey, -1));
     }
+    return false;
   }
   
-  return true;
+  // Horário válido se: >= startTime E <= pauseTime
+  return currentTimeMinutes >= startTimeMinutes &&
+    currentTimeMinutes <= pauseTimeMinutes &&
+    !scheduleUtils.isExcludedDate(schedule, now.dateKey);
 };
 
 // Método para obter próximo delay baseado na velocidade
@@ -233,4 +475,7 @@ massDispatchSchema.methods.getNextDelay = function() {
   }
 };
 
-module.exports = mongoose.model('MassDispatch', massDispatchSchema);
+const MassDispatch = mongoose.model('MassDispatch', massDispatchSchema);
+MassDispatch.SENT_STATUSES = SENT_STATUSES;
+
+module.exports = MassDispatch;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Arquivo da biblioteca de mídia: armazenado uma única vez por usuário (hash do conteúdo)
+// e reutilizado por templates, disparos, fluxos do MindClerky e envios avulsos
+const MediaAssetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hash: {
+    type: String, // SHA-256 do conteúdo
+    required: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  mediaType: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'document'],
+    required: true
+  },
+  size: {
+    type: Number, // Bytes
+    required: true
+  },
+  storageKey: {
+    type: String, // Chave no armazenamento (ex.: media/<userId>/<hash>.jpg)
+    required: true
+  },
+  url: {
+    type: String, // Referência storage://; a URL assinada é gerada no envio
+    required: true
+  },
+  duration: {
+    type: Number, // Segundos (áudio e vídeo)
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  // Quem usa o arquivo (impede a exclusão enquanto houver referências)
+  references: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['template', 'dispatch', 'mindclerky_flow']
+    },
+    refId: mongoose.Schema.Types.ObjectId
+  }],
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  sendCount: { // Envios avulsos (/api/messages/:instanceName/media)
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+MediaAssetSchema.index({ userId: 1, hash: 1 }, { unique: true });
+MediaAssetSchema.index({ userId: 1, mediaType: 1, createdAt: -1 });
+MediaAssetSchema.index({ 'references.kind': 1, 'references.refId': 1 });
+
+module.exports = mongoose.model('MediaAsset', MediaAssetSchema);
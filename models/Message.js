@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { interactiveContentFields } = require('../utils/interactiveMessageUtils');
 
 const MessageSchema = new mongoose.Schema({
   instanceName: {
@@ -31,7 +32,7 @@ const MessageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact', 'ptt'],
+    enum: ['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact', 'ptt', 'buttons', 'list', 'poll', 'button_reply', 'list_reply', 'poll_vote'],
     required: true
   },
   content: {
@@ -42,9 +43,15 @@ const MessageSchema = new mongoose.Schema({
     mimeType: String,
     size: Number,
     duration: Number,
-    latitude: Number,
-    longitude: Number,
-    address: String
+    ...interactiveContentFields(),
+    // Respostas a mensagens interativas (button_reply, list_reply, poll_vote)
+    selectedId: String,
+    selectedOptions: [String],
+    pollMessageId: String,
+    mediaAssetId: { // Arquivo da biblioteca de mídia usado no envio
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MediaAsset'
+    }
   },
   status: {
     type: String,
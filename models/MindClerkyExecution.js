@@ -57,7 +57,8 @@ const MindClerkyExecutionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['running', 'waiting', 'error', 'completed', 'cancelled'],
+    // queued: aguardando vaga (settings.maxConcurrentLeads do fluxo)
+    enum: ['queued', 'running', 'waiting', 'error', 'completed', 'cancelled'],
     default: 'running',
     index: true
   },
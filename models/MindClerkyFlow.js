@@ -19,7 +19,37 @@ const TriggerSchema = new mongoose.Schema({
       default: 'America/Sao_Paulo'
     },
     startDate: Date,
-    endDate: Date
+    endDate: Date,
+    // Público que recebe uma execução a cada disparo do cron
+    audience: {
+      type: {
+        type: String,
+        enum: ['segment', 'tag', 'list']
+      },
+      segmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Segment'
+      },
+      tags: [String],
+      numbers: [String]
+    },
+    // Controle do agendador (mindClerkySchedulerService)
+    lastFiredAt: {
+      type: Date,
+      default: null
+    },
+    nextFireAt: {
+      type: Date,
+      default: null
+    },
+    lastFireCount: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -197,6 +227,7 @@ const MindClerkyFlowSchema = new mongoose.Schema({
 
 MindClerkyFlowSchema.index({ ownerId: 1, instanceName: 1 });
 MindClerkyFlowSchema.index({ slug: 1, ownerId: 1 }, { unique: false });
+MindClerkyFlowSchema.index({ status: 1, 'triggers.schedule.nextFireAt': 1 });
 
 module.exports = mongoose.model('MindClerkyFlow', MindClerkyFlowSchema);
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Versão publicada (imutável) de um fluxo do MindClerky
+// As execuções ficam presas à versão em que começaram (MindClerkyExecution.flowVersion)
+const MindClerkyFlowVersionSchema = new mongoose.Schema({
+  flowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MindClerkyFlow',
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Cópia do grafo no momento da publicação (triggers, nodes, edges, settings)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Versão restaurada quando a publicação veio de um rollback
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+MindClerkyFlowVersionSchema.index({ flowId: 1, version: 1 }, { unique: true });
+
+MindClerkyFlowVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Versões publicadas de fluxo não podem ser alteradas'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('MindClerkyFlowVersion', MindClerkyFlowVersionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const SegmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instanceName: {
+    type: String, // Conversas, contatos e histórico são avaliados nesta instância
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  match: {
+    type: String,
+    enum: ['all', 'any'], // all = todas as condições (E), any = qualquer condição (OU)
+    default: 'all'
+  },
+  conditions: [{
+    type: {
+      type: String,
+      enum: ['kanban_column', 'tag', 'no_reply_days', 'open_tasks', 'history'],
+      required: true
+    },
+    // kanban_column: coluna ou lista de colunas
+    // tag: tag ou lista de tags
+    // no_reply_days: quantidade de dias sem mensagem recebida do contato
+    // open_tasks: true (tarefas pendentes/em andamento)
+    // history: { type, days } registro no histórico do contato nos últimos N dias
+    value: mongoose.Schema.Types.Mixed,
+    negate: { // Inverte a condição (ex.: fora da coluna "reprovado")
+      type: Boolean,
+      default: false
+    }
+  }],
+  lastEvaluatedAt: Date,
+  lastCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+SegmentSchema.index({ userId: 1, instanceName: 1 });
+
+module.exports = mongoose.model('Segment', SegmentSchema);
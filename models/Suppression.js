@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const SuppressionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phone: {
+    type: String, // Apenas dígitos, com código do país (ex: 5511999999999)
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['keyword', 'manual', 'import'],
+    default: 'manual'
+  },
+  keyword: {
+    type: String, // Palavra usada pelo contato para sair (quando reason = keyword)
+    default: null
+  },
+  instanceName: {
+    type: String, // Instância onde o pedido de saída foi recebido
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+SuppressionSchema.index({ userId: 1, phone: 1 }, { unique: true });
+SuppressionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Suppression', SuppressionSchema);
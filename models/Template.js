@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { interactiveContentFields } = require('../utils/interactiveMessageUtils');
 
 const templateSchema = new mongoose.Schema({
   userId: {
@@ -17,7 +18,7 @@ const templateSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'sequence'],
+    enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'buttons', 'list', 'poll', 'location', 'contact', 'sequence'],
     required: true
   },
   // Para templates simples (compatibilidade)
@@ -51,7 +52,14 @@ const templateSchema = new mongoose.Schema({
       required: function() {
         return ['image_caption', 'video_caption', 'file_caption'].includes(this.type);
       }
-    }
+    },
+    mediaAssetId: { // Arquivo da biblioteca de mídia (media guarda a URL do arquivo)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MediaAsset',
+      default: null
+    },
+    // Mensagens interativas (botões, lista, enquete, localização, contato)
+    ...interactiveContentFields()
   },
   // Para templates de sequência
   sequence: {
@@ -62,7 +70,7 @@ const templateSchema = new mongoose.Schema({
       },
       type: {
         type: String,
-        enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption'],
+        enum: ['text', 'image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption', 'buttons', 'list', 'poll', 'location', 'contact'],
         required: true
       },
       content: {
@@ -70,7 +78,13 @@ const templateSchema = new mongoose.Schema({
         media: String,
         mediaType: String,
         fileName: String,
-        caption: String
+        caption: String,
+        mediaAssetId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'MediaAsset',
+          default: null
+        },
+        ...interactiveContentFields()
       },
       delay: {
         type: Number,
@@ -82,6 +96,28 @@ const templateSchema = new mongoose.Schema({
       default: 0 // Delay total da sequência
     }
   },
+  // Blocos de variação sorteados por peso (sobrescrevem texto/legenda)
+  variants: [{
+    label: {
+      type: String,
+      required: true
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    content: {
+      text: String,
+      caption: String
+    },
+    // Para sequências: sobrescreve texto/legenda da mensagem com a mesma ordem
+    messages: [{
+      order: Number,
+      text: String,
+      caption: String
+    }]
+  }],
   variables: [{
     name: String, // ex: {{nome}}, {{empresa}}
     description: String,
@@ -97,6 +133,15 @@ const templateSchema = new mongoose.Schema({
   usageCount: {
     type: Number,
     default: 0
+  },
+  // Versionamento (TemplateVersion): última versão criada e última aprovada
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+  approvedVersion: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Versão imutável de um template: o conteúdo nunca é alterado depois de criado,
+// apenas o estado da aprovação
+const TemplateVersionSchema = new mongoose.Schema({
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Cópia do template no momento da versão (name, description, type, content, sequence, variants, variables)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  reviewedBy: { // null = aprovada automaticamente (aprovação não exigida)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar performance
+TemplateVersionSchema.index({ templateId: 1, version: 1 }, { unique: true });
+TemplateVersionSchema.index({ status: 1, createdAt: 1 });
+
+// Conteúdo imutável: somente a revisão pode mudar após a criação
+TemplateVersionSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('snapshot') || this.isModified('version') || this.isModified('templateId'))) {
+    return next(new Error('Versões de template não podem ser alteradas'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('TemplateVersion', TemplateVersionSchema);
@@ -98,6 +98,48 @@ const UserSchema = new mongoose.Schema({
   resetPasswordExpires: {
     type: Date,
     default: null
+  },
+  // País padrão (ISO 3166-1 alfa-2) para números informados sem código do país
+  defaultCountry: {
+    type: String,
+    default: 'BR'
+  },
+  // Templates de disparo precisam de aprovação de um administrador antes do uso
+  templateApprovalRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Limite de frequência: máximo de campanhas (disparos em massa) por contato dentro da janela
+  frequencyCap: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    maxMessages: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    windowHours: {
+      type: Number,
+      default: 48,
+      min: 1
+    }
+  },
+  // Descadastro (opt-out): palavras que adicionam o contato à lista de supressão
+  optOut: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    keywords: {
+      type: [String],
+      default: ['SAIR', 'PARAR', 'STOP']
+    },
+    confirmationMessage: {
+      type: String,
+      default: 'Pronto! Você não receberá mais nossas mensagens.'
+    }
   }
 }, {
   timestamps: true
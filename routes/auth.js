@@ -2,6 +2,7 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const phoneService = require('../services/phoneService');
 const router = express.Router();
 
 // Função para normalizar telefone brasileiro
@@ -488,6 +489,46 @@ router.post('/approve-user/:userId', authenticateToken, requireAdmin, async (req
   }
 });
 
+// Exigir (ou não) aprovação de templates de disparo do usuário (apenas admin)
+router.put('/users/:userId/template-approval', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe required como true ou false'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { templateApprovalRequired: required } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    console.log(`🗂️ Aprovação de templates ${required ? 'exigida' : 'dispensada'} para ${user.email} por ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar aprovação de templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 // Listar todos os usuários (apenas admin)
 router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -651,10 +692,10 @@ router.post('/complete-registration/:userId', async (req, res) => {
   }
 });
 
-// Atualizar perfil do usuário (telefone e senha)
+// Atualizar perfil do usuário (telefone, país padrão e senha)
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { phone, currentPassword, newPassword } = req.body;
+    const { phone, defaultCountry, currentPassword, newPassword } = req.body;
     const userId = req.user._id;
 
     const user = await User.findById(userId);
@@ -680,6 +721,18 @@ router.put('/profile', authenticateToken, async (req, res) => {
       }
     }
 
+    // País padrão dos números informados sem código do país
+    if (defaultCountry !== undefined) {
+      const country = phoneService.normalizeCountry(defaultCountry);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          error: `País não suportado: ${defaultCountry}`
+        });
+      }
+      updates.defaultCountry = country;
+    }
+
     // Atualizar senha se fornecido
     if (newPassword) {
       // Validar senha atual se o usuário já tem senha definida
@@ -4,6 +4,7 @@ const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const Contact = require('../models/Contact');
 const evolutionApi = require('../services/evolutionApi');
+const contactTagService = require('../services/contactTagService');
 const socketManager = require('../utils/socketManager');
 const { authenticateToken } = require('./auth');
 
@@ -11,13 +12,18 @@ const { authenticateToken } = require('./auth');
 router.get('/:instanceName', async (req, res) => {
   try {
     const { instanceName } = req.params;
-    const { limit = 50, offset = 0, archived = false } = req.query;
+    const { limit = 50, offset = 0, archived = false, tags, tagMatch = 'any' } = req.query;
 
     const query = { 
       instanceName,
       isArchived: archived === 'true'
     };
 
+    // Filtro por tags do contato (?tags=vip,cliente&tagMatch=any|all)
+    if (tags) {
+      query.chatId = { $in: await contactTagService.findContactIds(instanceName, tags, tagMatch) };
+    }
+
     const chats = await Chat.find(query)
       .sort({ 
         isPinned: -1,
@@ -50,17 +56,24 @@ router.get('/:instanceName', async (req, res) => {
       }
     });
 
-    // Aplicar nomes dos contatos às conversas
+    const tagsByContact = await contactTagService.getTagsByContact(instanceName, chatIds);
+
+    // Aplicar nomes e tags dos contatos às conversas
     const chatsWithNames = chats.map(chat => {
+      const chatTags = tagsByContact.get(chat.chatId) || [];
       const contactName = contactNameMap[chat.chatId];
       if (contactName) {
         return {
           ...chat.toObject(),
           name: contactName,
-          pushName: contactName
+          pushName: contactName,
+          tags: chatTags
         };
       }
-      return chat;
+      return {
+        ...chat.toObject(),
+        tags: chatTags
+      };
     });
 
     res.json({
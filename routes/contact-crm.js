@@ -2,8 +2,18 @@ const express = require('express');
 const router = express.Router();
 const ContactHistory = require('../models/ContactHistory');
 const ContactTask = require('../models/ContactTask');
+const Instance = require('../models/Instance');
+const contactTagService = require('../services/contactTagService');
 const { authenticateToken } = require('../middleware/auth');
 
+// Instância do usuário autenticado (tags são guardadas por instância)
+const findUserInstance = (req, instanceName) => Instance.findOne({ instanceName, userId: req.user._id }).select('_id');
+
+const instanceNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Instância não encontrada'
+});
+
 // ========== HISTÓRICO DE CONTATOS ==========
 
 // Listar histórico de um contato
@@ -290,4 +300,167 @@ router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
   }
 });
 
+// ========== TAGS DE CONTATOS ==========
+
+// Listar tags da instância com a quantidade de contatos
+router.get('/tags/:instanceName', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    const tags = await contactTagService.listTags(instanceName);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Erro ao listar tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Renomear uma tag em todos os contatos
+router.put('/tags/:instanceName/rename', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+    const { from, to } = req.body;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    let updated;
+    try {
+      updated = await contactTagService.renameTag(instanceName, from, to);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: 'Tag renomeada com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao renomear tag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Remover uma tag de todos os contatos (?tag=)
+router.delete('/tags/:instanceName', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    let removed;
+    try {
+      removed = await contactTagService.deleteTag(instanceName, req.query.tag);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: 'Tag removida com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao remover tag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Listar tags de um contato
+router.get('/tags/:instanceName/:contactId', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName, contactId } = req.params;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    const tags = await contactTagService.getTags(instanceName, contactId);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Erro ao buscar tags do contato:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Adicionar tags a um contato (POST) ou substituir todas (PUT)
+const saveContactTags = (mode) => async (req, res) => {
+  try {
+    const { instanceName, contactId } = req.params;
+    const { tags } = req.body;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    if (mode === 'add' && contactTagService.normalizeTags(tags).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe ao menos uma tag'
+      });
+    }
+
+    const params = { userId: req.user._id, instanceName, contactId, tags };
+    const contactTags = mode === 'add'
+      ? await contactTagService.addTags(params)
+      : await contactTagService.setTags(params);
+
+    res.json({
+      success: true,
+      data: contactTags,
+      message: 'Tags atualizadas com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao salvar tags do contato:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+};
+
+router.post('/tags/:instanceName/:contactId', authenticateToken, saveContactTags('add'));
+router.put('/tags/:instanceName/:contactId', authenticateToken, saveContactTags('set'));
+
+// Remover uma tag de um contato
+router.delete('/tags/:instanceName/:contactId/:tag', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName, contactId, tag } = req.params;
+    if (!await findUserInstance(req, instanceName)) return instanceNotFound(res);
+
+    const tags = await contactTagService.removeTags({ instanceName, contactId, tags: [tag] });
+
+    res.json({
+      success: true,
+      data: tags,
+      message: 'Tag removida do contato'
+    });
+  } catch (error) {
+    console.error('Erro ao remover tag do contato:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
 module.exports = router;
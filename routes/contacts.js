@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Contact = require('../models/Contact');
 const evolutionApi = require('../services/evolutionApi');
+const contactTagService = require('../services/contactTagService');
 const socketManager = require('../utils/socketManager');
 
 // Listar contatos de uma instância
 router.get('/:instanceName', async (req, res) => {
   try {
     const { instanceName } = req.params;
-    const { limit = 50, offset = 0, search } = req.query;
+    const { limit = 50, offset = 0, search, tags, tagMatch = 'any' } = req.query;
 
     let query = { instanceName };
     
@@ -21,14 +22,27 @@ router.get('/:instanceName', async (req, res) => {
       ];
     }
 
+    // Filtro por tags (?tags=vip,cliente&tagMatch=any|all)
+    if (tags) {
+      query.contactId = { $in: await contactTagService.findContactIds(instanceName, tags, tagMatch) };
+    }
+
     const contacts = await Contact.find(query)
       .sort({ name: 1 })
       .limit(parseInt(limit))
       .skip(parseInt(offset));
 
+    const tagsByContact = await contactTagService.getTagsByContact(
+      instanceName,
+      contacts.map(contact => contact.contactId)
+    );
+
     res.json({
       success: true,
-      data: contacts,
+      data: contacts.map(contact => ({
+        ...contact.toObject(),
+        tags: tagsByContact.get(contact.contactId) || []
+      })),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
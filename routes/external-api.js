@@ -1,6 +1,8 @@
 const express = require('express');
 const Instance = require('../models/Instance');
 const evolutionApi = require('../services/evolutionApi');
+const rateLimiterService = require('../services/rateLimiterService');
+const suppressionService = require('../services/suppressionService');
 const router = express.Router();
 
 // Middleware para autenticação via token da instância
@@ -72,6 +74,28 @@ router.post('/send-text', authenticateInstanceToken, async (req, res) => {
       });
     }
 
+    // Contato descadastrado (lista de supressão do usuário)
+    if (await suppressionService.isSuppressed(req.user._id, cleanNumber)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Contato descadastrado: o número está na lista de supressão'
+      });
+    }
+
+    // Respeitar o limite de envio compartilhado da instância
+    const permit = await rateLimiterService.acquire(req.instance.instanceName, { maxWaitMs: 10 * 1000 });
+    if (!permit.allowed) {
+      const retryAfter = Math.ceil(permit.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: permit.reason === 'daily_limit'
+          ? 'Limite diário de envio da instância atingido'
+          : 'Limite de envio da instância atingido. Tente novamente em instantes',
+        retryAfter
+      });
+    }
+
     console.log(`📤 API Externa - Enviando mensagem via ${req.instance.instanceName} para ${number}`);
 
     // Enviar mensagem via Evolution API
@@ -132,6 +156,28 @@ router.post('/send-media', authenticateInstanceToken, async (req, res) => {
       });
     }
 
+    // Contato descadastrado (lista de supressão do usuário)
+    if (await suppressionService.isSuppressed(req.user._id, cleanNumber)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Contato descadastrado: o número está na lista de supressão'
+      });
+    }
+
+    // Respeitar o limite de envio compartilhado da instância
+    const permit = await rateLimiterService.acquire(req.instance.instanceName, { maxWaitMs: 10 * 1000 });
+    if (!permit.allowed) {
+      const retryAfter = Math.ceil(permit.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: permit.reason === 'daily_limit'
+          ? 'Limite diário de envio da instância atingido'
+          : 'Limite de envio da instância atingido. Tente novamente em instantes',
+        retryAfter
+      });
+    }
+
     console.log(`📤 API Externa - Enviando mídia via ${req.instance.instanceName} para ${number}`);
 
     // Enviar mídia via Evolution API
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const storageService = require('../services/storageService');
+
+// Servir arquivo por URL assinada (gerada por storageService.getSignedUrl)
+// Sem autenticação: a Evolution API baixa as mídias por aqui; a assinatura expira
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!key || !storageService.verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Link inválido ou expirado'
+      });
+    }
+
+    const stats = await storageService.stat(key);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Arquivo não encontrado'
+      });
+    }
+
+    const driver = storageService.getDriver();
+    if (typeof driver.getLocalPath === 'function') {
+      return res.sendFile(driver.getLocalPath(key));
+    }
+
+    if (stats.contentType) {
+      res.type(stats.contentType);
+    }
+    res.setHeader('Content-Length', stats.size);
+    const stream = await storageService.getStream(key);
+    stream.on('error', (streamError) => {
+      console.error('Erro ao transmitir arquivo:', streamError.message);
+      res.end();
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Erro ao servir arquivo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
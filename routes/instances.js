@@ -3,6 +3,8 @@ const router = express.Router();
 const Instance = require('../models/Instance');
 const evolutionApi = require('../services/evolutionApi');
 const socketManager = require('../utils/socketManager');
+const rateLimiterService = require('../services/rateLimiterService');
+const phoneService = require('../services/phoneService');
 const { authenticateToken } = require('./auth');
 
 // Listar todas as instâncias do usuário logado
@@ -422,6 +424,17 @@ router.put('/:instanceName/settings', async (req, res) => {
       });
     }
 
+    if (settings?.defaultCountry) {
+      const country = phoneService.normalizeCountry(settings.defaultCountry);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          error: `País não suportado: ${settings.defaultCountry}`
+        });
+      }
+      settings.defaultCountry = country;
+    }
+
     // Atualizar configurações no MongoDB
     instance.settings = { ...instance.settings, ...settings };
     await instance.save();
@@ -439,4 +452,88 @@ router.put('/:instanceName/settings', async (req, res) => {
   }
 });
 
+// Obter limite de envio e aquecimento da instância
+router.get('/:instanceName/rate-limit', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+
+    const instance = await Instance.findOne({ instanceName, userId: req.user._id });
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instância não encontrada'
+      });
+    }
+
+    const status = await rateLimiterService.getStatus(instanceName);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Erro ao obter limite de envio:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Atualizar limite de envio e aquecimento da instância
+router.put('/:instanceName/rate-limit', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+
+    if (!req.body.rateLimit || typeof req.body.rateLimit !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'rateLimit é obrigatório'
+      });
+    }
+
+    let rateLimit;
+    try {
+      rateLimit = rateLimiterService.validateConfig(req.body.rateLimit);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const instance = await Instance.findOne({ instanceName, userId: req.user._id });
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instância não encontrada'
+      });
+    }
+
+    const current = instance.rateLimit?.toObject ? instance.rateLimit.toObject() : (instance.rateLimit || {});
+    const warmup = { ...(current.warmup || {}), ...(rateLimit.warmup || {}) };
+
+    // Ao ativar o aquecimento sem data informada, começa hoje
+    if (rateLimit.warmup?.enabled && !current.warmup?.enabled && !rateLimit.warmup.startedAt) {
+      warmup.startedAt = new Date();
+    }
+
+    instance.rateLimit = { ...current, ...rateLimit, warmup };
+    await instance.save();
+
+    rateLimiterService.invalidateConfig(instanceName);
+
+    res.json({
+      success: true,
+      data: await rateLimiterService.getStatus(instanceName)
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar limite de envio:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
 module.exports = router;
@@ -4,17 +4,28 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { authenticateToken } = require('./auth');
-const { blockTrialUsers } = require('../middleware/auth');
+const { blockTrialUsers, requireAdmin } = require('../middleware/auth');
 const MassDispatch = require('../models/MassDispatch');
 const Template = require('../models/Template');
+const Segment = require('../models/Segment');
+const User = require('../models/User');
 const massDispatchService = require('../services/massDispatchService');
+const dispatchReportService = require('../services/dispatchReportService');
 const phoneService = require('../services/phoneService');
+const contactImportService = require('../services/contactImportService');
+const templateVersionService = require('../services/templateVersionService');
+const mediaAssetService = require('../services/mediaAssetService');
+const storageService = require('../services/storageService');
 const templateUtils = require('../utils/templateUtils');
+const interactiveMessageUtils = require('../utils/interactiveMessageUtils');
+const scheduleUtils = require('../utils/scheduleUtils');
 
 // Configurar multer para upload de arquivos
+// Os arquivos ficam numa pasta temporária do sistema até irem para a biblioteca/armazenamento
+const UPLOAD_TMP_DIR = storageService.uploadTmpDir;
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/mass-dispatch/')
+    cb(null, UPLOAD_TMP_DIR)
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -51,7 +62,8 @@ const upload = multer({
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     ];
     
-    if (allowedMimes.includes(file.mimetype)) {
+    // Listas de contatos (CSV, XLSX, VCF) são aceitas também pela extensão
+    if (allowedMimes.includes(file.mimetype) || contactImportService.isSupportedFile(file)) {
       cb(null, true);
     } else {
       cb(new Error('Tipo de arquivo não suportado'), false);
@@ -62,25 +74,103 @@ const upload = multer({
 // Criar diretório se não existir
 const ensureUploadDir = async () => {
   try {
-    await fs.mkdir('uploads/mass-dispatch/', { recursive: true });
+    await fs.mkdir(UPLOAD_TMP_DIR, { recursive: true });
   } catch (error) {
     console.error('Erro ao criar diretório:', error);
   }
 };
 ensureUploadDir();
 
-const deleteMediaFileIfExists = async (mediaUrl) => {
-  if (!mediaUrl) return;
-  try {
-    const fileName = mediaUrl.split('/').pop();
-    const filePath = path.join(__dirname, '..', 'uploads', 'mass-dispatch', fileName);
-    const exists = await fs.access(filePath).then(() => true).catch(() => false);
-    if (exists) {
-      await fs.unlink(filePath);
+// Mídia do template: arquivo enviado (salvo na biblioteca sem duplicar) ou mídia já existente (mediaAssetId)
+const resolveTemplateMedia = async (userId, file, mediaAssetId) => {
+  if (mediaAssetId) {
+    if (file) {
+      await fs.unlink(file.path).catch(() => {});
     }
-  } catch (error) {
-    console.error('Erro ao remover arquivo de mídia:', error);
+    return mediaAssetService.getAsset(userId, mediaAssetId);
+  }
+
+  if (!file) return null;
+
+  const { asset } = await mediaAssetService.storeUpload(userId, file);
+  return asset;
+};
+
+// Normalizar blocos de variação (podem chegar como JSON em multipart)
+const parseVariants = (variants) => {
+  if (!variants) return [];
+
+  let parsed = variants;
+  if (typeof variants === 'string') {
+    try {
+      parsed = JSON.parse(variants);
+    } catch (error) {
+      throw new Error('Formato inválido dos blocos de variação');
+    }
+  }
+
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter(variant => variant && variant.label)
+    .map(variant => ({
+      label: String(variant.label).trim(),
+      weight: Number.isFinite(Number(variant.weight)) && Number(variant.weight) >= 0 ? Number(variant.weight) : 1,
+      content: {
+        text: variant.content?.text || '',
+        caption: variant.content?.caption || ''
+      },
+      messages: Array.isArray(variant.messages)
+        ? variant.messages.map(msg => ({
+            order: Number(msg.order),
+            text: msg.text || '',
+            caption: msg.caption || ''
+          }))
+        : []
+    }));
+};
+
+// Normaliza a configuração de recorrência enviada na criação do disparo
+const parseRecurrence = (recurrence) => {
+  if (!recurrence || !recurrence.mode || recurrence.mode === 'none') {
+    return { mode: 'none' };
+  }
+
+  if (!['recurring', 'drip'].includes(recurrence.mode)) {
+    throw new Error('Modo de recorrência inválido. Use: recurring ou drip');
+  }
+
+  const daysOfWeek = (Array.isArray(recurrence.daysOfWeek) ? recurrence.daysOfWeek : [])
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+  if (recurrence.time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.time)) {
+    throw new Error('Horário da recorrência inválido. Use HH:mm');
+  }
+
+  const parsed = {
+    mode: recurrence.mode,
+    daysOfWeek,
+    time: recurrence.time || null,
+    onlyNotReplied: recurrence.onlyNotReplied !== false,
+    maxRuns: recurrence.maxRuns ? parseInt(recurrence.maxRuns) : null,
+    endDate: recurrence.endDate ? new Date(recurrence.endDate) : null,
+    perDay: recurrence.perDay ? parseInt(recurrence.perDay) : null
+  };
+
+  if (parsed.endDate && isNaN(parsed.endDate.getTime())) {
+    throw new Error('Data final da recorrência inválida');
+  }
+
+  if (parsed.mode === 'recurring' && (daysOfWeek.length === 0 || !parsed.time)) {
+    throw new Error('Campanha recorrente exige dias da semana e horário');
   }
+
+  if (parsed.mode === 'drip' && !(parsed.perDay > 0)) {
+    throw new Error('Modo drip exige a quantidade de números por dia');
+  }
+
+  return parsed;
 };
 
 // Listar disparos do usuário
@@ -157,7 +247,17 @@ router.get('/stats', authenticateToken, async (req, res) => {
 // Obter variáveis disponíveis para templates
 router.get('/template-variables', authenticateToken, async (req, res) => {
   try {
-    const variables = templateUtils.getAvailableVariables();
+    let customFieldKeys = [];
+
+    // Incluir colunas extras da planilha quando o disparo for informado
+    if (req.query.dispatchId) {
+      const dispatch = await MassDispatch.findOne({ _id: req.query.dispatchId, userId: req.user._id });
+      if (dispatch) {
+        customFieldKeys = massDispatchService.getCustomFieldKeys(dispatch);
+      }
+    }
+
+    const variables = templateUtils.getAvailableVariables(customFieldKeys);
     res.json({
       success: true,
       data: variables
@@ -171,18 +271,174 @@ router.get('/template-variables', authenticateToken, async (req, res) => {
   }
 });
 
+// Obter limite de frequência entre campanhas
+router.get('/frequency-cap', authenticateToken, async (req, res) => {
+  try {
+    const frequencyCap = await massDispatchService.getFrequencyCap(req.user._id);
+
+    res.json({
+      success: true,
+      data: frequencyCap
+    });
+  } catch (error) {
+    console.error('Erro ao obter limite de frequência:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Atualizar limite de frequência entre campanhas
+router.put('/frequency-cap', authenticateToken, async (req, res) => {
+  try {
+    const { enabled, maxMessages, windowHours } = req.body;
+    const updates = {};
+
+    if (enabled !== undefined) {
+      updates['frequencyCap.enabled'] = !!enabled;
+    }
+
+    if (maxMessages !== undefined) {
+      const value = parseInt(maxMessages);
+      if (!(value >= 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxMessages deve ser um número maior ou igual a 1'
+        });
+      }
+      updates['frequencyCap.maxMessages'] = value;
+    }
+
+    if (windowHours !== undefined) {
+      const value = parseInt(windowHours);
+      if (!(value >= 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'windowHours deve ser um número maior ou igual a 1'
+        });
+      }
+      updates['frequencyCap.windowHours'] = value;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await User.updateOne({ _id: req.user._id }, { $set: updates });
+    }
+    const frequencyCap = await massDispatchService.getFrequencyCap(req.user._id);
+
+    res.json({
+      success: true,
+      data: frequencyCap
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar limite de frequência:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Listar feriados de um calendário (para exibir as datas que serão puladas)
+router.get('/holidays', authenticateToken, async (req, res) => {
+  try {
+    const calendar = req.query.calendar || 'BR';
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    if (!scheduleUtils.HOLIDAY_CALENDARS[calendar]) {
+      return res.status(400).json({
+        success: false,
+        error: `Calendário de feriados não suportado: ${calendar}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scheduleUtils.getHolidays(calendar, year, req.query.includeOptional === 'true')
+    });
+  } catch (error) {
+    console.error('Erro ao listar feriados:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
 // Criar novo disparo
 router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
   try {
-    const { name, instanceName, template, templateId, settings, schedule } = req.body;
+    const { name, instanceName, templateId, settings, schedule, abTest, recurrence, segmentId } = req.body;
+    let { template } = req.body;
 
-    if (!name || !instanceName || !template) {
+    if (!name || !instanceName || (!template && !abTest?.enabled)) {
       return res.status(400).json({
         success: false,
         error: 'Nome, instância e template são obrigatórios'
       });
     }
 
+    // Teste A/B: validar variantes e carregar templates
+    let abTestConfig = { enabled: false };
+    try {
+      abTestConfig = await massDispatchService.buildAbTestConfig(req.user._id, abTest);
+    } catch (abTestError) {
+      return res.status(400).json({
+        success: false,
+        error: abTestError.message
+      });
+    }
+
+    // Recorrência (campanha recorrente ou drip)
+    let recurrenceConfig = { mode: 'none' };
+    try {
+      recurrenceConfig = parseRecurrence(recurrence);
+    } catch (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        error: recurrenceError.message
+      });
+    }
+
+    // Público por segmento (avaliado ao iniciar, dispensa upload de números)
+    if (segmentId) {
+      const segment = await Segment.findOne({ _id: segmentId, userId: req.user._id });
+      if (!segment || segment.instanceName !== instanceName) {
+        return res.status(400).json({
+          success: false,
+          error: 'Segmento não encontrado para esta instância'
+        });
+      }
+    }
+
+    // Template salvo: precisa ter uma versão utilizável (aprovada, quando exigido)
+    if (templateId) {
+      try {
+        await templateVersionService.getUsableVersion(templateId, req.user._id);
+      } catch (versionError) {
+        return res.status(400).json({
+          success: false,
+          error: versionError.message
+        });
+      }
+    }
+
+    // Até a vencedora ser escolhida, o template principal é o da primeira variante
+    if (!template && abTestConfig.enabled) {
+      template = abTestConfig.variants[0].template;
+    }
+
+    // Blocos de variação do template
+    let templateVariants = [];
+    try {
+      templateVariants = parseVariants(template.variants);
+    } catch (variantsError) {
+      return res.status(400).json({
+        success: false,
+        error: variantsError.message
+      });
+    }
+
     // Preparar dados de agendamento
     // schedule pode vir diretamente ou dentro de settings.schedule
     let scheduleData = { enabled: false };
@@ -194,8 +450,35 @@ router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
         startTime: scheduleToUse.startTime || '08:00', // HH:mm
         pauseTime: scheduleToUse.pauseTime || '18:00', // HH:mm
         excludedDays: scheduleToUse.excludedDays || [], // Array de dias excluídos (0=domingo, 6=sábado)
-        timezone: scheduleToUse.timezone || 'America/Sao_Paulo'
+        timezone: scheduleToUse.timezone || 'America/Sao_Paulo',
+        holidays: {
+          calendar: scheduleToUse.holidays?.calendar || null, // 'BR' = feriados nacionais
+          includeOptional: !!scheduleToUse.holidays?.includeOptional,
+          customDates: scheduleToUse.holidays?.customDates || [] // YYYY-MM-DD
+        }
       };
+
+      if (!scheduleUtils.isValidTimezone(scheduleData.timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Timezone inválido: ${scheduleData.timezone}`
+        });
+      }
+
+      if (scheduleData.holidays.calendar && !scheduleUtils.HOLIDAY_CALENDARS[scheduleData.holidays.calendar]) {
+        return res.status(400).json({
+          success: false,
+          error: `Calendário de feriados não suportado: ${scheduleData.holidays.calendar}`
+        });
+      }
+
+      const invalidDate = scheduleData.holidays.customDates.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+      if (invalidDate) {
+        return res.status(400).json({
+          success: false,
+          error: `Data inválida em datas excluídas: ${invalidDate}. Use o formato YYYY-MM-DD`
+        });
+      }
       
       // Calcular próximo horário de execução se agendamento estiver habilitado
       if (scheduleData.startTime) {
@@ -208,6 +491,28 @@ router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
       }
     }
 
+    // Pausa automática por desconexão da instância ou pico de falhas
+    const autoPauseConfig = {
+      enabled: settings?.autoPause?.enabled !== false,
+      failureThreshold: parseInt(settings?.autoPause?.failureThreshold, 10) || 5,
+      failureWindow: parseInt(settings?.autoPause?.failureWindow, 10) || 20,
+      resumeOnReconnect: settings?.autoPause?.resumeOnReconnect || 'auto'
+    };
+
+    if (!['auto', 'confirm'].includes(autoPauseConfig.resumeOnReconnect)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Retomada após reconexão inválida. Use auto ou confirm'
+      });
+    }
+
+    if (autoPauseConfig.failureThreshold < 1 || autoPauseConfig.failureThreshold > autoPauseConfig.failureWindow) {
+      return res.status(400).json({
+        success: false,
+        error: 'O limite de falhas deve estar entre 1 e o tamanho da janela de envios'
+      });
+    }
+
       // Processar template baseado no tipo
       let processedTemplate = template;
       
@@ -218,13 +523,15 @@ router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
           sequence: {
             messages: template.sequence?.messages || [],
             totalDelay: template.sequence?.totalDelay || 0
-          }
+          },
+          variants: templateVariants
         };
       } else {
         // Para templates simples, manter estrutura original
         processedTemplate = {
           type: template.type,
-          content: template.content || {}
+          content: template.content || {},
+          variants: templateVariants
         };
       }
 
@@ -246,10 +553,14 @@ router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
         autoDelete: {
           enabled: settings?.autoDelete?.enabled || false,
           delaySeconds: settings?.autoDelete?.delaySeconds || 3600
-        }
+        },
+        autoPause: autoPauseConfig
       },
+      abTest: abTestConfig,
+      recurrence: recurrenceConfig,
+      segmentId: segmentId || null,
       numbers: [],
-      status: 'draft',
+      status: segmentId ? 'ready' : 'draft',
       nextScheduledRun: nextScheduledRun
     };
 
@@ -268,6 +579,61 @@ router.post('/', authenticateToken, blockTrialUsers, async (req, res) => {
   }
 });
 
+// Prévia da importação de contatos (linhas lidas e rejeitadas, sem salvar)
+router.post('/import/preview', authenticateToken, blockTrialUsers, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Arquivo é obrigatório'
+      });
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(req.file.path);
+    } finally {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+
+    const defaultCountry = await phoneService.resolveDefaultCountry({
+      userId: req.user._id,
+      instanceName: req.body.instanceName
+    });
+
+    let preview;
+    try {
+      preview = await contactImportService.preview(
+        { buffer, originalname: req.file.originalname, mimetype: req.file.mimetype },
+        {
+          mapping: req.body.mapping,
+          hasHeader: req.body.hasHeader,
+          delimiter: req.body.delimiter,
+          sheet: req.body.sheet,
+          limit: req.body.limit,
+          defaultCountry
+        }
+      );
+    } catch (importError) {
+      return res.status(400).json({
+        success: false,
+        error: importError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Erro ao pré-visualizar importação:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
 // Upload de arquivo com números
 router.post('/:id/upload-numbers', authenticateToken, blockTrialUsers, upload.single('file'), async (req, res) => {
   try {
@@ -301,43 +667,47 @@ router.post('/:id/upload-numbers', authenticateToken, blockTrialUsers, upload.si
       rawNumbers = rawNumbers.concat(manualList);
     }
 
-    // Processar arquivo se fornecido
+    // Processar arquivo se fornecido (CSV, XLSX, VCF, XML ou TXT, com mapeamento de colunas opcional)
+    let importResult = null;
     if (req.file) {
       const filePath = req.file.path;
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      
-      let fileNumbers = [];
-      
-      if (req.file.mimetype === 'text/csv') {
-        fileNumbers = phoneService.extractFromCSV(fileContent);
-      } else if (req.file.mimetype === 'text/xml' || req.file.mimetype === 'application/xml') {
-        fileNumbers = phoneService.extractFromXML(fileContent);
-      } else if (req.file.mimetype === 'text/plain') {
-        // Arquivo TXT - cada linha pode ser um número ou nome;numero
-        fileNumbers = fileContent.split('\n')
-          .map(n => n.trim())
-          .filter(n => n.length > 0)
-          .map(n => {
-            // Verificar se está no formato nome;numero
-            if (n.includes(';')) {
-              const [name, phone] = n.split(';').map(s => s.trim());
-              return { name, phone };
-            }
-            // Apenas número
-            return n;
-          });
+      let buffer;
+      try {
+        buffer = await fs.readFile(filePath);
+      } finally {
+        // Remover arquivo após leitura
+        await fs.unlink(filePath).catch(() => {});
       }
-      
-      rawNumbers = rawNumbers.concat(fileNumbers);
-      
-      // Remover arquivo após processamento
-      await fs.unlink(filePath);
+
+      try {
+        importResult = await contactImportService.importFile(
+          { buffer, originalname: req.file.originalname, mimetype: req.file.mimetype },
+          {
+            mapping: req.body.mapping,
+            hasHeader: req.body.hasHeader,
+            delimiter: req.body.delimiter,
+            sheet: req.body.sheet,
+            defaultCountry: await phoneService.resolveDefaultCountry({
+              userId: req.user._id,
+              instanceName: dispatch.instanceName
+            })
+          }
+        );
+      } catch (importError) {
+        return res.status(400).json({
+          success: false,
+          error: importError.message
+        });
+      }
+
+      rawNumbers = rawNumbers.concat(contactImportService.toRawNumbers(importResult.accepted));
     }
 
     if (rawNumbers.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Nenhum número foi fornecido'
+        error: importResult ? 'Nenhum número válido no arquivo' : 'Nenhum número foi fornecido',
+        rejected: importResult ? importResult.rejected : undefined
       });
     }
 
@@ -347,21 +717,191 @@ router.post('/:id/upload-numbers', authenticateToken, blockTrialUsers, upload.si
     res.json({
       success: true,
       data: result.dispatch,
-      statistics: result.statistics
+      statistics: result.statistics,
+      suppressed: result.suppressed, // Números ignorados por estarem descadastrados
+      duplicates: result.duplicates, // Números repetidos mesclados na lista
+      customFields: result.customFieldKeys,
+      unknownVariables: result.unknownVariables,
+      import: importResult ? {
+        format: importResult.format,
+        mapping: importResult.mapping,
+        totals: importResult.totals
+      } : null,
+      rejected: importResult ? importResult.rejected : [] // Linhas do arquivo descartadas, com o motivo
     });
 
   } catch (error) {
     console.error('Erro ao processar números:', error);
     
-    // Remover arquivo se houve erro
-    if (req.file) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Definir (ou remover) o segmento de público do disparo
+router.post('/:id/segment', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { segmentId } = req.body;
+
+    const dispatch = await MassDispatch.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    if (!['draft', 'ready'].includes(dispatch.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'O segmento só pode ser alterado antes do início do disparo'
+      });
+    }
+
+    if (segmentId) {
+      const segment = await Segment.findOne({ _id: segmentId, userId: req.user._id });
+      if (!segment || segment.instanceName !== dispatch.instanceName) {
+        return res.status(400).json({
+          success: false,
+          error: 'Segmento não encontrado para esta instância'
+        });
+      }
+      dispatch.segmentId = segment._id;
+      dispatch.status = 'ready';
+    } else {
+      dispatch.segmentId = null;
+      if (dispatch.numbers.length === 0) {
+        dispatch.status = 'draft';
+      }
+    }
+
+    await dispatch.save();
+
+    res.json({
+      success: true,
+      data: dispatch
+    });
+  } catch (error) {
+    console.error('Erro ao definir segmento do disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Atualizar o disparo para a versão mais recente utilizável do template (ex.: campanha recorrente)
+router.post('/:id/template-version', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const dispatch = await MassDispatch.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    if (!dispatch.templateId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Disparo não usa um template salvo'
+      });
+    }
+
+    if (dispatch.status === 'running') {
+      return res.status(400).json({
+        success: false,
+        error: 'Pause o disparo antes de trocar a versão do template'
+      });
+    }
+
+    if (dispatch.abTest?.enabled && dispatch.abTest.phase !== 'winner') {
+      return res.status(400).json({
+        success: false,
+        error: 'A versão do template não pode ser trocada durante o teste A/B'
+      });
+    }
+
+    if (!await Template.exists({ _id: dispatch.templateId, userId: req.user._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template do disparo não encontrado'
+      });
+    }
+
+    const previousVersion = dispatch.templateVersion;
+    dispatch.templateVersion = null;
+    try {
+      await massDispatchService.pinTemplateVersion(dispatch);
+    } catch (versionError) {
+      return res.status(400).json({
+        success: false,
+        error: versionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        previousVersion,
+        templateVersion: dispatch.templateVersion,
+        dispatch
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar versão do template do disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Prévia do disparo (mensagens dos primeiros destinatários e duração estimada) e envio de teste opcional
+router.post('/:id/preview', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { limit, testNumber, sampleIndex } = req.body;
+
+    const dispatch = await MassDispatch.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    const preview = await massDispatchService.previewDispatch(dispatch, { limit });
+
+    // Cópia de teste para número interno (não altera estatísticas do disparo)
+    let test = null;
+    if (testNumber) {
       try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.error('Erro ao remover arquivo:', unlinkError);
+        test = {
+          success: true,
+          ...(await massDispatchService.sendTestMessage(dispatch, testNumber, {
+            sampleIndex: sampleIndex !== undefined && sampleIndex !== null ? parseInt(sampleIndex) : null
+          }))
+        };
+      } catch (testError) {
+        test = {
+          success: false,
+          number: testNumber,
+          error: testError.message
+        };
       }
     }
-    
+
+    res.json({
+      success: true,
+      data: {
+        ...preview,
+        test
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao gerar prévia do disparo:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -408,7 +948,107 @@ router.post('/:id/start', authenticateToken, blockTrialUsers, async (req, res) =
     res.json(result);
 
   } catch (error) {
-    console.error('Erro ao iniciar disparo:', error);
+    console.error('Erro ao iniciar disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Retomar disparo
+router.post('/:id/resume', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    const result = await massDispatchService.resumeDispatch(id);
+    res.json(result);
+  } catch (error) {
+    console.error('Erro ao retomar disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Pausar disparo
+router.post('/:id/pause', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    const result = await massDispatchService.pauseDispatch(id, reason);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Erro ao pausar disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Cancelar disparo
+router.post('/:id/cancel', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    const result = await massDispatchService.cancelDispatch(id);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Erro ao cancelar disparo:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Reenviar números pendentes
+router.post('/:id/retry-pending', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Disparo não encontrado'
+      });
+    }
+
+    const result = await massDispatchService.retryPendingNumbers(id);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Erro ao reenviar números pendentes:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -416,8 +1056,8 @@ router.post('/:id/start', authenticateToken, blockTrialUsers, async (req, res) =
   }
 });
 
-// Retomar disparo
-router.post('/:id/resume', authenticateToken, blockTrialUsers, async (req, res) => {
+// Resultados do teste A/B
+router.get('/:id/ab-test', authenticateToken, blockTrialUsers, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -429,10 +1069,27 @@ router.post('/:id/resume', authenticateToken, blockTrialUsers, async (req, res)
       });
     }
 
-    const result = await massDispatchService.resumeDispatch(id);
-    res.json(result);
+    if (!dispatch.abTest?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Disparo não possui teste A/B'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        phase: dispatch.abTest.phase,
+        testPercentage: dispatch.abTest.testPercentage,
+        evaluationMinutes: dispatch.abTest.evaluationMinutes,
+        evaluateAt: dispatch.abTest.evaluateAt,
+        winnerKey: dispatch.abTest.winnerKey,
+        decidedAt: dispatch.abTest.decidedAt,
+        results: massDispatchService.calculateAbTestResults(dispatch)
+      }
+    });
   } catch (error) {
-    console.error('Erro ao retomar disparo:', error);
+    console.error('Erro ao obter teste A/B:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -440,12 +1097,12 @@ router.post('/:id/resume', authenticateToken, blockTrialUsers, async (req, res)
   }
 });
 
-// Pausar disparo
-router.post('/:id/pause', authenticateToken, blockTrialUsers, async (req, res) => {
+// Escolher a vencedora do teste A/B agora (opcionalmente forçando uma variante)
+router.post('/:id/ab-test/winner', authenticateToken, blockTrialUsers, async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
-    
+    const { winnerKey } = req.body || {};
+
     const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
     if (!dispatch) {
       return res.status(404).json({
@@ -454,11 +1111,11 @@ router.post('/:id/pause', authenticateToken, blockTrialUsers, async (req, res) =
       });
     }
 
-    const result = await massDispatchService.pauseDispatch(id, reason);
+    const result = await massDispatchService.selectAbTestWinner(id, winnerKey || null);
     res.json(result);
 
   } catch (error) {
-    console.error('Erro ao pausar disparo:', error);
+    console.error('Erro ao escolher vencedora do teste A/B:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -466,11 +1123,19 @@ router.post('/:id/pause', authenticateToken, blockTrialUsers, async (req, res) =
   }
 });
 
-// Cancelar disparo
-router.post('/:id/cancel', authenticateToken, blockTrialUsers, async (req, res) => {
+// Exportar relatório da campanha (csv, xlsx ou pdf)
+router.get('/:id/report', authenticateToken, blockTrialUsers, async (req, res) => {
   try {
     const { id } = req.params;
-    
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'xlsx', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Formato de relatório inválido. Use: csv, xlsx ou pdf'
+      });
+    }
+
     const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
     if (!dispatch) {
       return res.status(404).json({
@@ -479,11 +1144,14 @@ router.post('/:id/cancel', authenticateToken, blockTrialUsers, async (req, res)
       });
     }
 
-    const result = await massDispatchService.cancelDispatch(id);
-    res.json(result);
+    const report = await dispatchReportService.generate(dispatch, format);
+
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName}"`);
+    res.send(report.buffer);
 
   } catch (error) {
-    console.error('Erro ao cancelar disparo:', error);
+    console.error('Erro ao gerar relatório do disparo:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -491,11 +1159,11 @@ router.post('/:id/cancel', authenticateToken, blockTrialUsers, async (req, res)
   }
 });
 
-// Reenviar números pendentes
-router.post('/:id/retry-pending', authenticateToken, blockTrialUsers, async (req, res) => {
+// Histórico de execuções da campanha (recorrente/drip)
+router.get('/:id/runs', authenticateToken, blockTrialUsers, async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     const dispatch = await MassDispatch.findOne({ _id: id, userId: req.user._id });
     if (!dispatch) {
       return res.status(404).json({
@@ -504,11 +1172,23 @@ router.post('/:id/retry-pending', authenticateToken, blockTrialUsers, async (req
       });
     }
 
-    const result = await massDispatchService.retryPendingNumbers(id);
-    res.json(result);
+    // Totais da execução atual calculados na hora
+    const currentRun = massDispatchService.getCurrentRun(dispatch);
+    if (currentRun) {
+      massDispatchService.snapshotRun(dispatch, currentRun);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurrence: dispatch.recurrence,
+        nextScheduledRun: dispatch.nextScheduledRun,
+        runs: dispatch.runs
+      }
+    });
 
   } catch (error) {
-    console.error('Erro ao reenviar números pendentes:', error);
+    console.error('Erro ao obter execuções do disparo:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Erro interno do servidor'
@@ -569,6 +1249,7 @@ router.delete('/:id', authenticateToken, blockTrialUsers, async (req, res) => {
     }
 
     await MassDispatch.findByIdAndDelete(id);
+    await mediaAssetService.removeReferences('dispatch', id);
 
     res.json({
       success: true,
@@ -631,49 +1312,98 @@ router.get('/templates/list', authenticateToken, async (req, res) => {
         });
       }
 
-    // Processar arquivos de mídia se existirem
+    // Processar arquivos de mídia se existirem (ou mídias da biblioteca via content.mediaAssetId)
     const mediaFiles = req.files || [];
     let mediaIndex = 0;
 
+    let variants;
+    try {
+      variants = parseVariants(req.body.variants);
+    } catch (variantsError) {
+      return res.status(400).json({
+        success: false,
+        error: variantsError.message
+      });
+    }
+
+    // Validar todas as mensagens antes de gravar qualquer arquivo na biblioteca
+    const messages = [];
+    const pendingMedia = [];
+    for (const msg of parsedSequence.messages) {
+      const messageData = {
+        order: msg.order,
+        type: msg.type,
+        delay: msg.delay || 5,
+        content: {
+          text: msg.content?.text || '',
+          caption: msg.content?.caption || ''
+        }
+      };
+
+      // Mensagens interativas (botões, lista, enquete, localização, contato)
+      if (interactiveMessageUtils.isInteractiveType(msg.type)) {
+        try {
+          messageData.content = interactiveMessageUtils.normalizeInteractiveContent(msg.type, msg.content || {});
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: `Mensagem ${msg.order}: ${validationError.message}`
+          });
+        }
+      }
+
+      // Se a mensagem precisa de mídia e há arquivo (ou mídia da biblioteca) disponível
+      const needsMedia = ['image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption'].includes(msg.type);
+      if (needsMedia && (msg.content?.mediaAssetId || mediaFiles[mediaIndex])) {
+        const file = msg.content?.mediaAssetId ? null : mediaFiles[mediaIndex++];
+        let asset = null;
+        if (!file) {
+          try {
+            asset = await mediaAssetService.getAsset(req.user._id, msg.content.mediaAssetId);
+          } catch (mediaError) {
+            return res.status(400).json({
+              success: false,
+              error: mediaError.message
+            });
+          }
+        }
+        pendingMedia.push({ msg, messageData, file, asset });
+      }
+
+      messages.push(messageData);
+    }
+
+    // Arquivos enviados vão para a biblioteca só depois de todas as mensagens serem válidas
+    for (const { msg, messageData, file, asset: libraryAsset } of pendingMedia) {
+      const asset = libraryAsset || await resolveTemplateMedia(req.user._id, file, null);
+
+      messageData.content.media = asset.url;
+      messageData.content.mediaAssetId = asset._id;
+      messageData.content.mediaType = msg.type.includes('image') ? 'image' :
+                                     msg.type.includes('video') ? 'video' :
+                                     msg.type.includes('audio') ? 'audio' : 'document';
+      messageData.content.fileName = asset.originalName;
+      if (msg.type === 'video_caption' && msg.content?.caption) {
+        messageData.content.caption = msg.content.caption;
+      }
+    }
+
     const templateData = {
       userId: req.user._id,
       name,
       description,
       type: 'sequence',
       sequence: {
-        messages: parsedSequence.messages.map(msg => {
-          const messageData = {
-            order: msg.order,
-            type: msg.type,
-            delay: msg.delay || 5,
-            content: {
-              text: msg.content?.text || '',
-              caption: msg.content?.caption || ''
-            }
-          };
-
-          // Se a mensagem precisa de mídia e há arquivos disponíveis
-          if (['image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption'].includes(msg.type) && mediaFiles[mediaIndex]) {
-            const file = mediaFiles[mediaIndex];
-            messageData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${file.filename}`;
-            messageData.content.mediaType = msg.type.includes('image') ? 'image' : 
-                                           msg.type.includes('video') ? 'video' :
-                                           msg.type.includes('audio') ? 'audio' : 'document';
-            messageData.content.fileName = file.originalname;
-            if (msg.type === 'video_caption' && msg.content?.caption) {
-              messageData.content.caption = msg.content.caption;
-            }
-            mediaIndex++;
-          }
-
-          return messageData;
-        }),
+        messages,
         totalDelay: parsedSequence.messages.reduce((total, msg) => total + (msg.delay || 5), 0)
-      }
+      },
+      variants
     };
 
       const template = new Template(templateData);
       await template.save();
+      await templateVersionService.createVersion(template, { createdBy: req.user._id });
+      await mediaAssetService.syncReferences(req.user._id, 'template', template._id, mediaAssetService.collectAssetIds(template.sequence));
 
       res.json({
         success: true,
@@ -686,6 +1416,9 @@ router.get('/templates/list', authenticateToken, async (req, res) => {
       success: false,
       error: error.message || 'Erro interno do servidor'
     });
+  } finally {
+    // Arquivos temporários do upload (os já gravados na biblioteca foram removidos antes)
+    await Promise.all((req.files || []).map(file => fs.unlink(file.path).catch(() => {})));
   }
 });
 
@@ -701,12 +1434,37 @@ router.post('/templates', authenticateToken, blockTrialUsers, upload.single('med
       });
     }
 
+    let variants;
+    try {
+      variants = parseVariants(req.body.variants);
+    } catch (variantsError) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      return res.status(400).json({
+        success: false,
+        error: variantsError.message
+      });
+    }
+
+    // Arquivo enviado ou mídia já existente na biblioteca
+    let mediaAsset = null;
+    try {
+      mediaAsset = await resolveTemplateMedia(req.user._id, req.file, req.body.mediaAssetId);
+    } catch (mediaError) {
+      return res.status(400).json({
+        success: false,
+        error: mediaError.message
+      });
+    }
+
     const templateData = {
       userId: req.user._id,
       name,
       description,
       type,
-      content: {}
+      content: {},
+      variants
     };
 
     // Configurar conteúdo baseado no tipo
@@ -722,50 +1480,50 @@ router.post('/templates', authenticateToken, blockTrialUsers, upload.single('med
         break;
 
       case 'image':
-        if (!req.file) {
+        if (!mediaAsset) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo de imagem é obrigatório'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'image';
         break;
 
       case 'image_caption':
-        if (!req.file || !caption) {
+        if (!mediaAsset || !caption) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo de imagem e legenda são obrigatórios'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'image';
         templateData.content.caption = caption;
         break;
 
       case 'video':
-        if (!req.file) {
+        if (!mediaAsset) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo de vídeo é obrigatório'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'video';
-        templateData.content.fileName = fileName || req.file.originalname;
+        templateData.content.fileName = fileName || mediaAsset.originalName;
         break;
 
       case 'video_caption':
-        if (!req.file || !caption) {
+        if (!mediaAsset || !caption) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo de vídeo e legenda são obrigatórios'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'video';
-        templateData.content.fileName = fileName || req.file.originalname;
+        templateData.content.fileName = fileName || mediaAsset.originalName;
         templateData.content.caption = caption;
         break;
 
@@ -776,11 +1534,11 @@ router.post('/templates', authenticateToken, blockTrialUsers, upload.single('med
           templateData.content.media = req.body.audioUrl;
           templateData.content.mediaType = 'audio';
           templateData.content.fileName = req.body.audioUrl.split('/').pop() || 'audio.mp3';
-        } else if (req.file) {
+        } else if (mediaAsset) {
           // Se for arquivo, salvar e usar URL
-          templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+          templateData.content.media = mediaAsset.url;
           templateData.content.mediaType = 'audio';
-          templateData.content.fileName = fileName || req.file.originalname;
+          templateData.content.fileName = fileName || mediaAsset.originalName;
         } else {
           return res.status(400).json({
             success: false,
@@ -790,30 +1548,45 @@ router.post('/templates', authenticateToken, blockTrialUsers, upload.single('med
         break;
 
       case 'file':
-        if (!req.file) {
+        if (!mediaAsset) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo é obrigatório'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'document';
-        templateData.content.fileName = fileName || req.file.originalname;
+        templateData.content.fileName = fileName || mediaAsset.originalName;
         break;
 
       case 'file_caption':
-        if (!req.file || !caption) {
+        if (!mediaAsset || !caption) {
           return res.status(400).json({
             success: false,
             error: 'Arquivo e legenda são obrigatórios'
           });
         }
-        templateData.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${req.file.filename}`;
+        templateData.content.media = mediaAsset.url;
         templateData.content.mediaType = 'document';
-        templateData.content.fileName = fileName || req.file.originalname;
+        templateData.content.fileName = fileName || mediaAsset.originalName;
         templateData.content.caption = caption;
         break;
 
+      case 'buttons':
+      case 'list':
+      case 'poll':
+      case 'location':
+      case 'contact':
+        try {
+          templateData.content = interactiveMessageUtils.normalizeInteractiveContent(type, req.body);
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
+        break;
+
       default:
         return res.status(400).json({
           success: false,
@@ -821,8 +1594,14 @@ router.post('/templates', authenticateToken, blockTrialUsers, upload.single('med
         });
     }
 
+    if (mediaAsset && templateData.content.media === mediaAsset.url) {
+      templateData.content.mediaAssetId = mediaAsset._id;
+    }
+
     const template = new Template(templateData);
     await template.save();
+    await templateVersionService.createVersion(template, { createdBy: req.user._id });
+    await mediaAssetService.syncReferences(req.user._id, 'template', template._id, mediaAssetService.collectAssetIds(template.content));
 
     res.json({
       success: true,
@@ -879,6 +1658,9 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
       });
     }
 
+    // Preservar o conteúdo atual como versão antes de editar (templates anteriores ao versionamento)
+    await templateVersionService.ensureVersioned(template);
+
     template.name = name;
     template.description = description;
 
@@ -894,6 +1676,18 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
         })
       );
     };
+
+    if (Object.prototype.hasOwnProperty.call(req.body, 'variants')) {
+      try {
+        template.variants = parseVariants(req.body.variants);
+      } catch (variantsError) {
+        await removeUploadedFiles();
+        return res.status(400).json({
+          success: false,
+          error: variantsError.message
+        });
+      }
+    }
     let mediaIndex = 0;
 
     const getNextFile = () => {
@@ -989,10 +1783,32 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
           delete newMessage.content.caption;
         }
 
+        // Mensagens interativas: campos não enviados mantêm o valor atual
+        if (interactiveMessageUtils.isInteractiveType(messageType)) {
+          const currentContent = existingMessage?.type === messageType
+            ? (existingMessage.content?.toObject?.() || existingMessage.content || {})
+            : {};
+          try {
+            newMessage.content = interactiveMessageUtils.normalizeInteractiveContent(messageType, {
+              ...currentContent,
+              ...(rawMessage.content || {}),
+              ...rawMessage
+            });
+          } catch (validationError) {
+            await removeUploadedFiles();
+            return res.status(400).json({
+              success: false,
+              error: `Mensagem ${order}: ${validationError.message}`
+            });
+          }
+        }
+
         if (requiresMedia) {
-          if (hasNewMedia) {
-            const file = getNextFile();
-            if (!file) {
+          // Nova mídia: arquivo enviado ou mídia da biblioteca (o arquivo anterior é mantido para as versões antigas)
+          const newAssetId = rawMessage.mediaAssetId || rawMessage.content?.mediaAssetId;
+          if (hasNewMedia || newAssetId) {
+            const file = newAssetId ? null : getNextFile();
+            if (!file && !newAssetId) {
               await removeUploadedFiles();
               return res.status(400).json({
                 success: false,
@@ -1000,11 +1816,19 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
               });
             }
 
-            if (existingMessage?.content?.media) {
-              await deleteMediaFileIfExists(existingMessage.content.media);
+            let asset;
+            try {
+              asset = await resolveTemplateMedia(req.user._id, file, newAssetId);
+            } catch (mediaError) {
+              await removeUploadedFiles();
+              return res.status(400).json({
+                success: false,
+                error: mediaError.message
+              });
             }
 
-            newMessage.content.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${file.filename}`;
+            newMessage.content.media = asset.url;
+            newMessage.content.mediaAssetId = asset._id;
             newMessage.content.mediaType = messageType.includes('image')
               ? 'image'
               : messageType.includes('video')
@@ -1014,10 +1838,11 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
                   : 'document';
 
             if (['video', 'video_caption', 'audio', 'file', 'file_caption'].includes(messageType)) {
-              newMessage.content.fileName = file.originalname;
+              newMessage.content.fileName = asset.originalName;
             }
           } else if (existingMessage?.content?.media) {
             newMessage.content.media = existingMessage.content.media;
+            newMessage.content.mediaAssetId = existingMessage.content.mediaAssetId || null;
             newMessage.content.mediaType = existingMessage.content.mediaType;
             if (existingMessage.content.fileName) {
               newMessage.content.fileName = existingMessage.content.fileName;
@@ -1032,8 +1857,6 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
               error: `Arquivo de mídia é obrigatório para a mensagem ${order}`
             });
           }
-        } else if (existingMessage?.content?.media) {
-          await deleteMediaFileIfExists(existingMessage.content.media);
         }
 
         updatedMessages.push(newMessage);
@@ -1047,22 +1870,46 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
       };
     } else {
       const requiresMedia = ['image', 'image_caption', 'video', 'video_caption', 'audio', 'file', 'file_caption'].includes(template.type);
-      const newFile = getNextFile();
+      const newAssetId = req.body.mediaAssetId;
+      const newFile = newAssetId ? null : getNextFile();
 
       if (template.type === 'text') {
         template.content = {
           text: req.body.text || ''
         };
+      } else if (interactiveMessageUtils.isInteractiveType(template.type)) {
+        // Campos não enviados mantêm o valor atual
+        try {
+          template.content = interactiveMessageUtils.normalizeInteractiveContent(template.type, {
+            ...(template.content?.toObject?.() || template.content || {}),
+            ...req.body
+          });
+        } catch (validationError) {
+          await removeUploadedFiles();
+          return res.status(400).json({
+            success: false,
+            error: validationError.message
+          });
+        }
       } else {
         const updatedContent = { ...(template.content || {}) };
 
         if (requiresMedia) {
-          if (newFile) {
-            if (updatedContent.media) {
-              await deleteMediaFileIfExists(updatedContent.media);
+          // Nova mídia: arquivo enviado ou mídia da biblioteca (o arquivo anterior é mantido para as versões antigas)
+          if (newFile || newAssetId) {
+            let asset;
+            try {
+              asset = await resolveTemplateMedia(req.user._id, newFile, newAssetId);
+            } catch (mediaError) {
+              await removeUploadedFiles();
+              return res.status(400).json({
+                success: false,
+                error: mediaError.message
+              });
             }
 
-            updatedContent.media = `${process.env.BASE_URL}/uploads/mass-dispatch/${newFile.filename}`;
+            updatedContent.media = asset.url;
+            updatedContent.mediaAssetId = asset._id;
             updatedContent.mediaType = template.type.includes('image')
               ? 'image'
               : template.type.includes('video')
@@ -1072,7 +1919,7 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
                   : 'document';
 
             if (['video', 'video_caption', 'audio', 'file', 'file_caption'].includes(template.type)) {
-              updatedContent.fileName = req.body.fileName || newFile.originalname;
+              updatedContent.fileName = req.body.fileName || asset.originalName;
             } else {
               delete updatedContent.fileName;
             }
@@ -1112,7 +1959,15 @@ router.put('/templates/:id', authenticateToken, blockTrialUsers, upload.array('m
       }
     }
 
+    // Cada edição gera uma nova versão; disparos já iniciados continuam na versão fixada
     await template.save();
+    await templateVersionService.createVersion(template, { createdBy: req.user._id });
+
+    // Versões anteriores continuam usando as mídias antigas: apenas acrescentar referências
+    await mediaAssetService.syncReferences(req.user._id, 'template', template._id, mediaAssetService.collectAssetIds({
+      content: template.content,
+      sequence: template.sequence
+    }), { keepExisting: true });
 
     res.json({
       success: true,
@@ -1153,28 +2008,21 @@ router.delete('/templates/:id', authenticateToken, blockTrialUsers, async (req,
       });
     }
 
-    // Remover arquivo de mídia se existir
-    if (template.content.media) {
+    // Remover arquivo de mídia se existir (mídias da biblioteca ficam na biblioteca)
+    const legacyMediaKey = !template.content.mediaAssetId && storageService.keyFromReference(template.content.media);
+    if (legacyMediaKey) {
       try {
-        // Extrair o nome do arquivo da URL completa
-        const fileName = template.content.media.split('/').pop();
-        const filePath = path.join(__dirname, '..', 'uploads', 'mass-dispatch', fileName);
-        
-        console.log(`🗑️ Tentando remover arquivo: ${filePath}`);
-        
-        // Verificar se o arquivo existe antes de tentar removê-lo
-        if (await fs.access(filePath).then(() => true).catch(() => false)) {
-          await fs.unlink(filePath);
-          console.log(`✅ Arquivo removido com sucesso: ${fileName}`);
-        } else {
-          console.log(`⚠️ Arquivo não encontrado: ${fileName}`);
-        }
+        console.log(`🗑️ Tentando remover arquivo: ${legacyMediaKey}`);
+        await storageService.delete(legacyMediaKey);
+        console.log(`✅ Arquivo removido com sucesso: ${legacyMediaKey}`);
       } catch (unlinkError) {
         console.error('Erro ao remover arquivo de mídia:', unlinkError);
       }
     }
 
     await Template.findByIdAndDelete(id);
+    await templateVersionService.removeVersions(id);
+    await mediaAssetService.removeReferences('template', id);
 
     res.json({
       success: true,
@@ -1190,4 +2038,177 @@ router.delete('/templates/:id', authenticateToken, blockTrialUsers, async (req,
   }
 });
 
+// Template do usuário (administradores acessam qualquer template para revisão)
+const findTemplateForRequest = (req, id) => Template.findOne(
+  req.user.role === 'admin' ? { _id: id } : { _id: id, userId: req.user._id }
+);
+
+// Versões aguardando aprovação (apenas admin)
+router.get('/templates/approvals/pending', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const versions = await templateVersionService.listPending();
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Erro ao listar versões pendentes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Listar versões do template
+router.get('/templates/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const template = await findTemplateForRequest(req, req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template não encontrado'
+      });
+    }
+
+    const versions = await templateVersionService.listVersions(template);
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: template.currentVersion,
+        approvedVersion: template.approvedVersion,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar versões do template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Comparar duas versões (padrão: versão anterior x atual)
+router.get('/templates/:id/versions/diff', authenticateToken, async (req, res) => {
+  try {
+    const template = await findTemplateForRequest(req, req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template não encontrado'
+      });
+    }
+
+    await templateVersionService.ensureVersioned(template);
+
+    const to = parseInt(req.query.to, 10) || template.currentVersion;
+    const from = parseInt(req.query.from, 10) || Math.max(to - 1, 1);
+
+    let diff;
+    try {
+      const [fromVersion, toVersion] = await Promise.all([
+        templateVersionService.getVersion(template._id, from),
+        templateVersionService.getVersion(template._id, to)
+      ]);
+      diff = templateVersionService.diffVersions(fromVersion, toVersion);
+    } catch (versionError) {
+      return res.status(400).json({
+        success: false,
+        error: versionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Erro ao comparar versões do template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Obter uma versão do template
+router.get('/templates/:id/versions/:version', authenticateToken, async (req, res) => {
+  try {
+    const template = await findTemplateForRequest(req, req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template não encontrado'
+      });
+    }
+
+    await templateVersionService.ensureVersioned(template);
+
+    let version;
+    try {
+      version = await templateVersionService.getVersion(template._id, req.params.version);
+    } catch (versionError) {
+      return res.status(404).json({
+        success: false,
+        error: versionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Erro ao obter versão do template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Aprovar ou rejeitar uma versão (apenas admin)
+router.post('/templates/:id/versions/:version/review', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { action, note } = req.body; // 'approve' ou 'reject'
+
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template não encontrado'
+      });
+    }
+
+    let version;
+    try {
+      version = await templateVersionService.reviewVersion(template._id, req.params.version, {
+        action,
+        reviewer: req.user,
+        note: note || ''
+      });
+    } catch (reviewError) {
+      return res.status(400).json({
+        success: false,
+        error: reviewError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Versão ${action === 'approve' ? 'aprovada' : 'rejeitada'} com sucesso`,
+      data: version
+    });
+  } catch (error) {
+    console.error('Erro ao revisar versão do template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
 module.exports = router;
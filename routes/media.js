@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateToken, blockTrialUsers } = require('../middleware/auth');
+const mediaAssetService = require('../services/mediaAssetService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 300 * 1024 * 1024 // 300MB (mesmo limite dos templates de disparo)
+  }
+});
+
+// Listar / pesquisar mídias da biblioteca
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search, mediaType, unused, limit = 50, offset = 0 } = req.query;
+
+    const { items, total } = await mediaAssetService.listAssets(req.user._id, {
+      search,
+      mediaType,
+      unused,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: await Promise.all(items.map(item => mediaAssetService.withSignedUrls(item))),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar mídias:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Enviar mídia para a biblioteca (arquivo idêntico já existente é reaproveitado)
+router.post('/', authenticateToken, blockTrialUsers, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Arquivo é obrigatório'
+      });
+    }
+
+    const { asset, duplicate } = await mediaAssetService.storeUpload(req.user._id, req.file);
+
+    res.json({
+      success: true,
+      data: await mediaAssetService.withSignedUrls(asset),
+      duplicate
+    });
+  } catch (error) {
+    console.error('Erro ao salvar mídia:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Obter mídia
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    let asset;
+    try {
+      asset = await mediaAssetService.getAsset(req.user._id, req.params.id);
+    } catch (notFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: notFoundError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await mediaAssetService.withSignedUrls(asset)
+    });
+  } catch (error) {
+    console.error('Erro ao obter mídia:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+// Excluir mídia (somente sem referências)
+router.delete('/:id', authenticateToken, blockTrialUsers, async (req, res) => {
+  try {
+    try {
+      await mediaAssetService.getAsset(req.user._id, req.params.id);
+    } catch (notFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: notFoundError.message
+      });
+    }
+
+    try {
+      await mediaAssetService.deleteAsset(req.user._id, req.params.id);
+    } catch (inUseError) {
+      return res.status(400).json({
+        success: false,
+        error: inUseError.message,
+        references: inUseError.references
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Mídia excluída com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao excluir mídia:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
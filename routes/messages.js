@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
+const Instance = require('../models/Instance');
 const evolutionApi = require('../services/evolutionApi');
+const rateLimiterService = require('../services/rateLimiterService');
+const mediaAssetService = require('../services/mediaAssetService');
+const storageService = require('../services/storageService');
 const socketManager = require('../utils/socketManager');
+const interactiveMessageUtils = require('../utils/interactiveMessageUtils');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
 const path = require('path');
 
 console.log('✅ Rotas de mensagens carregadas');
@@ -49,7 +53,7 @@ router.get('/:instanceName/:chatId', async (req, res) => {
 
     res.json({
       success: true,
-      data: messages,
+      data: await Promise.all(messages.map(withSignedMedia)),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -65,6 +69,40 @@ router.get('/:instanceName/:chatId', async (req, res) => {
   }
 });
 
+/**
+ * Consome o limite de envio compartilhado da instância (aguarda até 10s)
+ * Responde 429 quando não houver permissão
+ * @returns {Promise<boolean>} - true se o envio pode seguir
+ */
+async function acquireSendPermit(instanceName, res) {
+  const permit = await rateLimiterService.acquire(instanceName, { maxWaitMs: 10 * 1000 });
+  if (permit.allowed) return true;
+
+  const retryAfter = Math.ceil(permit.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: permit.reason === 'daily_limit'
+      ? 'Limite diário de envio da instância atingido'
+      : 'Limite de envio da instância atingido. Tente novamente em instantes',
+    retryAfter
+  });
+  return false;
+}
+
+/**
+ * Assina a referência storage:// da mídia da mensagem para leitura
+ * @param {object} message - Documento ou objeto da mensagem
+ * @returns {Promise<object>}
+ */
+async function withSignedMedia(message) {
+  const signed = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  if (signed.content?.media) {
+    signed.content = { ...signed.content, media: await storageService.resolveUrl(signed.content.media) };
+  }
+  return signed;
+}
+
 // Enviar mensagem de texto
 router.post('/:instanceName/text', async (req, res) => {
   try {
@@ -78,6 +116,9 @@ router.post('/:instanceName/text', async (req, res) => {
       });
     }
 
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
+
     // Montar opções
     const options = {};
     if (quotedMessage) options.quoted = quotedMessage;
@@ -146,6 +187,100 @@ router.post('/:instanceName/text', async (req, res) => {
   }
 });
 
+// Texto exibido como última mensagem da conversa para mensagens interativas
+const INTERACTIVE_PREVIEW = {
+  buttons: (content) => content.text,
+  list: (content) => content.text,
+  poll: (content) => `📊 ${content.text}`,
+  location: (content) => `📍 ${content.locationName || 'Localização'}`,
+  contact: (content) => `👤 ${content.contacts.map(contact => contact.fullName).join(', ')}`
+};
+
+// Enviar mensagem interativa (botões, lista, enquete, localização ou contato)
+const sendInteractiveHandler = (type) => async (req, res) => {
+  try {
+    const { instanceName } = req.params;
+    const { number } = req.body;
+
+    if (!number) {
+      return res.status(400).json({
+        success: false,
+        error: 'number é obrigatório'
+      });
+    }
+
+    let content;
+    try {
+      content = interactiveMessageUtils.normalizeInteractiveContent(type, req.body);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
+
+    const response = await evolutionApi.sendInteractiveMessage(instanceName, number, type, content);
+
+    // Salvar no banco de dados (evitar duplicatas)
+    const messageId = response.key?.id || uuidv4();
+    const message = await Message.findOneAndUpdate(
+      { instanceName, messageId },
+      {
+        instanceName,
+        messageId,
+        chatId: number,
+        from: response.key?.remoteJid || number,
+        to: number,
+        fromMe: true,
+        messageType: type,
+        content,
+        status: 'sent',
+        timestamp: new Date()
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await updateLastMessage(instanceName, number, {
+      content: INTERACTIVE_PREVIEW[type](content),
+      timestamp: message.timestamp,
+      from: message.from,
+      fromMe: true,
+      messageType: type
+    });
+
+    socketManager.notifyNewMessage(instanceName, message);
+
+    // Enviar webhook para N8N/AI Workflows
+    try {
+      await sendSentMessageToN8n(instanceName, message);
+    } catch (error) {
+      console.error('❌ Erro ao enviar webhook para N8N:', error);
+      // Não falhar se N8N falhar
+    }
+
+    res.json({
+      success: true,
+      data: message,
+      evolutionResponse: response
+    });
+  } catch (error) {
+    console.error(`Erro ao enviar mensagem interativa (${type}):`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor'
+    });
+  }
+};
+
+router.post('/:instanceName/buttons', sendInteractiveHandler('buttons'));
+router.post('/:instanceName/list', sendInteractiveHandler('list'));
+router.post('/:instanceName/poll', sendInteractiveHandler('poll'));
+router.post('/:instanceName/location', sendInteractiveHandler('location'));
+router.post('/:instanceName/contact', sendInteractiveHandler('contact'));
+
 // Enviar mídia
 router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
   console.log('📤 ROTA ENVIAR MÍDIA CHAMADA:', {
@@ -161,17 +296,52 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
 
   try {
     const { instanceName } = req.params;
-    const { number, caption, mediaType } = req.body;
-    const file = req.file;
+    const { number, caption, mediaAssetId } = req.body;
+    const saveToLibrary = req.body.saveToLibrary === true || req.body.saveToLibrary === 'true';
+    let { mediaType } = req.body;
+    let file = req.file;
 
-    if (!number || !file) {
-      console.error('❌ Parâmetros faltando:', { number: !!number, file: !!file });
+    if (!number || (!file && !mediaAssetId)) {
+      console.error('❌ Parâmetros faltando:', { number: !!number, file: !!file, mediaAssetId: !!mediaAssetId });
       return res.status(400).json({
         success: false,
-        error: 'number e file são obrigatórios'
+        error: 'number e file (ou mediaAssetId) são obrigatórios'
       });
     }
 
+    // Biblioteca de mídia pertence ao dono da instância
+    const instance = await Instance.findOne({ instanceName }).select('userId');
+    let asset = null;
+
+    if (mediaAssetId) {
+      try {
+        asset = await mediaAssetService.getAsset(instance?.userId, mediaAssetId);
+      } catch (assetError) {
+        return res.status(404).json({
+          success: false,
+          error: assetError.message
+        });
+      }
+      // Reutilizar o arquivo já armazenado em vez de reenviar o conteúdo
+      file = {
+        originalname: asset.originalName,
+        mimetype: asset.mimeType,
+        size: asset.size
+      };
+      mediaType = mediaType || asset.mediaType;
+    } else if (instance && saveToLibrary) {
+      // Uploads avulsos só entram na biblioteca quando solicitado
+      try {
+        ({ asset } = await mediaAssetService.storeBuffer(instance.userId, file.buffer, {
+          originalName: file.originalname,
+          mimeType: file.mimetype
+        }));
+      } catch (assetError) {
+        console.error('⚠️ Erro ao salvar mídia na biblioteca:', assetError.message);
+        // Não falhar o envio se a biblioteca falhar
+      }
+    }
+
     console.log('📋 Processando mídia:', {
       number,
       mediaType: mediaType || 'document',
@@ -181,9 +351,12 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
       size: file.size
     });
 
-    // Converter arquivo para base64
-    const media = file.buffer.toString('base64');
-    console.log('✅ Arquivo convertido para base64, tamanho:', media.length);
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
+
+    // Converter arquivo para base64 (mídia da biblioteca é enviada pela URL)
+    const media = mediaAssetId ? await storageService.resolveUrl(asset.url) : file.buffer.toString('base64');
+    console.log('✅ Mídia preparada para envio, tamanho:', media.length);
     
     // Enviar via Evolution API
     console.log('📤 Enviando para Evolution API...');
@@ -216,7 +389,9 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
         fileName: file.originalname,
         mimeType: file.mimetype,
         size: file.size,
-        media: media
+        // Mídia da biblioteca guarda a referência estável (assinada na leitura)
+        media: asset ? asset.url : media,
+        mediaAssetId: asset?._id || null
       },
       status: 'sent',
       timestamp: new Date()
@@ -230,6 +405,12 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
     );
     console.log('✅ Mensagem salva no banco com sucesso');
 
+    if (asset) {
+      await mediaAssetService.registerSend(asset._id);
+    }
+
+    const signedMessage = await withSignedMedia(message);
+
     // Atualizar última mensagem no chat
     try {
       await updateLastMessage(instanceName, number, {
@@ -247,7 +428,7 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
 
     // Notificar via WebSocket
     try {
-      socketManager.notifyNewMessage(instanceName, message);
+      socketManager.notifyNewMessage(instanceName, signedMessage);
       console.log('✅ Notificação WebSocket enviada');
     } catch (error) {
       console.error('⚠️ Erro ao notificar via WebSocket:', error);
@@ -256,7 +437,7 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
 
     // Enviar webhook para N8N/AI Workflows
     try {
-      await sendSentMessageToN8n(instanceName, message);
+      await sendSentMessageToN8n(instanceName, signedMessage);
       console.log('✅ Webhook N8N enviado');
     } catch (error) {
       console.error('⚠️ Erro ao enviar webhook para N8N:', error);
@@ -265,7 +446,7 @@ router.post('/:instanceName/media', upload.single('file'), async (req, res) => {
 
     res.json({
       success: true,
-      data: message,
+      data: signedMessage,
       evolutionResponse: response
     });
   } catch (error) {
@@ -298,22 +479,14 @@ router.post('/:instanceName/audio', upload.single('audio'), async (req, res) =>
       });
     }
 
-    // Gerar nome único para o arquivo
-    const fileName = `${uuidv4()}.mp3`;
-    const uploadsDir = path.join(__dirname, '../uploads/audio');
-    const filePath = path.join(uploadsDir, fileName);
-
-    // Garantir que o diretório existe
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-
-    // Salvar arquivo no disco
-    fs.writeFileSync(filePath, audioFile.buffer);
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
 
-    // Gerar URL local para o arquivo
-    const baseUrl = process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace('/webhook', '') : 'http://localhost:4500';
-    const fileUrl = `${baseUrl}/uploads/audio/${fileName}`;
+    // Salvar no armazenamento (temp/) com nome único e gerar URL assinada
+    const storageKey = storageService.buildKey('temp', '.mp3');
+    const fileName = path.basename(storageKey);
+    await storageService.put(storageKey, audioFile.buffer, { contentType: audioFile.mimetype });
+    const fileUrl = await storageService.getSignedUrl(storageKey);
 
     // Enviar via Evolution API usando URL
     const response = await evolutionApi.sendAudioUrl(instanceName, number, fileUrl);
@@ -334,7 +507,7 @@ router.post('/:instanceName/audio', upload.single('audio'), async (req, res) =>
         mimeType: audioFile.mimetype,
         size: audioFile.size,
         audioUrl: fileUrl,
-        localPath: filePath
+        storageKey
       },
       status: 'sent',
       timestamp: new Date()
@@ -369,14 +542,9 @@ router.post('/:instanceName/audio', upload.single('audio'), async (req, res) =>
 
     // Programar limpeza do arquivo após 1 hora
     setTimeout(() => {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`Arquivo de áudio temporário removido: ${fileName}`);
-        }
-      } catch (cleanupError) {
-        console.warn('Erro ao remover arquivo temporário:', cleanupError);
-      }
+      storageService.delete(storageKey)
+        .then(() => console.log(`Arquivo de áudio temporário removido: ${fileName}`))
+        .catch(cleanupError => console.warn('Erro ao remover arquivo temporário:', cleanupError));
     }, 60 * 60 * 1000); // 1 hora
 
     res.json({
@@ -415,7 +583,10 @@ router.post('/:instanceName/audio-url', async (req, res) => {
         error: 'audioUrl deve ser uma URL válida'
       });
     }
-    
+
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
+
     // Enviar via Evolution API
     const response = await evolutionApi.sendAudioUrl(instanceName, number, audioUrl);
 
@@ -503,36 +674,20 @@ router.post('/:instanceName/audio-recorded', async (req, res) => {
       });
     }
 
+    // Respeitar o limite de envio compartilhado da instância
+    if (!(await acquireSendPermit(instanceName, res))) return;
+
     // Converter base64 para buffer
     const audioBuffer = Buffer.from(audio, 'base64');
     
-    // Criar diretório temporário se não existir
-    const tempDir = path.join(__dirname, '../uploads/temp');
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    // Salvar temporariamente apenas para enviar
-    const tempFileName = `${uuidv4()}_${filename}`;
-    const tempFilePath = path.join(tempDir, tempFileName);
-    
-    fs.writeFileSync(tempFilePath, audioBuffer);
-    console.log('✅ Áudio salvo temporariamente:', tempFilePath);
-
-    // Gerar URL temporária para o arquivo
-    let baseUrl = process.env.BASE_URL;
-    if (!baseUrl && process.env.WEBHOOK_URL) {
-      baseUrl = process.env.WEBHOOK_URL.replace('/webhook', '');
-    }
-    // Se estiver em produção, usar URL de produção
-    if (process.env.NODE_ENV === 'production' && !baseUrl?.includes('clerky.com.br')) {
-      baseUrl = 'https://back.clerky.com.br';
-    }
-    if (!baseUrl) {
-      baseUrl = 'http://localhost:4331';
-    }
-    const tempFileUrl = `${baseUrl}/uploads/temp/${tempFileName}`;
-    console.log('📤 URL temporária do áudio:', tempFileUrl);
+    // Salvar temporariamente apenas para enviar (temp/ também é limpo pela rotina de retenção)
+    const tempKey = storageService.buildKey('temp', filename);
+    await storageService.put(tempKey, audioBuffer, { contentType: mimeType });
+    console.log('✅ Áudio salvo temporariamente:', tempKey);
+
+    // Gerar URL assinada temporária para o arquivo
+    const tempFileUrl = await storageService.getSignedUrl(tempKey, 10 * 60);
+    console.log('📤 URL temporária do áudio gerada');
     
     // Enviar via Evolution API usando URL temporária
     console.log('📤 Enviando para Evolution API...');
@@ -542,14 +697,9 @@ router.post('/:instanceName/audio-recorded', async (req, res) => {
     } finally {
       // Deletar arquivo temporário após enviar (ou após 5 minutos se falhar)
       setTimeout(() => {
-        try {
-          if (fs.existsSync(tempFilePath)) {
-            fs.unlinkSync(tempFilePath);
-            console.log(`🗑️ Arquivo temporário removido: ${tempFileName}`);
-          }
-        } catch (cleanupError) {
-          console.warn('⚠️ Erro ao remover arquivo temporário:', cleanupError);
-        }
+        storageService.delete(tempKey)
+          .then(() => console.log(`🗑️ Arquivo temporário removido: ${tempKey}`))
+          .catch(cleanupError => console.warn('⚠️ Erro ao remover arquivo temporário:', cleanupError));
       }, 5 * 60 * 1000); // 5 minutos
     }
     console.log('✅ Resposta da Evolution API:', {
@@ -629,18 +779,6 @@ router.post('/:instanceName/audio-recorded', async (req, res) => {
       // Não falhar se N8N falhar
     }
 
-    // Programar limpeza do arquivo após 1 hora
-    setTimeout(() => {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`🗑️ Arquivo de áudio temporário removido: ${fileName}`);
-        }
-      } catch (cleanupError) {
-        console.warn('⚠️ Erro ao remover arquivo temporário:', cleanupError);
-      }
-    }, 60 * 60 * 1000); // 1 hora
-
     res.json({
       success: true,
       data: message,
@@ -875,7 +1013,7 @@ router.post('/:instanceName/search', async (req, res) => {
 
     res.json({
       success: true,
-      data: messages,
+      data: await Promise.all(messages.map(withSignedMedia)),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
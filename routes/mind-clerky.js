@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const mindClerkyService = require('../services/mindClerkyService');
+const mindClerkySchedulerService = require('../services/mindClerkySchedulerService');
 const { authenticateToken, blockTrialUsers } = require('../middleware/auth');
 
 const shouldBlockTrial = process.env.BLOCK_TRIAL_MINDCLERKY === 'true';
@@ -113,6 +114,77 @@ router.post('/flows/:flowId/status', async (req, res) => {
   }
 });
 
+// Lista as versões publicadas com o diff estrutural em relação à anterior
+router.get('/flows/:flowId/versions', async (req, res) => {
+  try {
+    const versions = await mindClerkyService.listFlowVersions(req.params.flowId, req.user);
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Erro ao listar versões do fluxo MindClerky:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor',
+      details: error.details || null
+    });
+  }
+});
+
+// Compara duas versões (?from=&to=; padrão: atual com a anterior)
+router.get('/flows/:flowId/versions/diff', async (req, res) => {
+  try {
+    const diff = await mindClerkyService.diffFlowVersions(req.params.flowId, req.query || {}, req.user);
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Erro ao comparar versões do fluxo MindClerky:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor',
+      details: error.details || null
+    });
+  }
+});
+
+router.get('/flows/:flowId/versions/:version', async (req, res) => {
+  try {
+    const version = await mindClerkyService.getFlowVersion(req.params.flowId, req.params.version, req.user);
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Erro ao obter versão do fluxo MindClerky:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor',
+      details: error.details || null
+    });
+  }
+});
+
+// Restaura uma versão; em fluxo ativo, publica a restauração como nova versão
+router.post('/flows/:flowId/versions/:version/rollback', async (req, res) => {
+  try {
+    const flow = await mindClerkyService.rollbackFlow(req.params.flowId, req.params.version, req.user);
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    console.error('Erro ao restaurar versão do fluxo MindClerky:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor',
+      details: error.details || null
+    });
+  }
+});
+
 router.post('/flows/:flowId/duplicate-template', async (req, res) => {
   try {
     const template = await mindClerkyService.duplicateFlowAsTemplate(req.params.flowId, req.user);
@@ -147,6 +219,40 @@ router.get('/templates', async (req, res) => {
   }
 });
 
+// Próximos disparos de um gatilho agendado (cron + fuso), para conferência no editor
+router.post('/schedules/preview', async (req, res) => {
+  try {
+    const { cron, timezone, startDate, endDate } = req.body || {};
+    const count = Math.min(Math.max(parseInt(req.body?.count, 10) || 5, 1), 20);
+
+    let nextFireTimes;
+    try {
+      nextFireTimes = mindClerkySchedulerService.getNextFireTimes(
+        { cron, timezone, startDate, endDate },
+        new Date(),
+        count
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Expressão cron ou fuso horário inválido: ${cron || ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { nextFireTimes }
+    });
+  } catch (error) {
+    console.error('Erro ao calcular disparos do agendamento MindClerky:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Erro interno do servidor',
+      details: error.details || null
+    });
+  }
+});
+
 router.post('/flows/:flowId/execute', async (req, res) => {
   try {
     const execution = await mindClerkyService.startFlowExecution({
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const Segment = require('../models/Segment');
+const Instance = require('../models/Instance');
+const segmentService = require('../services/segmentService');
+
+// Listar segmentos do usuário
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.instanceName) {
+      query.instanceName = req.query.instanceName;
+    }
+
+    const segments = await Segment.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: segments
+    });
+  } catch (error) {
+    console.error('Erro ao listar segmentos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Pré-visualizar condições sem salvar (contagem e amostra)
+router.post('/preview', authenticateToken, async (req, res) => {
+  try {
+    const { instanceName, match, conditions } = req.body;
+
+    const instance = await Instance.findOne({ instanceName, userId: req.user._id });
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instância não encontrada'
+      });
+    }
+
+    let normalizedConditions;
+    try {
+      normalizedConditions = segmentService.normalizeConditions(conditions);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const members = await segmentService.evaluate({
+      userId: req.user._id,
+      instanceName,
+      match: match === 'any' ? 'any' : 'all',
+      conditions: normalizedConditions
+    });
+
+    res.json({
+      success: true,
+      data: {
+        count: members.length,
+        sample: members.slice(0, 20)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao pré-visualizar segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Criar segmento
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, instanceName, match, conditions } = req.body;
+
+    if (!name || !instanceName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nome e instância são obrigatórios'
+      });
+    }
+
+    const instance = await Instance.findOne({ instanceName, userId: req.user._id });
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instância não encontrada'
+      });
+    }
+
+    let normalizedConditions;
+    try {
+      normalizedConditions = segmentService.normalizeConditions(conditions);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const segment = new Segment({
+      userId: req.user._id,
+      instanceName,
+      name,
+      description: description || '',
+      match: match === 'any' ? 'any' : 'all',
+      conditions: normalizedConditions
+    });
+
+    await segment.save();
+
+    res.status(201).json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    console.error('Erro ao criar segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Obter segmento
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    console.error('Erro ao obter segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Avaliar segmento salvo (contagem e amostra)
+router.get('/:id/preview', authenticateToken, async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado'
+      });
+    }
+
+    const members = await segmentService.evaluate(segment);
+
+    res.json({
+      success: true,
+      data: {
+        count: members.length,
+        sample: members.slice(0, 20)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao avaliar segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Atualizar segmento
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado'
+      });
+    }
+
+    const { name, description, match, conditions } = req.body;
+
+    if (conditions !== undefined) {
+      try {
+        segment.conditions = segmentService.normalizeConditions(conditions);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        });
+      }
+    }
+
+    if (name !== undefined) segment.name = name;
+    if (description !== undefined) segment.description = description;
+    if (match !== undefined) segment.match = match === 'any' ? 'any' : 'all';
+
+    await segment.save();
+
+    res.json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Deletar segmento
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await Segment.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Segmento deletado com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao deletar segmento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
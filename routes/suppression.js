@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const Suppression = require('../models/Suppression');
+const suppressionService = require('../services/suppressionService');
+const contactImportService = require('../services/contactImportService');
+
+// Arquivos de importação são pequenos: manter em memória
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
+// Listar números descadastrados
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search, reason, limit = 50, offset = 0 } = req.query;
+
+    const query = { userId: req.user._id };
+    if (search) {
+      query.phone = { $regex: String(search).replace(/\D/g, '') };
+    }
+    if (reason) {
+      query.reason = reason;
+    }
+
+    const [items, total] = await Promise.all([
+      Suppression.find(query)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(Math.min(parseInt(limit), 500)),
+      Suppression.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      total
+    });
+  } catch (error) {
+    console.error('Erro ao listar descadastros:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Obter configuração de descadastro (palavras-chave e confirmação)
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await suppressionService.getSettings(req.user._id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Erro ao obter configuração de descadastro:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Atualizar configuração de descadastro
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await suppressionService.updateSettings(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar configuração de descadastro:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Exportar lista (CSV ou JSON)
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const items = await Suppression.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: items.map(item => ({
+          phone: item.phone,
+          reason: item.reason,
+          keyword: item.keyword,
+          instanceName: item.instanceName,
+          note: item.note,
+          createdAt: item.createdAt
+        }))
+      });
+    }
+
+    const escapeCsv = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = ['phone,reason,keyword,instanceName,note,createdAt'];
+    items.forEach(item => {
+      lines.push([
+        item.phone,
+        item.reason,
+        item.keyword,
+        item.instanceName,
+        item.note,
+        item.createdAt ? new Date(item.createdAt).toISOString() : ''
+      ].map(escapeCsv).join(','));
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="descadastros.csv"');
+    res.send(lines.join('\n'));
+  } catch (error) {
+    console.error('Erro ao exportar descadastros:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Importar lista (arquivo CSV/XLSX/VCF/TXT ou campo "numbers")
+router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    let phones = [];
+
+    if (req.body.numbers) {
+      const numbers = Array.isArray(req.body.numbers)
+        ? req.body.numbers
+        : String(req.body.numbers).split(/[\n,;]/);
+      phones = phones.concat(numbers.map(n => String(n).trim()).filter(Boolean));
+    }
+
+    if (req.file) {
+      // CSV, XLSX, VCF, XML ou TXT (aceita mapeamento da coluna de telefone)
+      try {
+        const parsed = await contactImportService.parseFile(req.file, {
+          mapping: req.body.mapping,
+          hasHeader: req.body.hasHeader
+        });
+        phones = phones.concat(parsed.contacts.map(contact => contact.phone));
+      } catch (importError) {
+        return res.status(400).json({
+          success: false,
+          error: importError.message
+        });
+      }
+    }
+
+    if (phones.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nenhum número fornecido'
+      });
+    }
+
+    const result = await suppressionService.importNumbers(req.user._id, phones, req.body.note || '');
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erro ao importar descadastros:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Adicionar número manualmente
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { phone, note } = req.body;
+
+    const item = await suppressionService.add(req.user._id, phone, { reason: 'manual', note });
+    if (!item) {
+      return res.status(400).json({
+        success: false,
+        error: 'Número de telefone inválido'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Erro ao adicionar descadastro:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Remover número da lista (volta a receber mensagens)
+router.delete('/:phone', authenticateToken, async (req, res) => {
+  try {
+    const removed = await suppressionService.remove(req.user._id, req.params.phone);
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Número não encontrado na lista de descadastros'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Número removido da lista de descadastros'
+    });
+  } catch (error) {
+    console.error('Erro ao remover descadastro:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -9,10 +9,13 @@ const socketManager = require('../utils/socketManager');
 const evolutionApi = require('../services/evolutionApi');
 const n8nService = require('../services/n8nService');
 const mindClerkyExecutor = require('../services/mindClerkyExecutor');
+const massDispatchService = require('../services/massDispatchService');
+const suppressionService = require('../services/suppressionService');
+const storageService = require('../services/storageService');
+const { parseInteractiveReply, resolvePollSelection } = require('../utils/interactiveMessageUtils');
 const moment = require('moment');
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
 // const ffmpeg = require('fluent-ffmpeg'); // Removido - não é mais necessário
 
 // Middleware para log detalhado dos webhooks (reduzido para eventos menos importantes)
@@ -216,6 +219,11 @@ async function handleConnectionUpdate(instanceName, data) {
 
     socketManager.notifyInstanceStatus(instanceName, status);
 
+    // Pausar disparos em massa ao desconectar e retomá-los ao reconectar
+    if (data.state === 'open' || data.state === 'close') {
+      await massDispatchService.handleInstanceConnectionChange(instanceName, data.state);
+    }
+
     // ✨ NOVO: Sincronizar conversas automaticamente quando conecta
     if (data.state === 'open') {
       console.log(`🚀 Instância conectada! Iniciando sincronização automática de conversas: ${instanceName}`);
@@ -356,6 +364,11 @@ async function handleMessagesUpdate(instanceName, data) {
       console.log(`📝 Mensagem atualizada: ${instanceName} - Status: ${data.status}`);
     }
     
+    // Formato simplificado (Evolution v2): { keyId, remoteJid, fromMe, status }
+    if (data?.keyId && data.status && data.fromMe) {
+      await massDispatchService.registerReceipt(instanceName, data.keyId, data.status);
+    }
+
     if (!data.messages || !Array.isArray(data.messages)) return;
 
     for (const msg of data.messages) {
@@ -365,6 +378,11 @@ async function handleMessagesUpdate(instanceName, data) {
       // Atualizar status se presente
       if (msg.update?.status) {
         updates.status = msg.update.status;
+
+        // Confirmação de entrega/leitura de mensagens de disparo em massa
+        if (msg.key.fromMe) {
+          await massDispatchService.registerReceipt(instanceName, messageId, msg.update.status);
+        }
       }
 
       // Atualizar reação se presente
@@ -616,6 +634,53 @@ async function processMessage(instanceName, msg, isSent = false) {
         messageType = 'sticker';
         content.media = msg.message.stickerMessage.url;
         content.mimeType = msg.message.stickerMessage.mimetype;
+      } else if (msg.message.locationMessage) {
+        messageType = 'location';
+        content.latitude = msg.message.locationMessage.degreesLatitude;
+        content.longitude = msg.message.locationMessage.degreesLongitude;
+        content.locationName = msg.message.locationMessage.name;
+        content.address = msg.message.locationMessage.address;
+      } else if (msg.message.contactMessage || msg.message.contactsArrayMessage) {
+        messageType = 'contact';
+        const cards = msg.message.contactsArrayMessage?.contacts || [msg.message.contactMessage];
+        content.contacts = cards.map(card => ({
+          fullName: card.displayName,
+          phoneNumber: (card.vcard?.match(/waid=(\d+)/) || [])[1] || ''
+        }));
+      } else if (msg.message.buttonsMessage) {
+        messageType = 'buttons';
+        content.text = msg.message.buttonsMessage.contentText;
+        content.footer = msg.message.buttonsMessage.footerText;
+        content.buttons = (msg.message.buttonsMessage.buttons || []).map(button => ({
+          id: button.buttonId,
+          text: button.buttonText?.displayText
+        }));
+      } else if (msg.message.listMessage) {
+        messageType = 'list';
+        content.title = msg.message.listMessage.title;
+        content.text = msg.message.listMessage.description;
+        content.footer = msg.message.listMessage.footerText;
+        content.buttonText = msg.message.listMessage.buttonText;
+        content.sections = (msg.message.listMessage.sections || []).map(section => ({
+          title: section.title,
+          rows: (section.rows || []).map(row => ({ id: row.rowId, title: row.title, description: row.description }))
+        }));
+      } else if (msg.message.pollCreationMessage || msg.message.pollCreationMessageV2 || msg.message.pollCreationMessageV3) {
+        const poll = msg.message.pollCreationMessage || msg.message.pollCreationMessageV2 || msg.message.pollCreationMessageV3;
+        messageType = 'poll';
+        content.text = poll.name;
+        content.pollOptions = (poll.options || []).map(option => option.optionName);
+        content.selectableCount = poll.selectableOptionsCount;
+      } else {
+        // Respostas a botões, listas e enquetes
+        const reply = await parseIncomingReply(instanceName, msg.message);
+        if (reply) {
+          messageType = reply.type;
+          content.text = reply.text;
+          content.selectedId = reply.id;
+          content.selectedOptions = reply.selectedOptions;
+          content.pollMessageId = reply.pollMessageId;
+        }
       }
     }
 
@@ -644,6 +709,16 @@ async function processMessage(instanceName, msg, isSent = false) {
     // Atualizar conversa
     await updateChatWithNewMessage(instanceName, chatId, message);
 
+    // Registrar resposta para disparos em massa (taxa de resposta / teste A/B)
+    if (!fromMe) {
+      await massDispatchService.registerReply(instanceName, chatId, message.timestamp);
+
+      // Pedido de descadastro (SAIR/PARAR/STOP)
+      if (content.text) {
+        await suppressionService.handleIncomingMessage(instanceName, chatId, content.text);
+      }
+    }
+
     // Notificar nova mensagem via WebSocket (para chat em tempo real)
     socketManager.notifyNewMessage(instanceName, message);
 
@@ -653,6 +728,30 @@ async function processMessage(instanceName, msg, isSent = false) {
   }
 }
 
+/**
+ * Identifica respostas a botões, listas e enquetes
+ * Votos de enquete chegam como hashes das opções: são comparados com a enquete enviada
+ * e o resultado fica em message.pollUpdateMessage.pollVote para as condições do MindClerky
+ * @param {string} instanceName - Nome da instância
+ * @param {object} message - msg.message
+ * @returns {Promise<object|null>}
+ */
+async function parseIncomingReply(instanceName, message) {
+  if (message.pollUpdateMessage) {
+    const pollMessageId = message.pollUpdateMessage.pollCreationMessageKey?.id;
+    const poll = pollMessageId
+      ? await Message.findOne({ instanceName, messageId: pollMessageId }).select('content.pollOptions').lean()
+      : null;
+    const selectedOptions = resolvePollSelection(
+      message.pollUpdateMessage.vote?.selectedOptions || [],
+      poll?.content?.pollOptions || []
+    );
+    message.pollUpdateMessage.pollVote = { selectedOptions };
+  }
+
+  return parseInteractiveReply(message);
+}
+
 // Função auxiliar para processar contatos
 async function processContact(instanceName, contactData) {
   try {
@@ -807,7 +906,13 @@ function getMessageTypeDescription(messageType) {
     sticker: '🙂 Figurinha',
     location: '📍 Localização',
     contact: '👤 Contato',
-    ptt: '🎤 Áudio'
+    ptt: '🎤 Áudio',
+    buttons: '🔘 Botões',
+    list: '📋 Lista',
+    poll: '📊 Enquete',
+    button_reply: '🔘 Resposta',
+    list_reply: '📋 Resposta',
+    poll_vote: '📊 Voto'
   };
   
   return descriptions[messageType] || 'Mensagem';
@@ -826,51 +931,27 @@ async function processReceivedAudio(audioMessage, instanceName) {
     // Converter base64 para buffer
     const audioBuffer = Buffer.from(audioMessage.base64, 'base64');
 
-    // Gerar nome único para o arquivo
-    const fileName = `${uuidv4()}.mp3`;
-    const tempDir = path.join(__dirname, '..', 'uploads', 'temp');
-    const filePath = path.join(tempDir, fileName);
+    // Salvar temporariamente no armazenamento (será deletado após o app baixar)
+    const storageKey = storageService.buildKey('temp', '.mp3');
+    const fileName = path.basename(storageKey);
+    await storageService.put(storageKey, audioBuffer, { contentType: 'audio/mpeg' });
 
-    // Garantir que o diretório existe
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    // Salvar temporariamente (será deletado após o app baixar)
-    fs.writeFileSync(filePath, audioBuffer);
-
-    // Construir URL temporária de acesso
-    let baseUrl = process.env.BASE_URL;
-    if (!baseUrl && process.env.WEBHOOK_URL) {
-      baseUrl = process.env.WEBHOOK_URL.replace('/webhook', '');
-    }
-    // Se estiver em produção, usar URL de produção
-    if (process.env.NODE_ENV === 'production' && !baseUrl?.includes('clerky.com.br')) {
-      baseUrl = 'https://back.clerky.com.br';
-    }
-    if (!baseUrl) {
-      baseUrl = 'http://localhost:4331';
-    }
-    const audioUrl = `${baseUrl}/uploads/temp/${fileName}`;
+    // URL assinada válida pelo mesmo tempo que o arquivo
+    const audioUrl = await storageService.getSignedUrl(storageKey, 60 * 60);
 
     console.log(`✅ Áudio recebido processado temporariamente: ${fileName} (${audioBuffer.length} bytes)`);
 
     // Deletar arquivo temporário após 1 hora (tempo suficiente para o app baixar)
     setTimeout(() => {
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`🗑️ Arquivo temporário removido: ${fileName}`);
-        }
-      } catch (cleanupError) {
-        console.warn('⚠️ Erro ao remover arquivo temporário:', cleanupError);
-      }
+      storageService.delete(storageKey)
+        .then(() => console.log(`🗑️ Arquivo temporário removido: ${fileName}`))
+        .catch(cleanupError => console.warn('⚠️ Erro ao remover arquivo temporário:', cleanupError));
     }, 60 * 60 * 1000); // 1 hora
 
     return {
       fileName,
       audioUrl,
-      localPath: filePath,
+      storageKey,
       size: audioBuffer.length
     };
 
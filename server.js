@@ -11,6 +11,7 @@ require('dotenv').config();
 const Instance = require('./models/Instance');
 const evolutionApi = require('./services/evolutionApi');
 const schedulerService = require('./services/schedulerService');
+const storageService = require('./services/storageService');
 const massDispatchService = require('./services/massDispatchService');
 const redisClient = require('./utils/redisClient');
 const socketEmitter = require('./utils/socketEmitter');
@@ -124,26 +125,14 @@ app.use(cors({
 app.use(express.json({ limit: '200mb' }));
 app.use(express.urlencoded({ extended: true, limit: '200mb' }));
 
-// Criar diretórios de upload necessários
-const createUploadDirectories = () => {
-  const uploadDirs = [
-    'uploads',
-    'uploads/temp', // Diretório temporário para áudios (serão deletados após envio)
-    'uploads/mass-dispatch'
-  ];
-  
-  uploadDirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  });
-};
-
-// Criar diretórios na inicialização
-createUploadDirectories();
-
-// Servir arquivos estáticos da pasta uploads (incluindo temp para áudios temporários)
-app.use('/uploads', express.static('uploads'));
+// Arquivos enviados ficam no armazenamento configurado (STORAGE_DRIVER) e são acessados por URL assinada (/api/files).
+// A pasta pública /uploads só é mantida quando STORAGE_PUBLIC_UPLOADS=true (links antigos)
+if (process.env.STORAGE_PUBLIC_UPLOADS === 'true') {
+  if (!fs.existsSync('uploads')) {
+    fs.mkdirSync('uploads', { recursive: true });
+  }
+  app.use('/uploads', express.static('uploads'));
+}
 
 // Função de inicialização do sistema
 const initializeSystem = async () => {
@@ -168,7 +157,10 @@ const initializeSystem = async () => {
       }
     }
 
-    // Recuperar disparos em andamento após reinicialização
+    // Worker da fila de disparos (passos e exclusões agendadas persistem no Redis)
+    massDispatchService.startWorker();
+
+    // Recolocar na fila disparos em andamento que estejam sem passo agendado
     await massDispatchService.recoverRunningDispatches();
 
     console.log('🎯 Sistema pronto para uso!');
@@ -203,6 +195,7 @@ const n8nIntegrationRoutes = require('./routes/n8n-integration');
 const aiWorkflowRoutes = require('./routes/ai-workflows');
 const mindClerkyRoutes = require('./routes/mind-clerky');
 const mindClerkyExecutor = require('./services/mindClerkyExecutor');
+const mindClerkySchedulerService = require('./services/mindClerkySchedulerService');
 
 // Usar rotas
 app.use('/api/auth', authRoutes);
@@ -214,6 +207,10 @@ app.use('/api/webhook', webhookRoutes); // Alterado de '/webhook' para '/api/web
 app.use('/webhook', webhookRoutes); // Manter compatibilidade com rota antiga
 app.use('/api/external', externalApiRoutes);
 app.use('/api/mass-dispatch', massDispatchRoutes);
+app.use('/api/suppression', require('./routes/suppression'));
+app.use('/api/segments', require('./routes/segments'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/files', require('./routes/files'));
 app.use('/api/n8n-integration', n8nIntegrationRoutes);
 app.use('/api/ai-workflows', aiWorkflowRoutes);
 app.use('/api/contact-crm', require('./routes/contact-crm'));
@@ -308,6 +305,10 @@ server.listen(PORT, () => {
   // Iniciar agendador automático
   schedulerService.start();
   mindClerkyExecutor.init();
+  mindClerkySchedulerService.start();
+
+  // Limpeza dos arquivos temporários (temp/)
+  storageService.startRetentionJob();
 });
 
 module.exports = { app, server, io };
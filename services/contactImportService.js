@@ -0,0 +1,225 @@
+const path = require('path');
+const phoneService = require('./phoneService');
+const { parseCsv, parseXlsx, parseVcf, parseXml, parseTxt } = require('../utils/importParsers');
+
+const FORMATS_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.xlsx': 'xlsx',
+  '.vcf': 'vcf',
+  '.vcard': 'vcf',
+  '.xml': 'xml',
+  '.txt': 'txt'
+};
+
+const FORMATS_BY_MIME = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/vnd.ms-excel': 'csv', // Navegadores no Windows enviam .csv com este tipo
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/vcard': 'vcf',
+  'text/x-vcard': 'vcf',
+  'text/directory': 'vcf',
+  'text/xml': 'xml',
+  'application/xml': 'xml',
+  'text/plain': 'txt'
+};
+
+const PREVIEW_LIMIT = 50;
+
+class ContactImportService {
+  /**
+   * Identifica o formato do arquivo pela extensão (ou pelo tipo MIME)
+   * @param {string} fileName - Nome original do arquivo
+   * @param {string} mimetype - Tipo MIME
+   * @returns {string|null} - csv | xlsx | vcf | xml | txt
+   */
+  detectFormat(fileName, mimetype) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIME[mimetype] || null;
+  }
+
+  /**
+   * Verifica se o arquivo é uma lista de contatos suportada
+   * @param {object} file - Arquivo do multer
+   * @returns {boolean}
+   */
+  isSupportedFile(file) {
+    return !!this.detectFormat(file.originalname, file.mimetype);
+  }
+
+  /**
+   * Normaliza o mapeamento de colunas recebido (objeto ou JSON no multipart)
+   * @param {object|string} mapping - Mapeamento
+   * @returns {object}
+   */
+  parseMapping(mapping) {
+    if (!mapping) return {};
+    if (typeof mapping === 'object') return mapping;
+    try {
+      return JSON.parse(mapping);
+    } catch (error) {
+      throw new Error('Mapeamento de colunas inválido (JSON esperado)');
+    }
+  }
+
+  /**
+   * Lê o arquivo e aplica o mapeamento de colunas
+   * @param {object} file - { buffer, originalname, mimetype }
+   * @param {object} options - { mapping, hasHeader, delimiter, sheet }
+   * @returns {Promise<object>} - { format, headers, sheets, mapping, contacts, rejected }
+   */
+  async parseFile(file, options = {}) {
+    const format = this.detectFormat(file.originalname, file.mimetype);
+    const hasHeader = options.hasHeader !== false && options.hasHeader !== 'false';
+    let table;
+
+    switch (format) {
+      case 'csv':
+        table = parseCsv(file.buffer, { delimiter: options.delimiter, hasHeader });
+        break;
+      case 'xlsx':
+        try {
+          table = await parseXlsx(file.buffer, { sheet: options.sheet, hasHeader });
+        } catch (error) {
+          throw new Error(`Não foi possível ler a planilha: ${error.message}`);
+        }
+        break;
+      case 'vcf':
+        table = parseVcf(file.buffer);
+        break;
+      case 'xml':
+        table = parseXml(file.buffer);
+        break;
+      case 'txt':
+        table = parseTxt(file.buffer);
+        break;
+      default:
+        throw new Error('Formato de arquivo não suportado. Use CSV, XLSX, VCF, XML ou TXT');
+    }
+
+    if (table.rows.length === 0) {
+      throw new Error('Nenhum contato encontrado no arquivo');
+    }
+
+    const mapped = phoneService.mapRows(table, this.parseMapping(options.mapping));
+
+    return {
+      format,
+      headers: table.headers,
+      sheets: table.sheets,
+      mapping: mapped.mapping,
+      contacts: mapped.contacts,
+      rejected: mapped.rejected
+    };
+  }
+
+  /**
+   * Valida os telefones e separa linhas aceitas e rejeitadas (inválidas ou duplicadas)
+   * @param {Array<object>} contacts - [{ row, name, phone, customFields }]
+   * @param {object} options - { defaultCountry }
+   * @returns {object} - { accepted, rejected }
+   */
+  validateContacts(contacts, options = {}) {
+    const accepted = [];
+    const rejected = [];
+    const seen = new Map(); // número formatado -> linha da primeira ocorrência
+
+    contacts.forEach(contact => {
+      const processed = phoneService.processPhone(contact.phone, { defaultCountry: options.defaultCountry });
+
+      if (!processed.isValid) {
+        rejected.push({
+          row: contact.row,
+          phone: contact.phone,
+          name: contact.name,
+          reason: processed.error || 'Número inválido'
+        });
+        return;
+      }
+
+      if (seen.has(processed.formatted)) {
+        rejected.push({
+          row: contact.row,
+          phone: contact.phone,
+          name: contact.name,
+          reason: `Número duplicado (linha ${seen.get(processed.formatted)})`
+        });
+        return;
+      }
+
+      seen.set(processed.formatted, contact.row);
+      accepted.push({
+        ...contact,
+        formatted: processed.formatted,
+        country: processed.country,
+        numberType: processed.numberType
+      });
+    });
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Importa o arquivo: leitura, mapeamento e validação
+   * @param {object} file - { buffer, originalname, mimetype }
+   * @param {object} options - { mapping, hasHeader, delimiter, sheet, defaultCountry }
+   * @returns {Promise<object>} - { format, headers, sheets, mapping, accepted, rejected, totals }
+   */
+  async importFile(file, options = {}) {
+    const parsed = await this.parseFile(file, options);
+    const { accepted, rejected } = this.validateContacts(parsed.contacts, options);
+
+    const allRejected = parsed.rejected
+      .map(({ row, phone, reason }) => ({ row, phone, name: null, reason }))
+      .concat(rejected)
+      .sort((a, b) => a.row - b.row);
+
+    return {
+      format: parsed.format,
+      headers: parsed.headers,
+      sheets: parsed.sheets,
+      mapping: parsed.mapping,
+      accepted,
+      rejected: allRejected,
+      totals: {
+        rows: accepted.length + allRejected.length,
+        accepted: accepted.length,
+        rejected: allRejected.length
+      }
+    };
+  }
+
+  /**
+   * Prévia da importação (não grava nada)
+   * @param {object} file - { buffer, originalname, mimetype }
+   * @param {object} options - { mapping, hasHeader, delimiter, sheet, defaultCountry, limit }
+   * @returns {Promise<object>}
+   */
+  async preview(file, options = {}) {
+    const result = await this.importFile(file, options);
+    const limit = parseInt(options.limit, 10) || PREVIEW_LIMIT;
+
+    return {
+      format: result.format,
+      headers: result.headers,
+      sheets: result.sheets,
+      mapping: result.mapping,
+      totals: result.totals,
+      rows: result.accepted.slice(0, limit),
+      rejected: result.rejected.slice(0, limit)
+    };
+  }
+
+  /**
+   * Converte as linhas aceitas no formato de phoneService.processPhoneList
+   * @param {Array<object>} accepted - Linhas aceitas
+   * @returns {Array<object>} - [{ name, phone, customFields }]
+   */
+  toRawNumbers(accepted) {
+    return accepted.map(({ name, phone, customFields }) => ({ name, phone, customFields }));
+  }
+}
+
+module.exports = new ContactImportService();
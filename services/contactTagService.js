@@ -0,0 +1,203 @@
+const ContactTag = require('../models/ContactTag');
+const socketManager = require('../utils/socketManager');
+
+const MAX_TAG_LENGTH = 50;
+
+class ContactTagService {
+  /**
+   * Normaliza a lista de tags (aceita array ou texto separado por vírgula)
+   * @param {Array|string} tags - Tags informadas
+   * @returns {Array<string>} - Tags sem repetição
+   */
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list
+      .filter(tag => tag !== undefined && tag !== null)
+      .map(tag => String(tag).trim().replace(/\s+/g, ' ').substring(0, MAX_TAG_LENGTH))
+      .filter(Boolean))];
+  }
+
+  /**
+   * JID do contato a partir do JID ou do número
+   * @param {string} value - JID ou telefone
+   * @returns {string|null}
+   */
+  toContactId(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    if (text.includes('@')) return text;
+    const digits = text.replace(/\D/g, '');
+    return digits ? `${digits}@s.whatsapp.net` : null;
+  }
+
+  /**
+   * Tags de um contato
+   * @param {string} instanceName - Nome da instância
+   * @param {string} contactId - JID ou telefone
+   * @returns {Promise<Array<string>>}
+   */
+  async getTags(instanceName, contactId) {
+    const tags = await ContactTag.find({ instanceName, contactId: this.toContactId(contactId) })
+      .sort({ tag: 1 })
+      .select('tag')
+      .lean();
+    return tags.map(item => item.tag);
+  }
+
+  /**
+   * Tags de vários contatos de uma vez (listagens)
+   * @param {string} instanceName - Nome da instância
+   * @param {Array<string>} contactIds - JIDs
+   * @returns {Promise<Map>} - contactId -> [tags]
+   */
+  async getTagsByContact(instanceName, contactIds = []) {
+    const tags = await ContactTag.find({ instanceName, contactId: { $in: contactIds } })
+      .sort({ tag: 1 })
+      .select('contactId tag')
+      .lean();
+
+    const byContact = new Map();
+    tags.forEach(item => {
+      if (!byContact.has(item.contactId)) byContact.set(item.contactId, []);
+      byContact.get(item.contactId).push(item.tag);
+    });
+    return byContact;
+  }
+
+  /**
+   * Aplica tags a um contato (tags já existentes são mantidas)
+   * @param {object} params - { userId, instanceName, contactId, tags, source, flowId }
+   * @returns {Promise<Array<string>>} - Tags atuais do contato
+   */
+  async addTags({ userId, instanceName, contactId, tags, source = 'manual', flowId = null }) {
+    const jid = this.toContactId(contactId);
+    const normalized = this.normalizeTags(tags);
+    if (!jid) throw new Error('Contato inválido');
+
+    if (normalized.length > 0) {
+      await ContactTag.bulkWrite(normalized.map(tag => ({
+        updateOne: {
+          filter: { instanceName, contactId: jid, tag },
+          update: { $setOnInsert: { userId, instanceName, contactId: jid, tag, source, flowId } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    return this.notifyChange(instanceName, jid);
+  }
+
+  /**
+   * Remove tags de um contato
+   * @param {object} params - { instanceName, contactId, tags }
+   * @returns {Promise<Array<string>>} - Tags atuais do contato
+   */
+  async removeTags({ instanceName, contactId, tags }) {
+    const jid = this.toContactId(contactId);
+    const normalized = this.normalizeTags(tags);
+    if (!jid) throw new Error('Contato inválido');
+
+    if (normalized.length > 0) {
+      await ContactTag.deleteMany({ instanceName, contactId: jid, tag: { $in: normalized } });
+    }
+
+    return this.notifyChange(instanceName, jid);
+  }
+
+  /**
+   * Substitui todas as tags de um contato
+   * @param {object} params - { userId, instanceName, contactId, tags, source }
+   * @returns {Promise<Array<string>>} - Tags atuais do contato
+   */
+  async setTags({ userId, instanceName, contactId, tags, source = 'manual' }) {
+    const jid = this.toContactId(contactId);
+    const normalized = this.normalizeTags(tags);
+    if (!jid) throw new Error('Contato inválido');
+
+    await ContactTag.deleteMany({ instanceName, contactId: jid, tag: { $nin: normalized } });
+    return this.addTags({ userId, instanceName, contactId: jid, tags: normalized, source });
+  }
+
+  /**
+   * Tags usadas na instância com a quantidade de contatos
+   * @param {string} instanceName - Nome da instância
+   * @returns {Promise<Array>} - [{ tag, count }]
+   */
+  async listTags(instanceName) {
+    const tags = await ContactTag.aggregate([
+      { $match: { instanceName } },
+      { $group: { _id: '$tag', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return tags.map(item => ({ tag: item._id, count: item.count }));
+  }
+
+  /**
+   * Renomeia uma tag em todos os contatos (contatos que já têm a nova tag ficam com uma só)
+   * @param {string} instanceName - Nome da instância
+   * @param {string} from - Tag atual
+   * @param {string} to - Novo nome
+   * @returns {Promise<number>} - Contatos afetados
+   */
+  async renameTag(instanceName, from, to) {
+    const [oldTag] = this.normalizeTags([from]);
+    const [newTag] = this.normalizeTags([to]);
+    if (!oldTag || !newTag) throw new Error('Informe a tag atual e o novo nome');
+    if (oldTag === newTag) return 0;
+
+    const alreadyTagged = await ContactTag.distinct('contactId', { instanceName, tag: newTag });
+    await ContactTag.deleteMany({ instanceName, tag: oldTag, contactId: { $in: alreadyTagged } });
+    const result = await ContactTag.updateMany({ instanceName, tag: oldTag }, { $set: { tag: newTag } });
+
+    return result.modifiedCount + alreadyTagged.length;
+  }
+
+  /**
+   * Remove uma tag de todos os contatos da instância
+   * @param {string} instanceName - Nome da instância
+   * @param {string} tag - Tag
+   * @returns {Promise<number>} - Contatos afetados
+   */
+  async deleteTag(instanceName, tag) {
+    const [normalized] = this.normalizeTags([tag]);
+    if (!normalized) throw new Error('Informe a tag');
+    const result = await ContactTag.deleteMany({ instanceName, tag: normalized });
+    return result.deletedCount;
+  }
+
+  /**
+   * Contatos com as tags informadas
+   * @param {string} instanceName - Nome da instância
+   * @param {Array|string} tags - Tags
+   * @param {string} match - any (qualquer uma) ou all (todas)
+   * @returns {Promise<Array<string>>} - JIDs
+   */
+  async findContactIds(instanceName, tags, match = 'any') {
+    const normalized = this.normalizeTags(tags);
+    if (normalized.length === 0) return [];
+
+    if (match !== 'all') {
+      return ContactTag.distinct('contactId', { instanceName, tag: { $in: normalized } });
+    }
+
+    const contacts = await ContactTag.aggregate([
+      { $match: { instanceName, tag: { $in: normalized } } },
+      { $group: { _id: '$contactId', count: { $sum: 1 } } },
+      { $match: { count: normalized.length } }
+    ]);
+    return contacts.map(item => item._id);
+  }
+
+  // Avisar o front-end e devolver as tags atuais do contato
+  async notifyChange(instanceName, contactId) {
+    const tags = await this.getTags(instanceName, contactId);
+    socketManager.emitToInstance(instanceName, 'contact-tags-updated', {
+      type: 'CONTACT_TAGS_UPDATED',
+      data: { contactId, tags },
+      timestamp: new Date()
+    });
+    return tags;
+  }
+}
+
+module.exports = new ContactTagService();
@@ -0,0 +1,306 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const STATUS_LABELS = {
+  pending: 'Pendente',
+  scheduled: 'Agendado',
+  sent: 'Enviado',
+  delivered: 'Entregue',
+  read: 'Lido',
+  replied: 'Respondido',
+  failed: 'Falhou',
+  skipped: 'Ignorado'
+};
+
+const DISPATCH_STATUS_LABELS = {
+  draft: 'Rascunho',
+  validating: 'Validando',
+  ready: 'Pronto',
+  running: 'Em execução',
+  paused: 'Pausado',
+  completed: 'Concluído',
+  cancelled: 'Cancelado'
+};
+
+const SKIP_REASON_LABELS = {
+  suppressed: 'Contato descadastrado',
+  not_in_segment: 'Fora do segmento',
+  frequency_cap: 'Limite de frequência entre campanhas'
+};
+
+// Textos iniciados por estes caracteres viram fórmula no Excel/Sheets (nomes vêm do contato)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (
+  typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value
+);
+
+const neutralizeRow = (row) => Object.keys(row).reduce((result, key) => {
+  result[key] = neutralizeFormula(row[key]);
+  return result;
+}, {});
+
+// Colunas da listagem de números (a PDF usa apenas as marcadas com pdfWidth)
+const COLUMNS = [
+  { key: 'index', header: '#', width: 6, pdfWidth: 28 },
+  { key: 'original', header: 'Telefone original', width: 18 },
+  { key: 'formatted', header: 'Telefone formatado', width: 18, pdfWidth: 90 },
+  { key: 'contactName', header: 'Nome informado', width: 22, pdfWidth: 95 },
+  { key: 'whatsappName', header: 'Nome WhatsApp', width: 22 },
+  { key: 'status', header: 'Status', width: 14, pdfWidth: 62 },
+  { key: 'sentAt', header: 'Enviado em', width: 20, pdfWidth: 92 },
+  { key: 'deliveredAt', header: 'Entregue em', width: 20 },
+  { key: 'readAt', header: 'Lido em', width: 20 },
+  { key: 'repliedAt', header: 'Respondido em', width: 20 },
+  { key: 'error', header: 'Erro', width: 40, pdfWidth: 150 },
+  { key: 'messageId', header: 'ID da mensagem', width: 26, pdfWidth: 115 },
+  { key: 'deletion', header: 'Exclusão', width: 24, pdfWidth: 110 }
+];
+
+class DispatchReportService {
+  /**
+   * Formata data no timezone do disparo
+   * @param {Date} date - Data
+   * @param {string} timezone - Timezone IANA
+   * @returns {string}
+   */
+  formatDate(date, timezone) {
+    if (!date) return '';
+    return new Date(date).toLocaleString('pt-BR', { timeZone: timezone || 'America/Sao_Paulo' });
+  }
+
+  /**
+   * Descrição da exclusão automática do número
+   * @param {object} num - Número do disparo
+   * @param {string} timezone - Timezone IANA
+   * @returns {string}
+   */
+  getDeletionLabel(num, timezone) {
+    if (num.deletedAt) return `Excluída em ${this.formatDate(num.deletedAt, timezone)}`;
+    if (num.deleteScheduled) return 'Agendada';
+    return '';
+  }
+
+  /**
+   * Monta as linhas do relatório (uma por número)
+   * @param {object} dispatch - Disparo
+   * @returns {Array<object>}
+   */
+  buildRows(dispatch) {
+    const timezone = dispatch.settings?.schedule?.timezone;
+
+    return (dispatch.numbers || []).map((num, idx) => ({
+      index: idx + 1,
+      original: num.original || '',
+      formatted: num.formatted || '',
+      contactName: num.contactName || '',
+      whatsappName: num.whatsappName || '',
+      status: STATUS_LABELS[num.status] || num.status || '',
+      sentAt: this.formatDate(num.sentAt, timezone),
+      deliveredAt: this.formatDate(num.deliveredAt, timezone),
+      readAt: this.formatDate(num.readAt, timezone),
+      repliedAt: this.formatDate(num.repliedAt, timezone),
+      error: num.error || SKIP_REASON_LABELS[num.skipReason] || (num.valid === false ? 'Número inválido' : ''),
+      messageId: num.messageId || '',
+      deletion: this.getDeletionLabel(num, timezone)
+    }));
+  }
+
+  /**
+   * Monta o resumo da campanha a partir das estatísticas
+   * @param {object} dispatch - Disparo
+   * @returns {Array<Array<string>>} - Pares [rótulo, valor]
+   */
+  buildSummary(dispatch) {
+    const stats = dispatch.statistics || {};
+    const timezone = dispatch.settings?.schedule?.timezone;
+    const percent = (value) => `${(value || 0).toLocaleString('pt-BR')}%`;
+
+    return [
+      ['Campanha', dispatch.name],
+      ['Instância', dispatch.instanceName],
+      ['Status', DISPATCH_STATUS_LABELS[dispatch.status] || dispatch.status],
+      ['Criado em', this.formatDate(dispatch.createdAt, timezone)],
+      ['Iniciado em', this.formatDate(dispatch.startedAt, timezone)],
+      ['Concluído em', this.formatDate(dispatch.completedAt, timezone)],
+      ['Total de números', stats.total || 0],
+      ['Números válidos', stats.validNumbers || 0],
+      ['Números inválidos', stats.invalidNumbers || 0],
+      ['Enviados', stats.sent || 0],
+      ['Entregues', stats.delivered || 0],
+      ['Lidos', stats.read || 0],
+      ['Respondidos', stats.replied || 0],
+      ['Falhas', stats.failed || 0],
+      ['Pendentes', stats.pending || 0],
+      ['Ignorados', stats.skipped || 0],
+      ['Taxa de entrega', percent(stats.deliveryRate)],
+      ['Taxa de leitura', percent(stats.readRate)],
+      ['Taxa de resposta', percent(stats.replyRate)],
+      ['Gerado em', this.formatDate(new Date(), timezone)]
+    ].map(([label, value]) => [label, value === undefined || value === null ? '' : String(value)]);
+  }
+
+  /**
+   * Nome do arquivo do relatório
+   * @param {object} dispatch - Disparo
+   * @param {string} extension - Extensão
+   * @returns {string}
+   */
+  getFileName(dispatch, extension) {
+    const slug = String(dispatch.name || 'disparo')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase() || 'disparo';
+
+    return `relatorio-${slug}-${dispatch._id}.${extension}`;
+  }
+
+  /**
+   * Gera o relatório em CSV (resumo no topo, seguido da lista de números)
+   * @param {object} dispatch - Disparo
+   * @returns {string}
+   */
+  generateCsv(dispatch) {
+    const escapeCsv = (value) => {
+      const text = value === null || value === undefined ? '' : neutralizeFormula(String(value));
+      return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = ['Resumo'];
+    this.buildSummary(dispatch).forEach(row => lines.push(row.map(escapeCsv).join(',')));
+    lines.push('');
+    lines.push(COLUMNS.map(col => escapeCsv(col.header)).join(','));
+    this.buildRows(dispatch).forEach(row => {
+      lines.push(COLUMNS.map(col => escapeCsv(row[col.key])).join(','));
+    });
+
+    // BOM para o Excel reconhecer UTF-8
+    return '\uFEFF' + lines.join('\n');
+  }
+
+  /**
+   * Gera o relatório em XLSX (aba de resumo + aba de números)
+   * @param {object} dispatch - Disparo
+   * @returns {Buffer}
+   */
+  async generateXlsx(dispatch) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Clerky';
+    workbook.created = new Date();
+
+    const summarySheet = workbook.addWorksheet('Resumo');
+    summarySheet.columns = [
+      { header: 'Indicador', key: 'label', width: 24 },
+      { header: 'Valor', key: 'value', width: 36 }
+    ];
+    this.buildSummary(dispatch).forEach(([label, value]) => summarySheet.addRow({ label, value: neutralizeFormula(value) }));
+    summarySheet.getRow(1).font = { bold: true };
+
+    const numbersSheet = workbook.addWorksheet('Números');
+    numbersSheet.columns = COLUMNS.map(col => ({ header: col.header, key: col.key, width: col.width }));
+    this.buildRows(dispatch).forEach(row => numbersSheet.addRow(neutralizeRow(row)));
+    numbersSheet.getRow(1).font = { bold: true };
+    numbersSheet.views = [{ state: 'frozen', ySplit: 1 }];
+    numbersSheet.autoFilter = { from: 'A1', to: { row: 1, column: COLUMNS.length } };
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Gera o relatório em PDF (página de resumo + tabela de números)
+   * @param {object} dispatch - Disparo
+   * @returns {Promise<Buffer>}
+   */
+  generatePdf(dispatch) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Página de resumo
+      doc.fontSize(18).font('Helvetica-Bold').text('Relatório de disparo em massa');
+      doc.moveDown();
+
+      this.buildSummary(dispatch).forEach(([label, value]) => {
+        doc.fontSize(11).font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value);
+      });
+
+      // Tabela de números
+      const columns = COLUMNS.filter(col => col.pdfWidth);
+      const rowHeight = 16;
+      const left = doc.page.margins.left;
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      const drawRow = (values, y, bold) => {
+        let x = left;
+        doc.fontSize(8).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        columns.forEach((col, idx) => {
+          doc.text(String(values[idx] ?? ''), x + 2, y + 4, {
+            width: col.pdfWidth - 4,
+            height: rowHeight - 4,
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += col.pdfWidth;
+        });
+        doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.5).strokeColor('#cccccc').stroke();
+      };
+
+      const startTablePage = () => {
+        doc.addPage();
+        drawRow(columns.map(col => col.header), doc.page.margins.top, true);
+        return doc.page.margins.top + rowHeight;
+      };
+
+      let y = startTablePage();
+      this.buildRows(dispatch).forEach(row => {
+        if (y + rowHeight > bottom) {
+          y = startTablePage();
+        }
+        drawRow(columns.map(col => row[col.key]), y, false);
+        y += rowHeight;
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Gera o relatório no formato solicitado
+   * @param {object} dispatch - Disparo
+   * @param {string} format - csv | xlsx | pdf
+   * @returns {object} - { buffer, contentType, fileName }
+   */
+  async generate(dispatch, format = 'csv') {
+    switch (format) {
+      case 'csv':
+        return {
+          buffer: Buffer.from(this.generateCsv(dispatch), 'utf8'),
+          contentType: 'text/csv; charset=utf-8',
+          fileName: this.getFileName(dispatch, 'csv')
+        };
+      case 'xlsx':
+        return {
+          buffer: Buffer.from(await this.generateXlsx(dispatch)),
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          fileName: this.getFileName(dispatch, 'xlsx')
+        };
+      case 'pdf':
+        return {
+          buffer: await this.generatePdf(dispatch),
+          contentType: 'application/pdf',
+          fileName: this.getFileName(dispatch, 'pdf')
+        };
+      default:
+        throw new Error('Formato de relatório inválido. Use: csv, xlsx ou pdf');
+    }
+  }
+}
+
+module.exports = new DispatchReportService();
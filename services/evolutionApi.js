@@ -210,6 +210,149 @@ class EvolutionApiService {
     }
   }
 
+  // Enviar mensagem com botões de resposta
+  async sendButtons(instanceName, number, { title, text, footer, buttons = [] }) {
+    try {
+      const payload = {
+        number: number,
+        title: title || '',
+        description: text,
+        footer: footer || '',
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          displayText: button.text,
+          id: button.id
+        }))
+      };
+
+      const response = await axios.post(`${this.apiUrl}/message/sendButtons/${instanceName}`, payload, {
+        headers: this.getHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Erro ao enviar botões:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Erro ao enviar botões');
+    }
+  }
+
+  // Enviar lista de opções
+  async sendList(instanceName, number, { title, text, footer, buttonText, sections = [] }) {
+    try {
+      const payload = {
+        number: number,
+        title: title || '',
+        description: text,
+        buttonText: buttonText,
+        footerText: footer || '',
+        sections: sections.map(section => ({
+          title: section.title,
+          rows: (section.rows || []).map(row => ({
+            title: row.title,
+            description: row.description || '',
+            rowId: row.id
+          }))
+        }))
+      };
+
+      const response = await axios.post(`${this.apiUrl}/message/sendList/${instanceName}`, payload, {
+        headers: this.getHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Erro ao enviar lista:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Erro ao enviar lista');
+    }
+  }
+
+  // Enviar enquete
+  async sendPoll(instanceName, number, question, options = [], selectableCount = 1) {
+    try {
+      const payload = {
+        number: number,
+        name: question,
+        selectableCount: selectableCount,
+        values: options
+      };
+
+      const response = await axios.post(`${this.apiUrl}/message/sendPoll/${instanceName}`, payload, {
+        headers: this.getHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Erro ao enviar enquete:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Erro ao enviar enquete');
+    }
+  }
+
+  // Enviar localização
+  async sendLocation(instanceName, number, { latitude, longitude, locationName, address }) {
+    try {
+      const payload = {
+        number: number,
+        name: locationName || '',
+        address: address || '',
+        latitude: latitude,
+        longitude: longitude
+      };
+
+      const response = await axios.post(`${this.apiUrl}/message/sendLocation/${instanceName}`, payload, {
+        headers: this.getHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Erro ao enviar localização:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Erro ao enviar localização');
+    }
+  }
+
+  // Enviar cartão de contato (vCard)
+  async sendContact(instanceName, number, contacts = []) {
+    try {
+      const payload = {
+        number: number,
+        contact: contacts.map(contact => ({
+          fullName: contact.fullName,
+          wuid: contact.phoneNumber,
+          phoneNumber: contact.phoneNumber,
+          organization: contact.organization || undefined,
+          email: contact.email || undefined,
+          url: contact.url || undefined
+        }))
+      };
+
+      const response = await axios.post(`${this.apiUrl}/message/sendContact/${instanceName}`, payload, {
+        headers: this.getHeaders()
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Erro ao enviar contato:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Erro ao enviar contato');
+    }
+  }
+
+  // Enviar mensagem interativa a partir do conteúdo de template (buttons, list, poll, location, contact)
+  async sendInteractiveMessage(instanceName, number, type, content = {}) {
+    switch (type) {
+      case 'buttons':
+        return this.sendButtons(instanceName, number, content);
+      case 'list':
+        return this.sendList(instanceName, number, content);
+      case 'poll':
+        return this.sendPoll(instanceName, number, content.text, content.pollOptions, content.selectableCount || 1);
+      case 'location':
+        return this.sendLocation(instanceName, number, content);
+      case 'contact':
+        return this.sendContact(instanceName, number, content.contacts);
+      default:
+        throw new Error(`Tipo de mensagem interativa não suportado: ${type}`);
+    }
+  }
+
   // Buscar contatos
   async findContacts(instanceName, where = {}) {
     try {
@@ -0,0 +1,121 @@
+const OpenAiCompatibleProvider = require('../utils/openAiCompatibleProvider');
+const MockLlmProvider = require('../utils/mockLlmProvider');
+
+const PROVIDERS = ['openai', 'mock'];
+const FIELD_TYPES = ['string', 'number', 'boolean'];
+
+class LlmService {
+  constructor() {
+    this.providers = new Map(); // nome -> instância
+  }
+
+  /**
+   * Provedor de IA configurado (LLM_PROVIDER=openai|mock)
+   * @param {string} name - Nome do provedor (padrão: LLM_PROVIDER)
+   * @returns {object}
+   */
+  getProvider(name) {
+    const providerName = name || process.env.LLM_PROVIDER || 'openai';
+    if (!PROVIDERS.includes(providerName)) {
+      throw new Error(`Provedor de IA não suportado: ${providerName}. Use: ${PROVIDERS.join(', ')}`);
+    }
+
+    if (!this.providers.has(providerName)) {
+      const provider = providerName === 'mock'
+        ? new MockLlmProvider({ reply: process.env.LLM_MOCK_REPLY })
+        : new OpenAiCompatibleProvider({
+          baseUrl: process.env.LLM_API_URL || 'https://api.openai.com/v1',
+          apiKey: process.env.LLM_API_KEY,
+          model: process.env.LLM_MODEL || 'gpt-4o-mini',
+          timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000
+        });
+      this.providers.set(providerName, provider);
+      console.log(`🤖 Provedor de IA: ${provider.name}`);
+    }
+    return this.providers.get(providerName);
+  }
+
+  /**
+   * Gera uma resposta
+   * @param {object} params - { messages, model, temperature, maxTokens, json }
+   * @param {string} providerName - Provedor (padrão: LLM_PROVIDER)
+   * @returns {Promise<object>} - { text, model, usage, provider }
+   */
+  async complete(params, providerName) {
+    const provider = this.getProvider(providerName);
+    const result = await provider.complete(params);
+    return { ...result, provider: provider.name };
+  }
+
+  /**
+   * Normaliza os campos a extrair da conversa
+   * @param {Array} fields - [{ name, description, type }] ou nomes
+   * @returns {Array<object>}
+   */
+  normalizeFields(fields = []) {
+    return (Array.isArray(fields) ? fields : [])
+      .map(field => (typeof field === 'string' ? { name: field } : field || {}))
+      .map(field => ({
+        name: String(field.name || '').trim(),
+        description: String(field.description || '').trim(),
+        type: FIELD_TYPES.includes(field.type) ? field.type : 'string'
+      }))
+      .filter(field => /^[A-Za-z_][A-Za-z0-9_]*$/.test(field.name));
+  }
+
+  /**
+   * Instruções para a resposta em JSON com os campos extraídos
+   * @param {Array<object>} fields - Campos normalizados
+   * @returns {string}
+   */
+  buildExtractionInstructions(fields) {
+    const lines = fields.map(field => `- ${field.name} (${field.type})${field.description ? `: ${field.description}` : ''}`);
+    return [
+      'Responda SOMENTE com um JSON no formato {"reply": "<mensagem para o contato>", "fields": {...}}.',
+      'Em "fields", preencha os campos abaixo com base na conversa; use null quando a informação ainda não foi informada:',
+      ...lines
+    ].join('\n');
+  }
+
+  /**
+   * Separa a mensagem e os campos de uma resposta em JSON
+   * Respostas que não são JSON válido viram apenas a mensagem
+   * @param {string} text - Resposta do provedor
+   * @param {Array<object>} fields - Campos normalizados
+   * @returns {object} - { reply, fields }
+   */
+  parseStructuredReply(text = '', fields = []) {
+    const raw = String(text || '').trim();
+    const jsonText = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText.substring(jsonText.indexOf('{'), jsonText.lastIndexOf('}') + 1));
+    } catch (error) {
+      return { reply: raw, fields: {} };
+    }
+
+    const source = parsed.fields && typeof parsed.fields === 'object' ? parsed.fields : parsed;
+    const extracted = {};
+    fields.forEach(field => {
+      const value = source[field.name];
+      if (value === undefined || value === null || value === '') return;
+
+      if (field.type === 'number') {
+        const number = Number(String(value).replace(',', '.'));
+        if (Number.isFinite(number)) extracted[field.name] = number;
+      } else if (field.type === 'boolean') {
+        extracted[field.name] = value === true || ['true', 'sim', 'yes'].includes(String(value).toLowerCase());
+      } else {
+        extracted[field.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+    });
+
+    return {
+      reply: String(parsed.reply || parsed.resposta || '').trim(),
+      fields: extracted
+    };
+  }
+}
+
+module.exports = new LlmService();
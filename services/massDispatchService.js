@@ -1,15 +1,113 @@
 const MassDispatch = require('../models/MassDispatch');
 const Template = require('../models/Template');
+const User = require('../models/User');
+const Instance = require('../models/Instance');
 const evolutionApi = require('./evolutionApi');
 const phoneService = require('./phoneService');
 const socketManager = require('../utils/socketManager');
 const templateUtils = require('../utils/templateUtils');
+const scheduleUtils = require('../utils/scheduleUtils');
+const rateLimiterService = require('./rateLimiterService');
+const suppressionService = require('./suppressionService');
+const segmentService = require('./segmentService');
+const templateVersionService = require('./templateVersionService');
+const mediaAssetService = require('./mediaAssetService');
+const storageService = require('./storageService');
+const { isInteractiveType, describeInteractiveOptions } = require('../utils/interactiveMessageUtils');
+const redisClient = require('../utils/redisClient');
+const JobQueue = require('../utils/jobQueue');
+
+// Janela para considerar uma mensagem recebida como resposta ao disparo
+const REPLY_ATTRIBUTION_DAYS = 7;
+// Registro de tentativas de envio (idempotência em caso de reprocessamento do job)
+const SEND_ATTEMPT_PREFIX = 'massdispatch:send';
+const SEND_ATTEMPT_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Motivos exibidos nas pausas automáticas
+const AUTO_PAUSE_REASONS = {
+  instance_disconnected: 'Pausado automaticamente: instância desconectada',
+  failure_spike: 'Pausado automaticamente: muitas falhas nos últimos envios'
+};
 
 class MassDispatchService {
   constructor() {
-    this.activeDispatches = new Map(); // instanceName -> dispatchId
-    this.timers = new Map(); // dispatchId -> timer
-    this.deleteTimers = new Map(); // `${dispatchId}-${numberIndex}` -> timer
+    // Passos do disparo e exclusões agendadas ficam no Redis e podem ser processados por qualquer processo
+    this.queue = new JobQueue('mass-dispatch', {
+      leaseMs: 10 * 60 * 1000,
+      concurrency: 5
+    });
+  }
+
+  /**
+   * Inicia o worker da fila de disparos neste processo
+   */
+  startWorker() {
+    this.queue.start(job => this.handleJob(job));
+  }
+
+  /**
+   * Executa um job da fila
+   * @param {object} job - { id, payload: { type, dispatchId, numberIndex } }
+   */
+  async handleJob(job) {
+    const { type, dispatchId, numberIndex } = job.payload || {};
+
+    switch (type) {
+      case 'step':
+        await this.processDispatch(dispatchId);
+        break;
+
+      case 'delete': {
+        const dispatch = await MassDispatch.findById(dispatchId);
+        if (dispatch && dispatch.numbers[numberIndex]) {
+          await this.deleteMessage(dispatch, dispatch.numbers[numberIndex], numberIndex);
+        }
+        break;
+      }
+
+      default:
+        console.warn(`⚠️ Job desconhecido na fila de disparos: ${job.id}`);
+    }
+  }
+
+  /**
+   * Agenda o próximo passo do disparo (substitui o agendamento anterior, se houver)
+   * @param {string} dispatchId - ID do disparo
+   * @param {number} delayMs - Atraso em ms
+   */
+  async scheduleStep(dispatchId, delayMs = 0) {
+    const id = dispatchId.toString();
+    await this.queue.enqueue(`step:${id}`, { type: 'step', dispatchId: id }, { delayMs });
+  }
+
+  /**
+   * Remove o próximo passo agendado do disparo
+   * @param {string} dispatchId - ID do disparo
+   */
+  async cancelStep(dispatchId) {
+    try {
+      await this.queue.remove(`step:${dispatchId.toString()}`);
+    } catch (error) {
+      console.error('❌ Erro ao remover passo do disparo da fila:', error.message);
+    }
+  }
+
+  /**
+   * Verifica se há outro disparo em execução na instância
+   * @param {string} instanceName - Nome da instância
+   * @param {string} exceptId - Disparo a ignorar na verificação
+   * @returns {boolean}
+   */
+  async hasActiveDispatch(instanceName, exceptId = null) {
+    const query = { instanceName, status: 'running', isActive: true };
+    if (exceptId) {
+      query._id = { $ne: exceptId };
+    }
+    return !!(await MassDispatch.exists(query));
+  }
+
+  getSendAttemptKey(dispatch, numberIndex) {
+    const runKey = dispatch.startedAt ? new Date(dispatch.startedAt).getTime() : 0;
+    return `${SEND_ATTEMPT_PREFIX}:${dispatch._id}:${runKey}:${numberIndex}`;
   }
 
   /**
@@ -18,26 +116,79 @@ class MassDispatchService {
    * @returns {object} - Disparo criado
    */
   async createDispatch(data) {
-    const dispatch = new MassDispatch(data);
+    // Mídias da biblioteca informadas apenas por mediaAssetId
+    const template = await mediaAssetService.resolveTemplateMedia(data.userId, data.template);
+    const dispatch = new MassDispatch({ ...data, template });
     await dispatch.save();
+    await this.syncMediaReferences(dispatch);
     return dispatch;
   }
 
+  /**
+   * Registra as mídias da biblioteca usadas pelo disparo (template e variantes do teste A/B)
+   * @param {object} dispatch - Disparo
+   */
+  async syncMediaReferences(dispatch) {
+    const assetIds = mediaAssetService.collectAssetIds({
+      template: dispatch.template,
+      variants: (dispatch.abTest?.variants || []).map(variant => variant.template)
+    });
+    await mediaAssetService.syncReferences(dispatch.userId, 'dispatch', dispatch._id, assetIds);
+  }
+
   /**
    * Processa e valida números de telefone
    * @param {string} dispatchId - ID do disparo
    * @param {Array} rawNumbers - Números brutos
+   * @param {object} options - { append: adiciona à lista atual ignorando números já presentes }
    * @returns {object} - Resultado do processamento
    */
-  async processNumbers(dispatchId, rawNumbers) {
+  async processNumbers(dispatchId, rawNumbers, { append = false } = {}) {
     const dispatch = await MassDispatch.findById(dispatchId);
     if (!dispatch) throw new Error('Disparo não encontrado');
 
+    const previousStatus = dispatch.status;
     dispatch.status = 'validating';
     await dispatch.save();
 
-    // Processar números
-    const processedNumbers = phoneService.processPhoneList(rawNumbers);
+    // Processar números (sem código do país: país padrão da instância/usuário)
+    const defaultCountry = await phoneService.resolveDefaultCountry({
+      userId: dispatch.userId,
+      instanceName: dispatch.instanceName
+    });
+    let processedNumbers = phoneService.processPhoneList(rawNumbers, { defaultCountry });
+
+    // Mesclar duplicados (mesmo número formatado): mantém a primeira ocorrência e completa nome/colunas vazias
+    const firstByNumber = new Map();
+    let duplicates = 0;
+    processedNumbers = processedNumbers.filter(processed => {
+      if (!processed.isValid || !processed.formatted) return true;
+
+      const first = firstByNumber.get(processed.formatted);
+      if (!first) {
+        firstByNumber.set(processed.formatted, processed);
+        return true;
+      }
+
+      duplicates++;
+      first.userProvidedName = first.userProvidedName || processed.userProvidedName || null;
+      Object.entries(processed.customFields || {}).forEach(([key, value]) => {
+        first.customFields = first.customFields || {};
+        if ((first.customFields[key] === undefined || first.customFields[key] === '') && value !== '') {
+          first.customFields[key] = value;
+        }
+      });
+      return false;
+    });
+
+    if (duplicates > 0) {
+      console.log(`🔁 ${duplicates} número(s) duplicado(s) mesclado(s) no disparo ${dispatchId}`);
+    }
+
+    if (append) {
+      const existing = new Set(dispatch.numbers.map(n => n.formatted));
+      processedNumbers = processedNumbers.filter(p => !existing.has(p.formatted));
+    }
     
     // Preparar lista para validação no WhatsApp
     const numbersToValidate = processedNumbers
@@ -93,19 +244,41 @@ class MassDispatchService {
         original: processed.original,
         formatted: processed.formatted,
         valid: processed.isValid && (validation ? validation.exists : true),
+        country: processed.country || null,
+        numberType: processed.numberType || null,
+        error: processed.isValid ? undefined : processed.error,
         contactName: contactName, // Nome fornecido pelo usuário (pode ser null)
         whatsappName: whatsappName, // Nome retornado pelo WhatsApp (pode ser null)
+        customFields: processed.customFields || {}, // Colunas extras da planilha
         status: 'pending'
       };
     });
 
+    // Contatos descadastrados não recebem o disparo
+    const suppressedNumbers = await suppressionService.findSuppressed(
+      dispatch.userId,
+      finalNumbers.filter(n => n.valid).map(n => n.formatted)
+    );
+    finalNumbers.forEach(num => {
+      if (num.valid && suppressedNumbers.has(num.formatted)) {
+        num.status = 'skipped';
+        num.skipReason = 'suppressed';
+      }
+    });
+
+    if (suppressedNumbers.size > 0) {
+      console.log(`🚫 ${suppressedNumbers.size} número(s) descadastrado(s) ignorado(s) no disparo ${dispatchId}`);
+    }
+
     // Atualizar disparo
-    dispatch.numbers = finalNumbers;
+    dispatch.numbers = append ? dispatch.numbers.concat(finalNumbers) : finalNumbers;
     dispatch.updateStatistics();
-    dispatch.status = 'ready';
+    dispatch.status = append && previousStatus !== 'draft' ? previousStatus : 'ready';
     
     // Calcular próximo horário de execução se agendamento estiver habilitado
-    if (dispatch.settings.schedule?.enabled && dispatch.settings.schedule.startTime) {
+    if (dispatch.recurrence?.mode === 'recurring') {
+      dispatch.nextScheduledRun = this.calculateNextRecurrence(dispatch);
+    } else if (dispatch.settings.schedule?.enabled && dispatch.settings.schedule.startTime) {
       dispatch.nextScheduledRun = this.calculateNextRun(dispatch);
     }
     
@@ -118,32 +291,548 @@ class MassDispatchService {
       statistics: dispatch.statistics
     });
 
+    const customFieldKeys = this.getCustomFieldKeys(dispatch);
+
     return {
       dispatch,
-      statistics: phoneService.generateStats(processedNumbers)
+      statistics: phoneService.generateStats(processedNumbers),
+      suppressed: suppressedNumbers.size,
+      duplicates,
+      customFieldKeys,
+      unknownVariables: templateUtils.findUnknownVariables(dispatch.template, customFieldKeys)
+    };
+  }
+
+  /**
+   * Configuração do limite de frequência entre campanhas do usuário
+   * @param {string} userId - ID do usuário
+   * @returns {object} - { enabled, maxMessages, windowHours }
+   */
+  async getFrequencyCap(userId) {
+    const user = await User.findById(userId).select('frequencyCap').lean();
+    const cap = user?.frequencyCap || {};
+
+    return {
+      enabled: !!cap.enabled,
+      maxMessages: cap.maxMessages || 1,
+      windowHours: cap.windowHours || 48
+    };
+  }
+
+  /**
+   * Verifica se o contato já recebeu o máximo de campanhas dentro da janela
+   * Considera os números enviados em outros disparos do usuário (execuções do próprio disparo não contam)
+   * @param {object} dispatch - Disparo
+   * @param {string} formatted - Número formatado
+   * @returns {boolean}
+   */
+  async isFrequencyCapped(dispatch, formatted) {
+    const cap = await this.getFrequencyCap(dispatch.userId);
+    if (!cap.enabled) return false;
+
+    const since = new Date(Date.now() - cap.windowHours * 60 * 60 * 1000);
+    const variants = suppressionService.getNumberVariants(formatted);
+    if (variants.length === 0) return false;
+
+    const campaigns = await MassDispatch.countDocuments({
+      userId: dispatch.userId,
+      _id: { $ne: dispatch._id },
+      numbers: {
+        $elemMatch: {
+          formatted: { $in: variants },
+          status: { $in: MassDispatch.SENT_STATUSES },
+          sentAt: { $gte: since }
+        }
+      }
+    });
+
+    return campaigns >= cap.maxMessages;
+  }
+
+  /**
+   * Avalia o segmento do disparo e sincroniza a lista de números
+   * Novos membros são adicionados; pendentes que saíram do segmento ficam ignorados até voltarem
+   * @param {object} dispatch - Disparo
+   * @returns {object} - Disparo recarregado com a lista sincronizada
+   */
+  async loadSegmentNumbers(dispatch) {
+    const rawNumbers = await segmentService.getRawNumbers(dispatch.segmentId);
+
+    // Valida no WhatsApp e aplica a lista de supressão apenas para os novos membros
+    await this.processNumbers(dispatch._id, rawNumbers, { append: true });
+
+    const refreshed = await MassDispatch.findById(dispatch._id);
+    const defaultCountry = await phoneService.resolveDefaultCountry({
+      userId: refreshed.userId,
+      instanceName: refreshed.instanceName
+    });
+    const members = new Set(phoneService.processPhoneList(rawNumbers, { defaultCountry }).map(p => p.formatted));
+
+    refreshed.numbers.forEach(num => {
+      const isMember = members.has(num.formatted);
+      if (num.status === 'pending' && !isMember) {
+        num.status = 'skipped';
+        num.skipReason = 'not_in_segment';
+      } else if (num.status === 'skipped' && num.skipReason === 'not_in_segment' && isMember) {
+        num.status = 'pending';
+        num.skipReason = undefined;
+      }
+    });
+
+    refreshed.updateStatistics();
+    await refreshed.save();
+
+    console.log(`🎯 Segmento do disparo ${dispatch.name}: ${members.size} contato(s), ${refreshed.statistics.pending} pendente(s)`);
+
+    return refreshed;
+  }
+
+  /**
+   * Lista as colunas extras (variáveis personalizadas) presentes nos números do disparo
+   * @param {object} dispatch - Disparo
+   * @returns {Array<string>} - Chaves das colunas
+   */
+  getCustomFieldKeys(dispatch) {
+    const keys = new Set();
+    (dispatch.numbers || []).forEach(num => {
+      Object.keys(num.customFields || {}).forEach(key => keys.add(key));
+    });
+    return Array.from(keys);
+  }
+
+  /**
+   * Monta a configuração do teste A/B a partir dos dados enviados na criação do disparo
+   * @param {string} userId - ID do usuário
+   * @param {object} abTest - { enabled, testPercentage, evaluationMinutes, variants: [{ templateId, template, percentage }] }
+   * @returns {object} - Configuração pronta para o modelo
+   */
+  async buildAbTestConfig(userId, abTest) {
+    if (!abTest || !abTest.enabled) {
+      return { enabled: false };
+    }
+
+    const variantsInput = Array.isArray(abTest.variants) ? abTest.variants : [];
+    if (variantsInput.length < 2) {
+      throw new Error('O teste A/B precisa de pelo menos dois templates');
+    }
+
+    const variants = [];
+    for (let i = 0; i < variantsInput.length; i++) {
+      const input = variantsInput[i];
+      let template = input.template || null;
+
+      let templateVersion = null;
+      if (input.templateId) {
+        let version;
+        try {
+          version = await templateVersionService.getUsableVersion(input.templateId, userId);
+        } catch (error) {
+          throw new Error(`Template da variante ${i + 1}: ${error.message}`);
+        }
+        template = this.buildDispatchTemplate(version.snapshot);
+        templateVersion = version.version;
+      }
+
+      if (!template || !template.type) {
+        throw new Error(`Template da variante ${i + 1} é obrigatório`);
+      }
+
+      variants.push({
+        key: input.key || String.fromCharCode(65 + i), // A, B, C...
+        templateId: input.templateId || null,
+        templateVersion,
+        template,
+        percentage: Number(input.percentage) || 0
+      });
+    }
+
+    // Sem percentuais informados: dividir igualmente
+    const totalPercentage = variants.reduce((sum, v) => sum + v.percentage, 0);
+    if (totalPercentage === 0) {
+      variants.forEach(v => { v.percentage = 100 / variants.length; });
+    } else if (Math.round(totalPercentage) !== 100) {
+      throw new Error('A soma dos percentuais das variantes deve ser 100');
+    }
+
+    return {
+      enabled: true,
+      testPercentage: Number(abTest.testPercentage) || 20,
+      evaluationMinutes: abTest.evaluationMinutes !== undefined ? Number(abTest.evaluationMinutes) : 120,
+      variants,
+      phase: 'pending'
     };
   }
 
+  /**
+   * Sorteia o grupo de teste e distribui as variantes conforme os percentuais
+   * Números fora do grupo de teste ficam sem variante e recebem a vencedora
+   * @param {object} dispatch - Disparo
+   */
+  assignAbTestCohorts(dispatch) {
+    const candidates = dispatch.numbers.filter(n => n.valid && n.status === 'pending');
+
+    // Embaralhar (Fisher-Yates) para não enviesar pela ordem da planilha
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    const cohortSize = Math.max(
+      dispatch.abTest.variants.length,
+      Math.round(candidates.length * (dispatch.abTest.testPercentage / 100))
+    );
+    const cohort = candidates.slice(0, Math.min(cohortSize, candidates.length));
+
+    let offset = 0;
+    dispatch.abTest.variants.forEach((variant, index) => {
+      const isLast = index === dispatch.abTest.variants.length - 1;
+      const size = isLast
+        ? cohort.length - offset
+        : Math.round(cohort.length * (variant.percentage / 100));
+
+      cohort.slice(offset, offset + size).forEach(num => {
+        num.abVariant = variant.key;
+      });
+      offset += size;
+    });
+
+    dispatch.abTest.phase = 'testing';
+    dispatch.markModified('abTest');
+  }
+
+  /**
+   * Verifica se o número deve ser enviado na fase atual do disparo
+   * Durante o teste A/B apenas o grupo de teste é enviado
+   * @param {object} dispatch - Disparo
+   * @param {object} num - Número do disparo
+   * @returns {boolean}
+   */
+  isNumberEligible(dispatch, num) {
+    if (!num || !num.valid || num.status !== 'pending') return false;
+
+    if (dispatch.abTest?.enabled && dispatch.abTest.phase === 'testing') {
+      return !!num.abVariant;
+    }
+
+    return true;
+  }
+
+  /**
+   * Retorna o template que deve ser enviado para o número
+   * @param {object} dispatch - Disparo
+   * @param {object} numberData - Número do disparo
+   * @returns {object} - Template
+   */
+  getTemplateForNumber(dispatch, numberData) {
+    if (dispatch.abTest?.enabled && numberData.abVariant) {
+      const variant = dispatch.abTest.variants.find(v => v.key === numberData.abVariant);
+      if (variant?.template) {
+        return variant.template;
+      }
+    }
+
+    return dispatch.template;
+  }
+
+  /**
+   * Calcula envios, respostas e taxa de resposta de cada variante do teste A/B
+   * @param {object} dispatch - Disparo
+   * @returns {Array} - Resultados por variante
+   */
+  calculateAbTestResults(dispatch) {
+    return dispatch.abTest.variants.map(variant => {
+      const numbers = dispatch.numbers.filter(n => n.abVariant === variant.key && MassDispatch.SENT_STATUSES.includes(n.status));
+      const replied = numbers.filter(n => n.repliedAt).length;
+
+      variant.sent = numbers.length;
+      variant.replied = replied;
+      variant.replyRate = numbers.length > 0 ? Math.round((replied / numbers.length) * 10000) / 100 : 0;
+
+      return {
+        key: variant.key,
+        sent: variant.sent,
+        replied: variant.replied,
+        replyRate: variant.replyRate
+      };
+    });
+  }
+
+  /**
+   * Encerra o envio do grupo de teste e aguarda respostas antes de escolher a vencedora
+   * @param {string} dispatchId - ID do disparo
+   */
+  async finishAbTestCohort(dispatchId) {
+    const dispatch = await MassDispatch.findById(dispatchId);
+    if (!dispatch) return;
+
+    await this.cancelStep(dispatchId);
+
+    const now = new Date();
+    dispatch.abTest.phase = 'evaluating';
+    dispatch.abTest.testCompletedAt = now;
+    dispatch.abTest.evaluateAt = new Date(now.getTime() + (dispatch.abTest.evaluationMinutes || 0) * 60 * 1000);
+    dispatch.markModified('abTest');
+
+    // Liberar a instância enquanto aguarda as respostas
+    dispatch.status = 'paused';
+    dispatch.isActive = false;
+    dispatch.pausedAt = now;
+    dispatch.error = 'Aguardando respostas do teste A/B';
+    dispatch.nextScheduledRun = null;
+    await dispatch.save();
+
+    socketManager.emitToUser(dispatch.userId, 'mass-dispatch-ab-test', {
+      dispatchId: dispatch._id,
+      phase: dispatch.abTest.phase,
+      evaluateAt: dispatch.abTest.evaluateAt,
+      results: this.calculateAbTestResults(dispatch)
+    });
+  }
+
+  /**
+   * Escolhe a variante vencedora pela taxa de resposta e envia o restante da lista com ela
+   * @param {string} dispatchId - ID do disparo
+   * @param {string} winnerKey - Força uma variante específica (opcional)
+   * @returns {object} - Resultado da escolha
+   */
+  async selectAbTestWinner(dispatchId, winnerKey = null) {
+    const dispatch = await MassDispatch.findById(dispatchId);
+    if (!dispatch) throw new Error('Disparo não encontrado');
+
+    if (!dispatch.abTest?.enabled) {
+      throw new Error('Disparo não possui teste A/B');
+    }
+
+    if (!['testing', 'evaluating'].includes(dispatch.abTest.phase)) {
+      throw new Error('Teste A/B não está aguardando escolha da vencedora');
+    }
+
+    if (dispatch.abTest.phase === 'testing' && dispatch.status === 'running') {
+      throw new Error('Pause o disparo antes de escolher a vencedora');
+    }
+
+    const results = this.calculateAbTestResults(dispatch);
+
+    let winner;
+    if (winnerKey) {
+      winner = dispatch.abTest.variants.find(v => v.key === winnerKey);
+      if (!winner) throw new Error('Variante não encontrada');
+    } else {
+      // Maior taxa de resposta; empate decidido pelo maior número de respostas e depois pela ordem
+      winner = dispatch.abTest.variants.reduce((best, variant) => {
+        if (!best) return variant;
+        if (variant.replyRate > best.replyRate) return variant;
+        if (variant.replyRate === best.replyRate && variant.replied > best.replied) return variant;
+        return best;
+      }, null);
+    }
+
+    dispatch.abTest.phase = 'winner';
+    dispatch.abTest.winnerKey = winner.key;
+    dispatch.abTest.decidedAt = new Date();
+    dispatch.markModified('abTest');
+
+    // Restante da lista usa o template vencedor
+    dispatch.template = winner.template;
+    dispatch.templateId = winner.templateId || null;
+    dispatch.templateVersion = winner.templateVersion || null;
+    dispatch.markModified('template');
+
+    const firstPendingIndex = dispatch.numbers.findIndex(n => n.valid && n.status === 'pending');
+    dispatch.currentIndex = firstPendingIndex === -1 ? 0 : firstPendingIndex;
+    dispatch.error = undefined;
+    await dispatch.save();
+
+    console.log(`🏆 Teste A/B do disparo ${dispatch.name}: variante ${winner.key} venceu (${winner.replyRate}% de resposta)`);
+
+    socketManager.emitToUser(dispatch.userId, 'mass-dispatch-ab-test', {
+      dispatchId: dispatch._id,
+      phase: dispatch.abTest.phase,
+      winnerKey: winner.key,
+      results
+    });
+
+    if (firstPendingIndex === -1) {
+      await this.completeDispatch(dispatchId);
+      return { success: true, winnerKey: winner.key, results };
+    }
+
+    // Seguir com o restante da lista (se não for possível agora, fica pausado para retomada)
+    try {
+      await this.resumeDispatch(dispatchId);
+    } catch (error) {
+      console.warn(`⚠️ Vencedora definida, mas o disparo ${dispatchId} não pôde ser retomado: ${error.message}`);
+    }
+
+    return { success: true, winnerKey: winner.key, results };
+  }
+
+  /**
+   * Registra a resposta de um contato nos disparos enviados recentemente para ele
+   * @param {string} instanceName - Nome da instância
+   * @param {string} remoteJid - JID de quem respondeu
+   * @param {Date} repliedAt - Data da resposta
+   */
+  async registerReply(instanceName, remoteJid, repliedAt = new Date()) {
+    if (!remoteJid || !remoteJid.endsWith('@s.whatsapp.net')) return;
+
+    if (!(repliedAt instanceof Date) || isNaN(repliedAt.getTime())) {
+      repliedAt = new Date();
+    }
+
+    const number = remoteJid.split('@')[0];
+    const since = new Date(repliedAt.getTime() - REPLY_ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000);
+    const matchesNumber = n => n.remoteJid === remoteJid || n.formatted === number;
+
+    try {
+      const dispatches = await MassDispatch.find({
+        instanceName,
+        numbers: {
+          $elemMatch: {
+            status: { $in: MassDispatch.SENT_STATUSES },
+            repliedAt: null,
+            sentAt: { $gte: since },
+            $or: [{ remoteJid }, { formatted: number }]
+          }
+        }
+      });
+
+      for (const dispatch of dispatches) {
+        dispatch.numbers.forEach(num => {
+          if (MassDispatch.SENT_STATUSES.includes(num.status) && !num.repliedAt && num.sentAt >= since && matchesNumber(num)) {
+            num.repliedAt = repliedAt;
+            num.status = 'replied';
+            // Responder implica ter recebido e lido (confirmações podem estar desativadas no aparelho)
+            num.deliveredAt = num.deliveredAt || repliedAt;
+            num.readAt = num.readAt || repliedAt;
+          }
+        });
+
+        dispatch.updateStatistics();
+
+        if (dispatch.abTest?.enabled && dispatch.abTest.phase !== 'pending') {
+          this.calculateAbTestResults(dispatch);
+          dispatch.markModified('abTest');
+        }
+
+        await dispatch.save();
+
+        socketManager.emitToUser(dispatch.userId, 'mass-dispatch-updated', {
+          dispatchId: dispatch._id,
+          status: dispatch.status,
+          statistics: dispatch.statistics
+        });
+      }
+    } catch (error) {
+      console.error('❌ Erro ao registrar resposta de disparo:', error);
+    }
+  }
+
+  /**
+   * Converte o status recebido no MESSAGES_UPDATE para o status do número no disparo
+   * Aceita o formato textual (DELIVERY_ACK, READ, PLAYED) e o numérico do Baileys (3, 4, 5)
+   * @param {string|number} ackStatus - Status recebido
+   * @returns {string|null} - 'delivered', 'read' ou null
+   */
+  mapReceiptStatus(ackStatus) {
+    switch (String(ackStatus).toUpperCase()) {
+      case 'DELIVERY_ACK':
+      case '3':
+        return 'delivered';
+      case 'READ':
+      case 'PLAYED':
+      case '4':
+      case '5':
+        return 'read';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Registra confirmação de entrega/leitura de uma mensagem enviada pelo disparo
+   * O status só avança (enviado → entregue → lido), nunca retrocede
+   * @param {string} instanceName - Nome da instância
+   * @param {string} messageId - ID da mensagem enviada
+   * @param {string|number} ackStatus - Status recebido no webhook
+   */
+  async registerReceipt(instanceName, messageId, ackStatus) {
+    const status = this.mapReceiptStatus(ackStatus);
+    if (!messageId || !status) return;
+
+    const now = new Date();
+    const sentStatuses = MassDispatch.SENT_STATUSES;
+    const lowerStatuses = sentStatuses.slice(0, sentStatuses.indexOf(status));
+
+    try {
+      const update = status === 'delivered'
+        ? { 'numbers.$.status': 'delivered', 'numbers.$.deliveredAt': now }
+        : { 'numbers.$.status': 'read', 'numbers.$.readAt': now };
+
+      const result = await MassDispatch.updateOne(
+        {
+          instanceName,
+          numbers: { $elemMatch: { messageId, status: { $in: lowerStatuses } } }
+        },
+        { $set: update }
+      );
+
+      if (!result.modifiedCount) return;
+
+      // Leitura sem confirmação de entrega anterior: entregue no mesmo momento
+      if (status === 'read') {
+        await MassDispatch.updateOne(
+          { instanceName, numbers: { $elemMatch: { messageId, deliveredAt: null } } },
+          { $set: { 'numbers.$.deliveredAt': now } }
+        );
+      }
+
+      const dispatch = await MassDispatch.findOne({ instanceName, 'numbers.messageId': messageId });
+      if (!dispatch) return;
+
+      dispatch.updateStatistics();
+      await MassDispatch.updateOne({ _id: dispatch._id }, { $set: { statistics: dispatch.statistics } });
+
+      socketManager.emitToUser(dispatch.userId, 'mass-dispatch-updated', {
+        dispatchId: dispatch._id,
+        status: dispatch.status,
+        statistics: dispatch.statistics
+      });
+    } catch (error) {
+      console.error('❌ Erro ao registrar confirmação de disparo:', error);
+    }
+  }
+
   /**
    * Inicia um disparo em massa
    * @param {string} dispatchId - ID do disparo
    * @returns {object} - Status do início
    */
   async startDispatch(dispatchId) {
-    const dispatch = await MassDispatch.findById(dispatchId);
+    let dispatch = await MassDispatch.findById(dispatchId);
     if (!dispatch) throw new Error('Disparo não encontrado');
 
     if (dispatch.status !== 'ready') {
       throw new Error('Disparo não está pronto para execução');
     }
 
-    await this.refreshTemplateIfNeeded(dispatch);
+    await this.pinTemplateVersion(dispatch);
 
     // Verificar se já existe um disparo ativo para esta instância
-    if (this.activeDispatches.has(dispatch.instanceName)) {
+    if (await this.hasActiveDispatch(dispatch.instanceName, dispatch._id)) {
       throw new Error('Já existe um disparo ativo para esta instância');
     }
 
+    // Público por segmento: avaliado no momento do início
+    if (dispatch.segmentId) {
+      dispatch = await this.loadSegmentNumbers(dispatch);
+    }
+
+    // Sortear grupo de teste A/B na primeira execução
+    if (dispatch.abTest?.enabled && dispatch.abTest.phase === 'pending') {
+      this.assignAbTestCohorts(dispatch);
+    }
+
     // Verificar se está no horário permitido
     if (!dispatch.isWithinSchedule()) {
       dispatch.status = 'scheduled';
@@ -169,12 +858,11 @@ class MassDispatchService {
     dispatch.isActive = true;
     dispatch.startedAt = new Date();
     dispatch.currentIndex = 0;
+    dispatch.nextScheduledRun = null;
+    this.openRun(dispatch);
     dispatch.updateStatistics();
     await dispatch.save();
 
-    // Registrar disparo ativo
-    this.activeDispatches.set(dispatch.instanceName, dispatchId);
-
     // Enviar progresso inicial
     const totalValid = dispatch.statistics.validNumbers || dispatch.numbers.filter(n => n.valid).length;
     const sent = dispatch.statistics.sent || 0;
@@ -191,7 +879,7 @@ class MassDispatchService {
     });
 
     // Iniciar processo de envio
-    this.processDispatch(dispatchId);
+    await this.scheduleStep(dispatchId);
 
     // Notificar via WebSocket
     socketManager.emitToUser(dispatch.userId, 'mass-dispatch-started', {
@@ -220,10 +908,15 @@ class MassDispatchService {
       return;
     }
 
-    const validNumbers = dispatch.numbers.filter(n => n.valid && n.status === 'pending');
+    const isAbTesting = dispatch.abTest?.enabled && dispatch.abTest.phase === 'testing';
+    const validNumbers = dispatch.numbers.filter(n => this.isNumberEligible(dispatch, n));
     
     // Verificar se ainda há números pendentes para processar
     if (validNumbers.length === 0) {
+      // Fim do grupo de teste A/B: aguardar respostas antes de enviar o restante
+      if (isAbTesting) {
+        return this.finishAbTestCohort(dispatchId);
+      }
       // Disparo concluído
       return this.completeDispatch(dispatchId);
     }
@@ -232,14 +925,14 @@ class MassDispatchService {
     const currentNumber = dispatch.numbers[dispatch.currentIndex];
     
     // Se o número atual não está pendente, procurar o próximo pendente
-    if (!currentNumber || currentNumber.status !== 'pending' || !currentNumber.valid) {
+    if (!this.isNumberEligible(dispatch, currentNumber)) {
       // Encontrar próximo número pendente
       const nextPendingIndex = dispatch.numbers.findIndex((num, idx) => 
-        idx > dispatch.currentIndex && num.valid && num.status === 'pending'
+        idx > dispatch.currentIndex && this.isNumberEligible(dispatch, num)
       );
       
       if (nextPendingIndex === -1) {
-        return this.completeDispatch(dispatchId);
+        return isAbTesting ? this.finishAbTestCohort(dispatchId) : this.completeDispatch(dispatchId);
       }
       
       dispatch.currentIndex = nextPendingIndex;
@@ -249,12 +942,106 @@ class MassDispatchService {
       return this.processDispatch(dispatchId);
     }
 
+    // Drip: cota diária atingida, encerrar a execução de hoje
+    if (this.isRunQuotaReached(dispatch)) {
+      console.log(`💧 Cota diária do disparo ${dispatch.name} atingida (${dispatch.recurrence.perDay}). Próximo lote amanhã.`);
+      return this.completeDispatch(dispatchId);
+    }
+
     // Verificar se ainda está no horário permitido
     if (!dispatch.isWithinSchedule()) {
       console.log(`⏰ Fora do horário permitido. Pausando disparo.`);
       return this.pauseDispatch(dispatchId, 'Fora do horário permitido');
     }
 
+    // Job reprocessado (processo caiu durante o envio): não reenviar para o mesmo número
+    const sendAttemptKey = this.getSendAttemptKey(dispatch, dispatch.currentIndex);
+    const previousAttemptRaw = await redisClient.get(sendAttemptKey);
+    if (previousAttemptRaw) {
+      const previousAttempt = JSON.parse(previousAttemptRaw);
+
+      if (previousAttempt.status === 'sent') {
+        currentNumber.status = 'sent';
+        currentNumber.sentAt = previousAttempt.sentAt ? new Date(previousAttempt.sentAt) : new Date();
+        currentNumber.messageId = previousAttempt.messageId;
+        currentNumber.remoteJid = previousAttempt.remoteJid;
+      } else {
+        currentNumber.status = 'failed';
+        currentNumber.error = previousAttempt.error || 'Envio interrompido antes da confirmação (não reenviado para evitar duplicidade)';
+        currentNumber.failedAt = new Date();
+      }
+
+      this.markProcessedInRun(dispatch, currentNumber);
+      dispatch.currentIndex++;
+      dispatch.updateStatistics();
+      await dispatch.save();
+      return this.scheduleStep(dispatchId, 0);
+    }
+
+    // Contato pode ter se descadastrado depois da importação da lista
+    if (await suppressionService.isSuppressed(dispatch.userId, currentNumber.formatted)) {
+      console.log(`🚫 ${currentNumber.formatted} está descadastrado. Pulando.`);
+      currentNumber.status = 'skipped';
+      currentNumber.skipReason = 'suppressed';
+      this.markProcessedInRun(dispatch, currentNumber, false);
+      dispatch.currentIndex++;
+      dispatch.updateStatistics();
+      await dispatch.save();
+      return this.scheduleStep(dispatchId, 0);
+    }
+
+    // Limite de frequência entre campanhas do usuário (ex.: 1 mensagem por contato a cada 48h)
+    if (await this.isFrequencyCapped(dispatch, currentNumber.formatted)) {
+      console.log(`⏳ ${currentNumber.formatted} atingiu o limite de frequência de campanhas. Pulando.`);
+      currentNumber.status = 'skipped';
+      currentNumber.skipReason = 'frequency_cap';
+      this.markProcessedInRun(dispatch, currentNumber, false);
+      dispatch.currentIndex++;
+      dispatch.updateStatistics();
+      await dispatch.save();
+      return this.scheduleStep(dispatchId, 0);
+    }
+
+    // Instância desconectada: pausar sem marcar o número como falha
+    if (dispatch.settings.autoPause?.enabled !== false && await this.isInstanceDisconnected(dispatch.instanceName)) {
+      console.log(`🔌 Instância ${dispatch.instanceName} desconectada. Pausando disparo ${dispatch.name}.`);
+      return this.autoPauseDispatch(dispatchId, 'instance_disconnected');
+    }
+
+    // Reservar o envio deste número (outro worker pode ter reservado ao mesmo tempo)
+    const claimed = await redisClient.set(sendAttemptKey, JSON.stringify({
+      status: 'sending',
+      startedAt: new Date().toISOString()
+    }), { NX: true, EX: SEND_ATTEMPT_TTL_SECONDS });
+
+    if (!claimed) {
+      console.log(`⚠️ Envio para ${currentNumber.formatted} já reservado por outro worker`);
+      return;
+    }
+
+    // Respeitar o limite de envio compartilhado da instância (após a reserva, para não gastar o limite à toa)
+    const messageTemplate = this.getTemplateForNumber(dispatch, currentNumber);
+    const cost = messageTemplate?.type === 'sequence' ? (messageTemplate.sequence?.messages?.length || 1) : 1;
+    const permit = await rateLimiterService.acquire(dispatch.instanceName, { cost, maxWaitMs: 60 * 1000, automated: true });
+
+    if (!permit.allowed) {
+      // Aguardar nova janela (checando ao menos a cada 15 minutos)
+      const retryMs = Math.min(permit.retryAfterMs || 60 * 1000, 15 * 60 * 1000);
+      console.log(`🚦 Limite de envio da instância ${dispatch.instanceName} atingido (${permit.reason}). Nova tentativa em ${Math.round(retryMs / 1000)}s`);
+
+      socketManager.emitToUser(dispatch.userId, 'mass-dispatch-rate-limited', {
+        dispatchId: dispatch._id,
+        reason: permit.reason,
+        dailyLimit: permit.dailyLimit,
+        sentToday: permit.sentToday,
+        retryAt: new Date(Date.now() + retryMs).toISOString()
+      });
+
+      // Liberar a reserva: o número será enviado na próxima tentativa
+      await redisClient.del(sendAttemptKey);
+      return this.scheduleStep(dispatchId, retryMs);
+    }
+
     try {
       // Enviar mensagem e aguardar confirmação
       const sendResult = await this.sendMessage(dispatch, currentNumber);
@@ -263,15 +1050,14 @@ class MassDispatchService {
       currentNumber.status = 'sent';
       currentNumber.sentAt = new Date();
       
-      // Armazenar informações da mensagem para exclusão automática
-      // Para sequências, usar a última mensagem enviada
+      // Armazenar informações da mensagem para exclusão automática e confirmações de entrega/leitura
+      // Para sequências ({ messages: [{ success, result }] }), usar a última mensagem enviada
       let messageResult = sendResult;
-      if (Array.isArray(sendResult) && sendResult.length > 0) {
-        // Se for sequência, pegar o último resultado bem-sucedido
-        const successfulResults = sendResult.filter(r => r.success && r.result);
-        if (successfulResults.length > 0) {
-          messageResult = successfulResults[successfulResults.length - 1].result;
-        }
+      if (Array.isArray(sendResult?.messages)) {
+        const successfulResults = sendResult.messages.filter(r => r.success && r.result);
+        messageResult = successfulResults.length > 0
+          ? successfulResults[successfulResults.length - 1].result
+          : null;
       }
       
       if (messageResult && (messageResult.key || messageResult.id)) {
@@ -284,25 +1070,24 @@ class MassDispatchService {
           const delayMs = delaySeconds * 1000;
           
           const numberIndex = dispatch.currentIndex;
-          const deleteTimer = setTimeout(async () => {
-            try {
-              // Recarregar dispatch para ter dados atualizados
-              const updatedDispatch = await MassDispatch.findById(dispatch._id);
-              if (updatedDispatch && updatedDispatch.numbers[numberIndex]) {
-                await this.deleteMessage(updatedDispatch, updatedDispatch.numbers[numberIndex], numberIndex);
-              }
-            } catch (error) {
-              console.error(`Erro ao deletar mensagem automaticamente:`, error);
-            }
-          }, delayMs);
-          
-          const timerKey = `${dispatch._id}-${numberIndex}`;
-          this.deleteTimers.set(timerKey, deleteTimer);
+          await this.queue.enqueue(
+            `delete:${dispatch._id}:${numberIndex}`,
+            { type: 'delete', dispatchId: dispatch._id.toString(), numberIndex },
+            { delayMs }
+          );
           currentNumber.deleteScheduled = true;
         }
       }
+
+      await redisClient.set(sendAttemptKey, JSON.stringify({
+        status: 'sent',
+        sentAt: currentNumber.sentAt.toISOString(),
+        messageId: currentNumber.messageId,
+        remoteJid: currentNumber.remoteJid
+      }), { EX: SEND_ATTEMPT_TTL_SECONDS });
       
       // Salvar no banco ANTES de continuar
+      this.markProcessedInRun(dispatch, currentNumber);
       dispatch.currentIndex++;
       dispatch.updateStatistics();
       await dispatch.save();
@@ -326,11 +1111,7 @@ class MassDispatchService {
       // Agendar próximo envio APENAS após sucesso confirmado
       const delay = dispatch.getNextDelay();
       
-      const timer = setTimeout(() => {
-        this.processDispatch(dispatchId);
-      }, delay);
-      
-      this.timers.set(dispatchId, timer);
+      await this.scheduleStep(dispatchId, delay);
 
     } catch (error) {
       console.error(`❌ ERRO ao enviar para ${currentNumber.formatted}:`, error.message);
@@ -339,8 +1120,14 @@ class MassDispatchService {
       currentNumber.status = 'failed';
       currentNumber.error = error.message;
       currentNumber.failedAt = new Date();
+
+      await redisClient.set(sendAttemptKey, JSON.stringify({
+        status: 'failed',
+        error: error.message
+      }), { EX: SEND_ATTEMPT_TTL_SECONDS });
       
       // Salvar no banco ANTES de continuar
+      this.markProcessedInRun(dispatch, currentNumber);
       dispatch.currentIndex++;
       dispatch.updateStatistics();
       await dispatch.save();
@@ -353,12 +1140,164 @@ class MassDispatchService {
         statistics: dispatch.statistics
       });
 
+      // Muitas falhas recentes: pausar em vez de queimar a lista
+      const spike = this.getFailureSpike(dispatch);
+      if (spike) {
+        if (await this.isInstanceDisconnected(dispatch.instanceName)) {
+          return this.autoPauseDispatch(dispatchId, 'instance_disconnected');
+        }
+        return this.autoPauseDispatch(dispatchId, 'failure_spike',
+          `Pausado automaticamente: ${spike.failed} falhas nos últimos ${spike.total} envios`);
+      }
+
       // Continuar com próximo número após delay menor
-      const timer = setTimeout(() => {
-        this.processDispatch(dispatchId);
-      }, 5000); // 5 segundos em caso de erro
-      
-      this.timers.set(dispatchId, timer);
+      await this.scheduleStep(dispatchId, 5000); // 5 segundos em caso de erro
+    }
+  }
+
+  /**
+   * Monta a mensagem de um destinatário: sorteia o bloco de variação, resolve spintax e variáveis
+   * Usado pelo envio real, pela prévia e pelo envio de teste, garantindo o mesmo resultado
+   * @param {object} dispatch - Disparo
+   * @param {object} numberData - Dados do número
+   * @returns {object} - { template, processedTemplate, variant, variables, defaultName }
+   */
+  renderMessage(dispatch, numberData) {
+    // Sortear bloco de variação e resolver spintax (já retorna uma cópia independente do template)
+    const { template, variant } = templateUtils.applyTemplateVariations(this.getTemplateForNumber(dispatch, numberData));
+    const { formatted: number, contactName, whatsappName, original } = numberData;
+
+    // Obter nome padrão das configurações
+    const defaultName = dispatch.settings?.personalization?.defaultName || 'Cliente';
+
+    // Preparar variáveis para substituição
+    // A prioridade será resolvida no templateUtils:
+    // 1. userProvidedName (nome fornecido pelo usuário)
+    // 2. whatsappName (nome retornado pelo WhatsApp)
+    // 3. defaultName (Cliente ou personalizado)
+    const variables = {
+      userProvidedName: contactName, // Nome fornecido pelo usuário (pode ser null)
+      whatsappName: whatsappName, // Nome do WhatsApp (pode ser null)
+      name: contactName || whatsappName || defaultName, // Nome final para referência
+      contactName: contactName || whatsappName || defaultName, // Nome final para referência
+      number: number,
+      originalNumber: original,
+      formatted: number,
+      original: original,
+      customFields: numberData.customFields || {} // Colunas extras da planilha ($coluna / {{coluna}})
+    };
+
+    // Processar template com variáveis (sempre ativo)
+    const processedTemplate = templateUtils.processTemplate(template, variables, defaultName);
+
+    return { template, processedTemplate, variant, variables, defaultName };
+  }
+
+  /**
+   * Envia a mensagem já processada (simples ou sequência) para o número
+   * @param {string} instanceName - Nome da instância
+   * @param {string} number - Número de destino
+   * @param {object} processedTemplate - Template com variáveis resolvidas
+   * @param {object} variables - Variáveis para substituição
+   * @param {string} defaultName - Nome padrão
+   * @returns {object} - Resposta da Evolution API
+   */
+  async deliverMessage(instanceName, number, template, variables, defaultName) {
+    // Mídias do armazenamento viram URLs assinadas no momento do envio
+    const processedTemplate = await storageService.resolveTemplateUrls(template);
+
+    // Enviar sequência de mensagens
+    if (processedTemplate.type === 'sequence') {
+      return this.sendMessageSequence(instanceName, number, processedTemplate.sequence, variables, defaultName);
+    }
+
+    // Enviar mensagem simples
+    switch (processedTemplate.type) {
+      case 'text':
+        return evolutionApi.sendTextMessage(
+          instanceName,
+          number,
+          processedTemplate.content.text
+        );
+
+      case 'image':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'image'
+        );
+
+      case 'image_caption':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'image',
+          processedTemplate.content.caption
+        );
+
+      case 'video':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'video',
+          '',
+          processedTemplate.content.fileName
+        );
+
+      case 'video_caption':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'video',
+          processedTemplate.content.caption,
+          processedTemplate.content.fileName
+        );
+
+      case 'audio':
+        return evolutionApi.sendAudioUrl(
+          instanceName,
+          number,
+          processedTemplate.content.media
+        );
+
+      case 'file':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'document',
+          '',
+          processedTemplate.content.fileName
+        );
+
+      case 'file_caption':
+        return evolutionApi.sendMedia(
+          instanceName,
+          number,
+          processedTemplate.content.media,
+          'document',
+          processedTemplate.content.caption,
+          processedTemplate.content.fileName
+        );
+
+      case 'buttons':
+      case 'list':
+      case 'poll':
+      case 'location':
+      case 'contact':
+        return evolutionApi.sendInteractiveMessage(
+          instanceName,
+          number,
+          processedTemplate.type,
+          processedTemplate.content
+        );
+
+      default:
+        throw new Error(`Tipo de template não suportado: ${processedTemplate.type}`);
     }
   }
 
@@ -368,41 +1307,13 @@ class MassDispatchService {
    * @param {object} numberData - Dados do número
    */
   async sendMessage(dispatch, numberData) {
-    // Fazer deep copy do template ANTES de processar para garantir independência
-    const template = JSON.parse(JSON.stringify(dispatch.template));
+    const { template, processedTemplate, variant, variables, defaultName } = this.renderMessage(dispatch, numberData);
     const { formatted: number, contactName, whatsappName, original } = numberData;
 
-    try {
-      let result;
-
-      // Obter nome padrão das configurações
-      const defaultName = dispatch.settings?.personalization?.defaultName || 'Cliente';
-
-      // Debug: verificar o que está chegando do numberData
-      console.log(`\n🔍 DEBUG - Dados recebidos do numberData:`, {
-        formatted: numberData.formatted,
-        contactName: numberData.contactName,
-        whatsappName: numberData.whatsappName,
-        original: numberData.original,
-        fullObject: JSON.stringify(numberData)
-      });
-
-      // Preparar variáveis para substituição
-      // A prioridade será resolvida no templateUtils:
-      // 1. userProvidedName (nome fornecido pelo usuário)
-      // 2. whatsappName (nome retornado pelo WhatsApp)
-      // 3. defaultName (Cliente ou personalizado)
-      const variables = {
-        userProvidedName: contactName, // Nome fornecido pelo usuário (pode ser null)
-        whatsappName: whatsappName, // Nome do WhatsApp (pode ser null)
-        name: contactName || whatsappName || defaultName, // Nome final para referência
-        contactName: contactName || whatsappName || defaultName, // Nome final para referência
-        number: number,
-        originalNumber: original,
-        formatted: number,
-        original: original
-      };
+    // Registrar a variação recebida para comparar taxas de resposta
+    numberData.variant = variant;
 
+    try {
       console.log(`\n📝 ===========================================`);
       console.log(`📝 Processando mensagem para ${number}`);
       console.log(`   Variáveis recebidas:`);
@@ -410,129 +1321,280 @@ class MassDispatchService {
       console.log(`     - whatsappName: ${whatsappName !== null && whatsappName !== undefined ? `"${whatsappName}"` : 'null'}`);
       console.log(`     - defaultName: "${defaultName}"`);
       console.log(`     - originalNumber: "${original}"`);
-      console.log(`   Template ANTES de processar:`);
-      console.log(`     - type: ${template?.type}`);
-      console.log(`     - text: "${template?.content?.text}"`);
-      console.log(`   Chamando processTemplate...`);
-
-      // Processar template com variáveis (sempre ativo)
-      const processedTemplate = templateUtils.processTemplate(template, variables, defaultName);
-      
-      console.log(`   Template DEPOIS de processar:`);
+      console.log(`   Template processado:`);
       console.log(`     - type: ${processedTemplate?.type}`);
       console.log(`     - text: "${processedTemplate?.content?.text}"`);
       console.log(`📝 ===========================================\n`);
+
+      const result = await this.deliverMessage(dispatch.instanceName, number, processedTemplate, variables, defaultName);
+
+      // Validar resposta da API
+      if (!result) {
+        throw new Error('API retornou resposta vazia');
+      }
+
+      return result;
+
+    } catch (error) {
+      // Log detalhado do erro
+      console.error(`🚫 Erro detalhado ao enviar para ${number}:`, {
+        templateType: template.type,
+        error: error.message,
+        stack: error.stack
+      });
       
-      if (processedTemplate.type === 'sequence') {
-        // Enviar sequência de mensagens
-        result = await this.sendMessageSequence(dispatch.instanceName, number, processedTemplate.sequence, variables, defaultName);
-      } else {
-        // Enviar mensagem simples
+      // Re-throw com contexto adicional
+      throw new Error(`Falha ao enviar ${template.type} para ${number}: ${error.message}`);
+    }
+  }
 
-        switch (processedTemplate.type) {
-          case 'text':
-            result = await evolutionApi.sendTextMessage(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.text
-            );
-            break;
+  /**
+   * Resumo das mensagens que serão enviadas (para exibição na prévia)
+   * @param {object} processedTemplate - Template com variáveis resolvidas
+   * @returns {Array<object>} - [{ order, type, text, caption, media, fileName, options, delaySeconds }]
+   */
+  describeMessages(processedTemplate) {
+    const describe = (type, content = {}, order = 1, delay = 0) => ({
+      order,
+      type,
+      text: content.text || null,
+      caption: content.caption || null,
+      media: content.media || null,
+      fileName: content.fileName || null,
+      options: isInteractiveType(type) ? describeInteractiveOptions(type, content) : null,
+      delaySeconds: delay || 0
+    });
 
-          case 'image':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'image'
-            );
-            break;
+    if (processedTemplate.type === 'sequence') {
+      return (processedTemplate.sequence?.messages || [])
+        .map(message => message._doc || message)
+        .sort((a, b) => a.order - b.order)
+        .map(message => describe(message.type, message.content, message.order, message.delay));
+    }
 
-          case 'image_caption':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'image',
-              processedTemplate.content.caption
-            );
-            break;
+    return [describe(processedTemplate.type, processedTemplate.content)];
+  }
 
-          case 'video':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'video',
-              '',
-              processedTemplate.content.fileName
-            );
-            break;
+  /**
+   * Fim da janela de envio que contém o instante informado
+   * @param {object} schedule - settings.schedule do disparo
+   * @param {Date} at - Instante dentro da janela
+   * @returns {Date}
+   */
+  getScheduleWindowEnd(schedule, at) {
+    const timezone = schedule.timezone;
+    const { dateKey, hour, minute } = scheduleUtils.getZonedParts(at, timezone);
 
-          case 'video_caption':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'video',
-              processedTemplate.content.caption,
-              processedTemplate.content.fileName
-            );
-            break;
+    // Sem horário de pausa: a janela vai até o fim do dia
+    if (!schedule.startTime || !schedule.pauseTime) {
+      return scheduleUtils.zonedTimeToUtc(scheduleUtils.addDays(dateKey, 1), '00:00', timezone);
+    }
 
-          case 'audio':
-            result = await evolutionApi.sendAudioUrl(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media
-            );
-            break;
+    const startMinutes = scheduleUtils.timeToMinutes(schedule.startTime);
+    const pauseMinutes = scheduleUtils.timeToMinutes(schedule.pauseTime);
+    const overnight = startMinutes > pauseMinutes && hour * 60 + minute >= startMinutes;
+    const pauseDate = overnight ? scheduleUtils.addDays(dateKey, 1) : dateKey;
 
-          case 'file':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'document',
-              '',
-              processedTemplate.content.fileName
-            );
-            break;
+    // isWithinSchedule aceita todo o minuto da pausa
+    return new Date(scheduleUtils.zonedTimeToUtc(pauseDate, schedule.pauseTime, timezone).getTime() + 60 * 1000);
+  }
 
-          case 'file_caption':
-            result = await evolutionApi.sendMedia(
-              dispatch.instanceName,
-              number,
-              processedTemplate.content.media,
-              'document',
-              processedTemplate.content.caption,
-              processedTemplate.content.fileName
-            );
-            break;
+  /**
+   * Estima a duração do disparo simulando os intervalos de getNextDelay,
+   * os atrasos da sequência, as janelas de agendamento e a cota diária do drip
+   * @param {object} dispatch - Disparo
+   * @param {number} recipients - Quantidade de destinatários
+   * @param {Date} from - Início previsto
+   * @returns {object}
+   */
+  estimateDuration(dispatch, recipients, from = new Date()) {
+    const schedule = dispatch.settings?.schedule || {};
+    const recurrence = dispatch.recurrence || {};
+    const template = dispatch.template || {};
+    const perDay = recurrence.mode === 'drip' ? recurrence.perDay : null;
+
+    // Atrasos entre as mensagens da sequência (a última não espera)
+    const steps = template.type === 'sequence'
+      ? [...(template.sequence?.messages || [])].sort((a, b) => a.order - b.order)
+      : [];
+    const sequenceDelayMs = steps.slice(0, -1).reduce((total, step) => total + (step.delay || 0) * 1000, 0);
+
+    const nextWindowStart = (after) => scheduleUtils.getNextOccurrence({
+      after,
+      time: schedule.startTime || '00:00',
+      timezone: schedule.timezone,
+      isAllowed: dateKey => !scheduleUtils.isExcludedDate(schedule, dateKey)
+    });
 
-          default:
-            throw new Error(`Tipo de template não suportado: ${processedTemplate.type}`);
+    let startAt = from;
+    if (dispatch.nextScheduledRun && dispatch.status !== 'running' && dispatch.nextScheduledRun > from) {
+      startAt = dispatch.nextScheduledRun;
+    }
+    if (schedule.enabled && !dispatch.isWithinSchedule(startAt)) {
+      startAt = nextWindowStart(startAt);
+    }
+
+    if (!startAt) {
+      return { recipients, estimable: false, reason: 'Nenhum dia permitido pelo agendamento' };
+    }
+
+    let cursor = startAt.getTime();
+    let windowEnd = schedule.enabled ? this.getScheduleWindowEnd(schedule, startAt).getTime() : Infinity;
+    let delaysMs = 0;
+    let windows = 1;
+    let sentInDay = 0;
+
+    for (let i = 0; i < recipients; i++) {
+      const quotaReached = perDay && sentInDay >= perDay;
+
+      if (quotaReached || cursor > windowEnd) {
+        // Drip: próximo lote na próxima execução; agendamento: próxima janela
+        const next = quotaReached
+          ? this.calculateNextRecurrence(
+            { recurrence, settings: dispatch.settings, numbers: [{ valid: true, status: 'pending' }], runs: [{}] },
+            new Date(cursor)
+          )
+          : nextWindowStart(new Date(cursor));
+
+        if (!next) {
+          return {
+            recipients,
+            estimable: false,
+            reason: 'O agendamento termina antes de todos os números serem enviados',
+            remaining: recipients - i
+          };
         }
+
+        cursor = next.getTime();
+        windowEnd = schedule.enabled ? this.getScheduleWindowEnd(schedule, next).getTime() : Infinity;
+        windows++;
+        sentInDay = 0;
       }
 
-      // Validar resposta da API
-      if (!result) {
-        throw new Error('API retornou resposta vazia');
+      cursor += sequenceDelayMs;
+      sentInDay++;
+
+      if (i < recipients - 1) {
+        const delay = dispatch.getNextDelay();
+        cursor += delay;
+        delaysMs += delay;
       }
+    }
 
-      // Log de sucesso detalhado
-      return result;
+    return {
+      recipients,
+      estimable: true,
+      startAt,
+      estimatedEndAt: new Date(cursor),
+      durationMs: cursor - startAt.getTime(),
+      averageDelayMs: recipients > 1 ? Math.round(delaysMs / (recipients - 1)) : 0,
+      sequenceDelayMs,
+      windows // Janelas (dias/lotes) de envio necessárias
+    };
+  }
 
-    } catch (error) {
-      // Log detalhado do erro
-      console.error(`🚫 Erro detalhado ao enviar para ${number}:`, {
-        templateType: template.type,
-        error: error.message,
-        stack: error.stack
+  /**
+   * Prévia do disparo: mensagens dos primeiros destinatários e estimativa de duração
+   * Nada é gravado no disparo
+   * @param {object} dispatch - Disparo
+   * @param {object} options - { limit }
+   * @returns {object}
+   */
+  async previewDispatch(dispatch, { limit = 5 } = {}) {
+    // Mesma versão do template que será fixada ao iniciar
+    if (dispatch.templateId && !dispatch.templateVersion && await Template.exists({ _id: dispatch.templateId })) {
+      const version = await templateVersionService.getUsableVersion(dispatch.templateId, dispatch.userId);
+      dispatch.template = this.buildDispatchTemplate(version.snapshot);
+    }
+    // Mídias do armazenamento com URL assinada para exibição
+    dispatch.template = await storageService.resolveTemplateUrls(dispatch.template);
+
+    let recipients = dispatch.numbers.filter(num => this.isNumberEligible(dispatch, num));
+
+    // Público por segmento ainda não carregado: avaliar sem gravar a lista
+    if (dispatch.segmentId && recipients.length === 0 && ['draft', 'ready'].includes(dispatch.status)) {
+      const rawNumbers = await segmentService.getRawNumbers(dispatch.segmentId);
+      const defaultCountry = await phoneService.resolveDefaultCountry({
+        userId: dispatch.userId,
+        instanceName: dispatch.instanceName
       });
-      
-      // Re-throw com contexto adicional
-      throw new Error(`Falha ao enviar ${template.type} para ${number}: ${error.message}`);
+      recipients = phoneService.processPhoneList(rawNumbers, { defaultCountry })
+        .filter(processed => processed.isValid)
+        .map(processed => ({
+          original: processed.original,
+          formatted: processed.formatted,
+          contactName: processed.userProvidedName,
+          whatsappName: null,
+          customFields: processed.customFields || {}
+        }));
+    }
+
+    const samples = recipients.slice(0, Math.max(1, Math.min(parseInt(limit) || 5, 50))).map(num => {
+      const { processedTemplate, variant } = this.renderMessage(dispatch, num);
+      const index = dispatch.numbers.indexOf(num);
+
+      return {
+        index: index === -1 ? null : index,
+        number: num.formatted,
+        name: num.contactName || num.whatsappName || null,
+        abVariant: num.abVariant || null,
+        variant,
+        messages: this.describeMessages(processedTemplate)
+      };
+    });
+
+    return {
+      dispatchId: dispatch._id,
+      status: dispatch.status,
+      templateType: dispatch.template?.type || null,
+      totalRecipients: recipients.length,
+      recipients: samples,
+      estimate: this.estimateDuration(dispatch, recipients.length)
+    };
+  }
+
+  /**
+   * Envia uma cópia de teste para um número interno, usando os dados de um destinatário do disparo
+   * Não altera números, estatísticas ou execuções do disparo
+   * @param {object} dispatch - Disparo
+   * @param {string} testNumber - Número que recebe o teste
+   * @param {object} options - { sampleIndex } índice do destinatário usado nas variáveis
+   * @returns {object} - { number, sampleNumber, messages, result }
+   */
+  async sendTestMessage(dispatch, testNumber, { sampleIndex = null } = {}) {
+    const defaultCountry = await phoneService.resolveDefaultCountry({
+      userId: dispatch.userId,
+      instanceName: dispatch.instanceName
+    });
+    const number = phoneService.normalizePhone(testNumber, { defaultCountry });
+    if (!number) {
+      throw new Error('Número de teste inválido');
+    }
+
+    const sample = (sampleIndex !== null && sampleIndex !== undefined ? dispatch.numbers[sampleIndex] : null)
+      || dispatch.numbers.find(num => this.isNumberEligible(dispatch, num))
+      || { formatted: number, original: testNumber, contactName: null, whatsappName: null, customFields: {} };
+
+    const { processedTemplate, variables, defaultName } = this.renderMessage(dispatch, sample);
+
+    // Teste também respeita o limite de envio da instância
+    const cost = processedTemplate.type === 'sequence' ? (processedTemplate.sequence?.messages?.length || 1) : 1;
+    const permit = await rateLimiterService.acquire(dispatch.instanceName, { cost, maxWaitMs: 10 * 1000, automated: true });
+    if (!permit.allowed) {
+      throw new Error(permit.reason === 'daily_limit'
+        ? 'Limite diário de envio da instância atingido'
+        : 'Limite de envio da instância atingido. Tente novamente em instantes');
     }
+
+    console.log(`🧪 Envio de teste do disparo ${dispatch._id} para ${number}`);
+    const result = await this.deliverMessage(dispatch.instanceName, number, processedTemplate, variables, defaultName);
+
+    return {
+      number,
+      sampleNumber: sample.formatted,
+      messages: this.describeMessages(processedTemplate),
+      result
+    };
   }
 
   /**
@@ -668,6 +1730,14 @@ class MassDispatchService {
             );
             break;
 
+          case 'buttons':
+          case 'list':
+          case 'poll':
+          case 'location':
+          case 'contact':
+            result = await evolutionApi.sendInteractiveMessage(instanceName, number, type, content);
+            break;
+
           default:
             throw new Error(`Tipo de mensagem não suportado: ${type}`);
         }
@@ -716,11 +1786,8 @@ class MassDispatchService {
     const dispatch = await MassDispatch.findById(dispatchId);
     if (!dispatch) return;
 
-    // Limpar timer
-    if (this.timers.has(dispatchId)) {
-      clearTimeout(this.timers.get(dispatchId));
-      this.timers.delete(dispatchId);
-    }
+    // Remover próximo passo agendado
+    await this.cancelStep(dispatchId);
 
     // Calcular próximo horário de retomada se agendamento estiver habilitado
     let nextScheduledRun = null;
@@ -736,9 +1803,6 @@ class MassDispatchService {
     dispatch.nextScheduledRun = nextScheduledRun;
     await dispatch.save();
 
-    // Remover da lista de ativos
-    this.activeDispatches.delete(dispatch.instanceName);
-
     // Notificar
     socketManager.emitToUser(dispatch.userId, 'mass-dispatch-paused', {
       dispatchId: dispatch._id,
@@ -756,6 +1820,139 @@ class MassDispatchService {
     };
   }
 
+  /**
+   * Pausa automaticamente um disparo, registrando a causa
+   * Pausas por desconexão são retomadas quando a instância reconecta; pico de falhas exige o usuário
+   * @param {string} dispatchId - ID do disparo
+   * @param {string} cause - instance_disconnected | failure_spike
+   * @param {string} reason - Motivo exibido ao usuário
+   */
+  async autoPauseDispatch(dispatchId, cause, reason = AUTO_PAUSE_REASONS[cause]) {
+    const result = await this.pauseDispatch(dispatchId, reason);
+    if (!result) return;
+
+    const dispatch = result.data;
+    dispatch.autoPause.cause = cause;
+    dispatch.autoPause.pausedAt = dispatch.pausedAt;
+    dispatch.autoPause.awaitingConfirmation = false;
+    dispatch.nextScheduledRun = null; // Não retomar pelo agendamento
+    await dispatch.save();
+
+    console.log(`⏸️ Disparo ${dispatch.name} pausado automaticamente: ${reason}`);
+
+    socketManager.emitToUser(dispatch.userId, 'mass-dispatch-auto-paused', {
+      dispatchId: dispatch._id,
+      instanceName: dispatch.instanceName,
+      cause,
+      reason
+    });
+
+    return { ...result, data: dispatch };
+  }
+
+  /**
+   * Verifica se há pico de falhas entre os últimos envios da execução atual
+   * @param {object} dispatch - Disparo
+   * @returns {object|null} - { failed, total } quando o limite foi atingido
+   */
+  getFailureSpike(dispatch) {
+    const config = dispatch.settings.autoPause || {};
+    if (config.enabled === false) return null;
+
+    const threshold = config.failureThreshold || 5;
+    const windowSize = config.failureWindow || 20;
+    const since = Math.max(
+      dispatch.startedAt ? dispatch.startedAt.getTime() : 0,
+      dispatch.autoPause?.failureWindowSince ? dispatch.autoPause.failureWindowSince.getTime() : 0
+    );
+
+    const recent = dispatch.numbers
+      .map(n => ({
+        failed: n.status === 'failed',
+        at: n.status === 'failed' ? n.failedAt : (MassDispatch.SENT_STATUSES.includes(n.status) ? n.sentAt : null)
+      }))
+      .filter(result => result.at && result.at.getTime() >= since)
+      .sort((a, b) => a.at - b.at)
+      .slice(-windowSize);
+
+    const failed = recent.filter(result => result.failed).length;
+    return failed >= threshold ? { failed, total: recent.length } : null;
+  }
+
+  /**
+   * Verifica se a instância está desconectada (status atualizado pelo webhook)
+   * @param {string} instanceName - Nome da instância
+   * @returns {Promise<boolean>}
+   */
+  async isInstanceDisconnected(instanceName) {
+    const instance = await Instance.findOne({ instanceName }).select('status').lean();
+    return instance?.status === 'disconnected';
+  }
+
+  /**
+   * Reage à mudança de conexão da instância (CONNECTION_UPDATE)
+   * close: pausa os disparos em execução; open: retoma os pausados pela desconexão
+   * @param {string} instanceName - Nome da instância
+   * @param {string} state - open | close
+   */
+  async handleInstanceConnectionChange(instanceName, state) {
+    try {
+      if (state === 'close') {
+        const running = await MassDispatch.find({
+          instanceName,
+          status: 'running',
+          'settings.autoPause.enabled': { $ne: false }
+        }).select('_id');
+
+        for (const dispatch of running) {
+          await this.autoPauseDispatch(dispatch._id, 'instance_disconnected');
+        }
+        return;
+      }
+
+      if (state !== 'open') return;
+
+      const paused = await MassDispatch.find({
+        instanceName,
+        status: 'paused',
+        'autoPause.cause': 'instance_disconnected'
+      }).sort({ 'autoPause.pausedAt': 1 });
+
+      for (const dispatch of paused) {
+        // Retomada manual: avisar o usuário e aguardar a confirmação (rota de retomada)
+        if (dispatch.settings.autoPause?.resumeOnReconnect === 'confirm') {
+          if (!dispatch.autoPause.awaitingConfirmation) {
+            dispatch.autoPause.awaitingConfirmation = true;
+            await dispatch.save();
+
+            socketManager.emitToUser(dispatch.userId, 'mass-dispatch-resume-pending', {
+              dispatchId: dispatch._id,
+              instanceName
+            });
+          }
+          continue;
+        }
+
+        // Fora do horário: liberar para o agendador retomar no próximo horário válido
+        if (!dispatch.isWithinSchedule()) {
+          dispatch.autoPause.cause = null;
+          dispatch.nextScheduledRun = this.calculateNextRun(dispatch);
+          await dispatch.save();
+          continue;
+        }
+
+        try {
+          await this.resumeDispatch(dispatch._id);
+          console.log(`▶️ Disparo ${dispatch.name} retomado após reconexão da instância ${instanceName}`);
+        } catch (error) {
+          console.error(`❌ Erro ao retomar disparo ${dispatch.name} após reconexão:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao atualizar disparos da instância ${instanceName}:`, error);
+    }
+  }
+
   /**
    * Retoma um disparo pausado
    * @param {string} dispatchId - ID do disparo
@@ -771,7 +1968,11 @@ class MassDispatchService {
       throw new Error('Disparo não está pausado');
     }
 
-    if (this.activeDispatches.has(dispatch.instanceName)) {
+    if (dispatch.abTest?.enabled && dispatch.abTest.phase === 'evaluating') {
+      throw new Error('Aguardando respostas do teste A/B para escolher a vencedora');
+    }
+
+    if (await this.hasActiveDispatch(dispatch.instanceName, dispatch._id)) {
       throw new Error('Já existe um disparo ativo para esta instância');
     }
 
@@ -779,17 +1980,18 @@ class MassDispatchService {
       throw new Error('Fora do horário permitido para retomada');
     }
 
-    await this.refreshTemplateIfNeeded(dispatch);
+    await this.pinTemplateVersion(dispatch);
 
     dispatch.status = 'running';
     dispatch.isActive = true;
     dispatch.pausedAt = null;
     dispatch.error = undefined;
+    dispatch.autoPause.cause = null;
+    dispatch.autoPause.awaitingConfirmation = false;
+    dispatch.autoPause.failureWindowSince = new Date(); // Falhas anteriores à retomada não contam
     dispatch.updateStatistics();
     await dispatch.save();
 
-    this.activeDispatches.set(dispatch.instanceName, dispatchId);
-
     // Enviar progresso atualizado
     const totalValid = dispatch.statistics.validNumbers || dispatch.numbers.filter(n => n.valid).length;
     const sent = dispatch.statistics.sent || 0;
@@ -805,7 +2007,7 @@ class MassDispatchService {
       statistics: dispatch.statistics
     });
 
-    this.processDispatch(dispatchId);
+    await this.scheduleStep(dispatchId);
 
     socketManager.emitToUser(dispatch.userId, 'mass-dispatch-resumed', {
       dispatchId: dispatch._id,
@@ -823,43 +2025,53 @@ class MassDispatchService {
   }
 
   /**
-   * Atualiza o template do disparo caso exista uma referência
+   * Fixa no disparo a versão do template usada ao iniciar
+   * Edições posteriores do template geram novas versões e não afetam o disparo
    * @param {import('../models/MassDispatch')} dispatch
    */
-  async refreshTemplateIfNeeded(dispatch) {
-    if (!dispatch?.templateId) {
+  async pinTemplateVersion(dispatch) {
+    if (!dispatch?.templateId || dispatch.templateVersion) {
       return;
     }
 
-    try {
-      const templateDoc = await Template.findById(dispatch.templateId);
-      if (!templateDoc) {
-        return;
-      }
+    // Template excluído: manter o conteúdo já embutido no disparo
+    if (!await Template.exists({ _id: dispatch.templateId })) {
+      return;
+    }
 
-      const templateObj = templateDoc.toObject();
+    const version = await templateVersionService.getUsableVersion(dispatch.templateId, dispatch.userId);
+    dispatch.template = this.buildDispatchTemplate(version.snapshot);
+    dispatch.templateVersion = version.version;
+    dispatch.markModified('template');
+    await dispatch.save();
+    await this.syncMediaReferences(dispatch);
 
-      if (templateObj.type === 'sequence') {
-        const sequence = templateObj.sequence || { messages: [], totalDelay: 0 };
-        dispatch.template = {
-          type: 'sequence',
-          sequence: {
-            messages: sequence.messages || [],
-            totalDelay: sequence.totalDelay || 0
-          }
-        };
-      } else {
-        dispatch.template = {
-          type: templateObj.type,
-          content: templateObj.content || {}
-        };
-      }
+    console.log(`📌 Disparo ${dispatch.name} usando a versão ${version.version} do template`);
+  }
 
-      dispatch.markModified('template');
-      await dispatch.save();
-    } catch (error) {
-      console.error('Erro ao atualizar template do disparo:', error);
+  /**
+   * Converte um Template salvo no formato de template embutido no disparo
+   * @param {object} templateObj - Template (objeto simples)
+   * @returns {object} - Template do disparo
+   */
+  buildDispatchTemplate(templateObj) {
+    if (templateObj.type === 'sequence') {
+      const sequence = templateObj.sequence || { messages: [], totalDelay: 0 };
+      return {
+        type: 'sequence',
+        sequence: {
+          messages: sequence.messages || [],
+          totalDelay: sequence.totalDelay || 0
+        },
+        variants: templateObj.variants || []
+      };
     }
+
+    return {
+      type: templateObj.type,
+      content: templateObj.content || {},
+      variants: templateObj.variants || []
+    };
   }
 
   /**
@@ -870,21 +2082,38 @@ class MassDispatchService {
     const dispatch = await MassDispatch.findById(dispatchId);
     if (!dispatch) return;
 
-    // Limpar timer
-    if (this.timers.has(dispatchId)) {
-      clearTimeout(this.timers.get(dispatchId));
-      this.timers.delete(dispatchId);
+    // Remover próximo passo agendado
+    await this.cancelStep(dispatchId);
+
+    const run = this.closeCurrentRun(dispatch, 'completed');
+
+    // Campanha recorrente/drip: aguardar a próxima execução em vez de concluir
+    const nextRun = this.calculateNextRecurrence(dispatch);
+    if (nextRun) {
+      dispatch.status = 'ready';
+      dispatch.isActive = false;
+      dispatch.nextScheduledRun = nextRun;
+      dispatch.updateStatistics();
+      await dispatch.save();
+
+      console.log(`🔁 Execução ${run?.number || '-'} do disparo ${dispatch.name} concluída. Próxima em ${nextRun.toISOString()}`);
+
+      socketManager.emitToUser(dispatch.userId, 'mass-dispatch-run-completed', {
+        dispatchId: dispatch._id,
+        run,
+        nextScheduledRun: nextRun.toISOString(),
+        statistics: dispatch.statistics
+      });
+      return;
     }
 
     // Atualizar status
     dispatch.status = 'completed';
     dispatch.isActive = false;
     dispatch.completedAt = new Date();
+    dispatch.nextScheduledRun = null;
     await dispatch.save();
 
-    // Remover da lista de ativos
-    this.activeDispatches.delete(dispatch.instanceName);
-
     // Notificar
     socketManager.emitToUser(dispatch.userId, 'mass-dispatch-completed', {
       dispatchId: dispatch._id,
@@ -914,11 +2143,8 @@ class MassDispatchService {
     dispatch.isActive = true;
     await dispatch.save();
     
-    // Registrar disparo ativo
-    this.activeDispatches.set(dispatch.instanceName, dispatchId);
-
     // Iniciar processo de envio
-    this.processDispatch(dispatchId);
+    await this.scheduleStep(dispatchId);
 
     return { 
       success: true, 
@@ -935,20 +2161,16 @@ class MassDispatchService {
     const dispatch = await MassDispatch.findById(dispatchId);
     if (!dispatch) throw new Error('Disparo não encontrado');
 
-    // Limpar timer
-    if (this.timers.has(dispatchId)) {
-      clearTimeout(this.timers.get(dispatchId));
-      this.timers.delete(dispatchId);
-    }
+    // Remover próximo passo agendado
+    await this.cancelStep(dispatchId);
 
     // Atualizar status
+    this.closeCurrentRun(dispatch, 'cancelled');
     dispatch.status = 'cancelled';
     dispatch.isActive = false;
+    dispatch.nextScheduledRun = null;
     await dispatch.save();
 
-    // Remover da lista de ativos
-    this.activeDispatches.delete(dispatch.instanceName);
-
     // Notificar
     socketManager.emitToUser(dispatch.userId, 'mass-dispatch-cancelled', {
       dispatchId: dispatch._id
@@ -965,7 +2187,7 @@ class MassDispatchService {
   }
 
   /**
-   * Calcula próxima execução baseada no agendamento
+   * Calcula próxima execução baseada no agendamento (no timezone do agendamento)
    * @param {object} dispatch - Disparo
    * @returns {Date} - Próxima execução
    */
@@ -975,32 +2197,17 @@ class MassDispatchService {
     
     if (!schedule.enabled || !schedule.startTime) return null;
 
-    const [startHour, startMinute] = schedule.startTime.split(':').map(Number);
-    const excludedDays = schedule.excludedDays || [];
-    
-    // Começar verificando a partir de hoje
-    let nextRun = new Date(now);
-    nextRun.setHours(startHour, startMinute, 0, 0);
-    
-    // Se o horário de hoje já passou, começar a verificar a partir de amanhã
-    if (nextRun <= now) {
-      nextRun.setDate(nextRun.getDate() + 1);
-    }
-    
-    // Procurar o próximo dia válido (não excluído)
-    let attempts = 0;
-    const maxAttempts = 14; // Evitar loop infinito (máximo 2 semanas)
-    
-    while (excludedDays.includes(nextRun.getDay()) && attempts < maxAttempts) {
-      nextRun.setDate(nextRun.getDate() + 1);
-      attempts++;
-    }
-    
-    return nextRun;
+    // Próximo dia válido (não excluído por dia da semana ou feriado) cujo horário de início ainda não passou
+    return scheduleUtils.getNextOccurrence({
+      after: now,
+      time: schedule.startTime,
+      timezone: schedule.timezone,
+      isAllowed: dateKey => !scheduleUtils.isExcludedDate(schedule, dateKey)
+    });
   }
 
   /**
-   * Calcula próximo horário de pausa baseado no agendamento
+   * Calcula próximo horário de pausa baseado no agendamento (no timezone do agendamento)
    * @param {object} dispatch - Disparo
    * @returns {Date} - Próximo horário de pausa
    */
@@ -1010,11 +2217,8 @@ class MassDispatchService {
     
     if (!schedule.enabled || !schedule.pauseTime) return null;
 
-    const [pauseHour, pauseMinute] = schedule.pauseTime.split(':').map(Number);
-    
-    // Criar data para o horário de pausa de hoje
-    let nextPause = new Date(now);
-    nextPause.setHours(pauseHour, pauseMinute, 0, 0);
+    const today = scheduleUtils.getZonedParts(now, schedule.timezone).dateKey;
+    const nextPause = scheduleUtils.zonedTimeToUtc(today, schedule.pauseTime, schedule.timezone);
     
     // Se o horário de pausa de hoje já passou, retornar null (será calculado no próximo dia)
     if (nextPause <= now) {
@@ -1024,6 +2228,230 @@ class MassDispatchService {
     return nextPause;
   }
 
+  /**
+   * Execução em andamento da campanha
+   * @param {object} dispatch - Disparo
+   * @returns {object|null} - Entrada de runs[] com status running
+   */
+  getCurrentRun(dispatch) {
+    const runs = dispatch.runs || [];
+    const last = runs[runs.length - 1];
+    return last && last.status === 'running' ? last : null;
+  }
+
+  /**
+   * Abre uma nova execução no histórico da campanha
+   * @param {object} dispatch - Disparo
+   * @returns {object} - Execução criada
+   */
+  openRun(dispatch) {
+    // Execução anterior ainda aberta (ex.: disparo reiniciado manualmente)
+    this.closeCurrentRun(dispatch, 'completed');
+
+    const runs = dispatch.runs || [];
+    const mode = dispatch.recurrence?.mode;
+
+    dispatch.runs.push({
+      number: runs.length + 1,
+      type: runs.length === 0 ? 'initial' : (mode === 'drip' ? 'drip' : 'recurring'),
+      status: 'running',
+      startedAt: dispatch.startedAt || new Date(),
+      targeted: dispatch.numbers.filter(n => this.isNumberEligible(dispatch, n)).length
+    });
+
+    return dispatch.runs[dispatch.runs.length - 1];
+  }
+
+  /**
+   * Associa o número à execução atual
+   * @param {object} dispatch - Disparo
+   * @param {object} num - Número processado
+   * @param {boolean} countsForQuota - Se conta como envio tentado (cota do drip)
+   */
+  markProcessedInRun(dispatch, num, countsForQuota = true) {
+    const run = this.getCurrentRun(dispatch);
+    if (!run) return;
+
+    num.runNumber = run.number;
+    if (countsForQuota) {
+      run.processed = (run.processed || 0) + 1;
+    }
+  }
+
+  /**
+   * Atualiza os totais da execução a partir dos números processados nela
+   * @param {object} dispatch - Disparo
+   * @param {object} run - Execução
+   */
+  snapshotRun(dispatch, run) {
+    const sentStatuses = MassDispatch.SENT_STATUSES;
+    const numbers = dispatch.numbers.filter(n => n.runNumber === run.number);
+    const reached = (status) => numbers.filter(n =>
+      sentStatuses.indexOf(n.status) >= sentStatuses.indexOf(status)
+    ).length;
+
+    run.sent = reached('sent');
+    run.delivered = reached('delivered');
+    run.read = reached('read');
+    run.replied = reached('replied');
+    run.failed = numbers.filter(n => n.status === 'failed').length;
+    run.skipped = numbers.filter(n => n.status === 'skipped').length;
+  }
+
+  /**
+   * Encerra a execução em andamento
+   * @param {object} dispatch - Disparo
+   * @param {string} status - completed | cancelled
+   * @returns {object|null} - Execução encerrada
+   */
+  closeCurrentRun(dispatch, status = 'completed') {
+    const run = this.getCurrentRun(dispatch);
+    if (!run) return null;
+
+    this.snapshotRun(dispatch, run);
+    run.status = status;
+    run.completedAt = new Date();
+    return run;
+  }
+
+  /**
+   * Drip: verifica se a execução de hoje já atingiu a cota diária
+   * @param {object} dispatch - Disparo
+   * @returns {boolean}
+   */
+  isRunQuotaReached(dispatch) {
+    if (dispatch.recurrence?.mode !== 'drip' || !dispatch.recurrence.perDay) return false;
+
+    const run = this.getCurrentRun(dispatch);
+    return !!run && (run.processed || 0) >= dispatch.recurrence.perDay;
+  }
+
+  /**
+   * Calcula a próxima execução de uma campanha recorrente ou drip
+   * @param {object} dispatch - Disparo
+   * @param {Date} after - Data de referência
+   * @returns {Date|null} - Próxima execução (null = campanha encerrada)
+   */
+  calculateNextRecurrence(dispatch, after = new Date()) {
+    const recurrence = dispatch.recurrence;
+    if (!recurrence || !recurrence.mode || recurrence.mode === 'none') return null;
+
+    const schedule = dispatch.settings?.schedule || {};
+    const timezone = schedule.timezone || scheduleUtils.DEFAULT_TIMEZONE;
+    const daysOfWeek = recurrence.daysOfWeek || [];
+    const runs = dispatch.runs || [];
+    let time = recurrence.time;
+    let minDateKey = null;
+
+    if (recurrence.mode === 'recurring') {
+      if (!time || daysOfWeek.length === 0) return null;
+      if (recurrence.maxRuns && runs.length >= recurrence.maxRuns) return null;
+    } else {
+      // Drip: encerra quando não houver mais números pendentes
+      const hasPending = dispatch.numbers.some(n => n.valid && n.status === 'pending');
+      if (!hasPending) return null;
+
+      time = time || schedule.startTime || '09:00';
+      // Próximo lote sempre no dia seguinte ao da execução atual
+      if (runs.length > 0) {
+        const today = scheduleUtils.getZonedParts(after, timezone).dateKey;
+        minDateKey = scheduleUtils.addDays(today, 1);
+      }
+    }
+
+    const nextRun = scheduleUtils.getNextOccurrence({
+      after,
+      time,
+      timezone,
+      minDateKey,
+      isAllowed: (dateKey) => {
+        if (daysOfWeek.length > 0 && !daysOfWeek.includes(scheduleUtils.getWeekday(dateKey))) {
+          return false;
+        }
+        return !(schedule.enabled && scheduleUtils.isExcludedDate(schedule, dateKey));
+      }
+    });
+
+    if (!nextRun || (recurrence.endDate && nextRun > new Date(recurrence.endDate))) {
+      return null;
+    }
+
+    return nextRun;
+  }
+
+  /**
+   * Recorrente: volta para pendente os números que devem receber novamente
+   * @param {object} dispatch - Disparo
+   * @returns {number} - Quantidade de números reenfileirados
+   */
+  prepareRecurringRun(dispatch) {
+    const onlyNotReplied = dispatch.recurrence.onlyNotReplied !== false;
+    let count = 0;
+
+    dispatch.numbers.forEach(num => {
+      if (!num.valid) return;
+
+      const wasProcessed = MassDispatch.SENT_STATUSES.includes(num.status) || num.status === 'failed';
+      if (!wasProcessed) return;
+      if (onlyNotReplied && num.repliedAt) return;
+
+      num.status = 'pending';
+      num.sentAt = undefined;
+      num.deliveredAt = undefined;
+      num.readAt = undefined;
+      num.repliedAt = undefined;
+      num.error = undefined;
+      num.messageId = undefined;
+      num.remoteJid = undefined;
+      num.deleteScheduled = undefined;
+      num.deletedAt = undefined;
+      count++;
+    });
+
+    return count;
+  }
+
+  /**
+   * Inicia a próxima execução agendada de uma campanha recorrente/drip
+   * @param {string} dispatchId - ID do disparo
+   * @returns {object} - Resultado do início
+   */
+  async startNextRun(dispatchId) {
+    const dispatch = await MassDispatch.findById(dispatchId);
+    if (!dispatch) throw new Error('Disparo não encontrado');
+
+    if (dispatch.status !== 'ready') {
+      throw new Error('Disparo não está pronto para execução');
+    }
+
+    if (dispatch.recurrence?.mode === 'recurring' && dispatch.runs.length > 0) {
+      // Atualizar totais da execução anterior com entregas/respostas recebidas depois dela
+      const previousRun = dispatch.runs[dispatch.runs.length - 1];
+      this.snapshotRun(dispatch, previousRun);
+
+      const requeued = this.prepareRecurringRun(dispatch);
+      dispatch.updateStatistics();
+
+      if (requeued === 0) {
+        dispatch.status = 'completed';
+        dispatch.completedAt = new Date();
+        dispatch.nextScheduledRun = null;
+        await dispatch.save();
+
+        console.log(`🏁 Campanha recorrente ${dispatch.name} encerrada: todos os contatos responderam`);
+        socketManager.emitToUser(dispatch.userId, 'mass-dispatch-completed', {
+          dispatchId: dispatch._id,
+          statistics: dispatch.statistics
+        });
+        return { success: true, message: 'Nenhum número para reenviar. Campanha concluída' };
+      }
+
+      await dispatch.save();
+    }
+
+    return this.startDispatch(dispatchId);
+  }
+
   /**
    * Deleta uma mensagem enviada
    * @param {object} dispatch - Disparo
@@ -1056,15 +2484,10 @@ class MassDispatchService {
 
       console.log(`✅ Mensagem deletada automaticamente para ${numberData.formatted}`);
 
-      // Limpar timer
-      const timerKey = `${dispatch._id}-${numberIndex}`;
-      if (this.deleteTimers.has(timerKey)) {
-        this.deleteTimers.delete(timerKey);
-      }
-
     } catch (error) {
       console.error(`❌ Erro ao deletar mensagem para ${numberData.formatted}:`, error);
-      // Não atualizar deletedAt em caso de erro, para permitir retry
+      // Não atualizar deletedAt em caso de erro; a fila tenta novamente com backoff
+      throw error;
     }
   }
 
@@ -1089,113 +2512,56 @@ class MassDispatchService {
   }
 
   /**
-   * Recupera disparos em andamento após reinicialização do servidor
-   * Busca disparos com status 'running' e retoma o processamento
+   * Garante que todo disparo em execução tenha um passo na fila
+   * Os jobs persistem no Redis; aqui só são recriados os que se perderam (ex.: Redis indisponível no agendamento)
    */
   async recoverRunningDispatches() {
     try {
-      console.log('🔄 Recuperando disparos em andamento...');
-      
-      // Buscar todos os disparos com status 'running'
       const runningDispatches = await MassDispatch.find({
         status: 'running',
         isActive: true
       });
 
       if (runningDispatches.length === 0) {
-        console.log('✅ Nenhum disparo em andamento para recuperar');
         return;
       }
 
-      console.log(`📋 Encontrados ${runningDispatches.length} disparo(s) em andamento`);
+      let recovered = 0;
 
       for (const dispatch of runningDispatches) {
         try {
           // Verificar se ainda está no horário permitido (se tiver agendamento)
-          if (dispatch.settings?.schedule?.enabled) {
-            if (!dispatch.isWithinSchedule()) {
-              // Se não está no horário, pausar o disparo
-              console.log(`⏸️ Disparo ${dispatch.name} (${dispatch._id}) fora do horário. Pausando...`);
-              await this.pauseDispatch(dispatch._id, 'Fora do horário permitido após reinicialização');
-              continue;
-            }
-          }
-
-          // Verificar se já existe um disparo ativo para esta instância
-          if (this.activeDispatches.has(dispatch.instanceName)) {
-            console.log(`⚠️ Já existe um disparo ativo para a instância ${dispatch.instanceName}. Pausando ${dispatch.name}...`);
-            dispatch.status = 'paused';
-            dispatch.isActive = false;
-            dispatch.error = 'Conflito: outro disparo já está ativo para esta instância';
-            await dispatch.save();
-            continue;
-          }
-
-          // Verificar se ainda há números pendentes
-          const pendingNumbers = dispatch.numbers.filter(n => n.valid && n.status === 'pending');
-          if (pendingNumbers.length === 0) {
-            // Se não há números pendentes, marcar como concluído
-            console.log(`✅ Disparo ${dispatch.name} (${dispatch._id}) não tem números pendentes. Marcando como concluído...`);
-            await this.completeDispatch(dispatch._id);
+          if (dispatch.settings?.schedule?.enabled && !dispatch.isWithinSchedule()) {
+            console.log(`⏸️ Disparo ${dispatch.name} (${dispatch._id}) fora do horário. Pausando...`);
+            await this.pauseDispatch(dispatch._id, 'Fora do horário permitido');
             continue;
           }
 
-          // Retomar o disparo
-          console.log(`▶️ Retomando disparo ${dispatch.name} (${dispatch._id}) - ${pendingNumbers.length} números pendentes`);
-          
-          // Atualizar template se necessário
-          await this.refreshTemplateIfNeeded(dispatch);
-
-          // Registrar como ativo
-          this.activeDispatches.set(dispatch.instanceName, dispatch._id.toString());
-          
-          // Garantir que o status está correto
-          dispatch.isActive = true;
-          dispatch.updateStatistics();
-          await dispatch.save();
-
-          // Enviar progresso atualizado para o frontend
-          const totalValid = dispatch.statistics.validNumbers || dispatch.numbers.filter(n => n.valid).length;
-          const sent = dispatch.statistics.sent || 0;
-          const percentage = totalValid > 0 ? Math.round((sent / totalValid) * 100) : 0;
-
-          socketManager.emitToUser(dispatch.userId, 'mass-dispatch-progress', {
-            dispatchId: dispatch._id,
-            progress: {
-              current: sent,
-              total: totalValid,
-              percentage: percentage
-            },
-            statistics: dispatch.statistics
-          });
-
-          // Retomar processamento
-          this.processDispatch(dispatch._id.toString());
-
-          console.log(`✅ Disparo ${dispatch.name} (${dispatch._id}) recuperado com sucesso`);
+          const enqueued = await this.queue.enqueue(
+            `step:${dispatch._id}`,
+            { type: 'step', dispatchId: dispatch._id.toString() },
+            { onlyIfAbsent: true }
+          );
 
-        } catch (error) {
-          console.error(`❌ Erro ao recuperar disparo ${dispatch.name} (${dispatch._id}):`, error);
-          
-          // Em caso de erro, pausar o disparo para evitar loop
-          try {
-            dispatch.status = 'paused';
-            dispatch.isActive = false;
-            dispatch.error = `Erro na recuperação: ${error.message}`;
-            await dispatch.save();
-          } catch (saveError) {
-            console.error(`❌ Erro ao salvar status de erro do disparo:`, saveError);
+          if (enqueued) {
+            recovered++;
+            console.log(`▶️ Passo do disparo ${dispatch.name} (${dispatch._id}) recolocado na fila`);
           }
+        } catch (error) {
+          console.error(`❌ Erro ao recuperar disparo ${dispatch.name} (${dispatch._id}):`, error.message);
         }
       }
 
-      console.log(`✅ Recuperação de disparos concluída. ${this.activeDispatches.size} disparo(s) ativo(s)`);
+      if (recovered > 0) {
+        console.log(`✅ Recuperação de disparos concluída. ${recovered} disparo(s) recolocado(s) na fila`);
+      }
 
     } catch (error) {
       console.error('❌ Erro ao recuperar disparos em andamento:', error);
     }
   }
 
+
   /**
    * Obtém estatísticas gerais
    * @param {string} userId - ID do usuário
@@ -1210,9 +2576,36 @@ class MassDispatchService {
       completed: dispatches.filter(d => d.status === 'completed').length,
       paused: dispatches.filter(d => d.status === 'paused').length,
       totalMessagesSent: dispatches.reduce((sum, d) => sum + d.statistics.sent, 0),
-      totalMessagesFailed: dispatches.reduce((sum, d) => sum + d.statistics.failed, 0)
+      totalMessagesFailed: dispatches.reduce((sum, d) => sum + d.statistics.failed, 0),
+      totalMessagesDelivered: dispatches.reduce((sum, d) => sum + (d.statistics.delivered || 0), 0),
+      totalMessagesRead: dispatches.reduce((sum, d) => sum + (d.statistics.read || 0), 0),
+      totalMessagesReplied: dispatches.reduce((sum, d) => sum + (d.statistics.replied || 0), 0)
     };
 
+    const rate = (count) => stats.totalMessagesSent > 0
+      ? Math.round((count / stats.totalMessagesSent) * 10000) / 100
+      : 0;
+
+    stats.deliveryRate = rate(stats.totalMessagesDelivered);
+    stats.readRate = rate(stats.totalMessagesRead);
+    stats.replyRate = rate(stats.totalMessagesReplied);
+
+    // Taxas por campanha
+    stats.campaigns = dispatches
+      .filter(d => d.statistics.sent > 0)
+      .map(d => ({
+        dispatchId: d._id,
+        name: d.name,
+        status: d.status,
+        sent: d.statistics.sent,
+        delivered: d.statistics.delivered || 0,
+        read: d.statistics.read || 0,
+        replied: d.statistics.replied || 0,
+        deliveryRate: d.statistics.deliveryRate || 0,
+        readRate: d.statistics.readRate || 0,
+        replyRate: d.statistics.replyRate || 0
+      }));
+
     return stats;
   }
 }
@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const mongoose = require('mongoose');
+const MediaAsset = require('../models/MediaAsset');
+const storageService = require('./storageService');
+
+const MEDIA_PREFIX = 'media';
+const THUMBNAIL_WIDTH = 320;
+
+const EXTENSIONS_BY_MIME = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav',
+  'application/pdf': '.pdf'
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ffprobe/ffmpeg são opcionais: sem o binário instalado, o arquivo é salvo sem duração/miniatura
+const probe = (filePath) => new Promise((resolve) => {
+  ffmpeg.ffprobe(filePath, (error, data) => resolve(error ? null : data));
+});
+
+const renderThumbnail = (inputPath, outputPath, seekSeconds) => new Promise((resolve) => {
+  const command = ffmpeg(inputPath);
+  if (seekSeconds) command.seekInput(seekSeconds);
+  command
+    .outputOptions(['-vf', `scale=${THUMBNAIL_WIDTH}:-2`, '-frames:v', '1'])
+    .on('end', () => resolve(true))
+    .on('error', () => resolve(false))
+    .save(outputPath);
+});
+
+class MediaAssetService {
+  /**
+   * Tipo de mídia usado no envio (image, video, audio, document)
+   * @param {string} mimeType - Tipo MIME
+   * @returns {string}
+   */
+  detectMediaType(mimeType = '') {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'document';
+  }
+
+  /**
+   * Salva um arquivo na biblioteca; conteúdo já existente é reaproveitado
+   * @param {string} userId - ID do usuário
+   * @param {Buffer} buffer - Conteúdo
+   * @param {object} options - { originalName, mimeType }
+   * @returns {Promise<object>} - { asset, duplicate }
+   */
+  async storeBuffer(userId, buffer, { originalName = '', mimeType = 'application/octet-stream' } = {}) {
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Arquivo vazio');
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = await MediaAsset.findOne({ userId, hash });
+    if (existing) {
+      return { asset: existing, duplicate: true };
+    }
+
+    const extension = (path.extname(originalName) || EXTENSIONS_BY_MIME[mimeType] || '').toLowerCase();
+    const storageKey = `${MEDIA_PREFIX}/${userId}/${hash}${extension}`;
+    const url = await storageService.put(storageKey, buffer, { contentType: mimeType });
+
+    const mediaType = this.detectMediaType(mimeType);
+    const metadata = await this.extractMetadata(buffer, {
+      mediaType,
+      extension,
+      thumbnailKey: `${MEDIA_PREFIX}/${userId}/thumbs/${hash}.jpg`,
+      url
+    });
+
+    try {
+      const asset = await MediaAsset.create({
+        userId,
+        hash,
+        originalName,
+        mimeType,
+        mediaType,
+        size: buffer.length,
+        storageKey,
+        url,
+        ...metadata
+      });
+
+      console.log(`🖼️ Mídia adicionada à biblioteca: ${originalName || hash} (${mediaType}, ${buffer.length} bytes)`);
+      return { asset, duplicate: false };
+    } catch (error) {
+      // Mesmo arquivo enviado ao mesmo tempo por outra requisição
+      if (error.code === 11000) {
+        return { asset: await MediaAsset.findOne({ userId, hash }), duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Salva um arquivo recebido pelo multer (memória ou disco)
+   * Arquivos em disco são removidos depois de copiados para a biblioteca
+   * @param {string} userId - ID do usuário
+   * @param {object} file - Arquivo do multer
+   * @returns {Promise<object>} - { asset, duplicate }
+   */
+  async storeUpload(userId, file) {
+    const buffer = file.buffer || await fs.readFile(file.path);
+    const result = await this.storeBuffer(userId, buffer, {
+      originalName: file.originalname,
+      mimeType: file.mimetype
+    });
+
+    if (file.path) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+
+    return result;
+  }
+
+  /**
+   * Duração, dimensões e miniatura (imagens e vídeos)
+   * O ffmpeg trabalha sobre uma cópia temporária em disco, independente do armazenamento
+   * @param {Buffer} buffer - Conteúdo
+   * @param {object} options - { mediaType, extension, thumbnailKey, url }
+   * @returns {Promise<object>}
+   */
+  async extractMetadata(buffer, { mediaType, extension, thumbnailKey, url }) {
+    const metadata = {};
+    if (mediaType === 'document') return metadata;
+
+    const workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'clerky-media-'));
+    try {
+      const inputPath = path.join(workDirectory, `input${extension}`);
+      await fs.writeFile(inputPath, buffer);
+      await this.probeMedia(inputPath, mediaType, metadata);
+
+      if (['image', 'video'].includes(mediaType)) {
+        const thumbnailPath = path.join(workDirectory, 'thumb.jpg');
+        const seekSeconds = mediaType === 'video' && metadata.duration > 1 ? 1 : 0;
+        if (await renderThumbnail(inputPath, thumbnailPath, seekSeconds)) {
+          metadata.thumbnailKey = thumbnailKey;
+          metadata.thumbnailUrl = await storageService.put(thumbnailKey, await fs.readFile(thumbnailPath), {
+            contentType: 'image/jpeg'
+          });
+        } else if (mediaType === 'image') {
+          // Sem ffmpeg: a própria imagem serve de miniatura
+          metadata.thumbnailUrl = url;
+        }
+      }
+    } finally {
+      await fs.rm(workDirectory, { recursive: true, force: true }).catch(() => {});
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Preenche duração e dimensões via ffprobe
+   * @param {string} filePath - Arquivo local
+   * @param {string} mediaType - Tipo de mídia
+   * @param {object} metadata - Acumulador
+   */
+  async probeMedia(filePath, mediaType, metadata) {
+    const data = await probe(filePath);
+    if (data) {
+      const duration = parseFloat(data.format?.duration);
+      const videoStream = (data.streams || []).find(stream => stream.codec_type === 'video');
+      if (['audio', 'video'].includes(mediaType) && Number.isFinite(duration)) {
+        metadata.duration = Math.round(duration * 10) / 10;
+      }
+      if (videoStream) {
+        metadata.width = videoStream.width || null;
+        metadata.height = videoStream.height || null;
+      }
+    }
+  }
+
+  /**
+   * Mídia com URLs assinadas para exibição no painel
+   * @param {object} asset - Documento MediaAsset
+   * @returns {Promise<object>}
+   */
+  async withSignedUrls(asset) {
+    const data = typeof asset.toObject === 'function' ? asset.toObject() : { ...asset };
+    data.signedUrl = await storageService.resolveUrl(data.url);
+    data.thumbnailSignedUrl = data.thumbnailUrl ? await storageService.resolveUrl(data.thumbnailUrl) : null;
+    return data;
+  }
+
+  /**
+   * Lista e pesquisa as mídias do usuário
+   * @param {string} userId - ID do usuário
+   * @param {object} filters - { search, mediaType, unused, limit, offset }
+   * @returns {Promise<object>} - { items, total }
+   */
+  async listAssets(userId, { search, mediaType, unused, limit = 50, offset = 0 } = {}) {
+    const query = { userId };
+    if (search) {
+      query.originalName = { $regex: escapeRegex(search), $options: 'i' };
+    }
+    if (mediaType) {
+      query.mediaType = mediaType;
+    }
+    if (unused === true || unused === 'true') {
+      query.refCount = 0;
+    }
+
+    const [items, total] = await Promise.all([
+      MediaAsset.find(query)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset, 10) || 0)
+        .limit(Math.min(parseInt(limit, 10) || 50, 500)),
+      MediaAsset.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Busca uma mídia do usuário
+   * @param {string} userId - ID do usuário
+   * @param {string} assetId - ID da mídia
+   * @returns {Promise<object>}
+   */
+  async getAsset(userId, assetId) {
+    if (!mongoose.Types.ObjectId.isValid(assetId)) {
+      throw new Error('Mídia não encontrada na biblioteca');
+    }
+
+    const asset = await MediaAsset.findOne({ _id: assetId, userId });
+    if (!asset) {
+      throw new Error('Mídia não encontrada na biblioteca');
+    }
+    return asset;
+  }
+
+  /**
+   * Exclui a mídia e seus arquivos; mídias em uso não podem ser excluídas
+   * @param {string} userId - ID do usuário
+   * @param {string} assetId - ID da mídia
+   */
+  async deleteAsset(userId, assetId) {
+    const asset = await this.getAsset(userId, assetId);
+    if (asset.refCount > 0) {
+      const error = new Error(`Mídia em uso (${asset.refCount} referência${asset.refCount > 1 ? 's' : ''})`);
+      error.references = asset.references;
+      throw error;
+    }
+
+    await Promise.all([asset.storageKey, asset.thumbnailKey]
+      .filter(Boolean)
+      .map(key => storageService.delete(key).catch(() => {})));
+
+    await asset.deleteOne();
+    console.log(`🗑️ Mídia removida da biblioteca: ${asset.originalName || asset.hash}`);
+  }
+
+  /**
+   * Coleta os IDs de mídia (mediaAssetId) em qualquer estrutura (template, nós do fluxo...)
+   * @param {*} value - Objeto a percorrer
+   * @param {Set} ids - Acumulador
+   * @returns {Array<string>}
+   */
+  collectAssetIds(value, ids = new Set()) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectAssetIds(item, ids));
+    } else if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) {
+      const source = typeof value.toObject === 'function' ? value.toObject() : value;
+      Object.keys(source).forEach(key => {
+        if (key === 'mediaAssetId' && source[key]) {
+          ids.add(String(source[key]));
+        } else {
+          this.collectAssetIds(source[key], ids);
+        }
+      });
+    }
+    return [...ids];
+  }
+
+  /**
+   * Atualiza as referências de um dono (template, disparo ou fluxo) para as mídias informadas
+   * @param {string} userId - ID do usuário
+   * @param {string} kind - template | dispatch | mindclerky_flow
+   * @param {string} refId - ID do dono
+   * @param {Array<string>} assetIds - Mídias usadas atualmente
+   * @param {object} options - { keepExisting } mantém referências anteriores (ex.: versões antigas do template)
+   */
+  async syncReferences(userId, kind, refId, assetIds = [], { keepExisting = false } = {}) {
+    const reference = { kind, refId: new mongoose.Types.ObjectId(String(refId)) };
+    const ids = assetIds
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .map(id => new mongoose.Types.ObjectId(String(id)));
+
+    const previous = await MediaAsset.find({ references: { $elemMatch: reference } }).distinct('_id');
+
+    if (!keepExisting) {
+      await MediaAsset.updateMany(
+        { _id: { $in: previous, $nin: ids } },
+        { $pull: { references: reference } }
+      );
+    }
+
+    if (ids.length > 0) {
+      await MediaAsset.updateMany(
+        { _id: { $in: ids }, userId },
+        { $addToSet: { references: reference }, $set: { lastUsedAt: new Date() } }
+      );
+    }
+
+    await this.recount([...previous, ...ids]);
+  }
+
+  /**
+   * Remove todas as referências de um dono excluído
+   * @param {string} kind - template | dispatch | mindclerky_flow
+   * @param {string} refId - ID do dono
+   */
+  async removeReferences(kind, refId) {
+    const reference = { kind, refId: new mongoose.Types.ObjectId(String(refId)) };
+    const previous = await MediaAsset.find({ references: { $elemMatch: reference } }).distinct('_id');
+    if (previous.length === 0) return;
+
+    await MediaAsset.updateMany({ _id: { $in: previous } }, { $pull: { references: reference } });
+    await this.recount(previous);
+  }
+
+  /**
+   * Recalcula o contador de referências
+   * @param {Array} assetIds - Mídias afetadas
+   */
+  async recount(assetIds) {
+    if (assetIds.length === 0) return;
+    await MediaAsset.updateMany(
+      { _id: { $in: assetIds } },
+      [{ $set: { refCount: { $size: '$references' } } }]
+    );
+  }
+
+  /**
+   * Registra um envio avulso da mídia
+   * @param {string} assetId - ID da mídia
+   */
+  async registerSend(assetId) {
+    await MediaAsset.updateOne({ _id: assetId }, { $inc: { sendCount: 1 }, $set: { lastUsedAt: new Date() } });
+  }
+
+  /**
+   * Preenche media/mediaType/fileName do conteúdo a partir de content.mediaAssetId
+   * @param {string} userId - ID do usuário
+   * @param {object} content - Conteúdo da mensagem
+   * @returns {Promise<object>} - Novo conteúdo
+   */
+  async resolveContentMedia(userId, content) {
+    if (!content?.mediaAssetId) return content;
+
+    const asset = await this.getAsset(userId, content.mediaAssetId);
+    return {
+      ...content,
+      media: asset.url,
+      mediaType: asset.mediaType,
+      fileName: content.fileName || asset.originalName
+    };
+  }
+
+  /**
+   * Resolve as mídias da biblioteca em um template (simples ou sequência)
+   * @param {string} userId - ID do usuário
+   * @param {object} template - Template no formato do disparo
+   * @returns {Promise<object>}
+   */
+  async resolveTemplateMedia(userId, template) {
+    if (!template) return template;
+
+    const resolved = { ...template };
+    if (resolved.content) {
+      resolved.content = await this.resolveContentMedia(userId, resolved.content);
+    }
+    if (Array.isArray(resolved.sequence?.messages)) {
+      resolved.sequence = {
+        ...resolved.sequence,
+        messages: await Promise.all(resolved.sequence.messages.map(async message => ({
+          ...message,
+          content: await this.resolveContentMedia(userId, message.content)
+        })))
+      };
+    }
+    return resolved;
+  }
+}
+
+module.exports = new MediaAssetService();
@@ -0,0 +1,122 @@
+const Message = require('../models/Message');
+const llmService = require('./llmService');
+const templateUtils = require('../utils/templateUtils');
+
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_SYSTEM_PROMPT = 'Você é um atendente de WhatsApp. Responda de forma curta, educada e em português.';
+
+const getByPath = (source, path) => String(path || '')
+  .split('.')
+  .filter(Boolean)
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+
+const truncate = (text) => (text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH)}…` : text);
+
+class MindClerkyAiService {
+  /**
+   * Últimas mensagens da conversa no formato do chat (user = contato, assistant = instância)
+   * @param {object} execution - Execução
+   * @param {number} limit - Quantidade de mensagens
+   * @param {object} incoming - { text, messageId } mensagem que disparou o nó (pode ainda não estar salva)
+   * @returns {Promise<Array>}
+   */
+  async loadConversation(execution, limit = DEFAULT_HISTORY_LIMIT, incoming = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 0, 0), MAX_HISTORY_LIMIT);
+
+    const messages = size > 0
+      ? await Message.find({
+        instanceName: execution.instanceName,
+        chatId: execution.contactId,
+        isDeleted: { $ne: true }
+      })
+        .sort({ timestamp: -1 })
+        .limit(size)
+        .select('messageId fromMe messageType content')
+        .lean()
+      : [];
+
+    const conversation = messages.reverse().map(message => ({
+      role: message.fromMe ? 'assistant' : 'user',
+      content: truncate(message.content?.text || message.content?.caption || `[${message.messageType}]`),
+      messageId: message.messageId
+    }));
+
+    if (incoming.text && !conversation.some(message => incoming.messageId && message.messageId === incoming.messageId)) {
+      conversation.push({ role: 'user', content: truncate(incoming.text), messageId: incoming.messageId || null });
+    }
+
+    return conversation.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Dados do contato e do fluxo disponíveis para a IA
+   * @param {object} variables - Variáveis da execução
+   * @param {Array<string>} contextVariables - Caminhos extras (ex.: lastWebhook.data)
+   * @returns {string}
+   */
+  buildContext(variables = {}, contextVariables = []) {
+    const context = {
+      contato: {
+        nome: variables.contact?.name || variables.name || null,
+        telefone: variables.contact?.phone || null
+      }
+    };
+    if (variables.customFields && Object.keys(variables.customFields).length > 0) {
+      context.campos = variables.customFields;
+    }
+    (Array.isArray(contextVariables) ? contextVariables : []).forEach(path => {
+      const value = getByPath(variables, path);
+      if (value !== undefined) context[path] = value;
+    });
+
+    return `Dados do contato e do atendimento (use quando for útil):\n${JSON.stringify(context, null, 2)}`;
+  }
+
+  /**
+   * Gera a resposta do nó de IA
+   * node.data: { systemPrompt, provider, model, temperature, maxTokens, historyLimit, contextVariables, extract }
+   * @param {object} params - { node, execution, incoming: { text, messageId } }
+   * @returns {Promise<object>} - { reply, fields, provider, model, usage }
+   */
+  async generateReply({ node, execution, incoming = {} }) {
+    const data = node.data || {};
+    const variables = execution.variables || {};
+    const fields = llmService.normalizeFields(data.extract);
+
+    const systemPrompt = [
+      templateUtils.replaceTemplateVariables(data.systemPrompt || data.prompt || DEFAULT_SYSTEM_PROMPT, variables),
+      this.buildContext(variables, data.contextVariables),
+      fields.length > 0 ? llmService.buildExtractionInstructions(fields) : null
+    ].filter(Boolean).join('\n\n');
+
+    const conversation = await this.loadConversation(
+      execution,
+      data.historyLimit ?? DEFAULT_HISTORY_LIMIT,
+      incoming
+    );
+
+    const result = await llmService.complete({
+      messages: [{ role: 'system', content: systemPrompt }, ...conversation],
+      model: data.model,
+      temperature: data.temperature,
+      maxTokens: data.maxTokens,
+      json: fields.length > 0
+    }, data.provider);
+
+    const structured = fields.length > 0
+      ? llmService.parseStructuredReply(result.text, fields)
+      : { reply: String(result.text || '').trim(), fields: {} };
+
+    return {
+      reply: structured.reply,
+      fields: structured.fields,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage
+    };
+  }
+}
+
+module.exports = new MindClerkyAiService();
@@ -6,15 +6,28 @@ const massDispatchService = require('./massDispatchService');
 const evolutionApi = require('./evolutionApi');
 const n8nService = require('./n8nService');
 const templateUtils = require('../utils/templateUtils');
+const { normalizeInteractiveContent, parseInteractiveReply } = require('../utils/interactiveMessageUtils');
 const phoneService = require('./phoneService');
+const rateLimiterService = require('./rateLimiterService');
+const suppressionService = require('./suppressionService');
+const mediaAssetService = require('./mediaAssetService');
+const storageService = require('./storageService');
+const mindClerkyVersionService = require('./mindClerkyVersionService');
+const contactTagService = require('./contactTagService');
+const mindClerkyAiService = require('./mindClerkyAiService');
 const redisClient = require('../utils/redisClient');
 
 const activeExecutions = new Set();
 const delayTimers = new Map();
+const promotionChains = new Map(); // flowId -> liberação da fila em andamento
 
 const LOOP_GUARD_LIMIT = 100;
 const WAIT_REDIS_PREFIX = 'mindclerky:wait';
 const WAIT_REDIS_TTL_SECONDS = 60 * 60 * 6; // 6 horas
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hora
+const FLOW_THROTTLE_PREFIX = 'mindclerky:flow';
+// Regras da condição avaliadas pelas tags do contato (não esperam mensagem)
+const TAG_RULE_TYPES = ['contact_has_tag', 'contact_not_has_tag'];
 
 const unitToMs = {
   seconds: 1000,
@@ -105,6 +118,12 @@ const init = async () => {
       scheduleExecutionRun(execution._id, delayMs);
     });
 
+    // Leads na fila de fluxos que tiveram vaga liberada com o servidor parado
+    const queuedFlowIds = await MindClerkyExecution.distinct('flowId', { status: 'queued' });
+    for (const flowId of queuedFlowIds) {
+      await promoteQueuedExecutions(flowId);
+    }
+
     log(`Inicialização concluída. ${waitingExecutions.length} execuções aguardando retomada.`);
   } catch (error) {
     console.error('❌ MindClerky init error:', error);
@@ -179,6 +198,109 @@ const updateExecution = async (executionId, update = {}) => {
   );
 };
 
+// Reagenda o mesmo nó para depois (limites de envio)
+const deferNode = async (execution, node, delayMs, reason) => {
+  const resumeAt = new Date(Date.now() + delayMs);
+  const updatedExecution = await updateExecution(execution._id, {
+    status: 'waiting',
+    nextRunAt: resumeAt,
+    currentNodeId: node.id,
+    metadata: {
+      ...(execution.metadata || {}),
+      pendingNodeId: node.id,
+      waitReason: 'throttle'
+    },
+    $push: {
+      history: {
+        nodeId: node.id,
+        status: 'waiting',
+        timestamp: new Date(),
+        output: {
+          resumeAt: resumeAt.toISOString(),
+          reason
+        }
+      }
+    }
+  });
+
+  scheduleExecutionRun(execution._id, delayMs);
+  return {
+    execution: updatedExecution,
+    waiting: true
+  };
+};
+
+// Contato descadastrado: não enviar e seguir para o próximo nó
+const skipSuppressedNode = async (node, execution, flow, formattedNumber) => {
+  const nextNodeId = getNextNodeId(flow, node.id);
+  const updatedExecution = await updateExecution(execution._id, {
+    currentNodeId: nextNodeId,
+    metadata: {
+      ...(execution.metadata || {}),
+      pendingNodeId: null
+    },
+    $push: {
+      history: {
+        nodeId: node.id,
+        status: 'completed',
+        timestamp: new Date(),
+        output: {
+          number: formattedNumber,
+          skipped: true,
+          reason: 'suppressed'
+        }
+      }
+    }
+  });
+
+  await clearWaitStateRedis(execution);
+
+  return {
+    execution: updatedExecution,
+    nextNodeId
+  };
+};
+
+// Limites de envio do fluxo e da instância; retorna o reagendamento do nó quando esgotados
+const acquireSendPermit = async (node, execution, flow) => {
+  // Limite de mensagens por minuto do fluxo (somado entre todos os leads)
+  const flowPermit = await rateLimiterService.throttle(
+    `${FLOW_THROTTLE_PREFIX}:${flow._id}`,
+    flow.settings?.throttle?.messagesPerMinute,
+    { maxWaitMs: 30 * 1000 }
+  );
+  if (!flowPermit.allowed) {
+    return deferNode(execution, node, flowPermit.retryAfterMs, 'Limite de mensagens por minuto do fluxo atingido');
+  }
+
+  // Limite de envio compartilhado da instância: se esgotado, reagendar este mesmo nó
+  const permit = await rateLimiterService.acquire(execution.instanceName, { maxWaitMs: 30 * 1000, automated: true });
+  if (!permit.allowed) {
+    return deferNode(
+      execution,
+      node,
+      permit.retryAfterMs,
+      permit.reason === 'daily_limit'
+        ? 'Limite diário de envio da instância atingido'
+        : 'Limite de envio da instância atingido'
+    );
+  }
+
+  return null;
+};
+
+// Intervalo antes da próxima tentativa (settings.errorHandling.retry)
+const getRetryDelay = (retry = {}, attempt = 1) => {
+  const baseDelay = Math.max(0, Number(retry.delay) || 0);
+  let delayMs = baseDelay;
+  if (retry.backoff === 'linear') {
+    delayMs = baseDelay * attempt;
+  } else if (retry.backoff === 'exponential') {
+    delayMs = baseDelay * (2 ** (attempt - 1));
+  }
+  return Math.min(delayMs, RETRY_MAX_DELAY_MS);
+};
+
 const registerWaitForResponse = async (execution, nodeId, message = 'Aguardando resposta do contato') => {
   const historyEntry = {
     nodeId,
@@ -370,6 +492,7 @@ const handleConditionNode = async (node, execution, flow) => {
   const lastConsumedKey = metadata.lastConsumedMessageKey || null;
   const lastConsumedFingerprint = metadata.lastConsumedMessageFingerprint || null;
 
+  const tagRulesOnly = rules.length > 0 && rules.every((rule) => TAG_RULE_TYPES.includes(rule?.type));
   const hasMessage = Boolean(incomingMessage);
   const alreadyConsumed = hasMessage && (
     (messageKey && lastConsumedKey && messageKey === lastConsumedKey) ||
@@ -389,7 +512,7 @@ const handleConditionNode = async (node, execution, flow) => {
     }
   );
 
-  if (!hasMessage || alreadyConsumed) {
+  if (!tagRulesOnly && (!hasMessage || alreadyConsumed)) {
     log('Condição: aguardando nova mensagem', execution._id.toString(), {
       nodeId: node.id
     });
@@ -404,11 +527,18 @@ const handleConditionNode = async (node, execution, flow) => {
   const normalizedText = normalizeText(messageTextRaw);
   const normalizedValueOriginal = messageTextRaw?.toString().trim() || '';
   const messageType = deriveMessageType(incomingMessage);
+  const interactiveReply = parseInteractiveReply(incomingMessage?.message || incomingMessage);
+  const contactTags = rules.some((rule) => TAG_RULE_TYPES.includes(rule?.type) || rule?.expression)
+    ? await contactTagService.getTags(execution.instanceName, execution.contactId)
+    : [];
+  const normalizedContactTags = contactTags.map((tag) => normalizeText(tag));
 
   const logicContext = buildLogicContext(variables, {
     lastIncomingMessage: incomingMessage,
     lastIncomingMessageType: messageType,
-    lastIncomingMessageText: normalizedValueOriginal
+    lastIncomingMessageText: normalizedValueOriginal,
+    lastIncomingReply: interactiveReply,
+    contactTags
   });
 
   let matchedHandle = null;
@@ -453,6 +583,29 @@ const handleConditionNode = async (node, execution, flow) => {
         // Qualquer mensagem satisfaz esta condição
         matched = hasMessage && !alreadyConsumed;
         break;
+      case 'button_reply':
+      case 'list_reply':
+        // Sem valor: qualquer resposta do tipo; com valor: ID ou texto da opção escolhida
+        matched = interactiveReply?.type === ruleType && (
+          !normalizedRuleValue ||
+          interactiveReply.id === ruleValue ||
+          normalizeText(interactiveReply.text) === normalizedRuleValue
+        );
+        break;
+      case 'poll_vote':
+        matched = interactiveReply?.type === 'poll_vote' && (
+          !normalizedRuleValue ||
+          interactiveReply.selectedOptions.some(option => normalizeText(option) === normalizedRuleValue)
+        );
+        break;
+      case 'contact_has_tag':
+      case 'contact_not_has_tag': {
+        // Valor: uma ou mais tags (array ou separadas por vírgula); basta uma delas
+        const ruleTags = contactTagService.normalizeTags(rule.value).map((tag) => normalizeText(tag));
+        const hasAnyTag = ruleTags.some((tag) => normalizedContactTags.includes(tag));
+        matched = ruleTags.length > 0 && (ruleType === 'contact_has_tag' ? hasAnyTag : !hasAnyTag);
+        break;
+      }
       default:
         if (rule.expression) {
           try {
@@ -517,15 +670,21 @@ const handleConditionNode = async (node, execution, flow) => {
   const updatedVariables = {
     ...variables
   };
-  delete updatedVariables.lastIncomingMessage;
+
+  // Condição só de tags não consome a mensagem recebida (fica para a próxima condição)
+  const consumedMetadata = {};
+  if (!tagRulesOnly) {
+    delete updatedVariables.lastIncomingMessage;
+    consumedMetadata.lastConsumedMessageKey = messageKey || null;
+    consumedMetadata.lastConsumedMessageFingerprint = messageFingerprint || null;
+  }
 
   const updatedExecution = await updateExecution(execution._id, {
     currentNodeId: nextNodeId,
     variables: updatedVariables,
     metadata: {
       ...(execution.metadata || {}),
-      lastConsumedMessageKey: messageKey || null,
-      lastConsumedMessageFingerprint: messageFingerprint || null,
+      ...consumedMetadata,
       pendingNodeId: null
     },
     $push: {
@@ -556,15 +715,25 @@ const handleWhatsAppMessageNode = async (node, execution, flow) => {
   const consumedMessageKey = getMessageKey(incomingMessage);
   const consumedMessageFingerprint = getMessageFingerprint(incomingMessage);
 
-  const formattedNumber = phoneService.normalizePhone(targetNumber) || targetNumber;
-  const processedTemplate = templateUtils.processTemplate(
+  const defaultCountry = await phoneService.resolveDefaultCountry({ instanceName: execution.instanceName });
+  const formattedNumber = phoneService.normalizePhone(targetNumber, { defaultCountry }) || targetNumber;
+  const processedTemplate = await storageService.resolveTemplateUrls(templateUtils.processTemplate(
     {
       type: data.templateType || 'text',
-      content: data.content || {}
+      content: await mediaAssetService.resolveContentMedia(flow.ownerId, data.content || {})
     },
     variables,
     data.defaultName || 'Cliente'
-  );
+  ));
+
+  if (await suppressionService.isSuppressed(flow.ownerId, formattedNumber)) {
+    return skipSuppressedNode(node, execution, flow, formattedNumber);
+  }
+
+  const deferred = await acquireSendPermit(node, execution, flow);
+  if (deferred) {
+    return deferred;
+  }
 
   let result = null;
   switch (processedTemplate.type) {
@@ -623,6 +792,18 @@ const handleWhatsAppMessageNode = async (node, execution, flow) => {
         processedTemplate.content?.fileName
       );
       break;
+    case 'buttons':
+    case 'list':
+    case 'poll':
+    case 'location':
+    case 'contact':
+      result = await evolutionApi.sendInteractiveMessage(
+        instanceName,
+        formattedNumber,
+        processedTemplate.type,
+        normalizeInteractiveContent(processedTemplate.type, processedTemplate.content || {})
+      );
+      break;
     default:
       throw new Error(`Tipo de mensagem não suportado: ${processedTemplate.type}`);
   }
@@ -736,8 +917,15 @@ const handleMassDispatchNode = async (node, execution, flow) => {
   };
 };
 
+// Nó de IA nativo apenas com mode: native; os demais (inclusive com prompt) seguem pelo n8n
+const isNativeAiNode = (data = {}) => data.mode === 'native';
+
 const handleAiNode = async (node, execution, flow) => {
   const data = node.data || {};
+  if (isNativeAiNode(data)) {
+    return handleNativeAiNode(node, execution, flow);
+  }
+
   const response = await n8nService.sendWebhook(
     flow.ownerId,
     execution.instanceName,
@@ -779,6 +967,135 @@ const handleAiNode = async (node, execution, flow) => {
   };
 };
 
+/**
+ * Gera a resposta com o provedor de IA (prompt do nó + histórico da conversa + variáveis),
+ * envia ao contato (data.sendReply !== false) e grava os campos extraídos em variables.customFields
+ */
+const handleNativeAiNode = async (node, execution, flow) => {
+  const data = node.data || {};
+  const instanceName = execution.instanceName;
+  const variables = execution.variables || {};
+  const sendReply = data.sendReply !== false;
+
+  const incomingMessage = variables.lastIncomingMessage;
+  const consumedMessageKey = getMessageKey(incomingMessage);
+  const consumedMessageFingerprint = getMessageFingerprint(incomingMessage);
+
+  let formattedNumber = null;
+  if (sendReply) {
+    const targetNumber = variables.contact?.phone || normalizeContactId(execution.contactId);
+    if (!targetNumber) {
+      throw new Error('Número do contato não encontrado para envio de mensagem.');
+    }
+
+    const defaultCountry = await phoneService.resolveDefaultCountry({ instanceName });
+    formattedNumber = phoneService.normalizePhone(targetNumber, { defaultCountry }) || targetNumber;
+
+    // Verificar antes de chamar a IA para não gerar respostas que não serão enviadas
+    if (await suppressionService.isSuppressed(flow.ownerId, formattedNumber)) {
+      return skipSuppressedNode(node, execution, flow, formattedNumber);
+    }
+  }
+
+  // Resposta gerada antes de o nó ser adiado pelo limite de envio: não chamar a IA de novo
+  const pendingReply = execution.metadata?.pendingAiReply;
+  const aiResult = pendingReply?.nodeId === node.id && pendingReply?.messageKey === (consumedMessageKey || null)
+    ? pendingReply.result
+    : await mindClerkyAiService.generateReply({
+      node,
+      execution,
+      incoming: {
+        text: incomingMessage ? extractMessageText(incomingMessage) : '',
+        messageId: consumedMessageKey
+      }
+    });
+
+  let response = null;
+  if (sendReply && aiResult.reply) {
+    // Limite de envio só é consumido quando há resposta para enviar
+    const deferred = await acquireSendPermit(node, {
+      _id: execution._id,
+      instanceName,
+      metadata: {
+        ...(execution.metadata || {}),
+        pendingAiReply: { nodeId: node.id, messageKey: consumedMessageKey || null, result: aiResult }
+      }
+    }, flow);
+    if (deferred) {
+      return deferred;
+    }
+
+    response = await evolutionApi.sendTextMessage(instanceName, formattedNumber, aiResult.reply);
+  }
+
+  const nextNodeId = getNextNodeId(flow, node.id);
+  const timestamp = new Date();
+  const historyEntry = {
+    nodeId: node.id,
+    status: 'completed',
+    timestamp,
+    output: {
+      number: formattedNumber,
+      provider: aiResult.provider,
+      model: aiResult.model,
+      reply: aiResult.reply,
+      fields: aiResult.fields,
+      usage: aiResult.usage,
+      response
+    }
+  };
+
+  const updatedVariables = {
+    ...variables,
+    lastIncomingMessage: null,
+    lastIncomingMessageMetadata: null,
+    customFields: {
+      ...(variables.customFields || {}),
+      ...aiResult.fields
+    },
+    ai: {
+      ...(variables.ai || {}),
+      lastResponse: aiResult.reply,
+      fields: {
+        ...(variables.ai?.fields || {}),
+        ...aiResult.fields
+      },
+      lastModel: aiResult.model,
+      lastUsage: aiResult.usage
+    }
+  };
+  if (response) {
+    updatedVariables.lastMessageSent = {
+      timestamp: timestamp.toISOString(),
+      nodeId: node.id,
+      type: 'text',
+      content: { text: aiResult.reply }
+    };
+  }
+
+  const updatedExecution = await updateExecution(execution._id, {
+    currentNodeId: nextNodeId,
+    variables: prepareVariables(execution, updatedVariables),
+    metadata: {
+      ...(execution.metadata || {}),
+      lastConsumedMessageKey: consumedMessageKey || execution.metadata?.lastConsumedMessageKey || null,
+      lastConsumedMessageFingerprint: consumedMessageFingerprint || execution.metadata?.lastConsumedMessageFingerprint || null,
+      pendingNodeId: null,
+      pendingAiReply: null
+    },
+    $push: {
+      history: historyEntry
+    }
+  });
+
+  await clearWaitStateRedis(execution);
+
+  return {
+    execution: updatedExecution,
+    nextNodeId
+  };
+};
+
 const handleWebhookNode = async (node, execution, flow) => {
   const data = node.data || {};
   if (!data.url) {
@@ -843,8 +1160,25 @@ const handleWebhookNode = async (node, execution, flow) => {
 
 const handleTagNode = async (node, execution, flow) => {
   const data = node.data || {};
-  const tagsApplied = data.apply || [];
-  const tagsRemoved = data.remove || [];
+  const tagsApplied = contactTagService.normalizeTags(data.apply || []);
+  const tagsRemoved = contactTagService.normalizeTags(data.remove || []);
+
+  // Gravar no contato: as tags continuam valendo depois que a execução termina
+  if (tagsRemoved.length > 0) {
+    await contactTagService.removeTags({
+      instanceName: execution.instanceName,
+      contactId: execution.contactId,
+      tags: tagsRemoved
+    });
+  }
+  const contactTags = await contactTagService.addTags({
+    userId: flow.ownerId,
+    instanceName: execution.instanceName,
+    contactId: execution.contactId,
+    tags: tagsApplied,
+    source: 'mindclerky',
+    flowId: flow._id
+  });
 
   const nextNodeId = getNextNodeId(flow, node.id);
   const historyEntry = {
@@ -853,7 +1187,8 @@ const handleTagNode = async (node, execution, flow) => {
     timestamp: new Date(),
     output: {
       apply: tagsApplied,
-      remove: tagsRemoved
+      remove: tagsRemoved,
+      contactTags
     }
   };
 
@@ -863,7 +1198,8 @@ const handleTagNode = async (node, execution, flow) => {
       ...execution.variables,
       tags: {
         applied: [...(execution.variables?.tags?.applied || []), ...tagsApplied],
-        removed: [...(execution.variables?.tags?.removed || []), ...tagsRemoved]
+        removed: [...(execution.variables?.tags?.removed || []), ...tagsRemoved],
+        current: contactTags
       }
     }),
     $push: {
@@ -925,6 +1261,194 @@ const executeNode = async (node, execution, flow) => {
   }
 };
 
+/**
+ * Falha de um nó: tenta de novo conforme settings.errorHandling.retry (attempts = novas tentativas);
+ * esgotadas as tentativas, segue para o nó de fallback (uma vez por execução) ou encerra com erro
+ * @returns {object} - { execution, nextNodeId } (nextNodeId apenas ao seguir para o fallback)
+ */
+const handleNodeFailure = async (node, execution, flow, error) => {
+  const errorHandling = flow.settings?.errorHandling || {};
+  const retry = errorHandling.retry || {};
+  const maxRetries = Math.max(0, parseInt(retry.attempts, 10) || 0);
+  const previousRetry = execution.metadata?.retry;
+  const attempt = previousRetry?.nodeId === node.id ? previousRetry.attempt + 1 : 1;
+  const timestamp = new Date();
+
+  if (attempt <= maxRetries) {
+    const delayMs = getRetryDelay(retry, attempt);
+    const resumeAt = new Date(Date.now() + delayMs);
+    const updatedExecution = await updateExecution(execution._id, {
+      status: 'waiting',
+      nextRunAt: resumeAt,
+      currentNodeId: node.id,
+      metadata: {
+        ...(execution.metadata || {}),
+        pendingNodeId: node.id,
+        waitReason: 'retry',
+        retry: {
+          nodeId: node.id,
+          attempt
+        }
+      },
+      $push: {
+        history: {
+          nodeId: node.id,
+          status: 'error',
+          timestamp,
+          output: {
+            retryAttempt: attempt,
+            maxRetries,
+            resumeAt: resumeAt.toISOString()
+          },
+          error: {
+            message: error.message
+          }
+        }
+      }
+    });
+
+    log(`Nó ${node.id} falhou; nova tentativa ${attempt}/${maxRetries} em ${delayMs}ms`, {
+      executionId: execution._id.toString()
+    });
+    scheduleExecutionRun(execution._id, delayMs);
+    return { execution: updatedExecution };
+  }
+
+  const lastError = {
+    message: error.message,
+    nodeId: node.id,
+    timestamp,
+    stack: error.stack
+  };
+
+  const fallbackNodeId = errorHandling.fallbackNodeId;
+  const canFallback = fallbackNodeId &&
+    fallbackNodeId !== node.id &&
+    !execution.metadata?.fallbackFrom &&
+    flow.nodes.some((item) => item.id === fallbackNodeId);
+
+  if (canFallback) {
+    const updatedExecution = await updateExecution(execution._id, {
+      status: 'running',
+      currentNodeId: fallbackNodeId,
+      nextRunAt: null,
+      lastError,
+      variables: prepareVariables(execution, {
+        lastError: {
+          nodeId: node.id,
+          message: error.message,
+          attempts: attempt,
+          timestamp: timestamp.toISOString()
+        }
+      }),
+      metadata: {
+        ...(execution.metadata || {}),
+        pendingNodeId: null,
+        retry: null,
+        fallbackFrom: node.id
+      },
+      $push: {
+        history: {
+          nodeId: node.id,
+          status: 'error',
+          timestamp,
+          output: {
+            attempts: attempt,
+            fallbackNodeId
+          },
+          error: {
+            message: error.message,
+            stack: error.stack
+          }
+        }
+      }
+    });
+
+    return {
+      execution: updatedExecution,
+      nextNodeId: fallbackNodeId
+    };
+  }
+
+  const updatedExecution = await updateExecution(execution._id, {
+    status: 'error',
+    lastError,
+    metadata: {
+      ...(execution.metadata || {}),
+      retry: null
+    },
+    $push: {
+      history: {
+        nodeId: node.id,
+        status: 'error',
+        timestamp,
+        error: {
+          message: error.message,
+          stack: error.stack
+        }
+      }
+    }
+  });
+
+  return { execution: updatedExecution };
+};
+
+/**
+ * Libera leads da fila do fluxo enquanto houver vaga (settings.maxConcurrentLeads)
+ * Liberações do mesmo fluxo rodam uma de cada vez para a contagem de vagas não ficar desatualizada
+ * @param {string} flowId - ID do fluxo
+ */
+const promoteQueuedExecutions = (flowId) => {
+  const key = flowId.toString();
+  const previous = promotionChains.get(key) || Promise.resolve();
+  const current = previous
+    .catch(() => {})
+    .then(() => promoteQueuedExecutionsNow(flowId));
+
+  promotionChains.set(key, current);
+  current.finally(() => {
+    if (promotionChains.get(key) === current) {
+      promotionChains.delete(key);
+    }
+  }).catch(() => {});
+
+  return current;
+};
+
+const promoteQueuedExecutionsNow = async (flowId) => {
+  if (!await MindClerkyExecution.exists({ flowId, status: 'queued' })) return;
+
+  const flow = await MindClerkyFlow.findById(flowId).select('status settings').lean();
+  if (!flow || flow.status !== 'active') return;
+
+  const maxConcurrentLeads = flow.settings?.maxConcurrentLeads;
+  let available = Infinity;
+  if (maxConcurrentLeads > 0) {
+    const activeLeads = await MindClerkyExecution.countDocuments({
+      flowId,
+      status: { $in: ['running', 'waiting'] }
+    });
+    available = maxConcurrentLeads - activeLeads;
+  }
+
+  while (available > 0) {
+    // Atualização atômica: dois servidores não liberam o mesmo lead
+    const execution = await MindClerkyExecution.findOneAndUpdate(
+      { flowId, status: 'queued' },
+      { $set: { status: 'running' } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!execution) break;
+
+    log('Lead liberado da fila do fluxo', {
+      flowId: flowId.toString(),
+      executionId: execution._id.toString()
+    });
+    enqueueExecution(execution._id);
+    available -= 1;
+  }
+};
+
 const runExecution = async (executionId) => {
   const key = executionId.toString();
   if (activeExecutions.has(key)) {
@@ -932,13 +1456,16 @@ const runExecution = async (executionId) => {
   }
   activeExecutions.add(key);
 
+  let flowId = null;
+
   try {
     let execution = await MindClerkyExecution.findById(executionId);
     if (!execution) {
       return;
     }
+    flowId = execution.flowId;
 
-    if (execution.status === 'completed' || execution.status === 'cancelled') {
+    if (execution.status === 'completed' || execution.status === 'cancelled' || execution.status === 'queued') {
       return;
     }
 
@@ -955,6 +1482,9 @@ const runExecution = async (executionId) => {
         execution.currentNodeId = execution.metadata.pendingNodeId;
         execution.metadata.pendingNodeId = null;
       }
+      if (execution.metadata?.waitReason) {
+        execution.metadata.waitReason = null;
+      }
       execution = await updateExecution(executionId, {
         status: 'running',
         nextRunAt: null,
@@ -963,7 +1493,8 @@ const runExecution = async (executionId) => {
       });
     }
 
-    const flow = await MindClerkyFlow.findById(execution.flowId).lean();
+    // Grafo da versão em que a execução começou (edições posteriores não a afetam)
+    const flow = await mindClerkyVersionService.getFlowForExecution(execution);
     if (!flow || flow.status === 'archived') {
       await updateExecution(executionId, {
         status: 'cancelled',
@@ -1011,6 +1542,16 @@ const runExecution = async (executionId) => {
         const result = await executeNode(node, execution, flow);
         execution = result.execution || execution;
 
+        // Nó concluído depois de falhas: zerar o contador de tentativas
+        if (execution.metadata?.retry?.nodeId === node.id && !result.waiting) {
+          execution = await updateExecution(executionId, {
+            metadata: {
+              ...execution.metadata,
+              retry: null
+            }
+          });
+        }
+
         if (result.completed) {
           return;
         }
@@ -1030,27 +1571,12 @@ const runExecution = async (executionId) => {
         }
       } catch (error) {
         console.error('❌ MindClerky node execution error:', error);
-        await updateExecution(executionId, {
-          status: 'error',
-          lastError: {
-            message: error.message,
-            nodeId: node.id,
-            timestamp: new Date(),
-            stack: error.stack
-          },
-          $push: {
-            history: {
-              nodeId: node.id,
-              status: 'error',
-              timestamp: new Date(),
-              error: {
-                message: error.message,
-                stack: error.stack
-              }
-            }
-          }
-        });
-        return;
+        const failure = await handleNodeFailure(node, execution, flow, error);
+        if (!failure.nextNodeId) {
+          return;
+        }
+        execution = failure.execution || execution;
+        currentNodeId = failure.nextNodeId;
       }
     }
 
@@ -1075,6 +1601,11 @@ const runExecution = async (executionId) => {
     }
   } finally {
     activeExecutions.delete(key);
+    if (flowId) {
+      promoteQueuedExecutions(flowId).catch((error) => {
+        console.error('❌ MindClerky queue error:', error);
+      });
+    }
   }
 };
 
@@ -1148,7 +1679,8 @@ const handleEventTrigger = async (instanceName, eventName, payload = {}) => {
             }
           );
 
-          if (fallbackExecution && fallbackExecution.metadata?.pendingNodeId) {
+          // Novas tentativas e limites de envio retomam apenas pelo nextRunAt
+          if (fallbackExecution && fallbackExecution.metadata?.pendingNodeId && !fallbackExecution.metadata?.waitReason) {
             resumedFlowIds.push(flow._id.toString());
 
             const updatedVariables = {
@@ -1256,6 +1788,16 @@ const handleEventTrigger = async (instanceName, eventName, payload = {}) => {
           continue;
         }
 
+        // Contato já está na fila do fluxo (limite de leads simultâneos)
+        const queuedExecution = await MindClerkyExecution.exists({
+          flowId: flow._id,
+          contactId: contactId || contactPhone,
+          status: 'queued'
+        });
+        if (queuedExecution) {
+          continue;
+        }
+
         const execution = await mindClerkyService.createExecution({
           flow,
           contactId: contactId || contactPhone || `contact-${Date.now()}`,
@@ -1281,6 +1823,10 @@ const removeAccents = (value = '') => value.normalize('NFD').replace(/[\u0300-\u
 const normalizeText = (value = '') => removeAccents(value.toString().trim().toLowerCase());
 
 const deriveMessageType = (message = {}) => {
+  // Respostas a botões, listas e enquetes
+  const interactiveReply = parseInteractiveReply(message?.message || message);
+  if (interactiveReply) return interactiveReply.type;
+
   const candidates = [
     message.messageType,
     message.type,
@@ -1326,6 +1872,10 @@ const extractMessageText = (message = {}) => {
   if (message?.extendedTextMessage?.text) return message.extendedTextMessage.text;
   if (message?.message?.extendedTextMessage?.text) return message.message.extendedTextMessage.text;
 
+  // Resposta a botão/lista (texto da opção) ou voto de enquete (opções separadas por vírgula)
+  const interactiveReply = parseInteractiveReply(message?.message || message);
+  if (interactiveReply) return interactiveReply.text;
+
   return '';
 };
 
@@ -1333,6 +1883,7 @@ module.exports = {
   init,
   enqueueExecution,
   runExecution,
+  promoteQueuedExecutions,
   handleEventTrigger
 };
 
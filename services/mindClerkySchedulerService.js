@@ -0,0 +1,296 @@
+const cronParser = require('cron-parser');
+const mongoose = require('mongoose');
+const MindClerkyFlow = require('../models/MindClerkyFlow');
+const MindClerkyExecution = require('../models/MindClerkyExecution');
+const Segment = require('../models/Segment');
+const segmentService = require('./segmentService');
+const phoneService = require('./phoneService');
+const mindClerkyExecutor = require('./mindClerkyExecutor');
+
+const AUDIENCE_TYPES = ['segment', 'tag', 'list'];
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+class MindClerkySchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.checkInterval = 30000; // Verificar a cada 30 segundos (cron tem resolução de minuto)
+  }
+
+  // Iniciar o agendador
+  start() {
+    if (this.isRunning) return;
+
+    console.log('🕐 Iniciando agendador de gatilhos do MindClerky...');
+    this.isRunning = true;
+
+    this.checkScheduledTriggers();
+    this.intervalId = setInterval(() => {
+      this.checkScheduledTriggers();
+    }, this.checkInterval);
+  }
+
+  // Parar o agendador
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Valida a configuração de um gatilho agendado
+   * @param {object} schedule - trigger.schedule
+   */
+  validateSchedule(schedule = {}) {
+    if (!schedule.cron) {
+      throw new Error('Gatilho agendado precisa de uma expressão cron');
+    }
+
+    try {
+      cronParser.parseExpression(schedule.cron, { tz: schedule.timezone || DEFAULT_TIMEZONE });
+    } catch (error) {
+      throw new Error(`Expressão cron ou fuso horário inválido: ${schedule.cron}`);
+    }
+
+    if (schedule.startDate && schedule.endDate && new Date(schedule.endDate) <= new Date(schedule.startDate)) {
+      throw new Error('A data final do agendamento deve ser posterior à data inicial');
+    }
+
+    const audience = schedule.audience || {};
+    if (!AUDIENCE_TYPES.includes(audience.type)) {
+      throw new Error(`Público do gatilho agendado inválido. Use: ${AUDIENCE_TYPES.join(', ')}`);
+    }
+    if (audience.type === 'segment' && !mongoose.Types.ObjectId.isValid(audience.segmentId)) {
+      throw new Error('Informe o segmento do gatilho agendado');
+    }
+    if (audience.type === 'tag' && !(audience.tags || []).length) {
+      throw new Error('Informe ao menos uma tag para o gatilho agendado');
+    }
+    if (audience.type === 'list' && !(audience.numbers || []).length) {
+      throw new Error('Informe ao menos um número para o gatilho agendado');
+    }
+  }
+
+  /**
+   * Próximos horários de disparo do cron no fuso do gatilho, respeitando início e fim
+   * @param {object} schedule - trigger.schedule
+   * @param {Date} from - Referência (exclusiva)
+   * @param {number} count - Quantidade de horários
+   * @returns {Array<Date>}
+   */
+  getNextFireTimes(schedule, from = new Date(), count = 1) {
+    const startDate = schedule.startDate ? new Date(schedule.startDate) : null;
+    const endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+    // Antes do início: o primeiro disparo pode ser exatamente na data inicial
+    const currentDate = startDate && startDate > from ? new Date(startDate.getTime() - 1000) : from;
+
+    const interval = cronParser.parseExpression(schedule.cron, {
+      tz: schedule.timezone || DEFAULT_TIMEZONE,
+      currentDate,
+      ...(endDate ? { endDate } : {})
+    });
+
+    const times = [];
+    while (times.length < count && interval.hasNext()) {
+      times.push(interval.next().toDate());
+    }
+    return times;
+  }
+
+  /**
+   * Próximo disparo ou null (cron encerrado pela data final)
+   * @param {object} schedule - trigger.schedule
+   * @param {Date} from - Referência
+   * @returns {Date|null}
+   */
+  getNextFireAt(schedule, from = new Date()) {
+    try {
+      return this.getNextFireTimes(schedule, from, 1)[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Recalcula nextFireAt dos gatilhos agendados antes de salvar o fluxo
+   * Fluxos inativos não têm próximo disparo
+   * @param {object} flow - Documento MindClerkyFlow (alterado no lugar)
+   */
+  applyScheduleState(flow) {
+    const now = new Date();
+    (flow.triggers || []).forEach(trigger => {
+      if (trigger.type !== 'schedule' || !trigger.schedule?.cron) return;
+      trigger.schedule.nextFireAt = flow.status === 'active' ? this.getNextFireAt(trigger.schedule, now) : null;
+    });
+  }
+
+  // Disparar os gatilhos cujo horário chegou
+  async checkScheduledTriggers() {
+    try {
+      const now = new Date();
+      const flows = await MindClerkyFlow.find({
+        status: 'active',
+        triggers: { $elemMatch: { type: 'schedule', 'schedule.nextFireAt': { $lte: now } } }
+      }).lean();
+
+      for (const flow of flows) {
+        for (let index = 0; index < flow.triggers.length; index += 1) {
+          const trigger = flow.triggers[index];
+          if (trigger.type === 'schedule' && trigger.schedule?.nextFireAt && new Date(trigger.schedule.nextFireAt) <= now) {
+            await this.fireTrigger(flow, index, now);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Erro ao verificar gatilhos agendados do MindClerky:', error);
+    }
+  }
+
+  /**
+   * Dispara um gatilho agendado: reserva o horário (evita disparo duplicado entre servidores),
+   * calcula o próximo e inicia uma execução para cada contato do público
+   * Horários perdidos com o servidor parado geram um único disparo
+   * @param {object} flow - Fluxo (lean)
+   * @param {number} index - Posição do gatilho
+   * @param {Date} now - Data de referência
+   */
+  async fireTrigger(flow, index, now = new Date()) {
+    const trigger = flow.triggers[index];
+    const schedulePath = `triggers.${index}.schedule`;
+    const nextFireAt = this.getNextFireAt(trigger.schedule, now);
+
+    const claim = await MindClerkyFlow.updateOne(
+      {
+        _id: flow._id,
+        status: 'active',
+        [`${schedulePath}.nextFireAt`]: trigger.schedule.nextFireAt
+      },
+      {
+        $set: {
+          [`${schedulePath}.nextFireAt`]: nextFireAt,
+          [`${schedulePath}.lastFiredAt`]: now
+        }
+      }
+    );
+    if (claim.modifiedCount === 0) return;
+
+    let started = 0;
+    let lastError = null;
+    try {
+      const audience = await this.resolveAudience(flow, trigger.schedule.audience || {});
+      started = await this.startExecutions(flow, trigger.schedule, audience, now);
+      console.log(`🕐 MindClerky: gatilho agendado do fluxo "${flow.name}" iniciou ${started} execução(ões) (${audience.length} contato(s) no público)`);
+    } catch (error) {
+      lastError = error.message;
+      console.error(`❌ Erro no gatilho agendado do fluxo ${flow._id}:`, error);
+    }
+
+    await MindClerkyFlow.updateOne(
+      { _id: flow._id },
+      { $set: { [`${schedulePath}.lastFireCount`]: started, [`${schedulePath}.lastError`]: lastError } }
+    );
+  }
+
+  /**
+   * Contatos do público do gatilho
+   * @param {object} flow - Fluxo
+   * @param {object} audience - { type, segmentId, tags, numbers }
+   * @returns {Promise<Array>} - [{ phone, name }]
+   */
+  async resolveAudience(flow, audience) {
+    let members = [];
+
+    switch (audience.type) {
+      case 'segment': {
+        const segment = await Segment.findOne({ _id: audience.segmentId, userId: flow.ownerId });
+        if (!segment) throw new Error('Segmento do gatilho agendado não encontrado');
+        members = await segmentService.evaluate(segment);
+        break;
+      }
+      case 'tag':
+        // Segmento temporário (não é salvo): contatos com qualquer uma das tags
+        members = await segmentService.evaluate({
+          userId: flow.ownerId,
+          instanceName: flow.instanceName,
+          match: 'any',
+          conditions: [{ type: 'tag', value: audience.tags }]
+        });
+        break;
+      case 'list':
+        members = (audience.numbers || []).map(phone => ({ phone, name: null }));
+        break;
+      default:
+        throw new Error('Público do gatilho agendado inválido');
+    }
+
+    const defaultCountry = await phoneService.resolveDefaultCountry({
+      userId: flow.ownerId,
+      instanceName: flow.instanceName
+    });
+
+    const unique = new Map();
+    members.forEach(member => {
+      const phone = phoneService.normalizePhone(member.phone, { defaultCountry });
+      if (phone && !unique.has(phone)) {
+        unique.set(phone, { phone, name: member.name || null });
+      }
+    });
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Cria e enfileira as execuções; contatos com execução em andamento no fluxo são ignorados
+   * @param {object} flow - Fluxo
+   * @param {object} schedule - trigger.schedule
+   * @param {Array} audience - [{ phone, name }]
+   * @param {Date} firedAt - Horário do disparo
+   * @returns {Promise<number>} - Execuções iniciadas
+   */
+  async startExecutions(flow, schedule, audience, firedAt) {
+    // Carregado sob demanda: mindClerkyService depende deste serviço
+    const mindClerkyService = require('./mindClerkyService');
+
+    const contactIds = audience.map(member => `${member.phone}@s.whatsapp.net`);
+    const busy = new Set(await MindClerkyExecution.distinct('contactId', {
+      flowId: flow._id,
+      contactId: { $in: contactIds },
+      status: { $in: ['queued', 'running', 'waiting'] }
+    }));
+
+    let started = 0;
+    for (const member of audience) {
+      const contactId = `${member.phone}@s.whatsapp.net`;
+      if (busy.has(contactId)) continue;
+
+      const execution = await mindClerkyService.createExecution({
+        flow,
+        contactId,
+        triggerType: 'schedule',
+        triggerPayload: {
+          event: 'schedule',
+          contact: {
+            id: contactId,
+            phone: member.phone,
+            name: member.name
+          },
+          schedule: {
+            cron: schedule.cron,
+            timezone: schedule.timezone,
+            firedAt
+          }
+        }
+      });
+
+      mindClerkyExecutor.enqueueExecution(execution._id);
+      started += 1;
+    }
+
+    return started;
+  }
+}
+
+module.exports = new MindClerkySchedulerService();
@@ -6,6 +6,19 @@ const evolutionApi = require('./evolutionApi');
 const n8nService = require('./n8nService');
 const templateUtils = require('../utils/templateUtils');
 const phoneService = require('./phoneService');
+const mediaAssetService = require('./mediaAssetService');
+const storageService = require('./storageService');
+const mindClerkySchedulerService = require('./mindClerkySchedulerService');
+const mindClerkyVersionService = require('./mindClerkyVersionService');
+const { normalizeInteractiveContent } = require('../utils/interactiveMessageUtils');
+
+// Mídias da biblioteca usadas pelos nós do fluxo (contagem de referências)
+const syncFlowMediaReferences = (flow) => mediaAssetService.syncReferences(
+  flow.ownerId,
+  'mindclerky_flow',
+  flow._id,
+  mediaAssetService.collectAssetIds(flow.nodes)
+);
 
 const createError = (message, status = 400, details = null) => {
   const error = new Error(message);
@@ -86,6 +99,15 @@ const validateFlowStructure = (flowData = {}, requireNodes = false) => {
     }
   });
 
+  (flowData.triggers || []).forEach((trigger) => {
+    if (trigger.type !== 'schedule') return;
+    try {
+      mindClerkySchedulerService.validateSchedule(trigger.schedule);
+    } catch (error) {
+      throw createError(error.message);
+    }
+  });
+
   // Validar triggers apenas se requireNodes for true (ao ativar)
   if (requireNodes) {
     const startTriggers = flowData.triggers || [];
@@ -148,7 +170,7 @@ const createFlow = async (payload, user) => {
     throw createError('Instância não encontrada ou não pertence ao usuário.', 404);
   }
 
-  const flow = await MindClerkyFlow.create({
+  const flow = new MindClerkyFlow({
     name: payload.name,
     slug: payload.slug,
     description: payload.description,
@@ -164,9 +186,44 @@ const createFlow = async (payload, user) => {
     template: payload.template || { isTemplate: false }
   });
 
+  if (flow.status === 'active') {
+    await mindClerkyVersionService.publish(flow, { publishedBy: user._id, note: payload.versionNote || '' });
+  }
+
+  mindClerkySchedulerService.applyScheduleState(flow);
+  await flow.save();
+  await syncFlowMediaReferences(flow);
   return flow;
 };
 
+// Fluxo reativado ou com limite de leads alterado: liberar quem está na fila
+const releaseQueuedLeads = (flow) => {
+  if (flow.status !== 'active') return;
+  const mindClerkyExecutor = require('./mindClerkyExecutor');
+  mindClerkyExecutor.promoteQueuedExecutions(flow._id).catch((error) => {
+    console.error('❌ MindClerky queue error:', error);
+  });
+};
+
+// Mantém o histórico do agendador quando o gatilho agendado continua o mesmo
+const carryScheduleHistory = (previousTriggers = [], triggers = []) => {
+  return triggers.map((trigger, index) => {
+    const previous = previousTriggers[index];
+    if (trigger.type !== 'schedule' || previous?.type !== 'schedule' || previous.schedule?.cron !== trigger.schedule?.cron) {
+      return trigger;
+    }
+    return {
+      ...trigger,
+      schedule: {
+        ...trigger.schedule,
+        lastFiredAt: previous.schedule.lastFiredAt,
+        lastFireCount: previous.schedule.lastFireCount,
+        lastError: previous.schedule.lastError
+      }
+    };
+  });
+};
+
 const updateFlow = async (flowId, payload, user) => {
   const flow = await getFlowById(flowId, user._id);
 
@@ -184,11 +241,12 @@ const updateFlow = async (flowId, payload, user) => {
   flow.description = payload.description ?? flow.description;
   flow.instanceName = payload.instanceName ?? flow.instanceName;
   flow.tags = payload.tags ?? flow.tags;
-  flow.triggers = payload.triggers ?? flow.triggers;
+  if (payload.triggers) {
+    flow.triggers = carryScheduleHistory(flow.toObject().triggers, payload.triggers);
+  }
   flow.nodes = payload.nodes ?? flow.nodes;
   flow.edges = payload.edges ?? flow.edges;
   flow.settings = payload.settings ?? flow.settings;
-  flow.version += 1;
 
   if (payload.template) {
     flow.template = {
@@ -197,7 +255,15 @@ const updateFlow = async (flowId, payload, user) => {
     };
   }
 
+  // Fluxo ativo: a alteração vira uma nova versão; execuções em andamento seguem na versão delas
+  if (flow.status === 'active') {
+    await mindClerkyVersionService.publish(flow, { publishedBy: user._id, note: payload.versionNote || '' });
+  }
+
+  mindClerkySchedulerService.applyScheduleState(flow);
   await flow.save();
+  await syncFlowMediaReferences(flow);
+  releaseQueuedLeads(flow);
   return flow;
 };
 
@@ -212,14 +278,13 @@ const changeFlowStatus = async (flowId, status, user) => {
   if (status === 'active') {
     // Exigir pelo menos um nó ao ativar o fluxo
     validateFlowStructure(flow, true);
-    flow.lastPublishedAt = new Date();
-    flow.publishedBy = user._id;
 
-    const hasEventTrigger = (flow.triggers || []).some(
-      (trigger) => trigger.type === 'event'
+    // Fluxos só com gatilho agendado não devem reagir a mensagens recebidas
+    const hasStartTrigger = (flow.triggers || []).some(
+      (trigger) => trigger.type === 'event' || trigger.type === 'schedule'
     );
 
-    if (!hasEventTrigger) {
+    if (!hasStartTrigger) {
       flow.triggers = [
         ...(flow.triggers || []),
         {
@@ -228,10 +293,14 @@ const changeFlowStatus = async (flowId, status, user) => {
         }
       ];
     }
+
+    await mindClerkyVersionService.publish(flow, { publishedBy: user._id });
   }
 
   flow.status = status;
+  mindClerkySchedulerService.applyScheduleState(flow);
   await flow.save();
+  releaseQueuedLeads(flow);
   return flow;
 };
 
@@ -251,6 +320,8 @@ const deleteFlow = async (flowId, userId) => {
   });
 
   await flow.deleteOne();
+  await mindClerkyVersionService.removeVersions(flow._id);
+  await mediaAssetService.removeReferences('mindclerky_flow', flow._id);
   return true;
 };
 
@@ -276,10 +347,72 @@ const duplicateFlowAsTemplate = async (flowId, user) => {
     }
   });
 
+  mindClerkySchedulerService.applyScheduleState(clonedFlow);
   await clonedFlow.save();
+  await syncFlowMediaReferences(clonedFlow);
   return clonedFlow;
 };
 
+const listFlowVersions = async (flowId, user) => {
+  const flow = await getFlowById(flowId, user._id);
+  return {
+    flowId: flow._id,
+    currentVersion: flow.version,
+    status: flow.status,
+    versions: await mindClerkyVersionService.listVersions(flow)
+  };
+};
+
+const getFlowVersion = async (flowId, version, user) => {
+  const flow = await getFlowById(flowId, user._id);
+  return mindClerkyVersionService.getVersion(flow._id, version);
+};
+
+const diffFlowVersions = async (flowId, { from, to } = {}, user) => {
+  const flow = await getFlowById(flowId, user._id);
+  const toNumber = parseInt(to, 10) || flow.version;
+  const fromNumber = parseInt(from, 10) || Math.max(toNumber - 1, 1);
+
+  const [fromVersion, toVersion] = await Promise.all([
+    mindClerkyVersionService.getVersion(flow._id, fromNumber),
+    mindClerkyVersionService.getVersion(flow._id, toNumber)
+  ]);
+  return mindClerkyVersionService.diffVersions(fromVersion, toVersion);
+};
+
+// Restaura o grafo de uma versão publicada; em fluxo ativo, a restauração é publicada como nova versão
+const rollbackFlow = async (flowId, version, user) => {
+  const flow = await getFlowById(flowId, user._id);
+  const flowVersion = await mindClerkyVersionService.getVersion(flow._id, version);
+  const { name, triggers, nodes, edges, settings } = flowVersion.snapshot;
+
+  validateFlowStructure({
+    instanceName: flow.instanceName,
+    triggers,
+    nodes,
+    edges
+  }, flow.status === 'active');
+
+  flow.name = name ?? flow.name;
+  flow.triggers = carryScheduleHistory(flow.toObject().triggers, triggers || []);
+  flow.nodes = nodes || [];
+  flow.edges = edges || [];
+  flow.settings = settings || {};
+
+  if (flow.status === 'active') {
+    await mindClerkyVersionService.publish(flow, {
+      publishedBy: user._id,
+      restoredFrom: flowVersion.version,
+      note: `Restaurada da versão ${flowVersion.version}`
+    });
+  }
+
+  mindClerkySchedulerService.applyScheduleState(flow);
+  await flow.save();
+  await syncFlowMediaReferences(flow);
+  return flow;
+};
+
 const listTemplates = async (userId) => {
   return MindClerkyFlow.find({
     ownerId: userId,
@@ -332,6 +465,11 @@ const createExecution = async ({
     };
   }
 
+  // Limite de leads simultâneos: o lead entra na fila e só sai dela pela liberação do executor
+  // (contar e criar em passos separados deixaria gatilhos simultâneos passarem do limite)
+  const maxConcurrentLeads = flow.settings?.maxConcurrentLeads;
+  const status = maxConcurrentLeads > 0 ? 'queued' : 'running';
+
   const execution = await MindClerkyExecution.create({
     flowId: flow._id,
     ownerId: flow.ownerId,
@@ -340,11 +478,17 @@ const createExecution = async ({
     contactId,
     triggerType,
     triggerPayload: enhancedTriggerPayload,
-    status: 'running',
+    status,
     currentNodeId: flow.nodes[0]?.id || null,
     variables: mapExecutionVariables(flow, enhancedTriggerPayload)
   });
 
+  if (status === 'queued') {
+    const mindClerkyExecutor = require('./mindClerkyExecutor');
+    await mindClerkyExecutor.promoteQueuedExecutions(flow._id);
+    return MindClerkyExecution.findById(execution._id);
+  }
+
   return execution;
 };
 
@@ -391,16 +535,17 @@ const resolveWhatsAppMessageNode = async (node, execution) => {
     throw createError('Número do contato não encontrado para envio de mensagem.');
   }
 
-  const formattedNumber = phoneService.normalizePhone(number);
+  const defaultCountry = await phoneService.resolveDefaultCountry({ instanceName });
+  const formattedNumber = phoneService.normalizePhone(number, { defaultCountry });
   const variables = execution.variables || {};
-  const processedTemplate = templateUtils.processTemplate(
+  const processedTemplate = await storageService.resolveTemplateUrls(templateUtils.processTemplate(
     {
       type: data.templateType || 'text',
-      content: data.content
+      content: await mediaAssetService.resolveContentMedia(execution.ownerId, data.content)
     },
     variables,
     data.defaultName || 'Cliente'
-  );
+  ));
 
   switch (processedTemplate.type) {
     case 'text':
@@ -434,6 +579,17 @@ const resolveWhatsAppMessageNode = async (node, execution) => {
         processedTemplate.content.caption,
         processedTemplate.content.fileName
       );
+    case 'buttons':
+    case 'list':
+    case 'poll':
+    case 'location':
+    case 'contact':
+      return evolutionApi.sendInteractiveMessage(
+        instanceName,
+        formattedNumber,
+        processedTemplate.type,
+        normalizeInteractiveContent(processedTemplate.type, processedTemplate.content)
+      );
     default:
       throw createError(`Tipo de mensagem não suportado: ${processedTemplate.type}`);
   }
@@ -522,6 +678,10 @@ module.exports = {
   resolveNode,
   listExecutions,
   getExecutionById,
-  deleteFlow
+  deleteFlow,
+  listFlowVersions,
+  getFlowVersion,
+  diffFlowVersions,
+  rollbackFlow
 };
 
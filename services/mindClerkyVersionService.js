@@ -0,0 +1,260 @@
+const MindClerkyFlow = require('../models/MindClerkyFlow');
+const MindClerkyFlowVersion = require('../models/MindClerkyFlowVersion');
+const MindClerkyExecution = require('../models/MindClerkyExecution');
+const { stripIds, diffValues } = require('../utils/diffUtils');
+
+// Partes do fluxo que definem o comportamento das execuções
+const SNAPSHOT_FIELDS = ['name', 'triggers', 'nodes', 'edges', 'settings'];
+
+// Estado do agendador: muda a cada disparo e não faz parte da versão
+const SCHEDULE_RUNTIME_FIELDS = ['lastFiredAt', 'nextFireAt', 'lastFireCount', 'lastError'];
+
+// Conexões são comparadas pelas pontas (o editor pode gerar outro id para a mesma ligação)
+const edgeKey = (edge) => `${edge.source}:${edge.sourceHandle || ''}->${edge.target}:${edge.targetHandle || ''}`;
+
+const describeNode = (node) => ({ id: node.id, type: node.type, name: node.name || null });
+
+const describeEdge = (edge) => ({
+  id: edge.id,
+  source: edge.source,
+  sourceHandle: edge.sourceHandle || null,
+  target: edge.target,
+  targetHandle: edge.targetHandle || null
+});
+
+class MindClerkyVersionService {
+  /**
+   * Copia o grafo atual do fluxo
+   * @param {object} flow - Documento ou objeto MindClerkyFlow
+   * @returns {object} - Snapshot
+   */
+  buildSnapshot(flow) {
+    const flowObj = typeof flow.toObject === 'function' ? flow.toObject() : flow;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (flowObj[field] !== undefined) {
+        snapshot[field] = stripIds(JSON.parse(JSON.stringify(flowObj[field])));
+      }
+    });
+
+    (snapshot.triggers || []).forEach(trigger => {
+      if (!trigger.schedule) return;
+      SCHEDULE_RUNTIME_FIELDS.forEach(field => delete trigger.schedule[field]);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Publica o grafo atual como nova versão imutável
+   * Se nada mudou desde a última versão, a última é reaproveitada
+   * Altera flow.version e flow.lastPublishedAt; quem chama salva o fluxo
+   * @param {object} flow - Documento MindClerkyFlow
+   * @param {object} options - { publishedBy, note, restoredFrom }
+   * @returns {Promise<object>} - Versão publicada
+   */
+  async publish(flow, { publishedBy = null, note = '', restoredFrom = null } = {}) {
+    const snapshot = this.buildSnapshot(flow);
+    const latest = await MindClerkyFlowVersion.findOne({ flowId: flow._id }).sort({ version: -1 });
+
+    if (latest && diffValues(latest.snapshot, snapshot).length === 0) {
+      flow.version = latest.version;
+      return latest;
+    }
+
+    // Fluxos anteriores ao versionamento continuam a numeração que já tinham
+    const version = await MindClerkyFlowVersion.create({
+      flowId: flow._id,
+      ownerId: flow.ownerId,
+      version: latest ? latest.version + 1 : (flow.version || 1),
+      snapshot,
+      publishedBy,
+      restoredFrom,
+      note
+    });
+
+    flow.version = version.version;
+    flow.lastPublishedAt = version.createdAt;
+    if (publishedBy) {
+      flow.publishedBy = publishedBy;
+    }
+
+    console.log(`🗂️ MindClerky: fluxo "${flow.name}" publicado na versão ${version.version}`);
+    return version;
+  }
+
+  /**
+   * Busca uma versão publicada
+   * @param {string} flowId - ID do fluxo
+   * @param {number} version - Número da versão
+   * @returns {Promise<object>}
+   */
+  async getVersion(flowId, version) {
+    const flowVersion = await MindClerkyFlowVersion.findOne({ flowId, version: Number(version) });
+    if (!flowVersion) {
+      const error = new Error(`Versão ${version} do fluxo não encontrada`);
+      error.status = 404;
+      throw error;
+    }
+    return flowVersion;
+  }
+
+  /**
+   * Fluxo na versão em que a execução começou
+   * Execuções anteriores ao versionamento usam o fluxo atual, que passa a ser a versão delas
+   * @param {object} execution - MindClerkyExecution
+   * @returns {Promise<object|null>} - Fluxo (lean) com o grafo da versão
+   */
+  async getFlowForExecution(execution) {
+    const flow = await MindClerkyFlow.findById(execution.flowId).lean();
+    if (!flow || !execution.flowVersion) return flow;
+
+    let flowVersion = await MindClerkyFlowVersion.findOne({
+      flowId: flow._id,
+      version: execution.flowVersion
+    }).lean();
+
+    if (!flowVersion) {
+      if (flow.version !== execution.flowVersion || flow.status !== 'active') {
+        return flow;
+      }
+      flowVersion = await this.publishLegacy(flow);
+    }
+
+    return {
+      ...flow,
+      ...flowVersion.snapshot,
+      version: flowVersion.version
+    };
+  }
+
+  /**
+   * Cria a versão de um fluxo ativo publicado antes do versionamento
+   * @param {object} flow - Fluxo (lean)
+   * @returns {Promise<object>}
+   */
+  async publishLegacy(flow) {
+    try {
+      const created = await MindClerkyFlowVersion.create({
+        flowId: flow._id,
+        ownerId: flow.ownerId,
+        version: flow.version,
+        snapshot: this.buildSnapshot(flow),
+        publishedBy: flow.publishedBy || null,
+        note: 'Versão criada automaticamente (fluxo anterior ao versionamento)'
+      });
+      return created.toObject();
+    } catch (error) {
+      // Outra execução criou a versão ao mesmo tempo
+      if (error.code === 11000) {
+        return MindClerkyFlowVersion.findOne({ flowId: flow._id, version: flow.version }).lean();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as versões publicadas com o diff estrutural em relação à anterior
+   * e quantas execuções ainda estão em andamento em cada uma
+   * @param {object} flow - Fluxo
+   * @returns {Promise<Array>}
+   */
+  async listVersions(flow) {
+    const [versions, activeCounts] = await Promise.all([
+      MindClerkyFlowVersion.find({ flowId: flow._id }).sort({ version: -1 }).lean(),
+      MindClerkyExecution.aggregate([
+        { $match: { flowId: flow._id, status: { $in: ['queued', 'running', 'waiting'] } } },
+        { $group: { _id: '$flowVersion', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByVersion = new Map(activeCounts.map(item => [item._id, item.count]));
+
+    return versions.map((version, index) => {
+      const previous = versions[index + 1];
+      return {
+        _id: version._id,
+        version: version.version,
+        publishedBy: version.publishedBy,
+        restoredFrom: version.restoredFrom,
+        note: version.note,
+        createdAt: version.createdAt,
+        isCurrent: flow.status === 'active' && version.version === flow.version,
+        activeExecutions: countByVersion.get(version.version) || 0,
+        stats: {
+          nodes: (version.snapshot.nodes || []).length,
+          edges: (version.snapshot.edges || []).length
+        },
+        diff: previous ? this.diffVersions(previous, version) : null
+      };
+    });
+  }
+
+  /**
+   * Diff estrutural entre duas versões: nós e conexões adicionados/removidos,
+   * alterações nos nós (posição no editor é ignorada), gatilhos e configurações
+   * @param {object} fromVersion - Versão de origem
+   * @param {object} toVersion - Versão de destino
+   * @returns {object}
+   */
+  diffVersions(fromVersion, toVersion) {
+    const before = fromVersion.snapshot || {};
+    const after = toVersion.snapshot || {};
+
+    const nodesBefore = new Map((before.nodes || []).map(node => [node.id, node]));
+    const nodesAfter = new Map((after.nodes || []).map(node => [node.id, node]));
+
+    const nodes = { added: [], removed: [], changed: [] };
+    nodesAfter.forEach((node, id) => {
+      const previous = nodesBefore.get(id);
+      if (!previous) {
+        nodes.added.push(describeNode(node));
+        return;
+      }
+      const { position: previousPosition, ...previousContent } = previous;
+      const { position, ...content } = node;
+      const changes = diffValues(previousContent, content);
+      if (changes.length) {
+        nodes.changed.push({ ...describeNode(node), changes });
+      }
+    });
+    nodesBefore.forEach((node, id) => {
+      if (!nodesAfter.has(id)) nodes.removed.push(describeNode(node));
+    });
+
+    const edgesBefore = new Map((before.edges || []).map(edge => [edgeKey(edge), edge]));
+    const edgesAfter = new Map((after.edges || []).map(edge => [edgeKey(edge), edge]));
+    const edges = {
+      added: [...edgesAfter.keys()].filter(key => !edgesBefore.has(key)).map(key => describeEdge(edgesAfter.get(key))),
+      removed: [...edgesBefore.keys()].filter(key => !edgesAfter.has(key)).map(key => describeEdge(edgesBefore.get(key)))
+    };
+
+    const triggers = diffValues({ triggers: before.triggers || [] }, { triggers: after.triggers || [] });
+    const settings = diffValues({ settings: before.settings || {} }, { settings: after.settings || {} });
+    const name = before.name !== after.name ? { from: before.name || null, to: after.name || null } : null;
+
+    return {
+      from: fromVersion.version,
+      to: toVersion.version,
+      name,
+      nodes,
+      edges,
+      triggers,
+      settings,
+      hasChanges: Boolean(
+        name || triggers.length || settings.length ||
+        nodes.added.length || nodes.removed.length || nodes.changed.length ||
+        edges.added.length || edges.removed.length
+      )
+    };
+  }
+
+  /**
+   * Remove as versões de um fluxo excluído
+   * @param {string} flowId - ID do fluxo
+   */
+  async removeVersions(flowId) {
+    await MindClerkyFlowVersion.deleteMany({ flowId });
+  }
+}
+
+module.exports = new MindClerkyVersionService();
@@ -1,66 +1,218 @@
+const { parsePhoneNumberFromString, validatePhoneNumberLength, isSupportedCountry } = require('libphonenumber-js/max');
+const { normalizeVariableKey } = require('../utils/templateUtils');
+const { parseCsv, parseXml } = require('../utils/importParsers');
+
+const DEFAULT_COUNTRY = 'BR';
+
+// Tipos do libphonenumber -> tipos expostos pela API
+const NUMBER_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'fixed_or_mobile',
+  VOIP: 'voip',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  PERSONAL_NUMBER: 'personal',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
+
+const LENGTH_ERRORS = {
+  TOO_SHORT: 'Número muito curto',
+  TOO_LONG: 'Número muito longo',
+  INVALID_LENGTH: 'Quantidade de dígitos inválida para o país',
+  INVALID_COUNTRY: 'Código de país inválido',
+  NOT_A_NUMBER: 'Número inválido'
+};
+
 class PhoneService {
   constructor() {
     // DDDs válidos do Brasil (11-19)
     this.validDDDs = ['11', '12', '13', '14', '15', '16', '17', '18', '19'];
   }
 
+  /**
+   * Normaliza o código de país (ISO 3166-1 alfa-2)
+   * @param {string} country - Código do país
+   * @returns {string|null} - Código em maiúsculas ou null se não suportado
+   */
+  normalizeCountry(country) {
+    if (!country) return null;
+    const code = String(country).trim().toUpperCase();
+    return isSupportedCountry(code) ? code : null;
+  }
+
+  /**
+   * País padrão para números sem código do país (instância > usuário > BR)
+   * @param {object} options - { userId, instanceName }
+   * @returns {Promise<string>}
+   */
+  async resolveDefaultCountry({ userId, instanceName } = {}) {
+    // Carregados sob demanda para manter o serviço utilizável sem banco
+    const Instance = require('../models/Instance');
+    const User = require('../models/User');
+
+    if (instanceName) {
+      const instance = await Instance.findOne({ instanceName }).select('settings.defaultCountry userId').lean();
+      const instanceCountry = this.normalizeCountry(instance?.settings?.defaultCountry);
+      if (instanceCountry) return instanceCountry;
+      userId = userId || instance?.userId;
+    }
+
+    if (userId) {
+      const user = await User.findById(userId).select('defaultCountry').lean();
+      const userCountry = this.normalizeCountry(user?.defaultCountry);
+      if (userCountry) return userCountry;
+    }
+
+    return DEFAULT_COUNTRY;
+  }
+
+  /**
+   * Interpreta o número em E.164
+   * Números com "+" ou "00" são internacionais; os demais usam o país padrão
+   * e, se inválidos, são tentados como internacionais sem o "+" (ex.: JID do WhatsApp)
+   * @param {string} phone - Número original
+   * @param {string} defaultCountry - País padrão
+   * @returns {object|null} - PhoneNumber válido do libphonenumber ou null
+   */
+  parseNumber(phone, defaultCountry = DEFAULT_COUNTRY) {
+    const raw = String(phone).split('@')[0].trim();
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return null;
+
+    const candidates = /^(\+|00)/.test(raw)
+      ? [`+${raw.startsWith('00') ? digits.substring(2) : digits}`]
+      : [[digits, defaultCountry], `+${digits}`];
+
+    for (const candidate of candidates) {
+      const parsed = Array.isArray(candidate)
+        ? parsePhoneNumberFromString(candidate[0], candidate[1])
+        : parsePhoneNumberFromString(candidate);
+      if (parsed && parsed.isValid()) {
+        return parsed;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Limpa e formata um número de telefone
    * @param {string} phone - Número original
-   * @returns {object} - { original, cleaned, formatted, isValid }
+   * @param {object} options - { defaultCountry } país usado para números sem código do país
+   * @returns {object} - { original, cleaned, formatted, isValid, country, numberType }
    */
-  processPhone(phone) {
+  processPhone(phone, options = {}) {
     const original = phone;
-    
+    const defaultCountry = this.normalizeCountry(options.defaultCountry) || DEFAULT_COUNTRY;
+
     // Remover todos os caracteres não numéricos
-    let cleaned = phone.replace(/\D/g, '');
-    
+    const cleaned = String(phone || '').split('@')[0].replace(/\D/g, '');
+
+    const parsed = this.parseNumber(phone || '', defaultCountry);
+
+    // Brasil: mantém as regras do 9º dígito (inclusive para números no formato antigo de 8 dígitos)
+    const looksBrazilian = !parsed && (
+      (cleaned.startsWith('55') && (cleaned.length === 12 || cleaned.length === 13)) ||
+      (defaultCountry === 'BR' && !String(phone || '').trim().startsWith('+'))
+    );
+    if (parsed?.country === 'BR' || looksBrazilian) {
+      const national = parsed ? String(parsed.nationalNumber) : cleaned;
+      return this.processBrazilianNumber(original, cleaned, national, parsed);
+    }
+
+    if (!parsed) {
+      const lengthError = cleaned
+        ? validatePhoneNumberLength(/^\s*(\+|00)/.test(String(phone)) ? `+${cleaned.replace(/^00/, '')}` : cleaned, defaultCountry)
+        : 'NOT_A_NUMBER';
+
+      return {
+        original,
+        cleaned,
+        formatted: null,
+        isValid: false,
+        country: null,
+        error: LENGTH_ERRORS[lengthError] || 'Número inválido'
+      };
+    }
+
+    return {
+      original,
+      cleaned,
+      formatted: parsed.number.substring(1), // E.164 sem "+", formato usado pelo WhatsApp
+      isValid: true,
+      country: parsed.country || null,
+      countryCallingCode: parsed.countryCallingCode,
+      numberType: NUMBER_TYPES[parsed.getType()] || 'unknown',
+      number: String(parsed.nationalNumber)
+    };
+  }
+
+  /**
+   * Regras dos números brasileiros (DDD e 9º dígito)
+   * @param {string} original - Número original
+   * @param {string} cleaned - Apenas dígitos
+   * @param {string} national - Número nacional (DDD + número), com ou sem o 55
+   * @param {object|null} parsed - Número interpretado pelo libphonenumber (se válido)
+   * @returns {object}
+   */
+  processBrazilianNumber(original, cleaned, national, parsed = null) {
     // Remover código do país se presente (55)
-    if (cleaned.startsWith('55') && cleaned.length >= 12) {
-      cleaned = cleaned.substring(2);
+    if (national.startsWith('55') && national.length >= 12) {
+      national = national.substring(2);
     }
-    
+
     // Verificar se tem pelo menos 10 dígitos (DDD + número)
-    if (cleaned.length < 10) {
+    if (national.length < 10) {
       return {
         original,
         cleaned,
         formatted: null,
         isValid: false,
+        country: 'BR',
         error: 'Número muito curto'
       };
     }
-    
+
     // Extrair DDD (primeiros 2 dígitos)
-    const ddd = cleaned.substring(0, 2);
-    const number = cleaned.substring(2);
-    
+    const ddd = national.substring(0, 2);
+    const number = national.substring(2);
+    const numberType = parsed
+      ? (NUMBER_TYPES[parsed.getType()] || 'unknown')
+      : this.getBrazilianNumberType(number);
+
     // Verificar se o DDD é válido (11-19)
     if (!this.validDDDs.includes(ddd)) {
       // Se não for DDD válido, remover o 9º dígito
       if (number.length === 9 && number.startsWith('9')) {
         const newNumber = number.substring(1);
         const formatted = `55${ddd}${newNumber}`;
-        
+
         return {
           original,
           cleaned,
           formatted,
           isValid: true,
           processedAction: 'removed_ninth_digit',
+          country: 'BR',
+          countryCallingCode: '55',
+          numberType,
           ddd,
           number: newNumber
         };
       }
     }
-    
+
     // Para DDDs válidos (11-19), manter o número como está
     let finalNumber = number;
-    
+
     // Se o número tem 8 dígitos, está correto
     // Se tem 9 dígitos e começa com 9, está correto (celular)
     // Se tem 9 dígitos e não começa com 9, pode ser erro
-    
+
     if (finalNumber.length === 8) {
       // Número fixo - ok
     } else if (finalNumber.length === 9) {
@@ -78,50 +230,68 @@ class PhoneService {
         cleaned,
         formatted: null,
         isValid: false,
+        country: 'BR',
         error: 'Número muito longo'
       };
     }
-    
+
     // Formato final: 55 + DDD + número
     const formatted = `55${ddd}${finalNumber}`;
-    
+
     return {
       original,
       cleaned,
       formatted,
       isValid: true,
+      country: 'BR',
+      countryCallingCode: '55',
+      numberType,
       ddd,
       number: finalNumber
     };
   }
 
   /**
-   * Normaliza um número de telefone para formato 55DDXXXXXXXXX
+   * Tipo de um número brasileiro sem DDD (celulares começam com 6-9; fixos com 2-5)
+   * @param {string} number - Número sem DDD
+   * @returns {string}
+   */
+  getBrazilianNumberType(number) {
+    if (number.length === 9) return number.startsWith('9') ? 'mobile' : 'unknown';
+    if (number.length === 8) return /^[6-9]/.test(number) ? 'mobile' : 'landline';
+    return 'unknown';
+  }
+
+  /**
+   * Normaliza um número de telefone para o formato do WhatsApp (código do país + número)
    * @param {string} phone
+   * @param {object} options - { defaultCountry }
    * @returns {string|null}
    */
-  normalizePhone(phone) {
+  normalizePhone(phone, options = {}) {
     if (!phone) return null;
-    const processed = this.processPhone(phone);
+    const processed = this.processPhone(phone, options);
     return processed.isValid ? processed.formatted : null;
   }
 
   /**
    * Processa uma lista de números
    * @param {Array} phones - Lista de números ou objetos { name, phone }
+   * @param {object} options - { defaultCountry }
    * @returns {Array} - Lista de números processados
    */
-  processPhoneList(phones) {
+  processPhoneList(phones, options = {}) {
     return phones.map(item => {
       if (typeof item === 'string') {
         // Formato antigo: apenas string
-        return this.processPhone(item);
+        return this.processPhone(item, options);
       } else {
         // Formato novo: objeto { name, phone }
-        const processed = this.processPhone(item.phone);
+        const processed = this.processPhone(item.phone, options);
         return {
           ...processed,
-          userProvidedName: item.name || null
+          userProvidedName: item.name || null,
+          customFields: item.customFields || {}
         };
       }
     });
@@ -129,14 +299,17 @@ class PhoneService {
 
   /**
    * Valida se um número formatado está correto
-   * @param {string} formattedPhone - Número formatado (55DDNNNNNNNNN)
+   * @param {string} formattedPhone - Número formatado (código do país + número, ex.: 55DDNNNNNNNNN)
    * @returns {boolean}
    */
   isValidFormattedPhone(formattedPhone) {
     if (!formattedPhone || typeof formattedPhone !== 'string') return false;
     
-    // Deve começar com 55
-    if (!formattedPhone.startsWith('55')) return false;
+    // Números de outros países: validação de tamanho/prefixo do libphonenumber
+    if (!formattedPhone.startsWith('55')) {
+      const parsed = parsePhoneNumberFromString(`+${formattedPhone}`);
+      return !!(parsed && parsed.isValid() && parsed.number === `+${formattedPhone}`);
+    }
     
     // Deve ter entre 12 e 13 dígitos (55 + 2 DDD + 8/9 número)
     if (formattedPhone.length < 12 || formattedPhone.length > 13) return false;
@@ -155,94 +328,148 @@ class PhoneService {
   }
 
   /**
-   * Extrai números de um texto CSV (com suporte a nomes)
-   * @param {string} csvContent - Conteúdo do CSV
-   * @returns {Array} - Lista de objetos { name, phone }
+   * Detecta as colunas de nome e telefone pelos cabeçalhos
+   * @param {Array<string>} headers - Cabeçalhos
+   * @returns {object} - { name, phone } índices das colunas (-1 se não encontrada)
    */
-  extractFromCSV(csvContent) {
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
-    
-    // Detectar delimitador (vírgula ou ponto-e-vírgula)
-    const delimiter = lines[0].includes(';') ? ';' : ',';
-    
-    // Primeira linha são os cabeçalhos
-    const headers = lines[0].split(delimiter).map(h => h.trim().toLowerCase());
-    
+  detectColumns(headers) {
+    const normalized = headers.map(h => String(h || '').trim().toLowerCase());
+
     // Buscar coluna de nome
-    const nameColumnIndex = headers.findIndex(h => 
-      h === 'name' || h === 'nome'
-    );
-    
+    const name = normalized.findIndex(h => h === 'name' || h === 'nome' || h === 'full name' || h === 'nome completo');
+
     // Buscar coluna de telefone - aceitar várias variações
-    const phoneColumnIndex = headers.findIndex(h => {
-      const headerLower = h.toLowerCase();
-      return headerLower.includes('telefone') || 
-             headerLower.includes('phone') || 
-             headerLower.includes('celular') || 
-             headerLower.includes('whatsapp') ||
-             headerLower === 'numero' || 
-             headerLower === 'números' ||
-             headerLower === 'contatos' || 
-             headerLower === 'contato';
-    });
-    
-    if (phoneColumnIndex === -1) {
+    const phone = normalized.findIndex(h => 
+      h.includes('telefone') || 
+      h.includes('phone') || 
+      h.includes('celular') || 
+      h.includes('whatsapp') ||
+      h === 'numero' || 
+      h === 'número' ||
+      h === 'números' ||
+      h === 'contatos' || 
+      h === 'contato' ||
+      h === 'tel' ||
+      h === 'mobile'
+    );
+
+    return { name, phone };
+  }
+
+  /**
+   * Resolve a referência de coluna do mapeamento (nome do cabeçalho ou índice a partir de 0)
+   * @param {Array<string>} headers - Cabeçalhos
+   * @param {string|number} ref - Referência
+   * @returns {number} - Índice (-1 se não encontrada)
+   */
+  resolveColumn(headers, ref) {
+    if (ref === undefined || ref === null || ref === '') return -1;
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+      const index = parseInt(ref, 10);
+      return index < headers.length ? index : -1;
+    }
+    const target = String(ref).trim().toLowerCase();
+    return headers.findIndex(h => String(h).trim().toLowerCase() === target);
+  }
+
+  /**
+   * Converte uma tabela importada em contatos, aplicando o mapeamento de colunas
+   * Sem mapeamento, detecta nome/telefone pelos cabeçalhos e as demais colunas viram variáveis
+   * @param {object} table - { headers, rows: [{ number, cells }] }
+   * @param {object} mapping - { phone, name, fields: { variavel: coluna }, ignore: [colunas] }
+   * @returns {object} - { contacts: [{ row, name, phone, customFields }], rejected: [{ row, reason }], mapping }
+   */
+  mapRows(table, mapping = {}) {
+    const { headers = [], rows = [] } = table;
+    const detected = this.detectColumns(headers);
+
+    const phoneIndex = mapping.phone !== undefined ? this.resolveColumn(headers, mapping.phone) : detected.phone;
+    const nameIndex = mapping.name !== undefined ? this.resolveColumn(headers, mapping.name) : detected.name;
+
+    if (phoneIndex === -1) {
       console.log('📄 Cabeçalhos encontrados:', headers);
-      throw new Error('Coluna de telefone não encontrada. Certifique-se de que existe uma coluna com "telefone", "phone", "celular", "whatsapp", "numero" ou "contato"');
+      throw new Error(mapping.phone !== undefined
+        ? `Coluna de telefone não encontrada: ${mapping.phone}`
+        : 'Coluna de telefone não encontrada. Certifique-se de que existe uma coluna com "telefone", "phone", "celular", "whatsapp", "numero" ou "contato"');
     }
-    
-    const contacts = [];
-    for (let i = 1; i < lines.length; i++) {
-      const columns = lines[i].split(delimiter);
-      if (columns[phoneColumnIndex]) {
-        const phone = columns[phoneColumnIndex].trim();
-        const name = nameColumnIndex !== -1 && columns[nameColumnIndex] ? columns[nameColumnIndex].trim() : null;
-        
-        if (phone) {
-          contacts.push({ name, phone });
+
+    // Colunas de variáveis: as informadas no mapeamento ou todas as demais (chave normalizada)
+    let customColumns;
+    if (mapping.fields && typeof mapping.fields === 'object') {
+      customColumns = Object.entries(mapping.fields).map(([key, ref]) => {
+        const index = this.resolveColumn(headers, ref);
+        if (index === -1) {
+          throw new Error(`Coluna não encontrada para a variável "${key}": ${ref}`);
         }
-      }
+        return { index, key: normalizeVariableKey(key) };
+      }).filter(col => col.key);
+    } else {
+      const ignored = (mapping.ignore || []).map(ref => this.resolveColumn(headers, ref));
+      customColumns = headers
+        .map((header, index) => ({ index, key: normalizeVariableKey(header) }))
+        .filter(col => col.index !== nameIndex && col.index !== phoneIndex && col.key && !ignored.includes(col.index));
     }
-    
-    return contacts;
+
+    const contacts = [];
+    const rejected = [];
+
+    rows.forEach(({ number, cells }) => {
+      const phone = (cells[phoneIndex] || '').trim();
+      if (!phone) {
+        rejected.push({ row: number, phone: '', reason: 'Telefone em branco', cells });
+        return;
+      }
+
+      const customFields = {};
+      customColumns.forEach(col => {
+        customFields[col.key] = cells[col.index] !== undefined ? String(cells[col.index]).trim() : '';
+      });
+
+      contacts.push({
+        row: number,
+        name: nameIndex !== -1 && cells[nameIndex] ? cells[nameIndex].trim() : null,
+        phone,
+        customFields
+      });
+    });
+
+    return {
+      contacts,
+      rejected,
+      mapping: {
+        phone: headers[phoneIndex],
+        name: nameIndex !== -1 ? headers[nameIndex] : null,
+        fields: customColumns.reduce((acc, col) => ({ ...acc, [col.key]: headers[col.index] }), {})
+      }
+    };
+  }
+
+  /**
+   * Extrai números de um texto CSV (com suporte a nomes e colunas extras)
+   * Colunas além de nome/telefone viram variáveis do template ($coluna / {{coluna}})
+   * @param {string|Buffer} csvContent - Conteúdo do CSV
+   * @returns {Array} - Lista de objetos { name, phone, customFields }
+   */
+  extractFromCSV(csvContent) {
+    const table = parseCsv(csvContent);
+    if (table.headers.length === 0) return [];
+
+    return this.mapRows(table).contacts
+      .map(({ name, phone, customFields }) => ({ name, phone, customFields }));
   }
 
   /**
    * Extrai números de um XML (com suporte a nomes)
-   * @param {string} xmlContent - Conteúdo do XML
-   * @returns {Array} - Lista de objetos { name, phone }
+   * Cada registro (ex.: <contato>) traz seu próprio nome e telefone
+   * @param {string|Buffer} xmlContent - Conteúdo do XML
+   * @returns {Array} - Lista de objetos { name, phone, customFields }
    */
   extractFromXML(xmlContent) {
-    // Regex para extrair números de tags que contenham "telefone", "phone", etc.
-    const phoneRegex = /<(?:telefone|phone|celular|whatsapp|numero|numero|contato|contatos)[^>]*>([^<]+)</gi;
-    // Regex para extrair nomes de tags que contenham "name", "nome"
-    const nameRegex = /<(?:name|nome)[^>]*>([^<]+)</gi;
-    
-    const contacts = [];
-    let phoneMatch;
-    let nameMatch;
-    
-    // Extrair todos os nomes
-    const names = [];
-    nameRegex.lastIndex = 0;
-    while ((nameMatch = nameRegex.exec(xmlContent)) !== null) {
-      names.push(nameMatch[1].trim());
-    }
-    
-    // Extrair todos os números
-    phoneRegex.lastIndex = 0;
-    let phoneIndex = 0;
-    while ((phoneMatch = phoneRegex.exec(xmlContent)) !== null) {
-      const phone = phoneMatch[1].trim();
-      if (phone) {
-        const name = names[phoneIndex] || null;
-        contacts.push({ name, phone });
-        phoneIndex++;
-      }
-    }
-    
-    return contacts;
+    const table = parseXml(xmlContent);
+    if (table.headers.length === 0) return [];
+
+    return this.mapRows(table).contacts
+      .map(({ name, phone, customFields }) => ({ name, phone, customFields }));
   }
 
   /**
@@ -255,12 +482,21 @@ class PhoneService {
     const valid = processedPhones.filter(p => p.isValid).length;
     const invalid = total - valid;
     const processed = processedPhones.filter(p => p.processedAction).length;
+    const landline = processedPhones.filter(p => p.isValid && p.numberType === 'landline').length;
+    
+    // Quantidade de números válidos por país
+    const byCountry = {};
+    processedPhones.filter(p => p.isValid && p.country).forEach(p => {
+      byCountry[p.country] = (byCountry[p.country] || 0) + 1;
+    });
     
     return {
       total,
       valid,
       invalid,
       processed,
+      landline,
+      byCountry,
       validPercentage: total > 0 ? ((valid / total) * 100).toFixed(1) : 0
     };
   }
@@ -0,0 +1,443 @@
+const Instance = require('../models/Instance');
+const redisClient = require('../utils/redisClient');
+
+const BUCKET_PREFIX = 'ratelimit:bucket';
+const DAILY_PREFIX = 'ratelimit:daily';
+const CONFIG_CACHE_TTL_MS = 30 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// enabled: null (padrão) = automático, limita apenas envios automáticos (disparos em massa e MindClerky);
+// true = limita todos os envios, inclusive chat e API externa; false = desativado (opt-out da instância)
+const DEFAULT_CONFIG = {
+  enabled: null,
+  messagesPerMinute: 20,
+  burst: 5,
+  dailyLimit: null,
+  timezone: 'America/Sao_Paulo',
+  warmup: { enabled: false }
+};
+
+// Token bucket atômico: retorna 0 se consumiu ou o tempo (ms) até haver tokens suficientes
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local ratePerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local ts = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * ratePerMs)
+local wait = 0
+if tokens >= cost then
+  tokens = tokens - cost
+else
+  wait = math.ceil((cost - tokens) / ratePerMs)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ttl)
+return wait
+`;
+
+const WARMUP_CURVES = ['linear', 'exponential'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+class RateLimiterService {
+  constructor() {
+    this.configCache = new Map(); // instanceName -> { config, expiresAt }
+    // Fallback em memória quando o Redis não estiver disponível
+    this.memoryBuckets = new Map(); // instanceName -> { tokens, ts }
+    this.memoryDaily = new Map(); // `${instanceName}:${day}` -> count
+  }
+
+  /**
+   * Obtém a configuração de limite da instância (com cache curto)
+   * @param {string} instanceName - Nome da instância
+   * @returns {object} - Configuração de limite
+   */
+  async getConfig(instanceName) {
+    const cached = this.configCache.get(instanceName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    let config = DEFAULT_CONFIG;
+    try {
+      const instance = await Instance.findOne({ instanceName }).select('rateLimit createdAt').lean();
+      if (instance?.rateLimit) {
+        config = {
+          ...DEFAULT_CONFIG,
+          ...instance.rateLimit,
+          warmup: {
+            ...instance.rateLimit.warmup,
+            startedAt: instance.rateLimit.warmup?.startedAt || instance.createdAt
+          }
+        };
+      }
+    } catch (error) {
+      console.error('❌ Erro ao carregar limite de envio da instância:', error.message);
+    }
+
+    this.configCache.set(instanceName, { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+    return config;
+  }
+
+  /**
+   * Valida a configuração enviada pelo usuário e mantém apenas os campos conhecidos
+   * @param {object} input - Configuração parcial (rateLimit)
+   * @returns {object} - Campos validados
+   */
+  validateConfig(input = {}) {
+    const config = {};
+
+    if (input.enabled !== undefined) {
+      if (input.enabled !== null && typeof input.enabled !== 'boolean') {
+        throw new Error('enabled deve ser true, false ou null (automático)');
+      }
+      config.enabled = input.enabled;
+    }
+    ['messagesPerMinute', 'burst'].forEach(field => {
+      if (input[field] === undefined) return;
+      if (!isPositiveInteger(input[field])) throw new Error(`${field} deve ser um número inteiro maior que zero`);
+      config[field] = input[field];
+    });
+    if (input.dailyLimit !== undefined) {
+      if (input.dailyLimit !== null && !isPositiveInteger(input.dailyLimit)) {
+        throw new Error('dailyLimit deve ser um número inteiro maior que zero ou null');
+      }
+      config.dailyLimit = input.dailyLimit;
+    }
+    if (input.timezone !== undefined) {
+      if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+        throw new Error(`Fuso horário inválido: ${input.timezone}`);
+      }
+      config.timezone = input.timezone;
+    }
+
+    if (input.warmup !== undefined) {
+      const warmupInput = input.warmup;
+      if (!warmupInput || typeof warmupInput !== 'object' || Array.isArray(warmupInput)) {
+        throw new Error('warmup deve ser um objeto');
+      }
+
+      const warmup = {};
+      if (warmupInput.enabled !== undefined) {
+        if (typeof warmupInput.enabled !== 'boolean') throw new Error('warmup.enabled deve ser true ou false');
+        warmup.enabled = warmupInput.enabled;
+      }
+      ['startPerDay', 'targetPerDay', 'durationDays'].forEach(field => {
+        if (warmupInput[field] === undefined) return;
+        if (!isPositiveInteger(warmupInput[field])) {
+          throw new Error(`warmup.${field} deve ser um número inteiro maior que zero`);
+        }
+        warmup[field] = warmupInput[field];
+      });
+      if (warmupInput.curve !== undefined) {
+        if (!WARMUP_CURVES.includes(warmupInput.curve)) {
+          throw new Error(`warmup.curve inválida. Use: ${WARMUP_CURVES.join(', ')}`);
+        }
+        warmup.curve = warmupInput.curve;
+      }
+      if (warmupInput.startedAt !== undefined && warmupInput.startedAt !== null) {
+        const startedAt = new Date(warmupInput.startedAt);
+        if (Number.isNaN(startedAt.getTime())) throw new Error('warmup.startedAt deve ser uma data válida');
+        warmup.startedAt = startedAt;
+      }
+      config.warmup = warmup;
+    }
+
+    return config;
+  }
+
+  /**
+   * Remove a configuração em cache (usar após alterar o limite da instância)
+   * @param {string} instanceName - Nome da instância
+   */
+  invalidateConfig(instanceName) {
+    this.configCache.delete(instanceName);
+  }
+
+  /**
+   * Calcula o limite diário atual considerando a curva de aquecimento
+   * @param {object} config - Configuração de limite
+   * @param {Date} now - Data de referência
+   * @returns {number|null} - Limite diário (null = sem limite)
+   */
+  getDailyLimit(config, now = new Date()) {
+    const warmup = config.warmup || {};
+
+    if (!warmup.enabled) {
+      return config.dailyLimit || null;
+    }
+
+    const startPerDay = warmup.startPerDay || 50;
+    const targetPerDay = warmup.targetPerDay || 1000;
+    const durationDays = warmup.durationDays || 21;
+    const startedAt = warmup.startedAt ? new Date(warmup.startedAt) : now;
+
+    const elapsedDays = Math.max(0, Math.floor((now.getTime() - startedAt.getTime()) / DAY_MS));
+    const progress = Math.min(1, elapsedDays / durationDays);
+
+    if (warmup.curve === 'exponential') {
+      return Math.round(startPerDay * Math.pow(targetPerDay / startPerDay, progress));
+    }
+
+    return Math.round(startPerDay + (targetPerDay - startPerDay) * progress);
+  }
+
+  /**
+   * Retorna o dia atual (YYYY-MM-DD) e os ms até a meia-noite no timezone informado
+   * @param {string} timezone - Timezone IANA
+   * @param {Date} now - Data de referência
+   * @returns {object} - { day, msUntilMidnight }
+   */
+  getLocalDay(timezone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || DEFAULT_CONFIG.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    }).formatToParts(now);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+    const hour = parseInt(get('hour'), 10) % 24;
+    const secondsOfDay = hour * 3600 + parseInt(get('minute'), 10) * 60 + parseInt(get('second'), 10);
+
+    return {
+      day: `${get('year')}-${get('month')}-${get('day')}`,
+      msUntilMidnight: (24 * 3600 - secondsOfDay) * 1000
+    };
+  }
+
+  async getSentToday(instanceName, day) {
+    if (redisClient.isReady) {
+      const value = await redisClient.get(`${DAILY_PREFIX}:${instanceName}:${day}`);
+      return parseInt(value || '0', 10);
+    }
+    return this.memoryDaily.get(`${instanceName}:${day}`) || 0;
+  }
+
+  /**
+   * Reserva envios no contador do dia (incrementa e desfaz se passar do limite)
+   * Incremento antes da verificação evita que dois processos passem do limite juntos
+   * @param {string} instanceName - Nome da instância
+   * @param {string} day - Dia local (YYYY-MM-DD)
+   * @param {number} cost - Quantidade de mensagens
+   * @param {number|null} dailyLimit - Limite diário (null = sem limite)
+   * @returns {object} - { allowed, sentToday }
+   */
+  async reserveSentToday(instanceName, day, cost, dailyLimit) {
+    let sentToday;
+    if (redisClient.isReady) {
+      const key = `${DAILY_PREFIX}:${instanceName}:${day}`;
+      sentToday = await redisClient.incrBy(key, cost);
+      await redisClient.expire(key, 2 * 24 * 60 * 60);
+    } else {
+      const key = `${instanceName}:${day}`;
+      sentToday = (this.memoryDaily.get(key) || 0) + cost;
+      this.memoryDaily.set(key, sentToday);
+    }
+
+    if (dailyLimit !== null && sentToday > dailyLimit) {
+      await this.releaseSentToday(instanceName, day, cost);
+      return { allowed: false, sentToday: sentToday - cost };
+    }
+    return { allowed: true, sentToday };
+  }
+
+  // Devolve envios reservados que não foram feitos
+  async releaseSentToday(instanceName, day, cost) {
+    if (redisClient.isReady) {
+      await redisClient.decrBy(`${DAILY_PREFIX}:${instanceName}:${day}`, cost);
+      return;
+    }
+    const key = `${instanceName}:${day}`;
+    this.memoryDaily.set(key, Math.max(0, (this.memoryDaily.get(key) || 0) - cost));
+  }
+
+  async consumeBucket(instanceName, capacity, ratePerMs, cost) {
+    const now = Date.now();
+    const ttlMs = Math.ceil(capacity / ratePerMs) + 60 * 1000;
+
+    if (redisClient.isReady) {
+      const wait = await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: [`${BUCKET_PREFIX}:${instanceName}`],
+        arguments: [String(capacity), String(ratePerMs), String(now), String(cost), String(ttlMs)]
+      });
+      return Number(wait) || 0;
+    }
+
+    const bucket = this.memoryBuckets.get(instanceName) || { tokens: capacity, ts: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * ratePerMs);
+    bucket.ts = now;
+
+    let wait = 0;
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+    } else {
+      wait = Math.ceil((cost - bucket.tokens) / ratePerMs);
+    }
+
+    this.memoryBuckets.set(instanceName, bucket);
+    return wait;
+  }
+
+  /**
+   * Verifica se o limite vale para o envio
+   * @param {object} config - Configuração de limite
+   * @param {boolean} automated - Envio automático (disparo em massa, MindClerky)
+   * @returns {boolean}
+   */
+  isEnabledFor(config, automated = false) {
+    if (config.enabled === null || config.enabled === undefined) {
+      return automated;
+    }
+    return config.enabled === true;
+  }
+
+  /**
+   * Tenta consumir envios do limite da instância sem aguardar
+   * @param {string} instanceName - Nome da instância
+   * @param {number} cost - Quantidade de mensagens
+   * @param {object} options - { automated }
+   * @returns {object} - { allowed, reason, retryAfterMs, dailyLimit, sentToday }
+   */
+  async tryAcquire(instanceName, cost = 1, { automated = false } = {}) {
+    const config = await this.getConfig(instanceName);
+
+    if (!this.isEnabledFor(config, automated)) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    try {
+      const now = new Date();
+      const dailyLimit = this.getDailyLimit(config, now);
+      const { day, msUntilMidnight } = this.getLocalDay(config.timezone, now);
+      const reservation = await this.reserveSentToday(instanceName, day, cost, dailyLimit);
+
+      if (!reservation.allowed) {
+        return {
+          allowed: false,
+          reason: 'daily_limit',
+          retryAfterMs: msUntilMidnight,
+          dailyLimit,
+          sentToday: reservation.sentToday
+        };
+      }
+
+      const capacity = Math.max(config.burst || 1, 1);
+      const ratePerMs = (config.messagesPerMinute || DEFAULT_CONFIG.messagesPerMinute) / 60000;
+      // Custo maior que o balde nunca seria atendido
+      const bucketCost = Math.min(cost, capacity);
+      const wait = await this.consumeBucket(instanceName, capacity, ratePerMs, bucketCost);
+
+      if (wait > 0) {
+        await this.releaseSentToday(instanceName, day, cost);
+        return {
+          allowed: false,
+          reason: 'rate_limit',
+          retryAfterMs: wait,
+          dailyLimit,
+          sentToday: reservation.sentToday - cost
+        };
+      }
+
+      return {
+        allowed: true,
+        retryAfterMs: 0,
+        dailyLimit,
+        sentToday: reservation.sentToday
+      };
+    } catch (error) {
+      // Falha no limitador não deve derrubar o envio
+      console.error('❌ Erro no limitador de envio:', error.message);
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  }
+
+  /**
+   * Consome envios do limite da instância aguardando até maxWaitMs por tokens
+   * @param {string} instanceName - Nome da instância
+   * @param {object} options - { cost, maxWaitMs, automated }
+   * @returns {object} - Mesmo retorno de tryAcquire
+   */
+  async acquire(instanceName, { cost = 1, maxWaitMs = 0, automated = false } = {}) {
+    const deadline = Date.now() + maxWaitMs;
+    let result = await this.tryAcquire(instanceName, cost, { automated });
+
+    while (!result.allowed && result.reason === 'rate_limit' && Date.now() + result.retryAfterMs <= deadline) {
+      await sleep(result.retryAfterMs);
+      result = await this.tryAcquire(instanceName, cost, { automated });
+    }
+
+    return result;
+  }
+
+  /**
+   * Limite por chave sem limite diário (ex.: mensagens por minuto de um fluxo do MindClerky)
+   * @param {string} key - Identificador do limite
+   * @param {number} messagesPerMinute - Taxa permitida (vazio ou 0 = sem limite)
+   * @param {object} options - { burst, maxWaitMs }
+   * @returns {object} - { allowed, reason, retryAfterMs }
+   */
+  async throttle(key, messagesPerMinute, { burst = 1, maxWaitMs = 0 } = {}) {
+    if (!messagesPerMinute || messagesPerMinute <= 0) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    try {
+      const deadline = Date.now() + maxWaitMs;
+      const capacity = Math.max(burst, 1);
+      const ratePerMs = messagesPerMinute / 60000;
+
+      let wait = await this.consumeBucket(key, capacity, ratePerMs, 1);
+      while (wait > 0 && Date.now() + wait <= deadline) {
+        await sleep(wait);
+        wait = await this.consumeBucket(key, capacity, ratePerMs, 1);
+      }
+
+      return wait > 0
+        ? { allowed: false, reason: 'rate_limit', retryAfterMs: wait }
+        : { allowed: true, retryAfterMs: 0 };
+    } catch (error) {
+      console.error('❌ Erro no limitador de envio:', error.message);
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  }
+
+  /**
+   * Situação atual do limite de envio da instância
+   * @param {string} instanceName - Nome da instância
+   * @returns {object} - Configuração, limite diário e envios do dia
+   */
+  async getStatus(instanceName) {
+    const config = await this.getConfig(instanceName);
+    const now = new Date();
+    const { day } = this.getLocalDay(config.timezone, now);
+
+    return {
+      config,
+      day,
+      dailyLimit: this.getDailyLimit(config, now),
+      sentToday: await this.getSentToday(instanceName, day)
+    };
+  }
+}
+
+module.exports = new RateLimiterService();
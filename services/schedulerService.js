@@ -56,6 +56,12 @@ class SchedulerService {
       
       // 3. Verificar disparos prontos que devem iniciar
       await this.checkReadyDispatchesToStart(now);
+      
+      // 4. Verificar testes A/B prontos para escolher a vencedora
+      await this.checkAbTestsToEvaluate(now);
+      
+      // 5. Garantir que disparos em execução tenham passo na fila
+      await massDispatchService.recoverRunningDispatches();
 
     } catch (error) {
       console.error('❌ Erro ao verificar disparos agendados:', error);
@@ -69,6 +75,8 @@ class SchedulerService {
       const pausedDispatches = await MassDispatch.find({
         'settings.schedule.enabled': true,
         status: 'paused',
+        'abTest.phase': { $ne: 'evaluating' }, // Aguardando resultado do teste A/B
+        'autoPause.cause': null, // Pausa automática: retoma na reconexão ou pelo usuário
         nextScheduledRun: {
           $lte: now // Próximo horário de retomada chegou
         }
@@ -113,17 +121,30 @@ class SchedulerService {
     }
   }
 
-  // Verificar disparos prontos que devem iniciar
+  // Verificar disparos prontos que devem iniciar (inclui próximas execuções de campanhas recorrentes/drip)
   async checkReadyDispatchesToStart(now) {
     try {
-      // Buscar disparos prontos com agendamento habilitado
+      // Buscar disparos prontos com agendamento ou recorrência habilitados
       const readyDispatches = await MassDispatch.find({
-        'settings.schedule.enabled': true,
         status: 'ready',
-        isActive: false
+        isActive: false,
+        $or: [
+          { 'settings.schedule.enabled': true },
+          { 'recurrence.mode': { $in: ['recurring', 'drip'] }, nextScheduledRun: { $ne: null } }
+        ]
       });
 
       for (const dispatch of readyDispatches) {
+        const isRecurring = ['recurring', 'drip'].includes(dispatch.recurrence?.mode);
+
+        // Recorrência: a data da próxima execução vem da própria campanha
+        if (isRecurring && dispatch.nextScheduledRun) {
+          if (dispatch.nextScheduledRun <= now && dispatch.isWithinSchedule()) {
+            await this.startNextScheduledRun(dispatch);
+          }
+          continue;
+        }
+
         // Verificar se está no horário permitido
         if (dispatch.isWithinSchedule()) {
           // Se não tem nextScheduledRun ou já passou, iniciar
@@ -144,6 +165,30 @@ class SchedulerService {
     }
   }
 
+  // Verificar testes A/B cujo tempo de avaliação terminou
+  async checkAbTestsToEvaluate(now) {
+    try {
+      const evaluatingDispatches = await MassDispatch.find({
+        'abTest.enabled': true,
+        'abTest.phase': 'evaluating',
+        'abTest.evaluateAt': {
+          $lte: now
+        }
+      });
+
+      for (const dispatch of evaluatingDispatches) {
+        try {
+          console.log(`🧪 Escolhendo vencedora do teste A/B: ${dispatch.name} (${dispatch._id})`);
+          await massDispatchService.selectAbTestWinner(dispatch._id);
+        } catch (error) {
+          console.error(`❌ Erro ao escolher vencedora do teste A/B ${dispatch.name}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Erro ao verificar testes A/B:', error);
+    }
+  }
+
   // Retomar um disparo agendado
   async resumeScheduledDispatch(dispatch) {
     try {
@@ -193,6 +238,23 @@ class SchedulerService {
     }
   }
 
+  // Iniciar a próxima execução de uma campanha recorrente/drip
+  async startNextScheduledRun(dispatch) {
+    try {
+      console.log(`🔁 Iniciando execução ${dispatch.runs.length + 1} da campanha: ${dispatch.name} (${dispatch._id})`);
+      
+      const result = await massDispatchService.startNextRun(dispatch._id);
+      
+      if (result.success) {
+        console.log(`✅ Execução da campanha iniciada: ${dispatch.name}`);
+      } else {
+        console.error(`❌ Falha ao iniciar execução da campanha: ${dispatch.name}`, result.error);
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao iniciar execução da campanha ${dispatch.name}:`, error);
+    }
+  }
+
   // Verificar se o agendador está rodando
   isSchedulerRunning() {
     return this.isRunning;
@@ -0,0 +1,209 @@
+const Segment = require('../models/Segment');
+const Chat = require('../models/Chat');
+const Contact = require('../models/Contact');
+const ContactHistory = require('../models/ContactHistory');
+const ContactTask = require('../models/ContactTask');
+const ContactTag = require('../models/ContactTag');
+const Message = require('../models/Message');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KANBAN_COLUMNS = Chat.schema.path('kanbanColumn').enumValues;
+const HISTORY_TYPES = ContactHistory.schema.path('type').enumValues;
+
+// Chave de comparação entre coleções (chatId, contactId e telefone viram apenas dígitos)
+const toKey = (id) => (id ? String(id).split('@')[0].replace(/\D/g, '') : '');
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => item !== undefined && item !== null && item !== '')
+  .map(item => String(item).trim());
+
+class SegmentService {
+  /**
+   * Valida e normaliza as condições de um segmento
+   * @param {Array} conditions - Condições recebidas
+   * @returns {Array} - Condições normalizadas
+   */
+  normalizeConditions(conditions) {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new Error('Informe ao menos uma condição para o segmento');
+    }
+
+    return conditions.map(condition => {
+      const negate = !!condition.negate;
+
+      switch (condition.type) {
+        case 'kanban_column': {
+          const columns = toList(condition.value);
+          const invalid = columns.find(column => !KANBAN_COLUMNS.includes(column));
+          if (columns.length === 0 || invalid) {
+            throw new Error(`Coluna do Kanban inválida. Use: ${KANBAN_COLUMNS.join(', ')}`);
+          }
+          return { type: 'kanban_column', value: columns, negate };
+        }
+        case 'tag': {
+          const tags = toList(condition.value);
+          if (tags.length === 0) {
+            throw new Error('Informe ao menos uma tag');
+          }
+          return { type: 'tag', value: tags, negate };
+        }
+        case 'no_reply_days': {
+          const days = parseInt(condition.value);
+          if (!(days > 0)) {
+            throw new Error('Quantidade de dias sem resposta inválida');
+          }
+          return { type: 'no_reply_days', value: days, negate };
+        }
+        case 'open_tasks':
+          return { type: 'open_tasks', value: true, negate };
+        case 'history': {
+          const historyType = condition.value?.type || null;
+          const days = parseInt(condition.value?.days);
+          if (historyType && !HISTORY_TYPES.includes(historyType)) {
+            throw new Error(`Tipo de histórico inválido. Use: ${HISTORY_TYPES.join(', ')}`);
+          }
+          if (!(days > 0)) {
+            throw new Error('Informe o período (dias) da condição de histórico');
+          }
+          return { type: 'history', value: { type: historyType, days }, negate };
+        }
+        default:
+          throw new Error(`Tipo de condição inválido: ${condition.type}`);
+      }
+    });
+  }
+
+  /**
+   * Contatos (chaves) que atendem a uma condição
+   * @param {object} segment - Segmento
+   * @param {object} condition - Condição
+   * @param {Date} now - Data de referência
+   * @returns {Set<string>}
+   */
+  async evaluateCondition(segment, condition, now) {
+    const { userId, instanceName } = segment;
+
+    switch (condition.type) {
+      case 'kanban_column': {
+        const chats = await Chat.find({
+          instanceName,
+          isGroup: { $ne: true },
+          kanbanColumn: { $in: toList(condition.value) }
+        }).select('chatId').lean();
+        return new Set(chats.map(chat => toKey(chat.chatId)));
+      }
+      case 'tag': {
+        // Tags do contato e, por compatibilidade, tags das tarefas do CRM
+        const tags = toList(condition.value);
+        const [taggedContactIds, taskContactIds] = await Promise.all([
+          ContactTag.distinct('contactId', { instanceName, tag: { $in: tags } }),
+          ContactTask.distinct('contactId', { userId, instanceName, tags: { $in: tags } })
+        ]);
+        return new Set([...taggedContactIds, ...taskContactIds].map(toKey));
+      }
+      case 'no_reply_days': {
+        // Contatos com mensagem recebida dentro do período respondem; os demais entram no segmento
+        const cutoff = new Date(now.getTime() - Number(condition.value) * DAY_MS);
+        const [chats, repliedChatIds] = await Promise.all([
+          Chat.find({ instanceName, isGroup: { $ne: true } }).select('chatId').lean(),
+          Message.distinct('chatId', { instanceName, fromMe: false, timestamp: { $gt: cutoff } })
+        ]);
+        const replied = new Set(repliedChatIds.map(toKey));
+        return new Set(chats.map(chat => toKey(chat.chatId)).filter(key => !replied.has(key)));
+      }
+      case 'open_tasks': {
+        const contactIds = await ContactTask.distinct('contactId', {
+          userId,
+          instanceName,
+          status: { $in: ['pending', 'in_progress'] }
+        });
+        return new Set(contactIds.map(toKey));
+      }
+      case 'history': {
+        const query = {
+          userId,
+          instanceName,
+          timestamp: { $gte: new Date(now.getTime() - Number(condition.value.days) * DAY_MS) }
+        };
+        if (condition.value.type) {
+          query.type = condition.value.type;
+        }
+        const contactIds = await ContactHistory.distinct('contactId', query);
+        return new Set(contactIds.map(toKey));
+      }
+      default:
+        return new Set();
+    }
+  }
+
+  /**
+   * Avalia o segmento e retorna os contatos que fazem parte dele
+   * @param {object} segment - Segmento (documento ou objeto)
+   * @returns {Array<object>} - [{ phone, name }]
+   */
+  async evaluate(segment) {
+    const now = new Date();
+
+    // Universo: conversas individuais e contatos salvos da instância
+    const [chats, contacts] = await Promise.all([
+      Chat.find({ instanceName: segment.instanceName, isGroup: { $ne: true } }).select('chatId name').lean(),
+      Contact.find({ instanceName: segment.instanceName }).select('contactId phone name pushName').lean()
+    ]);
+
+    const universe = new Map(); // chave -> { phone, name }
+    chats.forEach(chat => {
+      if (!chat.chatId || !chat.chatId.endsWith('@s.whatsapp.net')) return;
+      universe.set(toKey(chat.chatId), { phone: toKey(chat.chatId), name: chat.name || null });
+    });
+    contacts.forEach(contact => {
+      const key = toKey(contact.phone || contact.contactId);
+      if (!key || (contact.contactId && !contact.contactId.endsWith('@s.whatsapp.net'))) return;
+      universe.set(key, {
+        phone: key,
+        name: contact.name || contact.pushName || universe.get(key)?.name || null
+      });
+    });
+
+    let selected = null;
+    for (const condition of segment.conditions || []) {
+      const matches = await this.evaluateCondition(segment, condition, now);
+      const keys = new Set(
+        Array.from(universe.keys()).filter(key => (condition.negate ? !matches.has(key) : matches.has(key)))
+      );
+
+      if (selected === null) {
+        selected = keys;
+      } else if (segment.match === 'any') {
+        keys.forEach(key => selected.add(key));
+      } else {
+        selected = new Set(Array.from(selected).filter(key => keys.has(key)));
+      }
+    }
+
+    const members = Array.from(selected || []).map(key => universe.get(key));
+
+    if (segment._id) {
+      await Segment.updateOne(
+        { _id: segment._id },
+        { $set: { lastEvaluatedAt: now, lastCount: members.length } }
+      );
+    }
+
+    return members;
+  }
+
+  /**
+   * Avalia o segmento e retorna a lista no formato aceito por phoneService.processPhoneList
+   * @param {string} segmentId - ID do segmento
+   * @returns {Array<object>} - [{ name, phone }]
+   */
+  async getRawNumbers(segmentId) {
+    const segment = await Segment.findById(segmentId);
+    if (!segment) throw new Error('Segmento não encontrado');
+
+    const members = await this.evaluate(segment);
+    return members.map(member => ({ name: member.name, phone: member.phone }));
+  }
+}
+
+module.exports = new SegmentService();
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const LocalStorageDriver = require('../utils/localStorageDriver');
+const S3StorageDriver = require('../utils/s3StorageDriver');
+
+// Referência gravada no banco (templates, mídias): vira URL assinada no momento do uso
+const REFERENCE_PREFIX = 'storage://';
+const TEMP_PREFIX = 'temp/';
+const DEFAULT_SIGNED_URL_TTL = 60 * 60; // 1 hora
+const DEFAULT_TEMP_RETENTION_HOURS = 24;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000; // 1 hora
+
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.retentionTimer = null;
+    // Pasta dos uploads do multer antes de irem para a biblioteca/armazenamento
+    this.uploadTmpDir = path.join(os.tmpdir(), 'clerky-uploads');
+  }
+
+  /**
+   * Driver configurado por STORAGE_DRIVER (local | s3), criado no primeiro uso
+   * @returns {LocalStorageDriver|S3StorageDriver}
+   */
+  getDriver() {
+    if (!this.driver) {
+      if ((process.env.STORAGE_DRIVER || 'local') === 's3') {
+        this.driver = new S3StorageDriver({
+          endpoint: process.env.S3_ENDPOINT,
+          region: process.env.S3_REGION,
+          bucket: process.env.S3_BUCKET,
+          accessKey: process.env.S3_ACCESS_KEY,
+          secretKey: process.env.S3_SECRET_KEY,
+          pathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+        });
+      } else {
+        this.driver = new LocalStorageDriver({ root: process.env.STORAGE_LOCAL_ROOT || 'uploads' });
+      }
+      console.log(`🗄️ Armazenamento de arquivos: ${this.driver.name}`);
+    }
+    return this.driver;
+  }
+
+  /**
+   * Gera uma chave única dentro de uma pasta, mantendo a extensão do arquivo
+   * @param {string} folder - Pasta (ex.: audio, temp)
+   * @param {string} fileName - Nome original
+   * @returns {string}
+   */
+  buildKey(folder, fileName = '') {
+    return `${folder}/${uuidv4()}${path.extname(fileName).toLowerCase()}`;
+  }
+
+  /**
+   * Grava o conteúdo e retorna a referência para o banco
+   * @param {string} key - Chave do arquivo
+   * @param {Buffer} buffer - Conteúdo
+   * @param {object} options - { contentType }
+   * @returns {Promise<string>} - storage://<key>
+   */
+  async put(key, buffer, options = {}) {
+    await this.getDriver().put(key, buffer, options);
+    return this.toReference(key);
+  }
+
+  async getStream(key) {
+    return this.getDriver().getStream(key);
+  }
+
+  async stat(key) {
+    return this.getDriver().stat(key);
+  }
+
+  async delete(key) {
+    if (!key) return;
+    await this.getDriver().delete(key);
+  }
+
+  toReference(key) {
+    return `${REFERENCE_PREFIX}${key}`;
+  }
+
+  /**
+   * Extrai a chave de uma referência storage:// ou de uma URL antiga da pasta pública /uploads
+   * @param {string} value - Referência ou URL
+   * @returns {string|null}
+   */
+  keyFromReference(value) {
+    if (typeof value !== 'string') return null;
+    if (value.startsWith(REFERENCE_PREFIX)) {
+      return value.slice(REFERENCE_PREFIX.length);
+    }
+
+    // URLs gravadas antes do armazenamento plugável (apenas do próprio backend)
+    const match = value.match(/^https?:\/\/([^/]+)\/uploads\/(.+)$/);
+    if (match && this.getOwnHosts().includes(match[1])) {
+      return decodeURIComponent(match[2]);
+    }
+    return null;
+  }
+
+  // Endereço público do backend (WEBHOOK_URL aponta para /webhook)
+  getBaseUrl() {
+    if (process.env.BASE_URL) return process.env.BASE_URL.replace(/\/+$/, '');
+    if (process.env.WEBHOOK_URL) return process.env.WEBHOOK_URL.replace(/\/webhook\/?$/, '').replace(/\/+$/, '');
+    return `http://localhost:${process.env.PORT || 4500}`;
+  }
+
+  // Hosts do próprio backend; o de produção só reconhece URLs antigas de /uploads
+  getOwnHosts() {
+    const hosts = [this.getBaseUrl(), 'https://back.clerky.com.br']
+      .map(url => {
+        try {
+          return new URL(url).host;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    return [...new Set(hosts)];
+  }
+
+  /**
+   * URL temporária de acesso ao arquivo
+   * @param {string} key - Chave do arquivo
+   * @param {number} expiresIn - Validade em segundos
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(key, expiresIn = parseInt(process.env.STORAGE_SIGNED_URL_TTL, 10) || DEFAULT_SIGNED_URL_TTL) {
+    const driver = this.getDriver();
+    if (typeof driver.getSignedUrl === 'function') {
+      return driver.getSignedUrl(key, expiresIn);
+    }
+
+    // Disco local: servido por /api/files com assinatura HMAC
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.getBaseUrl()}/api/files/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  sign(key, expires) {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Valida a assinatura de uma URL gerada por getSignedUrl (disco local)
+   * @param {string} key - Chave do arquivo
+   * @param {string|number} expires - Timestamp (segundos)
+   * @param {string} signature - Assinatura recebida
+   * @returns {boolean}
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Converte referência (ou URL antiga de /uploads) em URL assinada; outros valores ficam como estão
+   * @param {string} value - Referência, URL externa ou base64
+   * @param {number} expiresIn - Validade em segundos
+   * @returns {Promise<string>}
+   */
+  async resolveUrl(value, expiresIn) {
+    const key = this.keyFromReference(value);
+    return key ? this.getSignedUrl(key, expiresIn) : value;
+  }
+
+  /**
+   * Resolve as mídias de um template (simples ou sequência) para envio
+   * @param {object} template - Template processado
+   * @returns {Promise<object>}
+   */
+  async resolveTemplateUrls(template) {
+    if (!template) return template;
+
+    const resolveContent = async (content) => (
+      content?.media ? { ...content, media: await this.resolveUrl(content.media) } : content
+    );
+
+    const resolved = typeof template.toObject === 'function' ? template.toObject() : { ...template };
+    if (resolved.content) {
+      resolved.content = await resolveContent(resolved.content);
+    }
+    if (Array.isArray(resolved.sequence?.messages)) {
+      resolved.sequence = {
+        ...resolved.sequence,
+        messages: await Promise.all(resolved.sequence.messages.map(async message => ({
+          ...message,
+          content: await resolveContent(message.content)
+        })))
+      };
+    }
+    return resolved;
+  }
+
+  /**
+   * Remove arquivos temporários (temp/ e uploads do multer) mais antigos que a retenção configurada
+   * @param {number} retentionHours - Horas de retenção
+   * @returns {Promise<number>} - Quantidade removida
+   */
+  async purgeTemp(retentionHours = parseFloat(process.env.STORAGE_TEMP_RETENTION_HOURS) || DEFAULT_TEMP_RETENTION_HOURS) {
+    const limit = Date.now() - retentionHours * 60 * 60 * 1000;
+    const files = await this.getDriver().list(TEMP_PREFIX);
+    const expired = files.filter(file => file.lastModified && new Date(file.lastModified).getTime() < limit);
+
+    for (const file of expired) {
+      await this.delete(file.key);
+    }
+
+    const removedUploads = await this.purgeUploadTmpDir(limit);
+    const total = expired.length + removedUploads;
+
+    if (total > 0) {
+      console.log(`🧹 ${total} arquivo(s) temporário(s) removido(s) do armazenamento`);
+    }
+    return total;
+  }
+
+  /**
+   * Remove uploads abandonados na pasta temporária do multer (ex.: processo caiu no meio da requisição)
+   * @param {number} limit - Timestamp (ms): arquivos modificados antes dele são removidos
+   * @returns {Promise<number>} - Quantidade removida
+   */
+  async purgeUploadTmpDir(limit) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.uploadTmpDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+
+      const filePath = path.join(this.uploadTmpDir, entry.name);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.mtimeMs < limit) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Arquivo removido pela própria requisição enquanto a limpeza rodava
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return removed;
+  }
+
+  // Limpeza periódica dos arquivos temporários
+  startRetentionJob() {
+    if (this.retentionTimer) return;
+
+    const run = () => this.purgeTemp().catch(error => {
+      console.error('❌ Erro na limpeza de arquivos temporários:', error.message);
+    });
+
+    run();
+    this.retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+  }
+}
+
+module.exports = new StorageService();
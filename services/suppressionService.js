@@ -0,0 +1,300 @@
+const Suppression = require('../models/Suppression');
+const Instance = require('../models/Instance');
+const User = require('../models/User');
+const evolutionApi = require('./evolutionApi');
+const phoneService = require('./phoneService');
+
+const DEFAULT_KEYWORDS = ['SAIR', 'PARAR', 'STOP'];
+const DEFAULT_CONFIRMATION = 'Pronto! Você não receberá mais nossas mensagens.';
+
+class SuppressionService {
+  /**
+   * Normaliza um número para o formato armazenado (apenas dígitos)
+   * Aceita também JIDs (5511999999999@s.whatsapp.net)
+   * @param {string} phone - Número ou JID
+   * @param {string} defaultCountry - País dos números sem código do país
+   * @returns {string|null}
+   */
+  normalizeNumber(phone, defaultCountry = 'BR') {
+    if (!phone) return null;
+    const digits = String(phone).split('@')[0].replace(/\D/g, '');
+
+    const normalized = phoneService.normalizePhone(String(phone), { defaultCountry });
+    if (normalized) return normalized;
+
+    // Números já com código do país que não passaram na validação (ex.: JIDs antigos)
+    return digits.length >= 12 ? digits : null;
+  }
+
+  /**
+   * Variações do número para comparação (com e sem o 9º dígito no Brasil)
+   * @param {string} phone - Número normalizado
+   * @param {string} defaultCountry - País dos números sem código do país
+   * @returns {Array<string>}
+   */
+  getNumberVariants(phone, defaultCountry = 'BR') {
+    const normalized = this.normalizeNumber(phone, defaultCountry);
+    if (!normalized) return [];
+
+    const variants = [normalized];
+
+    if (normalized.startsWith('55')) {
+      const ddd = normalized.substring(2, 4);
+      const number = normalized.substring(4);
+
+      if (number.length === 9 && number.startsWith('9')) {
+        variants.push(`55${ddd}${number.substring(1)}`);
+      } else if (number.length === 8) {
+        variants.push(`55${ddd}9${number}`);
+      }
+    }
+
+    return variants;
+  }
+
+  /**
+   * Verifica se o número está na lista de supressão do usuário
+   * @param {string} userId - ID do usuário
+   * @param {string} phone - Número ou JID
+   * @returns {boolean}
+   */
+  async isSuppressed(userId, phone) {
+    const variants = this.getNumberVariants(phone);
+    if (!userId || variants.length === 0) return false;
+
+    return !!(await Suppression.exists({ userId, phone: { $in: variants } }));
+  }
+
+  /**
+   * Retorna quais números da lista estão suprimidos
+   * @param {string} userId - ID do usuário
+   * @param {Array<string>} phones - Números
+   * @returns {Set<string>} - Números (como recebidos) que estão suprimidos
+   */
+  async findSuppressed(userId, phones = []) {
+    const variantsByPhone = new Map();
+    phones.filter(Boolean).forEach(phone => {
+      variantsByPhone.set(phone, this.getNumberVariants(phone));
+    });
+
+    const allVariants = Array.from(new Set([].concat(...variantsByPhone.values())));
+    if (allVariants.length === 0) return new Set();
+
+    const suppressed = await Suppression.find({ userId, phone: { $in: allVariants } }).select('phone').lean();
+    const suppressedSet = new Set(suppressed.map(item => item.phone));
+
+    const result = new Set();
+    variantsByPhone.forEach((variants, phone) => {
+      if (variants.some(variant => suppressedSet.has(variant))) {
+        result.add(phone);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Adiciona um número à lista de supressão
+   * @param {string} userId - ID do usuário
+   * @param {string} phone - Número ou JID
+   * @param {object} data - { reason, keyword, instanceName, note }
+   * @returns {object|null} - Registro criado/atualizado
+   */
+  async add(userId, phone, data = {}) {
+    const defaultCountry = await phoneService.resolveDefaultCountry({ userId, instanceName: data.instanceName });
+    const normalized = this.normalizeNumber(phone, defaultCountry);
+    if (!normalized) return null;
+
+    return Suppression.findOneAndUpdate(
+      { userId, phone: normalized },
+      {
+        $setOnInsert: {
+          userId,
+          phone: normalized,
+          reason: data.reason || 'manual',
+          keyword: data.keyword || null,
+          instanceName: data.instanceName || null,
+          note: data.note || ''
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Remove um número da lista (todas as variações)
+   * @param {string} userId - ID do usuário
+   * @param {string} phone - Número
+   * @returns {number} - Quantidade removida
+   */
+  async remove(userId, phone) {
+    const defaultCountry = await phoneService.resolveDefaultCountry({ userId });
+    const variants = this.getNumberVariants(phone, defaultCountry);
+    if (variants.length === 0) return 0;
+
+    const result = await Suppression.deleteMany({ userId, phone: { $in: variants } });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Importa uma lista de números
+   * @param {string} userId - ID do usuário
+   * @param {Array<string>} phones - Números
+   * @returns {object} - { imported, invalid }
+   */
+  async importNumbers(userId, phones = [], note = '') {
+    let imported = 0;
+    let invalid = 0;
+
+    const defaultCountry = await phoneService.resolveDefaultCountry({ userId });
+    const operations = [];
+    phones.forEach(phone => {
+      const normalized = this.normalizeNumber(phone, defaultCountry);
+      if (!normalized) {
+        invalid++;
+        return;
+      }
+      operations.push({
+        updateOne: {
+          filter: { userId, phone: normalized },
+          update: {
+            $setOnInsert: { userId, phone: normalized, reason: 'import', note }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      const result = await Suppression.bulkWrite(operations, { ordered: false });
+      imported = result.upsertedCount || 0;
+    }
+
+    return {
+      imported,
+      alreadySuppressed: operations.length - imported,
+      invalid
+    };
+  }
+
+  /**
+   * Configuração de descadastro do usuário
+   * @param {string} userId - ID do usuário
+   * @returns {object} - { enabled, keywords, confirmationMessage }
+   */
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('optOut').lean();
+    const optOut = user?.optOut || {};
+
+    return {
+      enabled: optOut.enabled !== false,
+      keywords: optOut.keywords && optOut.keywords.length > 0 ? optOut.keywords : DEFAULT_KEYWORDS,
+      // Mensagem vazia desativa a confirmação
+      confirmationMessage: optOut.confirmationMessage ?? DEFAULT_CONFIRMATION
+    };
+  }
+
+  /**
+   * Atualiza a configuração de descadastro do usuário
+   * @param {string} userId - ID do usuário
+   * @param {object} data - { enabled, keywords, confirmationMessage }
+   * @returns {object} - Configuração atualizada
+   */
+  async updateSettings(userId, data = {}) {
+    const update = {};
+
+    if (data.enabled !== undefined) {
+      update['optOut.enabled'] = !!data.enabled;
+    }
+
+    if (data.keywords !== undefined) {
+      const keywords = (Array.isArray(data.keywords) ? data.keywords : String(data.keywords).split(','))
+        .map(keyword => String(keyword).trim().toUpperCase())
+        .filter(Boolean);
+
+      if (keywords.length === 0) {
+        throw new Error('Informe ao menos uma palavra-chave de descadastro');
+      }
+
+      update['optOut.keywords'] = Array.from(new Set(keywords));
+    }
+
+    if (data.confirmationMessage !== undefined) {
+      update['optOut.confirmationMessage'] = String(data.confirmationMessage || '').trim();
+    }
+
+    if (Object.keys(update).length > 0) {
+      await User.findByIdAndUpdate(userId, { $set: update });
+    }
+
+    return this.getSettings(userId);
+  }
+
+  /**
+   * Verifica se o texto é um pedido de descadastro
+   * A mensagem inteira precisa ser a palavra-chave (ignorando acentos, caixa e pontuação)
+   * @param {string} text - Texto recebido
+   * @param {Array<string>} keywords - Palavras-chave
+   * @returns {string|null} - Palavra encontrada
+   */
+  matchKeyword(text, keywords = DEFAULT_KEYWORDS) {
+    if (!text || typeof text !== 'string') return null;
+
+    const normalize = (value) => value
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\w\s]/g, '')
+      .trim()
+      .toUpperCase();
+
+    const normalizedText = normalize(text);
+    return keywords.find(keyword => normalize(keyword) === normalizedText) || null;
+  }
+
+  /**
+   * Processa mensagem recebida: se for pedido de descadastro, suprime o número e confirma
+   * @param {string} instanceName - Nome da instância
+   * @param {string} remoteJid - JID do contato
+   * @param {string} text - Texto da mensagem
+   * @returns {boolean} - true se o contato foi descadastrado
+   */
+  async handleIncomingMessage(instanceName, remoteJid, text) {
+    if (!text || !remoteJid || !remoteJid.endsWith('@s.whatsapp.net')) return false;
+
+    try {
+      const instance = await Instance.findOne({ instanceName }).select('userId').lean();
+      if (!instance) return false;
+
+      const settings = await this.getSettings(instance.userId);
+      if (!settings.enabled) return false;
+
+      const keyword = this.matchKeyword(text, settings.keywords);
+      if (!keyword) return false;
+
+      const alreadySuppressed = await this.isSuppressed(instance.userId, remoteJid);
+
+      await this.add(instance.userId, remoteJid, {
+        reason: 'keyword',
+        keyword,
+        instanceName
+      });
+
+      console.log(`🚫 Contato ${remoteJid} descadastrado via "${keyword}" (${instanceName})`);
+
+      if (!alreadySuppressed && settings.confirmationMessage) {
+        try {
+          await evolutionApi.sendTextMessage(instanceName, remoteJid.split('@')[0], settings.confirmationMessage);
+        } catch (error) {
+          console.error('❌ Erro ao enviar confirmação de descadastro:', error.message);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao processar pedido de descadastro:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,216 @@
+const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
+const User = require('../models/User');
+const { stripIds, diffValues } = require('../utils/diffUtils');
+
+// Campos do template copiados para cada versão
+const SNAPSHOT_FIELDS = ['name', 'description', 'type', 'content', 'sequence', 'variants', 'variables'];
+
+class TemplateVersionService {
+  /**
+   * Copia o conteúdo atual do template
+   * @param {object} template - Documento Template
+   * @returns {object} - Snapshot
+   */
+  buildSnapshot(template) {
+    const templateObj = typeof template.toObject === 'function' ? template.toObject() : template;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (templateObj[field] !== undefined) {
+        snapshot[field] = stripIds(JSON.parse(JSON.stringify(templateObj[field])));
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * Verifica se os templates do usuário exigem aprovação de um administrador
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<boolean>}
+   */
+  async isApprovalRequired(userId) {
+    const user = await User.findById(userId).select('templateApprovalRequired').lean();
+    return !!user?.templateApprovalRequired;
+  }
+
+  /**
+   * Cria uma nova versão imutável com o conteúdo atual do template
+   * @param {object} template - Documento Template (já salvo)
+   * @param {object} options - { createdBy, note }
+   * @returns {Promise<object>} - Versão criada
+   */
+  async createVersion(template, { createdBy = null, note = '' } = {}) {
+    const approvalRequired = await this.isApprovalRequired(template.userId);
+
+    // Reservar o número da versão de forma atômica (edições simultâneas)
+    const updated = await Template.findByIdAndUpdate(
+      template._id,
+      { $inc: { currentVersion: 1 } },
+      { new: true }
+    );
+
+    const version = await TemplateVersion.create({
+      templateId: template._id,
+      userId: template.userId,
+      version: updated.currentVersion,
+      snapshot: this.buildSnapshot(template),
+      createdBy,
+      status: approvalRequired ? 'pending' : 'approved',
+      reviewedAt: approvalRequired ? null : new Date(),
+      reviewNote: note
+    });
+
+    template.currentVersion = updated.currentVersion;
+    if (!approvalRequired) {
+      await Template.updateOne({ _id: template._id }, { $set: { approvedVersion: version.version } });
+      template.approvedVersion = version.version;
+    }
+
+    console.log(`🗂️ Template ${template.name}: versão ${version.version} criada (${version.status})`);
+    return version;
+  }
+
+  /**
+   * Garante que o template tenha ao menos uma versão (templates anteriores ao versionamento)
+   * @param {object} template - Documento Template
+   * @returns {Promise<void>}
+   */
+  async ensureVersioned(template) {
+    if (template.currentVersion > 0) return;
+
+    // Conteúdo já usado antes do versionamento: registrado como aprovado
+    const version = await TemplateVersion.create({
+      templateId: template._id,
+      userId: template.userId,
+      version: 1,
+      snapshot: this.buildSnapshot(template),
+      status: 'approved',
+      reviewedAt: new Date(),
+      reviewNote: 'Versão inicial (anterior ao versionamento)'
+    });
+
+    await Template.updateOne({ _id: template._id }, { $set: { currentVersion: 1, approvedVersion: 1 } });
+    template.currentVersion = version.version;
+    template.approvedVersion = version.version;
+  }
+
+  /**
+   * Versão que um disparo pode usar: a última aprovada (com aprovação) ou a mais recente
+   * @param {string} templateId - ID do template
+   * @param {string} userId - ID do dono do template
+   * @returns {Promise<object>} - Versão
+   */
+  async getUsableVersion(templateId, userId) {
+    const template = await Template.findOne({ _id: templateId, userId });
+    if (!template) {
+      throw new Error('Template não encontrado');
+    }
+
+    await this.ensureVersioned(template);
+
+    const approvalRequired = await this.isApprovalRequired(userId);
+    const versionNumber = approvalRequired ? template.approvedVersion : template.currentVersion;
+    if (!versionNumber) {
+      throw new Error(`O template "${template.name}" aguarda aprovação de um administrador`);
+    }
+
+    return this.getVersion(templateId, versionNumber);
+  }
+
+  /**
+   * Busca uma versão específica
+   * @param {string} templateId - ID do template
+   * @param {number} version - Número da versão
+   * @returns {Promise<object>}
+   */
+  async getVersion(templateId, version) {
+    const templateVersion = await TemplateVersion.findOne({ templateId, version: Number(version) });
+    if (!templateVersion) {
+      throw new Error(`Versão ${version} do template não encontrada`);
+    }
+    return templateVersion;
+  }
+
+  /**
+   * Lista as versões do template (mais recente primeiro)
+   * @param {object} template - Documento Template
+   * @returns {Promise<Array>}
+   */
+  async listVersions(template) {
+    await this.ensureVersioned(template);
+    return TemplateVersion.find({ templateId: template._id })
+      .populate('createdBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * Aprova ou rejeita uma versão pendente
+   * @param {string} templateId - ID do template
+   * @param {number} version - Número da versão
+   * @param {object} options - { action: approve|reject, reviewer, note }
+   * @returns {Promise<object>} - Versão revisada
+   */
+  async reviewVersion(templateId, version, { action, reviewer, note = '' }) {
+    if (!['approve', 'reject'].includes(action)) {
+      throw new Error('Ação deve ser "approve" ou "reject"');
+    }
+
+    const templateVersion = await this.getVersion(templateId, version);
+    if (templateVersion.status !== 'pending') {
+      throw new Error('Versão não está pendente de aprovação');
+    }
+
+    templateVersion.status = action === 'approve' ? 'approved' : 'rejected';
+    templateVersion.reviewedBy = reviewer?._id || null;
+    templateVersion.reviewedAt = new Date();
+    templateVersion.reviewNote = note;
+    await templateVersion.save();
+
+    // Aprovar uma versão antiga não substitui uma aprovação mais recente
+    if (action === 'approve') {
+      await Template.updateOne(
+        { _id: templateId, $or: [{ approvedVersion: null }, { approvedVersion: { $lt: templateVersion.version } }] },
+        { $set: { approvedVersion: templateVersion.version } }
+      );
+    }
+
+    console.log(`🗂️ Versão ${templateVersion.version} do template ${templateId} ${action === 'approve' ? 'aprovada' : 'rejeitada'}${reviewer ? ` por ${reviewer.email}` : ''}`);
+    return templateVersion;
+  }
+
+  /**
+   * Versões aguardando aprovação (todos os usuários)
+   * @returns {Promise<Array>}
+   */
+  async listPending() {
+    return TemplateVersion.find({ status: 'pending' })
+      .populate('userId', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Compara duas versões campo a campo
+   * @param {object} fromVersion - Versão de origem
+   * @param {object} toVersion - Versão de destino
+   * @returns {object} - { from, to, changes: [{ path, change, from, to }] }
+   */
+  diffVersions(fromVersion, toVersion) {
+    return {
+      from: fromVersion.version,
+      to: toVersion.version,
+      changes: diffValues(fromVersion.snapshot, toVersion.snapshot)
+    };
+  }
+
+  /**
+   * Remove as versões de um template excluído
+   * @param {string} templateId - ID do template
+   */
+  async removeVersions(templateId) {
+    await TemplateVersion.deleteMany({ templateId });
+  }
+}
+
+module.exports = new TemplateVersionService();
@@ -0,0 +1,57 @@
+/**
+ * Utilitários de comparação de snapshots (versões de templates e fluxos)
+ */
+
+// Remove _id de subdocumentos (mudam a cada gravação e poluiriam o diff)
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      if (key !== '_id') result[key] = stripIds(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+// Achata um objeto em caminhos (ex.: sequence.messages[0].content.text) para comparação
+const flatten = (value, prefix = '', result = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, result));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+  } else if (value !== undefined && value !== null && value !== '') {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+/**
+ * Compara dois objetos caminho a caminho
+ * @param {object} before - Valor anterior
+ * @param {object} after - Valor novo
+ * @returns {Array} - [{ path, change: 'added'|'removed'|'changed', from, to }]
+ */
+const diffValues = (before = {}, after = {}) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  const changes = [];
+  paths.forEach(path => {
+    if (!(path in flatBefore)) {
+      changes.push({ path, change: 'added', from: null, to: flatAfter[path] });
+    } else if (!(path in flatAfter)) {
+      changes.push({ path, change: 'removed', from: flatBefore[path], to: null });
+    } else if (flatBefore[path] !== flatAfter[path]) {
+      changes.push({ path, change: 'changed', from: flatBefore[path], to: flatAfter[path] });
+    }
+  });
+  return changes;
+};
+
+module.exports = {
+  stripIds,
+  flatten,
+  diffValues
+};
@@ -0,0 +1,430 @@
+/**
+ * Leitores de arquivos de contatos (CSV, XLSX, vCard, XML e TXT)
+ *
+ * Todos retornam uma tabela no formato { headers, rows }, onde rows é
+ * [{ number, cells }] e number é a linha/registro de origem (para mensagens de erro).
+ */
+
+const ExcelJS = require('exceljs');
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Decodifica o conteúdo do arquivo detectando BOM, UTF-16 e Windows-1252
+ * @param {Buffer} buffer - Conteúdo bruto
+ * @returns {string}
+ */
+const decodeText = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return String(buffer || '').replace(/^\uFEFF/, '');
+
+  // UTF-16 com BOM (exportação "Texto Unicode" do Excel)
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    const body = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+    return body.swap16().toString('utf16le');
+  }
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return buffer.subarray(3).toString('utf8');
+  }
+
+  // UTF-16 LE sem BOM: bytes ímpares quase sempre nulos
+  const sample = buffer.subarray(0, Math.min(buffer.length, 512));
+  let oddZeros = 0;
+  for (let i = 1; i < sample.length; i += 2) {
+    if (sample[i] === 0) oddZeros++;
+  }
+  if (sample.length >= 4 && oddZeros / Math.floor(sample.length / 2) > 0.4) {
+    return buffer.toString('utf16le');
+  }
+
+  // UTF-8 válido ou, caso contrário, Windows-1252/Latin-1 (CSV salvo pelo Excel no Windows)
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+};
+
+/**
+ * Detecta o delimitador pela primeira linha (ignorando trechos entre aspas)
+ * @param {string} text - Conteúdo CSV
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) best = delimiter;
+  });
+  return best;
+};
+
+/**
+ * Gera cabeçalhos ou separa a primeira linha como cabeçalho
+ * @param {Array<object>} records - [{ number, cells }]
+ * @param {boolean} hasHeader - Primeira linha é cabeçalho
+ * @returns {object} - { headers, rows }
+ */
+const toTable = (records, hasHeader = true) => {
+  const width = records.reduce((max, record) => Math.max(max, record.cells.length), 0);
+
+  if (hasHeader && records.length > 0) {
+    const [first, ...rows] = records;
+    const headers = Array.from({ length: width }, (_, idx) => (first.cells[idx] || '').trim() || `Coluna ${idx + 1}`);
+    return { headers, rows };
+  }
+
+  return {
+    headers: Array.from({ length: width }, (_, idx) => `Coluna ${idx + 1}`),
+    rows: records
+  };
+};
+
+/**
+ * Lê CSV conforme RFC 4180 (campos entre aspas, aspas escapadas e quebras de linha no campo)
+ * @param {string|Buffer} content - Conteúdo CSV
+ * @param {object} options - { delimiter, hasHeader }
+ * @returns {object} - { headers, rows, delimiter }
+ */
+const parseCsv = (content, options = {}) => {
+  const text = decodeText(content);
+  const delimiter = options.delimiter || detectDelimiter(text);
+
+  const records = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let quoted = false;
+  let recordNumber = 1;
+
+  const pushField = () => {
+    cells.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const pushRecord = () => {
+    pushField();
+    if (cells.some(cell => cell.trim() !== '')) {
+      records.push({ number: recordNumber, cells });
+    }
+    recordNumber++;
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      // Aspas só abrem campo no início dele
+      inQuotes = true;
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      pushField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      pushRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || cells.length > 0) {
+    pushRecord();
+  }
+
+  return { ...toTable(records, options.hasHeader !== false), delimiter };
+};
+
+/**
+ * Converte o valor de uma célula do Excel em texto
+ * @param {*} value - Valor da célula (exceljs)
+ * @returns {string}
+ */
+const cellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (typeof value === 'number') {
+    // Telefones salvos como número não podem virar notação científica
+    return Number.isInteger(value) ? value.toFixed(0) : String(value);
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellToText(value.text);
+    if (value.result !== undefined) return cellToText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Lê a planilha de um arquivo XLSX
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {object} options - { sheet (nome ou índice a partir de 1), hasHeader }
+ * @returns {Promise<object>} - { headers, rows, sheets }
+ */
+const parseXlsx = async (buffer, options = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheets = workbook.worksheets.map(sheet => sheet.name);
+  const worksheet = options.sheet
+    ? (workbook.getWorksheet(options.sheet) || workbook.worksheets[parseInt(options.sheet, 10) - 1])
+    : workbook.worksheets[0];
+
+  if (!worksheet) {
+    throw new Error(options.sheet ? `Aba não encontrada: ${options.sheet}` : 'Planilha sem abas');
+  }
+
+  const records = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values começa no índice 1
+    const cells = (row.values || []).slice(1).map(cellToText);
+    for (let idx = 0; idx < cells.length; idx++) {
+      if (cells[idx] === undefined) cells[idx] = '';
+    }
+    if (cells.some(cell => cell !== '')) {
+      records.push({ number: rowNumber, cells });
+    }
+  });
+
+  return { ...toTable(records, options.hasHeader !== false), sheets };
+};
+
+const unescapeVcard = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;:\\])/g, '$1')
+  .trim();
+
+const decodeQuotedPrintable = (value, charset = 'utf-8') => {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.substring(i + 1, i + 3))) {
+      bytes.push(parseInt(text.substring(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i));
+    }
+  }
+  const buffer = Buffer.from(bytes);
+  return /utf-?8/i.test(charset) ? buffer.toString('utf8') : buffer.toString('latin1');
+};
+
+/**
+ * Lê contatos de um arquivo vCard (.vcf, versões 2.1, 3.0 e 4.0)
+ * Usa o telefone preferencial (PREF) ou celular (CELL); na ausência, o primeiro
+ * @param {string|Buffer} content - Conteúdo do arquivo
+ * @returns {object} - { headers, rows }
+ */
+const parseVcf = (content) => {
+  // Linhas dobradas (RFC 6350) continuam com espaço ou tab
+  const lines = decodeText(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const rows = [];
+  let card = null;
+  let cardNumber = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    if (!line.trim()) continue;
+
+    // Quoted-printable (vCard 2.1) usa "=" no fim da linha como continuação
+    if (/ENCODING=QUOTED-PRINTABLE/i.test(line)) {
+      while (line.endsWith('=') && i + 1 < lines.length) {
+        line = `${line.slice(0, -1)}${lines[++i]}`;
+      }
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [rawName, ...params] = line.substring(0, separator).split(';');
+    const property = rawName.split('.').pop().toUpperCase();
+    const paramText = params.join(';');
+    let value = line.substring(separator + 1);
+
+    if (/ENCODING=QUOTED-PRINTABLE/i.test(paramText)) {
+      const charset = (paramText.match(/CHARSET=([^;:]+)/i) || [])[1];
+      value = decodeQuotedPrintable(value, charset);
+    }
+
+    if (property === 'BEGIN' && /VCARD/i.test(value)) {
+      cardNumber++;
+      card = { number: cardNumber, name: '', structuredName: '', phones: [], email: '', organization: '' };
+    } else if (property === 'END' && card) {
+      const phone = card.phones.find(item => item.preferred) || card.phones[0];
+      rows.push({
+        number: card.number,
+        cells: [card.name || card.structuredName, phone ? phone.value : '', card.email, card.organization]
+      });
+      card = null;
+    } else if (card) {
+      switch (property) {
+        case 'FN':
+          card.name = unescapeVcard(value);
+          break;
+        case 'N': {
+          const [family = '', given = '', middle = ''] = value.split(';').map(unescapeVcard);
+          card.structuredName = [given, middle, family].filter(Boolean).join(' ');
+          break;
+        }
+        case 'TEL':
+          card.phones.push({
+            value: unescapeVcard(value.replace(/^tel:/i, '')),
+            preferred: /PREF|CELL|MOBILE/i.test(paramText)
+          });
+          break;
+        case 'EMAIL':
+          if (!card.email) card.email = unescapeVcard(value);
+          break;
+        case 'ORG':
+          card.organization = value.split(';').map(unescapeVcard).filter(Boolean).join(' ');
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return { headers: ['nome', 'telefone', 'email', 'empresa'], rows };
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Agrupa os campos de texto de um elemento em registros
+ * Um campo repetido começa um novo registro: listas planas como
+ * <contatos><telefone>...</telefone><telefone>...</telefone></contatos> geram uma linha por número
+ * @param {Array} leaves - [{ key, value }] na ordem do arquivo
+ * @returns {Array<object>} - Registros { campo: valor }
+ */
+const groupXmlLeaves = (leaves) => {
+  const records = [];
+  let current = null;
+  leaves.forEach(({ key, value }) => {
+    if (!current || current[key] !== undefined) {
+      current = {};
+      records.push(current);
+    }
+    current[key] = value;
+  });
+  return records;
+};
+
+/**
+ * Lê registros de um XML: cada elemento cujos filhos são apenas texto vira uma linha
+ * (ex.: <contato><nome>Ana</nome><telefone>...</telefone></contato>)
+ * @param {string|Buffer} content - Conteúdo do XML
+ * @returns {object} - { headers, rows }
+ */
+const parseXml = (content) => {
+  const text = decodeText(content);
+  const tokenRegex = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)[^>]*?(\/?)>|([^<]+)/gi;
+
+  const stack = [{ name: null, leaves: [], text: '' }];
+  const records = [];
+  const headers = [];
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const [, cdata, closing, opening, selfClosing, textNode] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (textNode !== undefined) {
+      current.text += decodeXmlEntities(textNode);
+    } else if (opening !== undefined && !selfClosing) {
+      stack.push({ name: opening, leaves: [], text: '' });
+    } else if (closing !== undefined && stack.length > 1) {
+      const element = stack.pop();
+      const parent = stack[stack.length - 1];
+      const key = element.name.split(':').pop();
+
+      if (element.leaves.length > 0) {
+        records.push(...groupXmlLeaves(element.leaves));
+      } else if (element.text.trim()) {
+        parent.leaves.push({ key, value: element.text.trim() });
+        if (!headers.includes(key)) headers.push(key);
+      }
+    }
+  }
+
+  return {
+    headers,
+    rows: records.map((fields, idx) => ({
+      number: idx + 1,
+      cells: headers.map(header => fields[header] || '')
+    }))
+  };
+};
+
+/**
+ * Lê TXT com um número por linha (ou "nome;número")
+ * @param {string|Buffer} content - Conteúdo do arquivo
+ * @returns {object} - { headers, rows }
+ */
+const parseTxt = (content) => {
+  const rows = [];
+  decodeText(content).split(/\r?\n/).forEach((line, idx) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (trimmed.includes(';')) {
+      const [name, phone] = trimmed.split(';').map(part => part.trim());
+      rows.push({ number: idx + 1, cells: [name, phone || ''] });
+    } else {
+      rows.push({ number: idx + 1, cells: ['', trimmed] });
+    }
+  });
+
+  return { headers: ['nome', 'telefone'], rows };
+};
+
+module.exports = {
+  decodeText,
+  detectDelimiter,
+  parseCsv,
+  parseXlsx,
+  parseVcf,
+  parseXml,
+  parseTxt
+};
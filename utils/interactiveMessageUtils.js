@@ -0,0 +1,341 @@
+/**
+ * Utilitários para mensagens interativas (botões, listas, enquetes, localização e contatos)
+ */
+const crypto = require('crypto');
+
+const INTERACTIVE_TYPES = ['buttons', 'list', 'poll', 'location', 'contact'];
+
+// Respostas recebidas (webhook) que podem ser usadas nas condições do MindClerky
+const REPLY_TYPES = ['button_reply', 'list_reply', 'poll_vote'];
+
+// Limites do WhatsApp
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_POLL_OPTIONS = 12;
+
+/**
+ * Campos de conteúdo das mensagens interativas (Template, MassDispatch e Message)
+ * Retorna um objeto novo a cada chamada para não compartilhar a definição entre schemas
+ * @returns {object}
+ */
+function interactiveContentFields() {
+  return {
+    title: String,
+    footer: String,
+    buttons: [{
+      _id: false,
+      id: String,
+      text: String
+    }],
+    buttonText: String, // Texto do botão que abre a lista
+    sections: [{
+      _id: false,
+      title: String,
+      rows: [{
+        _id: false,
+        id: String,
+        title: String,
+        description: String
+      }]
+    }],
+    pollOptions: [String],
+    selectableCount: Number,
+    latitude: Number,
+    longitude: Number,
+    locationName: String,
+    address: String,
+    contacts: [{
+      _id: false,
+      fullName: String,
+      phoneNumber: String,
+      organization: String,
+      email: String,
+      url: String
+    }]
+  };
+}
+
+const isInteractiveType = (type) => INTERACTIVE_TYPES.includes(type);
+
+const cleanString = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const parseMaybeJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Valida e normaliza o conteúdo de uma mensagem interativa
+ * Aceita campos enviados como JSON (multipart/form-data)
+ * @param {string} type - buttons | list | poll | location | contact
+ * @param {object} content - Conteúdo informado
+ * @returns {object} - Conteúdo normalizado
+ */
+function normalizeInteractiveContent(type, content = {}) {
+  const base = {
+    text: cleanString(content.text),
+    title: cleanString(content.title),
+    footer: cleanString(content.footer)
+  };
+
+  switch (type) {
+    case 'buttons': {
+      const buttons = (parseMaybeJson(content.buttons) || [])
+        .map((button, index) => ({
+          id: cleanString(button?.id) || `btn_${index + 1}`,
+          text: cleanString(typeof button === 'string' ? button : button?.text)
+        }))
+        .filter(button => button.text);
+
+      if (!base.text) {
+        throw new Error('Texto da mensagem é obrigatório para mensagens com botões');
+      }
+      if (buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+        throw new Error(`Informe de 1 a ${MAX_BUTTONS} botões`);
+      }
+      return { ...base, buttons };
+    }
+
+    case 'list': {
+      let rowCount = 0;
+      const sections = (parseMaybeJson(content.sections) || []).map((section, sectionIndex) => ({
+        title: cleanString(section?.title) || `Seção ${sectionIndex + 1}`,
+        rows: (section?.rows || [])
+          .map(row => ({
+            id: cleanString(row?.id) || `row_${++rowCount}`,
+            title: cleanString(row?.title),
+            description: cleanString(row?.description)
+          }))
+          .filter(row => row.title)
+      })).filter(section => section.rows.length > 0);
+
+      const totalRows = sections.reduce((total, section) => total + section.rows.length, 0);
+      if (!base.text) {
+        throw new Error('Texto da mensagem é obrigatório para listas');
+      }
+      if (totalRows === 0 || totalRows > MAX_LIST_ROWS) {
+        throw new Error(`Informe de 1 a ${MAX_LIST_ROWS} opções na lista`);
+      }
+      return { ...base, buttonText: cleanString(content.buttonText) || 'Ver opções', sections };
+    }
+
+    case 'poll': {
+      const pollOptions = [...new Set((parseMaybeJson(content.pollOptions) || []).map(cleanString).filter(Boolean))];
+      if (!base.text) {
+        throw new Error('Pergunta da enquete é obrigatória');
+      }
+      if (pollOptions.length < 2 || pollOptions.length > MAX_POLL_OPTIONS) {
+        throw new Error(`A enquete precisa de 2 a ${MAX_POLL_OPTIONS} opções diferentes`);
+      }
+      const selectableCount = parseInt(content.selectableCount, 10) || 1;
+      return {
+        text: base.text,
+        pollOptions,
+        selectableCount: Math.min(Math.max(selectableCount, 1), pollOptions.length)
+      };
+    }
+
+    case 'location': {
+      const latitude = parseFloat(content.latitude);
+      const longitude = parseFloat(content.longitude);
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+          !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('Latitude e longitude válidas são obrigatórias');
+      }
+      return {
+        latitude,
+        longitude,
+        locationName: cleanString(content.locationName),
+        address: cleanString(content.address)
+      };
+    }
+
+    case 'contact': {
+      const contacts = (parseMaybeJson(content.contacts) || [])
+        .map(contact => ({
+          fullName: cleanString(contact?.fullName),
+          phoneNumber: cleanString(contact?.phoneNumber).replace(/\D/g, ''),
+          organization: cleanString(contact?.organization),
+          email: cleanString(contact?.email),
+          url: cleanString(contact?.url)
+        }))
+        .filter(contact => contact.fullName || contact.phoneNumber);
+
+      if (contacts.length === 0 || contacts.some(contact => !contact.fullName || !contact.phoneNumber)) {
+        throw new Error('Cada contato precisa de nome e telefone');
+      }
+      return { contacts };
+    }
+
+    default:
+      throw new Error(`Tipo de mensagem interativa não suportado: ${type}`);
+  }
+}
+
+/**
+ * Lista de textos de um conteúdo interativo que aceitam variáveis ($name, {{coluna}}...)
+ * Usado pelo templateUtils para substituir variáveis sem conhecer cada tipo
+ * @param {object} content - Conteúdo (alterado no lugar)
+ * @param {Function} replace - Função de substituição
+ */
+function mapInteractiveTexts(content, replace) {
+  if (!content || typeof content !== 'object') return;
+
+  ['title', 'footer', 'buttonText', 'locationName', 'address'].forEach(field => {
+    if (content[field]) content[field] = replace(content[field]);
+  });
+  if (Array.isArray(content.buttons)) {
+    content.buttons = content.buttons.map(button => ({ ...button, text: replace(button.text) }));
+  }
+  if (Array.isArray(content.sections)) {
+    content.sections = content.sections.map(section => ({
+      ...section,
+      title: replace(section.title),
+      rows: (section.rows || []).map(row => ({
+        ...row,
+        title: replace(row.title),
+        description: replace(row.description)
+      }))
+    }));
+  }
+  if (Array.isArray(content.pollOptions)) {
+    content.pollOptions = content.pollOptions.map(option => replace(option));
+  }
+}
+
+/**
+ * Opções exibidas ao contato (para prévia e histórico)
+ * @param {string} type - Tipo da mensagem
+ * @param {object} content - Conteúdo
+ * @returns {Array<string>}
+ */
+function describeInteractiveOptions(type, content = {}) {
+  switch (type) {
+    case 'buttons':
+      return (content.buttons || []).map(button => button.text);
+    case 'list':
+      return (content.sections || []).flatMap(section => (section.rows || []).map(row => row.title));
+    case 'poll':
+      return content.pollOptions || [];
+    case 'location':
+      return [content.locationName || `${content.latitude}, ${content.longitude}`];
+    case 'contact':
+      return (content.contacts || []).map(contact => `${contact.fullName} (${contact.phoneNumber})`);
+    default:
+      return [];
+  }
+}
+
+const hashOption = (option) => crypto.createHash('sha256').update(Buffer.from(option)).digest();
+
+const toBuffer = (value) => {
+  if (Buffer.isBuffer(value)) return value;
+  if (value?.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  if (typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+  if (typeof value === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(value)) return Buffer.from(value, 'base64');
+  return null;
+};
+
+/**
+ * Converte as opções votadas em nomes
+ * O WhatsApp envia o SHA-256 de cada opção; a Evolution API pode enviar os nomes já resolvidos
+ * @param {Array} selectedOptions - Nomes, { name } ou hashes
+ * @param {Array<string>} pollOptions - Opções da enquete enviada (para comparar os hashes)
+ * @returns {Array<string>}
+ */
+function resolvePollSelection(selectedOptions = [], pollOptions = []) {
+  const hashes = pollOptions.map(option => ({ option, hash: hashOption(option) }));
+
+  return (selectedOptions || [])
+    .map(selected => {
+      if (typeof selected === 'string' && pollOptions.includes(selected)) return selected;
+      if (selected?.name || selected?.optionName) return selected.name || selected.optionName;
+
+      const buffer = toBuffer(selected);
+      if (buffer) {
+        return hashes.find(entry => entry.hash.equals(buffer))?.option || null;
+      }
+      return typeof selected === 'string' ? selected : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Identifica respostas a mensagens interativas no conteúdo recebido pelo webhook
+ * @param {object} message - msg.message (payload da Evolution API)
+ * @returns {object|null} - { type, id, text, selectedOptions, pollMessageId }
+ */
+function parseInteractiveReply(message) {
+  if (!message || typeof message !== 'object') return null;
+
+  if (message.buttonsResponseMessage) {
+    const reply = message.buttonsResponseMessage;
+    return {
+      type: 'button_reply',
+      id: reply.selectedButtonId || null,
+      text: reply.selectedDisplayText || ''
+    };
+  }
+
+  if (message.templateButtonReplyMessage) {
+    const reply = message.templateButtonReplyMessage;
+    return {
+      type: 'button_reply',
+      id: reply.selectedId || null,
+      text: reply.selectedDisplayText || ''
+    };
+  }
+
+  if (message.listResponseMessage) {
+    const reply = message.listResponseMessage;
+    return {
+      type: 'list_reply',
+      id: reply.singleSelectReply?.selectedRowId || null,
+      text: reply.title || ''
+    };
+  }
+
+  // Botões/listas no formato "native flow" (versões recentes do WhatsApp)
+  if (message.interactiveResponseMessage) {
+    const reply = message.interactiveResponseMessage;
+    const params = parseMaybeJson(reply.nativeFlowResponseMessage?.paramsJson) || {};
+    return {
+      type: reply.nativeFlowResponseMessage?.name === 'single_select' ? 'list_reply' : 'button_reply',
+      id: params.id || null,
+      text: params.title || params.display_text || reply.body?.text || ''
+    };
+  }
+
+  if (message.pollUpdateMessage) {
+    const update = message.pollUpdateMessage;
+    // pollVote é preenchido pelo webhook depois de comparar os hashes com a enquete enviada
+    const selectedOptions = update.pollVote?.selectedOptions
+      || resolvePollSelection(update.vote?.selectedOptions || []);
+    return {
+      type: 'poll_vote',
+      id: null,
+      text: selectedOptions.join(', '),
+      selectedOptions,
+      pollMessageId: update.pollCreationMessageKey?.id || null
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  INTERACTIVE_TYPES,
+  REPLY_TYPES,
+  interactiveContentFields,
+  isInteractiveType,
+  normalizeInteractiveContent,
+  mapInteractiveTexts,
+  describeInteractiveOptions,
+  resolvePollSelection,
+  parseInteractiveReply
+};
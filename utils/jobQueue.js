@@ -0,0 +1,222 @@
+/**
+ * Fila de jobs persistente no Redis (entrega pelo menos uma vez)
+ *
+ * Estrutura por fila:
+ * - jobqueue:<fila>:scheduled  ZSET jobId -> horário de execução (ms)
+ * - jobqueue:<fila>:processing ZSET jobId -> fim do lease (ms)
+ * - jobqueue:<fila>:job:<jobId> payload JSON
+ *
+ * Um job em processamento cujo lease expirou volta para a fila (processo caiu).
+ * O jobId é a chave de deduplicação: reenfileirar o mesmo id apenas reagenda.
+ */
+
+const os = require('os');
+const redisClient = require('./redisClient');
+
+// Move para processing o primeiro job vencido que não esteja em processamento
+const CLAIM_SCRIPT = `
+local now = tonumber(ARGV[1])
+local leaseMs = tonumber(ARGV[2])
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, 20)
+for _, jobId in ipairs(due) do
+  local leaseUntil = redis.call('ZSCORE', KEYS[2], jobId)
+  if not leaseUntil or tonumber(leaseUntil) < now then
+    redis.call('ZREM', KEYS[1], jobId)
+    redis.call('ZADD', KEYS[2], now + leaseMs, jobId)
+    return jobId
+  end
+end
+return false
+`;
+
+// Remove do processing; apaga o payload apenas se o job não foi reagendado durante o processamento
+const ACK_SCRIPT = `
+redis.call('ZREM', KEYS[2], ARGV[1])
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  redis.call('DEL', KEYS[3])
+end
+return 1
+`;
+
+// Devolve para a fila jobs cujo lease expirou
+const REQUEUE_EXPIRED_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1], 'LIMIT', 0, 100)
+for _, jobId in ipairs(expired) do
+  redis.call('ZREM', KEYS[2], jobId)
+  redis.call('ZADD', KEYS[1], 'NX', ARGV[1], jobId)
+end
+return #expired
+`;
+
+class JobQueue {
+  /**
+   * @param {string} name - Nome da fila
+   * @param {object} options - { leaseMs, pollIntervalMs, concurrency, maxAttempts }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.prefix = `jobqueue:${name}`;
+    this.leaseMs = options.leaseMs || 10 * 60 * 1000;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.concurrency = options.concurrency || 5;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.handler = null;
+    this.pollTimer = null;
+    this.inFlight = 0;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  get scheduledKey() {
+    return `${this.prefix}:scheduled`;
+  }
+
+  get processingKey() {
+    return `${this.prefix}:processing`;
+  }
+
+  jobKey(jobId) {
+    return `${this.prefix}:job:${jobId}`;
+  }
+
+  /**
+   * Enfileira (ou reagenda) um job
+   * @param {string} jobId - Identificador único (deduplicação)
+   * @param {object} payload - Dados do job
+   * @param {object} options - { delayMs, onlyIfAbsent }
+   * @returns {boolean} - true se o job foi agendado
+   */
+  async enqueue(jobId, payload = {}, { delayMs = 0, onlyIfAbsent = false } = {}) {
+    const runAt = Date.now() + Math.max(0, delayMs);
+
+    if (onlyIfAbsent) {
+      const [scheduled, processing] = await Promise.all([
+        redisClient.zScore(this.scheduledKey, jobId),
+        redisClient.zScore(this.processingKey, jobId)
+      ]);
+      if (scheduled !== null || processing !== null) {
+        return false;
+      }
+    }
+
+    await redisClient.set(this.jobKey(jobId), JSON.stringify({
+      id: jobId,
+      payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString()
+    }));
+    await redisClient.zAdd(this.scheduledKey, { score: runAt, value: jobId });
+    return true;
+  }
+
+  /**
+   * Remove um job agendado (não interrompe um job já em processamento)
+   * @param {string} jobId - Identificador do job
+   */
+  async remove(jobId) {
+    await redisClient.zRem(this.scheduledKey, jobId);
+    const processing = await redisClient.zScore(this.processingKey, jobId);
+    if (processing === null) {
+      await redisClient.del(this.jobKey(jobId));
+    }
+  }
+
+  /**
+   * Verifica se existe job agendado ou em processamento
+   * @param {string} jobId - Identificador do job
+   * @returns {boolean}
+   */
+  async has(jobId) {
+    const [scheduled, processing] = await Promise.all([
+      redisClient.zScore(this.scheduledKey, jobId),
+      redisClient.zScore(this.processingKey, jobId)
+    ]);
+    return scheduled !== null || processing !== null;
+  }
+
+  /**
+   * Inicia o worker deste processo
+   * @param {Function} handler - async (job) => void; lançar erro faz nova tentativa com backoff
+   */
+  start(handler) {
+    if (this.pollTimer) return;
+
+    this.handler = handler;
+    this.pollTimer = setInterval(() => {
+      this.poll().catch((error) => {
+        console.error(`❌ Fila ${this.name}: erro no worker:`, error.message || error);
+      });
+    }, this.pollIntervalMs);
+
+    console.log(`📬 Fila ${this.name} iniciada (worker ${this.workerId})`);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async poll() {
+    if (!redisClient.isReady) return;
+
+    await redisClient.eval(REQUEUE_EXPIRED_SCRIPT, {
+      keys: [this.scheduledKey, this.processingKey],
+      arguments: [String(Date.now())]
+    });
+
+    while (this.inFlight < this.concurrency) {
+      const jobId = await redisClient.eval(CLAIM_SCRIPT, {
+        keys: [this.scheduledKey, this.processingKey],
+        arguments: [String(Date.now()), String(this.leaseMs)]
+      });
+
+      if (!jobId) return;
+
+      this.inFlight += 1;
+      this.runJob(jobId).finally(() => {
+        this.inFlight -= 1;
+      });
+    }
+  }
+
+  async runJob(jobId) {
+    const raw = await redisClient.get(this.jobKey(jobId));
+    if (!raw) {
+      await redisClient.zRem(this.processingKey, jobId);
+      return;
+    }
+
+    const job = JSON.parse(raw);
+
+    try {
+      await this.handler(job);
+      await redisClient.eval(ACK_SCRIPT, {
+        keys: [this.scheduledKey, this.processingKey, this.jobKey(jobId)],
+        arguments: [jobId]
+      });
+    } catch (error) {
+      job.attempts = (job.attempts || 0) + 1;
+      job.lastError = error.message;
+      console.error(`❌ Fila ${this.name}: job ${jobId} falhou (tentativa ${job.attempts}):`, error.message);
+
+      await redisClient.zRem(this.processingKey, jobId);
+
+      // Job reagendado pelo próprio handler: manter o agendamento novo
+      const rescheduled = await redisClient.zScore(this.scheduledKey, jobId);
+      if (rescheduled !== null) return;
+
+      if (job.attempts >= this.maxAttempts) {
+        console.error(`🛑 Fila ${this.name}: job ${jobId} descartado após ${job.attempts} tentativas`);
+        await redisClient.del(this.jobKey(jobId));
+        return;
+      }
+
+      const backoffMs = Math.min(5 * 60 * 1000, 5000 * Math.pow(2, job.attempts - 1));
+      await redisClient.set(this.jobKey(jobId), JSON.stringify(job));
+      await redisClient.zAdd(this.scheduledKey, { score: Date.now() + backoffMs, value: jobId });
+    }
+  }
+}
+
+module.exports = JobQueue;
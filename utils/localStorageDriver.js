@@ -0,0 +1,80 @@
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+
+/**
+ * Armazenamento em disco local (pasta uploads/ por padrão)
+ * URLs assinadas apontam para /api/files, que valida a assinatura antes de servir o arquivo
+ */
+class LocalStorageDriver {
+  constructor({ root = 'uploads' } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Caminho absoluto da chave, sem permitir sair da pasta raiz
+   * @param {string} key - Chave do arquivo (ex.: media/<userId>/<hash>.jpg)
+   * @returns {string}
+   */
+  getLocalPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error('Chave de arquivo inválida');
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.getLocalPath(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+  }
+
+  async getStream(key) {
+    return fs.createReadStream(this.getLocalPath(key));
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this.getLocalPath(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async delete(key) {
+    await fsp.unlink(this.getLocalPath(key)).catch(() => {});
+  }
+
+  /**
+   * Lista os arquivos sob um prefixo (recursivo)
+   * @param {string} prefix - Pasta (ex.: temp/)
+   * @returns {Promise<Array>} - [{ key, size, lastModified }]
+   */
+  async list(prefix) {
+    const results = [];
+    const walk = async (directory) => {
+      const entries = await fsp.readdir(directory, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          const stats = await fsp.stat(fullPath);
+          results.push({
+            key: path.relative(this.root, fullPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          });
+        }
+      }
+    };
+
+    await walk(this.getLocalPath(prefix));
+    return results;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,23 @@
+/**
+ * Provedor de IA local, sem chamadas externas (testes e desenvolvimento)
+ * Responde com LLM_MOCK_REPLY ou ecoa a última mensagem do contato
+ */
+class MockLlmProvider {
+  constructor({ reply } = {}) {
+    this.name = 'mock';
+    this.reply = reply || null;
+  }
+
+  async complete({ messages = [], json = false }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const reply = this.reply || `Recebi sua mensagem: "${lastUserMessage?.content || ''}"`;
+
+    return {
+      text: json ? JSON.stringify({ reply, fields: {} }) : reply,
+      model: 'mock',
+      usage: null
+    };
+  }
+}
+
+module.exports = MockLlmProvider;
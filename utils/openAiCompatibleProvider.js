@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * Provedor de IA compatível com a API de chat da OpenAI (/chat/completions)
+ * Funciona com OpenAI, Azure OpenAI (via proxy), OpenRouter, Groq, Ollama, LM Studio...
+ */
+class OpenAiCompatibleProvider {
+  constructor({ baseUrl, apiKey, model, timeoutMs = 30000 }) {
+    if (!baseUrl) {
+      throw new Error('Provedor de IA requer LLM_API_URL');
+    }
+
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Gera uma resposta para a conversa
+   * @param {object} params - { messages, model, temperature, maxTokens, json }
+   * @returns {Promise<object>} - { text, model, usage }
+   */
+  async complete({ messages, model, temperature, maxTokens, json = false }) {
+    const payload = {
+      model: model || this.model,
+      messages
+    };
+    if (temperature !== undefined && temperature !== null) payload.temperature = Number(temperature);
+    if (maxTokens) payload.max_tokens = Number(maxTokens);
+    if (json) payload.response_format = { type: 'json_object' };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, payload, {
+        headers,
+        timeout: this.timeoutMs
+      });
+
+      return {
+        text: response.data?.choices?.[0]?.message?.content || '',
+        model: response.data?.model || payload.model,
+        usage: response.data?.usage || null
+      };
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      const status = error.response?.status ? ` (${error.response.status})` : '';
+      throw new Error(`Erro no provedor de IA${status}: ${detail}`);
+    }
+  }
+}
+
+module.exports = OpenAiCompatibleProvider;
@@ -0,0 +1,92 @@
+const Minio = require('minio');
+
+/**
+ * Armazenamento compatível com S3 (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces...)
+ * URLs assinadas são geradas pelo próprio provedor
+ */
+class S3StorageDriver {
+  constructor({ endpoint, region, bucket, accessKey, secretKey, pathStyle = true }) {
+    if (!endpoint || !bucket || !accessKey || !secretKey) {
+      throw new Error('Armazenamento S3 requer S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY e S3_SECRET_KEY');
+    }
+
+    const url = new URL(endpoint);
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region || 'us-east-1';
+    this.bucketChecked = false;
+    this.client = new Minio.Client({
+      endPoint: url.hostname,
+      port: url.port ? parseInt(url.port, 10) : undefined,
+      useSSL: url.protocol === 'https:',
+      accessKey,
+      secretKey,
+      region: this.region,
+      pathStyle
+    });
+  }
+
+  // Criar o bucket na primeira gravação (útil com MinIO em desenvolvimento)
+  async ensureBucket() {
+    if (this.bucketChecked) return;
+    const exists = await this.client.bucketExists(this.bucket);
+    if (!exists) {
+      await this.client.makeBucket(this.bucket, this.region);
+      console.log(`🪣 Bucket criado: ${this.bucket}`);
+    }
+    this.bucketChecked = true;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.ensureBucket();
+    await this.client.putObject(this.bucket, key, buffer, buffer.length, {
+      'Content-Type': contentType || 'application/octet-stream'
+    });
+  }
+
+  async getStream(key) {
+    return this.client.getObject(this.bucket, key);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await this.client.statObject(this.bucket, key);
+      return {
+        size: stats.size,
+        lastModified: stats.lastModified,
+        contentType: stats.metaData?.['content-type']
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async delete(key) {
+    await this.client.removeObject(this.bucket, key).catch(() => {});
+  }
+
+  /**
+   * Lista os objetos sob um prefixo (recursivo)
+   * @param {string} prefix - Pasta (ex.: temp/)
+   * @returns {Promise<Array>} - [{ key, size, lastModified }]
+   */
+  list(prefix) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const stream = this.client.listObjectsV2(this.bucket, prefix, true);
+      stream.on('data', item => {
+        if (item.name) {
+          results.push({ key: item.name, size: item.size, lastModified: item.lastModified });
+        }
+      });
+      stream.on('error', reject);
+      stream.on('end', () => resolve(results));
+    });
+  }
+
+  async getSignedUrl(key, expiresInSeconds) {
+    return this.client.presignedGetObject(this.bucket, key, expiresInSeconds);
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,279 @@
+/**
+ * Utilitários de agendamento com timezone (IANA) e calendários de feriados
+ *
+ * Datas "locais" são tratadas como strings YYYY-MM-DD no timezone do disparo,
+ * e a conversão para UTC usa Intl, respeitando horário de verão.
+ */
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+      hour12: false
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+/**
+ * Valida um timezone IANA
+ * @param {string} timezone - Timezone
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Partes da data no timezone informado
+ * @param {Date} date - Data
+ * @param {string} timezone - Timezone IANA
+ * @returns {object} - { year, month, day, hour, minute, second, weekday, dateKey }
+ */
+const getZonedParts = (date, timezone = DEFAULT_TIMEZONE) => {
+  const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const parts = {};
+  getFormatter(tz).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+
+  return {
+    year,
+    month,
+    day,
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    dateKey: toDateKey(year, month, day)
+  };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Soma dias a uma data local (YYYY-MM-DD)
+ * @param {string} dateKey - Data local
+ * @param {number} days - Dias a somar
+ * @returns {string}
+ */
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+/**
+ * Dia da semana de uma data local (0=domingo)
+ * @param {string} dateKey - Data local
+ * @returns {number}
+ */
+const getWeekday = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Converte data/hora local do timezone para o instante UTC correspondente
+ * Em horários inexistentes (início do horário de verão) avança para o primeiro horário válido
+ * @param {string} dateKey - Data local (YYYY-MM-DD)
+ * @param {string} time - Horário local (HH:mm)
+ * @param {string} timezone - Timezone IANA
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateKey, time, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = String(time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute || 0, 0);
+
+  // Ajustar o offset duas vezes cobre a troca de horário de verão
+  let utc = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(utc), timezone);
+    const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    utc += wallClock - zonedAsUtc;
+  }
+
+  const result = new Date(utc);
+  // Horário inexistente: o relógio local ficou antes do solicitado, avançar uma hora
+  const check = getZonedParts(result, timezone);
+  if (check.dateKey === dateKey && check.hour * 60 + check.minute < hour * 60 + (minute || 0)) {
+    return new Date(utc + 60 * 60 * 1000);
+  }
+  return result;
+};
+
+/**
+ * Converte HH:mm em minutos do dia
+ * @param {string} time - Horário
+ * @returns {number}
+ */
+const timeToMinutes = (time) => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + (minute || 0);
+};
+
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} year - Ano
+ * @returns {string} - YYYY-MM-DD
+ */
+const getEasterDate = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toDateKey(year, month, day);
+};
+
+/**
+ * Feriados nacionais brasileiros do ano
+ * @param {number} year - Ano
+ * @param {boolean} includeOptional - Incluir pontos facultativos (Carnaval e Corpus Christi)
+ * @returns {Array<object>} - [{ date, name }]
+ */
+const getBrazilianHolidays = (year, includeOptional = false) => {
+  const easter = getEasterDate(year);
+
+  const holidays = [
+    { date: `${year}-01-01`, name: 'Confraternização Universal' },
+    { date: addDays(easter, -2), name: 'Sexta-feira Santa' },
+    { date: `${year}-04-21`, name: 'Tiradentes' },
+    { date: `${year}-05-01`, name: 'Dia do Trabalho' },
+    { date: `${year}-09-07`, name: 'Independência do Brasil' },
+    { date: `${year}-10-12`, name: 'Nossa Senhora Aparecida' },
+    { date: `${year}-11-02`, name: 'Finados' },
+    { date: `${year}-11-15`, name: 'Proclamação da República' },
+    { date: `${year}-12-25`, name: 'Natal' }
+  ];
+
+  // Dia da Consciência Negra é feriado nacional desde 2024
+  if (year >= 2024) {
+    holidays.push({ date: `${year}-11-20`, name: 'Dia Nacional de Zumbi e da Consciência Negra' });
+  }
+
+  if (includeOptional) {
+    holidays.push(
+      { date: addDays(easter, -48), name: 'Carnaval (segunda-feira)' },
+      { date: addDays(easter, -47), name: 'Carnaval (terça-feira)' },
+      { date: addDays(easter, 60), name: 'Corpus Christi' }
+    );
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Calendários disponíveis
+const HOLIDAY_CALENDARS = {
+  BR: getBrazilianHolidays
+};
+
+/**
+ * Feriados do calendário informado
+ * @param {string} calendar - Código do calendário (ex.: 'BR')
+ * @param {number} year - Ano
+ * @param {boolean} includeOptional - Incluir pontos facultativos
+ * @returns {Array<object>} - [{ date, name }]
+ */
+const getHolidays = (calendar, year, includeOptional = false) => {
+  const builder = HOLIDAY_CALENDARS[calendar];
+  return builder ? builder(year, includeOptional) : [];
+};
+
+/**
+ * Verifica se a data local está excluída do agendamento (dia da semana, feriado ou data personalizada)
+ * @param {object} schedule - settings.schedule do disparo
+ * @param {string} dateKey - Data local (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+const isExcludedDate = (schedule, dateKey) => {
+  const excludedDays = schedule.excludedDays || [];
+  if (excludedDays.length > 0 && excludedDays.includes(getWeekday(dateKey))) {
+    return true;
+  }
+
+  const holidays = schedule.holidays || {};
+
+  if ((holidays.customDates || []).includes(dateKey)) {
+    return true;
+  }
+
+  if (holidays.calendar) {
+    const year = parseInt(dateKey.substring(0, 4), 10);
+    return getHolidays(holidays.calendar, year, holidays.includeOptional)
+      .some(holiday => holiday.date === dateKey);
+  }
+
+  return false;
+};
+
+/**
+ * Próxima ocorrência de um horário local em um dia permitido
+ * @param {object} options - { after, time, timezone, isAllowed(dateKey), minDateKey, maxDays }
+ * @returns {Date|null} - Instante UTC da ocorrência (null se nenhum dia permitido)
+ */
+const getNextOccurrence = ({ after = new Date(), time, timezone = DEFAULT_TIMEZONE, isAllowed = () => true, minDateKey = null, maxDays = 400 }) => {
+  const today = getZonedParts(after, timezone).dateKey;
+  let dateKey = minDateKey && minDateKey > today ? minDateKey : today;
+
+  for (let i = 0; i <= maxDays; i++, dateKey = addDays(dateKey, 1)) {
+    if (!isAllowed(dateKey)) continue;
+
+    const occurrence = zonedTimeToUtc(dateKey, time, timezone);
+    if (occurrence > after) {
+      return occurrence;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  HOLIDAY_CALENDARS,
+  isValidTimezone,
+  getZonedParts,
+  addDays,
+  getWeekday,
+  zonedTimeToUtc,
+  timeToMinutes,
+  getEasterDate,
+  getBrazilianHolidays,
+  getHolidays,
+  isExcludedDate,
+  getNextOccurrence
+};
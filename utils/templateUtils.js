@@ -1,9 +1,55 @@
 /**
  * Utilitários para processamento de templates com variáveis
  */
+const { mapInteractiveTexts } = require('./interactiveMessageUtils');
+
+// Variáveis nativas (não dependem das colunas da planilha)
+const BUILT_IN_VARIABLES = ['name', 'firstName', 'lastName', 'number', 'originalNumber'];
+
+/**
+ * Normaliza o cabeçalho de uma coluna para uso como variável
+ * Ex: "Código do Pedido" -> "codigo_do_pedido"
+ * @param {string} header - Cabeçalho original
+ * @returns {string} - Chave normalizada (pode ser vazia)
+ */
+function normalizeVariableKey(header) {
+  if (!header || typeof header !== 'string') return '';
+
+  return header
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Valores das variáveis nativas para o destinatário
+ * @param {object} variables - Objeto com as variáveis disponíveis
+ * @param {string} defaultName - Nome padrão quando variável não está disponível
+ * @returns {object} - { name, firstName, lastName, number, originalNumber }
+ */
+function getBuiltInValues(variables = {}, defaultName = 'Cliente') {
+  // Obter nome do contato seguindo prioridade: userProvidedName > whatsappName > defaultName
+  const contactName = variables.userProvidedName || variables.whatsappName || variables.name || variables.contactName || null;
+  const trimmedName = contactName && contactName.trim() ? contactName.trim() : null;
+  const nameParts = trimmedName ? trimmedName.split(' ') : [];
+
+  return {
+    name: trimmedName || defaultName,
+    firstName: trimmedName ? nameParts[0] : defaultName,
+    // Tudo depois da primeira palavra (ex: "joão silva santos" -> "silva santos"); uma palavra só usa o padrão
+    lastName: nameParts.length > 1 ? nameParts.slice(1).join(' ') : defaultName,
+    number: variables.number || variables.formatted || '',
+    originalNumber: variables.originalNumber || variables.original || ''
+  };
+}
 
 /**
  * Substitui variáveis em um texto de template
+ * Nativas ($name, {{firstName}}...) e colunas da planilha ($coluna, {{coluna}}) são trocadas numa única passada:
+ * o valor inserido nunca é lido de novo como variável
  * @param {string} text - Texto do template
  * @param {object} variables - Objeto com as variáveis disponíveis
  * @param {string} defaultName - Nome padrão quando variável não está disponível
@@ -14,60 +60,35 @@ function replaceTemplateVariables(text, variables = {}, defaultName = 'Cliente')
     return text;
   }
 
-  let processedText = text;
+  const builtIns = getBuiltInValues(variables, defaultName);
 
-  // Obter nome do contato seguindo prioridade: userProvidedName > whatsappName > defaultName
-  const contactName = variables.userProvidedName || variables.whatsappName || variables.name || variables.contactName || null;
-  const nameToUse = contactName && contactName.trim() ? contactName.trim() : defaultName;
+  // Chaves das colunas são minúsculas: $Cidade e {{CIDADE}} também usam a coluna cidade
+  const columns = new Map();
+  const customFields = variables.customFields && typeof variables.customFields === 'object' ? variables.customFields : {};
+  Object.keys(customFields)
+    .filter(key => key && !BUILT_IN_VARIABLES.includes(key))
+    .forEach(key => {
+      const rawValue = customFields[key];
+      columns.set(key.toLowerCase(), rawValue === null || rawValue === undefined ? '' : String(rawValue));
+    });
 
-  // Substituir $name pelo nome do contato ou palavra padrão
-  if (processedText.includes('$name')) {
-    processedText = processedText.replace(/\$name/g, nameToUse);
-  }
+  // Nativas mais longas primeiro ($originalNumber antes de $number)
+  const builtInPrefixes = [...BUILT_IN_VARIABLES].sort((a, b) => b.length - a.length);
 
-  // Substituir $firstName pelo primeiro nome
-  if (processedText.includes('$firstName')) {
-    if (contactName && contactName.trim()) {
-      // Se tem nome, pegar primeira palavra
-      const firstName = contactName.trim().split(' ')[0];
-      processedText = processedText.replace(/\$firstName/g, firstName);
-    } else {
-      // Se não tem nome, usar defaultName
-      processedText = processedText.replace(/\$firstName/g, defaultName);
-    }
-  }
+  return text.replace(/\{\{\s*(\w+)\s*\}\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, braceKey, dollarKey) => {
+    const key = braceKey || dollarKey;
 
-  // Substituir $lastName por tudo depois da primeira palavra
-  if (processedText.includes('$lastName')) {
-    if (contactName && contactName.trim()) {
-      const nameParts = contactName.trim().split(' ');
-      if (nameParts.length > 1) {
-        // Pega tudo depois da primeira palavra (ex: "lara linda" -> "linda", "joão silva santos" -> "silva santos")
-        const lastName = nameParts.slice(1).join(' ');
-        processedText = processedText.replace(/\$lastName/g, lastName);
-      } else {
-        // Se só tem uma palavra, usar defaultName
-        processedText = processedText.replace(/\$lastName/g, defaultName);
-      }
-    } else {
-      // Se não tem nome, usar defaultName
-      processedText = processedText.replace(/\$lastName/g, defaultName);
-    }
-  }
-
-  // Substituir $number pelo número formatado
-  if (processedText.includes('$number')) {
-    const number = variables.number || variables.formatted || '';
-    processedText = processedText.replace(/\$number/g, number);
-  }
+    if (BUILT_IN_VARIABLES.includes(key)) return builtIns[key];
+    if (columns.has(key.toLowerCase())) return columns.get(key.toLowerCase());
 
-  // Substituir $originalNumber pelo número original
-  if (processedText.includes('$originalNumber')) {
-    const originalNumber = variables.originalNumber || variables.original || '';
-    processedText = processedText.replace(/\$originalNumber/g, originalNumber);
-  }
+    // $name também cobre $names, $numberX... (comportamento legado, apenas no formato $)
+    if (dollarKey) {
+      const prefix = builtInPrefixes.find(builtIn => key.startsWith(builtIn));
+      if (prefix) return builtIns[prefix] + key.slice(prefix.length);
+    }
 
-  return processedText;
+    return match;
+  });
 }
 
 /**
@@ -120,6 +141,9 @@ function processTemplate(template, variables = {}, defaultName = 'Cliente') {
           }
         };
         
+        // Botões, opções de lista/enquete e localização também aceitam variáveis
+        mapInteractiveTexts(processedMsg.content, text => replaceTemplateVariables(text, variables, defaultName));
+
         // Debug após processamento
         if (msgType === 'video_caption') {
           console.log(`   processedMsg.content.caption:`, processedMsg.content.caption);
@@ -150,14 +174,192 @@ function processTemplate(template, variables = {}, defaultName = 'Cliente') {
     );
   }
 
+  // Processar textos das mensagens interativas (botões, lista, enquete, localização)
+  mapInteractiveTexts(processedTemplate.content, text => replaceTemplateVariables(text, variables, defaultName));
+
   return processedTemplate;
 }
 
+/**
+ * Resolve blocos spintax ({Olá|Oi|E aí}) sorteando uma opção por bloco
+ * Suporta blocos aninhados e preserva placeholders {{variavel}}
+ * @param {string} text - Texto com spintax
+ * @param {Array<string>} choices - Lista onde as opções sorteadas serão registradas (opcional)
+ * @returns {string} - Texto com as opções sorteadas
+ */
+function resolveSpintax(text, choices = []) {
+  if (!text || typeof text !== 'string' || !text.includes('|')) {
+    return text;
+  }
+
+  // Proteger {{variavel}} para não ser confundido com bloco spintax
+  const placeholders = [];
+  let resolved = text.replace(/\{\{[^{}]*\}\}/g, match => {
+    placeholders.push(match);
+    return `\u0000${placeholders.length - 1}\u0000`;
+  });
+
+  // Resolver dos blocos mais internos para os mais externos
+  const blockRegex = /\{([^{}]*\|[^{}]*)\}/g;
+  while (blockRegex.test(resolved)) {
+    blockRegex.lastIndex = 0;
+    resolved = resolved.replace(blockRegex, (match, inner) => {
+      const options = inner.split('|');
+      const choice = options[Math.floor(Math.random() * options.length)];
+      choices.push(choice.replace(/\u0000(\d+)\u0000/g, (m, idx) => placeholders[idx]));
+      return choice;
+    });
+    blockRegex.lastIndex = 0;
+  }
+
+  return resolved.replace(/\u0000(\d+)\u0000/g, (match, idx) => placeholders[idx]);
+}
+
+/**
+ * Sorteia um bloco de variação respeitando os pesos
+ * @param {Array} variants - Lista de variações { label, weight, ... }
+ * @returns {object|null} - Variação sorteada ou null se não houver
+ */
+function pickWeightedVariant(variants = []) {
+  const candidates = (variants || []).filter(v => v && v.label && (v.weight === undefined || v.weight > 0));
+  if (candidates.length === 0) return null;
+
+  const totalWeight = candidates.reduce((sum, v) => sum + (v.weight !== undefined ? v.weight : 1), 0);
+  let random = Math.random() * totalWeight;
+
+  for (const variant of candidates) {
+    random -= variant.weight !== undefined ? variant.weight : 1;
+    if (random < 0) return variant;
+  }
+
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Aplica as variações do template para um destinatário:
+ * 1. Sorteia o bloco de variação (template.variants) pelo peso e sobrescreve texto/legenda
+ * 2. Resolve os blocos spintax de textos e legendas
+ * Deve ser chamado antes de processTemplate para que valores das variáveis não sejam tratados como spintax
+ * @param {object} template - Template do disparo
+ * @returns {object} - { template, variant: { label, spintax } }
+ */
+function applyTemplateVariations(template) {
+  if (!template || typeof template !== 'object') {
+    return { template, variant: null };
+  }
+
+  const varied = JSON.parse(JSON.stringify(template));
+  const variant = pickWeightedVariant(varied.variants);
+  const spintax = [];
+
+  if (varied.type === 'sequence' && varied.sequence?.messages) {
+    const overrides = new Map((variant?.messages || []).map(msg => [msg.order, msg]));
+
+    varied.sequence.messages = varied.sequence.messages.map(msg => {
+      const override = overrides.get(msg.order) || {};
+      const content = { ...(msg.content || {}) };
+
+      if (override.text) content.text = override.text;
+      if (override.caption) content.caption = override.caption;
+      if (content.text) content.text = resolveSpintax(content.text, spintax);
+      if (content.caption) content.caption = resolveSpintax(content.caption, spintax);
+
+      return { ...msg, content };
+    });
+  } else if (varied.content) {
+    if (variant?.content?.text) varied.content.text = variant.content.text;
+    if (variant?.content?.caption) varied.content.caption = variant.content.caption;
+    if (varied.content.text) varied.content.text = resolveSpintax(varied.content.text, spintax);
+    if (varied.content.caption) varied.content.caption = resolveSpintax(varied.content.caption, spintax);
+  }
+
+  return {
+    template: varied,
+    variant: {
+      label: variant ? variant.label : null,
+      spintax
+    }
+  };
+}
+
+/**
+ * Extrai os placeholders ($variavel e {{variavel}}) usados em um texto
+ * @param {string} text - Texto do template
+ * @returns {Array<string>} - Nomes das variáveis encontradas
+ */
+function extractTemplateVariables(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const found = new Set();
+  const dollarRegex = /\$([A-Za-z_][A-Za-z0-9_]*)/g;
+  const braceRegex = /\{\{\s*(\w+)\s*\}\}/g;
+  let match;
+
+  while ((match = dollarRegex.exec(text)) !== null) {
+    found.add(match[1]);
+  }
+  while ((match = braceRegex.exec(text)) !== null) {
+    found.add(match[1]);
+  }
+
+  return Array.from(found);
+}
+
+/**
+ * Lista as variáveis usadas no template que não existem nas variáveis nativas
+ * nem nas colunas informadas
+ * @param {object} template - Template do disparo (simples ou sequência)
+ * @param {Array<string>} customFieldKeys - Colunas extras disponíveis
+ * @returns {Array<string>} - Variáveis desconhecidas
+ */
+function findUnknownVariables(template, customFieldKeys = []) {
+  if (!template || typeof template !== 'object') return [];
+
+  const texts = [];
+  const collect = (content = {}) => {
+    if (content.text) texts.push(content.text);
+    if (content.caption) texts.push(content.caption);
+  };
+
+  if (template.type === 'sequence') {
+    (template.sequence?.messages || []).forEach(msg => collect(msg.content || {}));
+  } else {
+    collect(template.content || {});
+  }
+
+  // Blocos de variação também podem usar variáveis
+  (template.variants || []).forEach(variant => {
+    collect(variant.content || {});
+    (variant.messages || []).forEach(msg => collect(msg));
+  });
+
+  const knownColumns = new Set(customFieldKeys.map(normalizeVariableKey));
+  const unknown = new Set();
+
+  texts.forEach(text => {
+    extractTemplateVariables(text).forEach(variable => {
+      // Colunas são comparadas pela chave normalizada ($Cidade -> cidade)
+      if (!BUILT_IN_VARIABLES.includes(variable) && !knownColumns.has(normalizeVariableKey(variable))) {
+        unknown.add(variable);
+      }
+    });
+  });
+
+  return Array.from(unknown);
+}
+
 /**
  * Lista todas as variáveis disponíveis para uso em templates
+ * @param {Array<string>} customFieldKeys - Colunas extras da planilha (opcional)
  * @returns {Array} - Lista de variáveis disponíveis
  */
-function getAvailableVariables() {
+function getAvailableVariables(customFieldKeys = []) {
+  const customVariables = customFieldKeys.map(key => ({
+    variable: `$${key}`,
+    description: `Coluna "${key}" da planilha`,
+    example: `{{${key}}}`
+  }));
+
   return [
     {
       variable: '$name',
@@ -183,12 +385,20 @@ function getAvailableVariables() {
       variable: '$originalNumber',
       description: 'Número original inserido',
       example: '11999999999'
-    }
+    },
+    ...customVariables
   ];
 }
 
 module.exports = {
+  BUILT_IN_VARIABLES,
+  normalizeVariableKey,
   replaceTemplateVariables,
   processTemplate,
+  resolveSpintax,
+  pickWeightedVariant,
+  applyTemplateVariations,
+  extractTemplateVariables,
+  findUnknownVariables,
   getAvailableVariables
 };